@@ -1,10 +1,14 @@
 // src/client/js/AnimatedStockChart.js
+// Close-price line chart. No page loads it any more; the simulator chart, with its candlestick,
+// OHLC and volume modes, is SimulatorGraphController.
+import { marketService } from './dbServices/MarketService.js';
+
 export default class AnimatedStockChart {
     constructor(userProfile) {
         this.userProfile = userProfile;
         this.focusedStock = userProfile.stocksAddedToSim[0];
 
-        // Animation settings
+        // Animation settings (interval = minimum milliseconds between redraws)
         this.TIME_FRAMES = {
             "1D": { interval: 1000, label: "Today" },
             "1W": { interval: 3500, label: "This Week" },
@@ -15,9 +19,8 @@ export default class AnimatedStockChart {
         this.timeframe = "1D";
 
         // Animation state
-        this.animationTimer = null;
-        this.marketTrendRef = 0;
-        this.timeCounterRef = 0;
+        this.unsubscribePrices = null;
+        this.lastFrameTime = 0;
 
         // Initialize
         this.initializeChart();
@@ -61,24 +64,27 @@ export default class AnimatedStockChart {
     }
 
     startAnimation() {
-        // Clear any existing timer
-        if (this.animationTimer) {
-            clearInterval(this.animationTimer);
+        // Drop any existing subscription
+        if (this.unsubscribePrices) {
+            this.unsubscribePrices();
+            this.unsubscribePrices = null;
         }
 
-        // Set random initial market trend
-        this.marketTrendRef = (Math.random() * 2 - 1) * 0.005;
-
         // Get current time frame settings
         const intervalConfig = this.TIME_FRAMES[this.timeframe];
         if (!intervalConfig) return;
 
-        // Start new animation timer
-        this.animationTimer = setInterval(() => {
+        // Animate on prices pushed from the server's market stream
+        this.unsubscribePrices = marketService.onPricesUpdated(() => {
+            const now = Date.now();
+            if (now - this.lastFrameTime < intervalConfig.interval) return;
+
+            this.lastFrameTime = now;
             this.updateAllStocks();
-        }, intervalConfig.interval);
+        });
 
         // Initial update
+        this.lastFrameTime = Date.now();
         this.updateAllStocks();
     }
 
@@ -93,42 +99,7 @@ export default class AnimatedStockChart {
         // Skip if no stocks available
         if (!this.userProfile || !Array.isArray(this.userProfile.stocksAddedToSim)) return;
 
-        this.timeCounterRef += 1;
-
-        // Update prices for all stocks
-        this.userProfile.stocksAddedToSim.forEach(stock => {
-            if (!stock) return;
-
-            // Calculate price change based on stock volatility and market trend
-            const volatility = stock.volatility || 0.015;
-            const randomFactor = (Math.random() - 0.5) * 0.01;
-            const marketEffect = this.marketTrendRef;
-            const sentimentEffect = (stock.currentSentiment || 0) * 0.001;
-
-            const combinedEffect = randomFactor + marketEffect + sentimentEffect;
-            let newPrice = stock.marketPrice * (1 + combinedEffect);
-
-            // Ensure price doesn't go negative
-            newPrice = Math.max(newPrice, 0.01);
-
-            // Update price and history
-            stock.marketPrice = newPrice;
-            if (Array.isArray(stock.priceHistory)) {
-                stock.priceHistory.push(newPrice);
-
-                // Limit history length
-                if (stock.priceHistory.length > 100) {
-                    stock.priceHistory.shift();
-                }
-            }
-        });
-
-        // 10% chance to change market trend
-        if (Math.random() < 0.1) {
-            this.marketTrendRef = (Math.random() * 2 - 1) * 0.005;
-        }
-
-        // Update UI
+        // Prices and history were already applied by MarketService; just redraw
         this.updateUI();
     }
 
@@ -347,9 +318,9 @@ export default class AnimatedStockChart {
 
     // Clean up when component is no longer needed
     destroy() {
-        if (this.animationTimer) {
-            clearInterval(this.animationTimer);
-            this.animationTimer = null;
+        if (this.unsubscribePrices) {
+            this.unsubscribePrices();
+            this.unsubscribePrices = null;
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,160 @@
+// src/client/js/CashLedgerView.js
+// Cash panel for the dashboard: a form to deposit cash into the portfolio or withdraw it, what
+// has been put in all told (the opening balance plus deposits less withdrawals, which returns
+// are measured against), and every deposit and withdrawal. Recurring ones are set up in the
+// Recurring Investments panel.
+import DatabaseService from './dbServices/DatabaseService.js';
+
+const TYPE_LABELS = {
+    DEPOSIT: 'Deposit',
+    WITHDRAWAL: 'Withdrawal'
+};
+
+const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+export default class CashLedgerView {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} options
+     * @param {string} options.username - Signed-in user
+     * @param {string} options.portfolioId - Portfolio cash moves in and out of
+     * @param {Object} options.notifications - NotificationSystem for results
+     * @param {Function} [options.onTransfer] - Called after a deposit or withdrawal
+     */
+    constructor(container, { username, portfolioId, notifications, onTransfer = () => {} }) {
+        this.container = container;
+        this.username = username;
+        this.portfolioId = portfolioId;
+        this.notifications = notifications;
+        this.onTransfer = onTransfer;
+        this.dbService = new DatabaseService();
+        this.ledger = null;
+    }
+
+    /**
+     * Build the panel and load the ledger
+     */
+    async initialize() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="bg-white rounded-lg shadow-md p-4">
+                <form data-role="form" class="flex flex-wrap items-end gap-3 mb-4">
+                    <label class="text-sm text-gray-600">Amount ($)
+                        <input data-role="amount" type="number" min="0.01" step="0.01" value="1000"
+                               class="block border border-gray-300 rounded px-2 py-1 text-sm w-32">
+                    </label>
+                    <button data-type="DEPOSIT" type="submit"
+                            class="px-3 py-1 rounded text-sm text-white bg-green-600 hover:bg-green-700">Deposit</button>
+                    <button data-type="WITHDRAWAL" type="submit"
+                            class="px-3 py-1 rounded text-sm text-white bg-red-500 hover:bg-red-600">Withdraw</button>
+                </form>
+                <div data-role="summary" class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4"></div>
+                <div data-role="entries" class="overflow-x-auto"></div>
+            </div>`;
+
+        this.amountInput = this.container.querySelector('[data-role="amount"]');
+
+        // The submit button pressed says which way the cash moves
+        this.container.querySelector('[data-role="form"]').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const type = event.submitter ? event.submitter.dataset.type : 'DEPOSIT';
+            this.transfer(type);
+        });
+
+        await this.refresh();
+    }
+
+    /**
+     * Reload the ledger
+     */
+    async refresh() {
+        const summary = this.container.querySelector('[data-role="summary"]');
+        const entries = this.container.querySelector('[data-role="entries"]');
+
+        try {
+            this.ledger = await this.dbService.getCashLedger(this.username, this.portfolioId);
+        } catch (error) {
+            this.ledger = null;
+            summary.innerHTML = '';
+            entries.innerHTML = '<div class="py-4 text-center text-gray-500">Cash ledger unavailable</div>';
+            return;
+        }
+
+        this.renderSummary(summary);
+        this.renderEntries(entries);
+    }
+
+    /**
+     * Render the opening balance, deposits, withdrawals and total contributions
+     * @param {HTMLElement} target - Element to render into
+     */
+    renderSummary(target) {
+        const card = (label, value, color = 'text-gray-900') => `
+            <div class="bg-gray-50 rounded p-3">
+                <div class="text-xs text-gray-500 uppercase">${label}</div>
+                <div class="text-lg font-semibold ${color}">${money(value)}</div>
+            </div>`;
+
+        target.innerHTML = [
+            card('Opening balance', this.ledger.openingBalance),
+            card('Deposits', this.ledger.deposits, 'text-green-600'),
+            card('Withdrawals', this.ledger.withdrawals, 'text-red-600'),
+            card('Contributions', this.ledger.contributions)
+        ].join('');
+    }
+
+    /**
+     * Render every deposit and withdrawal, newest first
+     * @param {HTMLElement} target - Element to render into
+     */
+    renderEntries(target) {
+        if (this.ledger.entries.length === 0) {
+            target.innerHTML = '<div class="py-4 text-center text-gray-500">No deposits or withdrawals</div>';
+            return;
+        }
+
+        const rows = this.ledger.entries.map(entry => `
+            <tr class="text-sm border-b border-gray-100">
+                <td class="px-3 py-2 text-gray-500">${new Date(entry.timestamp).toLocaleString()}</td>
+                <td class="px-3 py-2 ${entry.type === 'DEPOSIT' ? 'text-green-600' : 'text-red-600'}">${TYPE_LABELS[entry.type]}</td>
+                <td class="px-3 py-2 text-gray-700">${money(entry.type === 'DEPOSIT' ? entry.amount : -entry.amount)}</td>
+            </tr>`).join('');
+
+        target.innerHTML = `
+            <table class="min-w-full text-left">
+                <thead class="text-xs text-gray-500 uppercase border-b border-gray-200">
+                    <tr>
+                        <th class="px-3 py-2 font-medium">Date</th>
+                        <th class="px-3 py-2 font-medium">Type</th>
+                        <th class="px-3 py-2 font-medium">Amount</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Deposit or withdraw the amount in the form
+     * @param {string} type - 'DEPOSIT' or 'WITHDRAWAL'
+     */
+    async transfer(type) {
+        const amount = Number(this.amountInput.value);
+
+        if (!Number.isFinite(amount) || amount < 0.01) {
+            this.notifications.error('Enter an amount of at least $0.01');
+            return;
+        }
+
+        try {
+            const result = await this.dbService.recordCashTransfer(this.username, this.portfolioId, type, amount);
+            this.notifications.success(
+                `${type === 'DEPOSIT' ? 'Deposited' : 'Withdrew'} ${money(result.amount)}; cash is now ${money(result.newBalance)}`
+            );
+            this.onTransfer();
+            await this.refresh();
+        } catch (error) {
+            this.notifications.error(error.message || `${TYPE_LABELS[type]} failed`);
+        }
+    }
+}
@@ -0,0 +1,71 @@
+// src/client/js/CostModel.js
+// Trading costs on a fill, with the same settings as the server's services/costModel.js.
+// The server walks an order book shaped by these settings; local portfolios approximate it
+// in one step: buys fill at the ask and sells at the bid, moved further by slippage that
+// grows with the square root of the order's share of daily volume. Commission and a
+// percentage fee are charged on top.
+
+export const COMMISSION_TYPES = ['none', 'flat', 'per_share'];
+
+export const DEFAULT_COST_SETTINGS = {
+    commissionType: 'flat',
+    commissionAmount: 0,
+    feePercent: 0,
+    spreadPercent: 0.05,
+    slippageFactor: 0.1
+};
+
+// Daily volume assumed for stocks without any
+const DEFAULT_AVERAGE_VOLUME = 100000;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Price a fill
+ * @param {Object} settings - Cost settings (missing values fall back to the defaults)
+ * @param {Object} order - { transactionType: 'BUY'|'SELL', quantity, quotePrice, averageVolume }
+ * @returns {Object} { price, spreadCost, slippageCost, commission, percentFee, fee }
+ */
+export function calculateFill(settings, { transactionType, quantity, quotePrice, averageVolume }) {
+    const costs = { ...DEFAULT_COST_SETTINGS, ...settings };
+    const direction = transactionType === 'BUY' ? 1 : -1;
+    const halfSpread = Number(costs.spreadPercent) / 100 / 2;
+    const slippage = Number(costs.slippageFactor) * Math.sqrt(quantity / Math.max(averageVolume || DEFAULT_AVERAGE_VOLUME, 1));
+
+    // Never fill below a cent
+    const price = Math.max(roundCents(quotePrice * (1 + direction * (halfSpread + slippage))), 0.01);
+    const spreadCost = quotePrice * halfSpread * quantity;
+
+    return {
+        price,
+        spreadCost: roundCents(spreadCost),
+        slippageCost: roundCents(Math.max(Math.abs(price - quotePrice) * quantity - spreadCost, 0)),
+        ...calculateFees(costs, quantity, price)
+    };
+}
+
+/**
+ * Commission and percentage fee on a fill
+ * @param {Object} settings - Cost settings (missing values fall back to the defaults)
+ * @param {number} quantity - Shares filled
+ * @param {number} price - Average fill price per share
+ * @returns {Object} { commission, percentFee, fee }
+ */
+export function calculateFees(settings, quantity, price) {
+    const costs = { ...DEFAULT_COST_SETTINGS, ...settings };
+
+    let commission = 0;
+    if (costs.commissionType === 'flat') {
+        commission = Number(costs.commissionAmount);
+    } else if (costs.commissionType === 'per_share') {
+        commission = Number(costs.commissionAmount) * quantity;
+    }
+
+    const percentFee = price * quantity * Number(costs.feePercent) / 100;
+
+    return {
+        commission: roundCents(commission),
+        percentFee: roundCents(percentFee),
+        fee: roundCents(commission + percentFee)
+    };
+}
@@ -1,3 +1,8 @@
+import { simulationService } from './dbServices/SimulationService.js';
+
+// Price models supported by the server's market engine (see GET /api/market/models)
+const PRICE_MODELS = ['gbm', 'jump_diffusion', 'mean_reverting'];
+
 export default class CustomStockManager {
   constructor(userProfile) {
     this.userProfile = userProfile;
@@ -16,27 +21,40 @@ export default class CustomStockManager {
         throw new Error(`Stock ${stockData.symbol} already exists in simulation`);
       }
 
+      // Generated values repeat for everyone sharing a simulation seed
+      const random = simulationService.getRandom('history', stockData.symbol.toUpperCase());
+
       // Create a new stock object
       const newStock = {
         symbol: stockData.symbol.toUpperCase(),
         companyName: stockData.companyName,
         marketPrice: stockData.initialPrice,
-        previousClosePrice: stockData.initialPrice * (1 - (Math.random() * 0.04 - 0.02)), // Random previous close
-        openPrice: stockData.initialPrice * (1 - (Math.random() * 0.02 - 0.01)), // Random open price
+        previousClosePrice: stockData.initialPrice * (1 - (random() * 0.04 - 0.02)), // Random previous close
+        openPrice: stockData.initialPrice * (1 - (random() * 0.02 - 0.01)), // Random open price
         sector: stockData.sector || 'Custom',
-        volume: Math.floor(10000 + Math.random() * 990000), // Random volume
+        volume: Math.floor(10000 + random() * 990000), // Random volume
         currentSentiment: 0,
         volatility: stockData.volatility || 0.015, // Default volatility if not provided
+        priceModel: stockData.priceModel || 'gbm',
+        modelParams: stockData.modelParams || {},
+        marketBeta: stockData.marketBeta ?? 1, // Sensitivity to market-wide moves
+        sectorBeta: stockData.sectorBeta ?? 1, // Sensitivity to moves in its sector
         priceHistory: [],
         isCustom: true, // Mark as custom stock
         createdAt: new Date().toISOString()
       };
 
       // Generate initial price history
-      this.generatePriceHistory(newStock);
+      this.generatePriceHistory(newStock, 30, random);
 
       // Save to database
-      await this.dbManager.sendRequest(`stocks/${this.userProfile.username}`, 'POST', newStock);
+      const createdStock = await this.dbManager.sendRequest(`stocks/${this.userProfile.username}`, 'POST', {
+        ...newStock,
+        initialPrice: stockData.initialPrice
+      });
+
+      // The server pins defaults such as the mean-reversion level
+      newStock.modelParams = createdStock.modelParams || newStock.modelParams;
 
       // Add to user's stocks
       this.userProfile.addStockToSim(newStock);
@@ -70,16 +88,39 @@ export default class CustomStockManager {
       throw new Error('Volatility must be a positive number');
     }
 
+    this.validatePriceModel(stockData.priceModel, stockData.modelParams);
+
+    return true;
+  }
+
+  // Validate a price model choice; parameter ranges are checked by the server
+  validatePriceModel(priceModel, modelParams) {
+    if (priceModel !== undefined && !PRICE_MODELS.includes(priceModel)) {
+      throw new Error(`Price model must be one of: ${PRICE_MODELS.join(', ')}`);
+    }
+
+    if (modelParams !== undefined) {
+      if (modelParams === null || typeof modelParams !== 'object' || Array.isArray(modelParams)) {
+        throw new Error('Model parameters must be an object');
+      }
+
+      for (const [key, value] of Object.entries(modelParams)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw new Error(`Model parameter ${key} must be a number`);
+        }
+      }
+    }
+
     return true;
   }
 
   // Generate price history for a new stock
-  generatePriceHistory(stock, days = 30) {
+  generatePriceHistory(stock, days = 30, random = Math.random) {
     const initialPrice = stock.marketPrice;
     const volatility = stock.volatility || 0.015;
 
     // Create a slight trend bias
-    const trendBias = (Math.random() * 0.006) - 0.003; // Between -0.3% and +0.3% daily bias
+    const trendBias = (random() * 0.006) - 0.003; // Between -0.3% and +0.3% daily bias
 
     // Generate price points going backward from current price
     stock.priceHistory = [];
@@ -90,7 +131,7 @@ export default class CustomStockManager {
       stock.priceHistory.unshift(price);
 
       // Calculate new price for previous day
-      const change = trendBias + (volatility * (Math.random() + Math.random() + Math.random() - 1.5));
+      const change = trendBias + (volatility * (random() + random() + random() - 1.5));
       price = price / (1 + change); // Going backward in time
 
       // Keep prices reasonable
@@ -101,6 +142,33 @@ export default class CustomStockManager {
     stock.priceHistory.push(initialPrice);
   }
 
+  // Change the price model of a custom stock
+  async updatePriceModel(symbol, priceModel, modelParams = {}) {
+    try {
+      const stock = this.userProfile.stocksAddedToSim.find(s => s.symbol === symbol);
+
+      if (!stock) {
+        throw new Error(`Stock ${symbol} not found`);
+      }
+
+      this.validatePriceModel(priceModel, modelParams);
+
+      const result = await this.dbManager.sendRequest(
+        `stocks/${this.userProfile.username}/${symbol}/model`,
+        'PUT',
+        { priceModel, modelParams }
+      );
+
+      stock.priceModel = result.priceModel;
+      stock.modelParams = result.modelParams;
+
+      return stock;
+    } catch (error) {
+      console.error('Failed to update price model:', error);
+      throw error;
+    }
+  }
+
   // Remove a custom stock
   async removeCustomStock(symbol) {
     try {
@@ -1,12 +1,26 @@
 import { getUserProfile } from './authHandler.js';
 import DatabaseManager from 'src/client/js/DatabaseManager.js';
 import NotificationSystem from './NotificationSystem.js';
+import DatabaseService from './dbServices/DatabaseService.js';
+import { streamService } from './dbServices/StreamService.js';
 import PortfolioMetricsController from 'src/client/js/PortfolioMetricsController.js';
+import OptionsChainView from './OptionsChainView.js';
+import SchedulesView from './SchedulesView.js';
+import RebalanceView from './RebalanceView.js';
+import CashLedgerView from './CashLedgerView.js';
 
 // Initialize components
 const notifications = new NotificationSystem();
 const dbManager = new DatabaseManager();
+const dbService = new DatabaseService();
 let portfolioMetrics = null;
+let optionsView = null;
+let schedulesView = null;
+let rebalanceView = null;
+let cashLedgerView = null;
+
+// Holdings whose tax lots are shown, by symbol
+const expandedHoldings = new Set();
 
 // Initialize the dashboard
 async function initDashboard() {
@@ -27,6 +41,61 @@ async function initDashboard() {
         // Update dashboard data
         updateDashboardData(userProfile);
 
+        // Option chain and positions for the active portfolio; trades change cash and value
+        optionsView = new OptionsChainView(document.getElementById('options-panel'), {
+            username: userProfile.username,
+            portfolioId: userProfile.portfolio.portfolioID,
+            notifications,
+            onTrade: () => refreshDashboard()
+        });
+        optionsView.initialize();
+
+        // Target allocation of the active portfolio and the trades that restore it
+        rebalanceView = new RebalanceView(document.getElementById('rebalance-panel'), {
+            username: userProfile.username,
+            portfolioId: userProfile.portfolio.portfolioID,
+            notifications,
+            onTrade: () => refreshDashboard()
+        });
+        rebalanceView.initialize();
+
+        // Deposits and withdrawals; they change cash and what returns are measured against
+        cashLedgerView = new CashLedgerView(document.getElementById('cash-panel'), {
+            username: userProfile.username,
+            portfolioId: userProfile.portfolio.portfolioID,
+            notifications,
+            onTransfer: () => refreshDashboard()
+        });
+        cashLedgerView.initialize();
+
+        // Recurring investments into the active portfolio
+        schedulesView = new SchedulesView(document.getElementById('schedules-panel'), {
+            username: userProfile.username,
+            portfolioId: userProfile.portfolio.portfolioID,
+            notifications
+        });
+        schedulesView.initialize();
+
+        // Show or hide a holding's tax lots, and sell a single lot
+        const holdingsTable = document.getElementById('holdings-table-body');
+        if (holdingsTable) {
+            holdingsTable.addEventListener('click', event => {
+                const toggle = event.target.closest('[data-toggle-lots]');
+                if (toggle) {
+                    const symbol = toggle.dataset.toggleLots;
+                    if (!expandedHoldings.delete(symbol)) expandedHoldings.add(symbol);
+                    refreshDashboard();
+                    return;
+                }
+
+                const sellLot = event.target.closest('[data-sell-lot]');
+                if (sellLot) {
+                    sellTaxLot(userProfile.portfolio.portfolioID, sellLot.dataset.symbol,
+                        Number(sellLot.dataset.sellLot), Number(sellLot.dataset.quantity));
+                }
+            });
+        }
+
         // Set up refresh button
         const refreshBtn = document.getElementById('refresh-btn');
         if (refreshBtn) {
@@ -35,6 +104,21 @@ async function initDashboard() {
             });
         }
 
+        // Live order notifications; refresh holdings and cash as soon as an order, dividend, split,
+        // option settlement, recurring investment or recurring deposit changes them
+        notifications.subscribeToStream(userProfile.username);
+        streamService.on('order', () => refreshDashboard());
+        streamService.on('corporate_action', () => refreshDashboard());
+        streamService.on('option', () => {
+            refreshDashboard();
+            optionsView.refresh();
+        });
+        streamService.on('schedule', run => {
+            refreshDashboard();
+            schedulesView.refresh();
+            if (run.scheduleType && run.scheduleType !== 'buy') cashLedgerView.refresh();
+        });
+
         // Set up auto-refresh
         setInterval(() => refreshDashboard(), 30000); // Refresh every 30 seconds
     } catch (error) {
@@ -73,8 +157,10 @@ function updateOverviewCards(userProfile) {
     const portfolioValue = document.getElementById('portfolio-value');
     const portfolioChange = document.getElementById('portfolio-change');
     const availableCash = document.getElementById('available-cash');
+    const buyingPower = document.getElementById('buying-power');
     const totalAssets = document.getElementById('total-assets');
     const holdingsCount = document.getElementById('holdings-count');
+    const portfolioPnl = document.getElementById('portfolio-pnl');
 
     if (portfolioValue) {
         portfolioValue.textContent = `$${portfolio.portfolioValue.toFixed(2)}`;
@@ -91,10 +177,30 @@ function updateOverviewCards(userProfile) {
         portfolioChange.textContent = `${change >= 0 ? '+' : ''}$${change.toFixed(2)} (${percentChange.toFixed(2)}%)`;
     }
 
+    if (portfolioPnl) {
+        // Unrealized on what is held at current prices, realized by past sells net of fees
+        const unrealized = Object.values(portfolio.holdingsMap).reduce((total, holding) =>
+            total + (holding.lots || []).reduce((sum, lot) => sum + lot.unrealizedGain, 0), 0);
+        const realized = portfolio.realizedGains ? portfolio.realizedGains.total : 0;
+        const signed = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+
+        portfolioPnl.textContent = `Unrealized ${signed(unrealized)} · Realized ${signed(realized)}`;
+    }
+
     if (availableCash) {
         availableCash.textContent = `$${portfolio.balance.toFixed(2)}`;
     }
 
+    if (buyingPower) {
+        // Margin portfolios can invest more than their cash; idle cash earns interest either way
+        const interest = portfolio.cashInterest
+            ? ` · earning ${(portfolio.cashInterest.annualRate * 100).toFixed(2)}%${portfolio.cashInterest.sweepEnabled ? ' (swept)' : ''}`
+            : '';
+        buyingPower.textContent = (portfolio.marginEnabled
+            ? `$${portfolio.buyingPower.toFixed(2)} buying power on margin`
+            : 'Ready to invest') + interest;
+    }
+
     if (totalAssets) {
         totalAssets.textContent = `$${portfolio.totalAssetsValue.toFixed(2)}`;
     }
@@ -104,6 +210,51 @@ function updateOverviewCards(userProfile) {
     }
 }
 
+// Sell every share of one tax lot
+async function sellTaxLot(portfolioId, symbol, lotId, quantity) {
+    if (!window.confirm(`Sell all ${quantity} shares of ${symbol} lot #${lotId}?`)) return;
+
+    try {
+        const result = await dbService.executeTransaction({
+            portfolioId,
+            symbol,
+            transactionType: 'SELL',
+            quantity,
+            lots: [{ lotId, quantity }]
+        });
+
+        notifications.success(
+            `Sold ${result.quantity} shares of ${symbol} lot #${lotId} at $${result.price.toFixed(2)}, `
+            + `realizing ${result.realizedGain >= 0 ? 'a gain' : 'a loss'} of $${Math.abs(result.realizedGain).toFixed(2)}`
+        );
+        refreshDashboard();
+    } catch (error) {
+        notifications.error(`Failed to sell lot #${lotId}: ${error.message}`);
+    }
+}
+
+// Rows for a holding's open tax lots: cost, holding period and unrealized gain of each
+function renderLotRows(symbol, lots) {
+    return lots.map(lot => `
+        <td class="pl-12 pr-6 py-2 whitespace-nowrap text-xs text-gray-500">
+            Lot #${lot.lotID} · ${lot.acquiredDate}
+            <span class="ml-1 ${lot.term === 'long' ? 'text-blue-600' : ''}">${lot.holdingDays}d ${lot.term}-term</span>
+        </td>
+        <td class="px-6 py-2 whitespace-nowrap text-xs text-gray-500">${lot.quantity}</td>
+        <td class="px-6 py-2 whitespace-nowrap text-xs text-gray-500">$${lot.costPerShare.toFixed(2)}</td>
+        <td class="px-6 py-2"></td>
+        <td class="px-6 py-2 whitespace-nowrap text-xs text-gray-500">$${lot.marketValue.toFixed(2)}</td>
+        <td class="px-6 py-2 whitespace-nowrap text-xs">
+            <span class="${lot.unrealizedGain >= 0 ? 'text-green-600' : 'text-red-600'}">
+                ${lot.unrealizedGain >= 0 ? '+' : '-'}$${Math.abs(lot.unrealizedGain).toFixed(2)}
+            </span>
+            ${lot.quantity > 0 ? `
+            <button data-sell-lot="${lot.lotID}" data-symbol="${symbol}" data-quantity="${lot.quantity}"
+                    class="ml-2 px-2 py-0.5 rounded text-white bg-red-500 hover:bg-red-600">Sell lot</button>` : ''}
+        </td>
+    `);
+}
+
 // Update holdings table with latest data
 function updateHoldingsTable(userProfile) {
     const tableBody = document.getElementById('holdings-table-body');
@@ -128,6 +279,7 @@ function updateHoldingsTable(userProfile) {
         const value = currentPrice * quantity;
         const profitLoss = (currentPrice - avgPrice) * quantity;
         const percentChange = ((currentPrice - avgPrice) / avgPrice) * 100;
+        const lots = holding.lots || [];
 
         const row = document.createElement('tr');
         row.className = 'hover:bg-gray-50';
@@ -138,6 +290,10 @@ function updateHoldingsTable(userProfile) {
                     <div>
                         <div class="text-sm font-medium text-gray-900">${stock.symbol}</div>
                         <div class="text-sm text-gray-500">${stock.companyName}</div>
+                        ${lots.length > 0 ? `
+                        <button data-toggle-lots="${stock.symbol}" class="text-xs text-blue-600 hover:text-blue-800">
+                            ${expandedHoldings.has(stock.symbol) ? 'Hide' : 'Show'} ${lots.length} lot${lots.length === 1 ? '' : 's'}
+                        </button>` : ''}
                     </div>
                 </div>
             </td>
@@ -153,5 +309,14 @@ function updateHoldingsTable(userProfile) {
         `;
 
         tableBody.appendChild(row);
+
+        if (expandedHoldings.has(stock.symbol)) {
+            renderLotRows(stock.symbol, lots).forEach(cells => {
+                const lotRow = document.createElement('tr');
+                lotRow.className = 'bg-gray-50';
+                lotRow.innerHTML = cells;
+                tableBody.appendChild(lotRow);
+            });
+        }
     });
 }
\ No newline at end of file
@@ -0,0 +1,152 @@
+// Custom funds: weighted baskets of stocks the user can see. The server prices a fund at its
+// NAV from the constituents' prices, so once listed it trades and charts like any stock.
+
+// Most constituents a fund can hold (matches the server)
+const MAX_CONSTITUENTS = 50;
+
+export default class FundManager {
+  constructor(userProfile) {
+    this.userProfile = userProfile;
+    this.dbManager = new window.DatabaseManager();
+  }
+
+  // List a custom fund and add it to the simulation
+  async addFund(fundData) {
+    try {
+      // Validate fund data
+      this.validateFundData(fundData);
+
+      const symbol = fundData.symbol.toUpperCase();
+
+      // Check if the symbol is already taken
+      const existingStock = this.userProfile.stocksAddedToSim.find(s => s.symbol === symbol);
+      if (existingStock) {
+        throw new Error(`Stock ${symbol} already exists in simulation`);
+      }
+
+      // Save to database; the server sizes the basket and rebuilds the price history
+      const createdFund = await this.dbManager.sendRequest(`funds/${this.userProfile.username}`, 'POST', {
+        symbol,
+        companyName: fundData.companyName,
+        constituents: fundData.constituents.map(c => ({ symbol: c.symbol.toUpperCase(), weight: c.weight })),
+        initialNav: fundData.initialNav
+      });
+
+      // Load it as a stock so it charts and trades like one
+      const newStock = await this.dbManager.sendRequest(`stocks/${this.userProfile.username}/${symbol}`, 'GET');
+      newStock.fund = createdFund;
+
+      // Add to user's stocks
+      this.userProfile.addStockToSim(newStock);
+
+      return newStock;
+    } catch (error) {
+      console.error('Failed to add fund:', error);
+      throw error;
+    }
+  }
+
+  // Validate fund data
+  validateFundData(fundData) {
+    // Required fields
+    if (!fundData.symbol || !fundData.companyName) {
+      throw new Error('Symbol and fund name are required');
+    }
+
+    // Symbol format (1-5 uppercase letters)
+    if (!/^[A-Z]{1,5}$/.test(fundData.symbol.toUpperCase())) {
+      throw new Error('Symbol must be 1-5 uppercase letters');
+    }
+
+    if (!Array.isArray(fundData.constituents) || fundData.constituents.length === 0) {
+      throw new Error('A fund needs at least one constituent');
+    }
+
+    if (fundData.constituents.length > MAX_CONSTITUENTS) {
+      throw new Error(`A fund can hold at most ${MAX_CONSTITUENTS} constituents`);
+    }
+
+    // Weights are relative; the server normalizes them
+    const symbols = new Set();
+    for (const constituent of fundData.constituents) {
+      if (!constituent.symbol) {
+        throw new Error('Each constituent needs a symbol');
+      }
+
+      if (typeof constituent.weight !== 'number' || !Number.isFinite(constituent.weight) || constituent.weight <= 0) {
+        throw new Error(`Weight of ${constituent.symbol} must be a positive number`);
+      }
+
+      const symbol = constituent.symbol.toUpperCase();
+      if (symbols.has(symbol)) {
+        throw new Error(`${symbol} is listed more than once`);
+      }
+      symbols.add(symbol);
+    }
+
+    // NAV must be at least a dollar if provided
+    if (fundData.initialNav !== undefined && (typeof fundData.initialNav !== 'number' || fundData.initialNav < 1)) {
+      throw new Error('Initial NAV must be at least $1');
+    }
+
+    return true;
+  }
+
+  // Get a fund's constituents and their current weights
+  async getFund(symbol) {
+    try {
+      return await this.dbManager.sendRequest(`funds/${this.userProfile.username}/${symbol}`, 'GET');
+    } catch (error) {
+      console.error(`Failed to get fund ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  // Get every fund the user can trade: system sector and market funds plus their own
+  async getFunds() {
+    try {
+      return await this.dbManager.sendRequest(`funds/${this.userProfile.username}`, 'GET');
+    } catch (error) {
+      console.error('Failed to get funds:', error);
+      throw error;
+    }
+  }
+
+  // Remove a custom fund (deleted like a custom stock)
+  async removeFund(symbol) {
+    try {
+      const stockIndex = this.userProfile.stocksAddedToSim.findIndex(s => s.symbol === symbol);
+
+      if (stockIndex === -1) {
+        throw new Error(`Fund ${symbol} not found`);
+      }
+
+      const stock = this.userProfile.stocksAddedToSim[stockIndex];
+
+      if (stock.instrumentType !== 'fund' || !stock.isCustom) {
+        throw new Error(`${symbol} is not a custom fund and cannot be removed`);
+      }
+
+      // Check if user owns any shares
+      const holding = this.userProfile.portfolio.holdingsMap[symbol];
+      if (holding && holding.quantity > 0) {
+        throw new Error(`Cannot remove fund ${symbol} while you own shares`);
+      }
+
+      await this.dbManager.sendRequest(`stocks/${this.userProfile.username}/${symbol}`, 'DELETE');
+
+      // Remove from local list
+      this.userProfile.stocksAddedToSim.splice(stockIndex, 1);
+
+      return true;
+    } catch (error) {
+      console.error('Failed to remove fund:', error);
+      throw error;
+    }
+  }
+
+  // Get the user's custom funds
+  getCustomFunds() {
+    return this.userProfile.stocksAddedToSim.filter(stock => stock.instrumentType === 'fund' && stock.isCustom);
+  }
+}
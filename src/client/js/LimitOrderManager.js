@@ -1,14 +1,34 @@
+import DatabaseService from './dbServices/DatabaseService.js';
+import { streamService } from './dbServices/StreamService.js';
+
+// Quantities may be fractional down to a millionth of a share
+const QUANTITY_DECIMALS = 6;
+
+// Per-order share limit for portfolios that don't report their own
+const DEFAULT_MAX_ORDER_QUANTITY = 100;
+
+const ORDER_TYPE_LABELS = {
+    limit: 'Limit',
+    stop_loss: 'Stop-Loss',
+    take_profit: 'Take-Profit',
+    stop_limit: 'Stop-Limit',
+    trailing_stop: 'Trailing Stop',
+    market: 'Market'
+};
+
 export default class LimitOrderManager {
     constructor(userProfile) {
         this.userProfile = userProfile;
         this.limitOrders = [];
-        this.dbManager = new window.DatabaseManager();
+        this.dbService = new DatabaseService();
 
         // Load existing limit orders
         this.loadLimitOrders();
 
-        // Set up interval to check orders
-        this.checkInterval = setInterval(() => this.checkLimitOrders(), 5000);
+        // Orders are matched on the server; fills arrive over the event stream and
+        // a slow poll catches anything missed while disconnected
+        this.unsubscribeStream = streamService.on('order', update => this.applyOrderUpdate(update));
+        this.checkInterval = setInterval(() => this.checkLimitOrders(), 30000);
     }
 
     // Load limit orders from database
@@ -19,28 +39,14 @@ export default class LimitOrderManager {
                 return;
             }
 
-            const orders = await this.dbManager.sendRequest(`limit-orders/${this.userProfile.username}`);
+            const orders = await this.dbService.getLimitOrders(this.userProfile.username);
             this.limitOrders = orders || [];
         } catch (error) {
             console.error('Failed to load limit orders:', error);
             this.limitOrders = [];
         }
-    }
-
-    // Save limit orders to database
-    async saveLimitOrders() {
-        try {
-            if (!this.userProfile || !this.userProfile.username) {
-                console.warn('Cannot save limit orders: No user profile');
-                return false;
-            }
 
-            await this.dbManager.sendRequest(`limit-orders/${this.userProfile.username}`, 'PUT', this.limitOrders);
-            return true;
-        } catch (error) {
-            console.error('Failed to save limit orders:', error);
-            return false;
-        }
+        this.renderOrderList();
     }
 
     // Add a new limit order
@@ -50,24 +56,57 @@ export default class LimitOrderManager {
             throw new Error('Invalid limit order');
         }
 
-        // Add unique ID and creation timestamp
-        order.id = `order-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-        order.createdAt = new Date().toISOString();
-        order.status = 'active';
+        // The server assigns the ID, status and audit timestamps
+        const createdOrder = await this.dbService.createLimitOrder(this.userProfile.username, {
+            portfolioId: order.portfolioId || this.userProfile.portfolio.portfolioID,
+            symbol: order.symbol,
+            type: order.type,
+            orderType: order.orderType || 'limit',
+            quantity: order.quantity,
+            targetPrice: order.targetPrice,
+            stopPrice: order.stopPrice,
+            trailType: order.trailType,
+            trailValue: order.trailValue,
+            expiration: order.expiration || null
+        });
 
         // Add to list
-        this.limitOrders.push(order);
+        this.limitOrders.unshift(createdOrder);
+        this.renderOrderList();
+
+        return createdOrder;
+    }
 
-        // Save to database
-        await this.saveLimitOrders();
+    // Protect a long or short position with a take-profit and a stop-loss (or trailing stop); filling one cancels the other
+    async addBracketOrder(bracket) {
+        const holding = this.userProfile.portfolio.holdingsMap[bracket.symbol];
+        if (!holding || Math.abs(holding.quantity) < bracket.quantity) {
+            throw new Error('Insufficient shares for bracket order');
+        }
 
-        return order;
+        const { orders } = await this.dbService.createBracketOrder(this.userProfile.username, {
+            portfolioId: bracket.portfolioId || this.userProfile.portfolio.portfolioID,
+            symbol: bracket.symbol,
+            quantity: bracket.quantity,
+            takeProfitPrice: bracket.takeProfitPrice,
+            stopPrice: bracket.stopPrice,
+            trailType: bracket.trailType,
+            trailValue: bracket.trailValue,
+            expiration: bracket.expiration || null
+        });
+
+        this.limitOrders.unshift(...orders);
+        this.renderOrderList();
+
+        return orders;
     }
 
     // Validate a limit order
     validateOrder(order) {
+        const orderType = order.orderType || 'limit';
+
         // Required fields
-        if (!order.type || !order.symbol || !order.quantity || !order.targetPrice) {
+        if (!order.type || !order.symbol || !order.quantity || !ORDER_TYPE_LABELS[orderType]) {
             return false;
         }
 
@@ -76,18 +115,39 @@ export default class LimitOrderManager {
             return false;
         }
 
-        // Valid quantity (positive integer)
-        if (!Number.isInteger(order.quantity) || order.quantity <= 0 || order.quantity > 100) {
+        // Valid quantity (positive, at most QUANTITY_DECIMALS places, within the portfolio's order limit)
+        const limits = this.userProfile.portfolio.orderLimits;
+        const maxQuantity = limits ? limits.maxOrderQuantity : DEFAULT_MAX_ORDER_QUANTITY;
+        if (typeof order.quantity !== 'number' || order.quantity <= 0 || order.quantity > maxQuantity ||
+            Number(order.quantity.toFixed(QUANTITY_DECIMALS)) !== order.quantity) {
             return false;
         }
 
-        // Valid price (positive number)
-        if (typeof order.targetPrice !== 'number' || order.targetPrice <= 0) {
+        // Valid limit price for order types that fill at a target
+        if (['limit', 'take_profit', 'stop_limit'].includes(orderType) &&
+            (typeof order.targetPrice !== 'number' || order.targetPrice <= 0)) {
             return false;
         }
 
-        // For sell orders, check if user has enough shares
-        if (order.type === 'sell') {
+        // Valid stop price for stop orders
+        if (['stop_loss', 'stop_limit'].includes(orderType) &&
+            (typeof order.stopPrice !== 'number' || order.stopPrice <= 0)) {
+            return false;
+        }
+
+        // Valid trail for trailing stops (percent trails must stay below 100%)
+        if (orderType === 'trailing_stop') {
+            if (order.trailType !== 'percent' && order.trailType !== 'amount') {
+                return false;
+            }
+            if (typeof order.trailValue !== 'number' || order.trailValue <= 0 ||
+                (order.trailType === 'percent' && order.trailValue >= 100)) {
+                return false;
+            }
+        }
+
+        // For sell orders, check if user has enough shares (margin portfolios may sell short)
+        if (order.type === 'sell' && !this.userProfile.portfolio.marginEnabled) {
             const holding = this.userProfile.portfolio.holdingsMap[order.symbol];
             if (!holding || holding.quantity < order.quantity) {
                 return false;
@@ -97,7 +157,7 @@ export default class LimitOrderManager {
         // For buy orders, validate expiration (optional)
         if (order.expiration) {
             const expiration = new Date(order.expiration);
-            if (isNaN(expiration.getTime())) {
+            if (isNaN(expiration.getTime()) || expiration <= new Date()) {
                 return false;
             }
         }
@@ -113,140 +173,98 @@ export default class LimitOrderManager {
             throw new Error('Order not found');
         }
 
-        this.limitOrders[orderIndex].status = 'cancelled';
-        this.limitOrders[orderIndex].cancelledAt = new Date().toISOString();
-
-        // Save to database
-        await this.saveLimitOrders();
+        const cancelledOrder = await this.dbService.cancelLimitOrder(this.userProfile.username, orderId);
+        this.limitOrders[orderIndex] = cancelledOrder;
+        this.renderOrderList();
 
-        return this.limitOrders[orderIndex];
+        return cancelledOrder;
     }
 
-    // Check all active limit orders
+    // Refresh orders from the server
     async checkLimitOrders() {
-        const now = new Date();
-        let ordersChanged = false;
-
-        for (const order of this.limitOrders) {
-            // Skip non-active orders
-            if (order.status !== 'active') {
-                continue;
-            }
-
-            // Check expiration
-            if (order.expiration && new Date(order.expiration) < now) {
-                order.status = 'expired';
-                order.expiredAt = now.toISOString();
-                ordersChanged = true;
-                continue;
-            }
+        if (!this.userProfile || !this.userProfile.username) return;
 
-            // Find the stock
-            const stock = this.userProfile.stocksAddedToSim.find(s => s.symbol === order.symbol);
-            if (!stock) continue;
-
-            // Check if price condition is met
-            if (order.type === 'buy' && stock.marketPrice <= order.targetPrice) {
-                // Execute buy order
-                await this.executeBuyOrder(order, stock);
-                ordersChanged = true;
-            } else if (order.type === 'sell' && stock.marketPrice >= order.targetPrice) {
-                // Execute sell order
-                await this.executeSellOrder(order, stock);
-                ordersChanged = true;
-            }
+        try {
+            const orders = await this.dbService.getLimitOrders(this.userProfile.username);
+            this.limitOrders = orders || [];
+            this.renderOrderList();
+        } catch (error) {
+            console.error('Failed to refresh limit orders:', error);
         }
+    }
+
+    // Merge a status change pushed over the event stream
+    applyOrderUpdate(update) {
+        const order = this.limitOrders.find(o => o.id === update.id);
 
-        // Save changes if any orders were updated
-        if (ordersChanged) {
-            await this.saveLimitOrders();
+        if (order) {
+            Object.assign(order, update);
+            this.renderOrderList();
+        } else {
+            // An order we haven't loaded yet (e.g. placed from another tab)
+            this.checkLimitOrders();
         }
     }
 
-    // Execute a buy limit order
-    async executeBuyOrder(order, stock) {
-        try {
-            // Calculate total cost
-            const totalCost = stock.marketPrice * order.quantity;
-
-            // Check if user has enough cash
-            if (this.userProfile.portfolio.balance < totalCost) {
-                order.status = 'failed';
-                order.failedAt = new Date().toISOString();
-                order.failReason = 'Insufficient funds';
-                return false;
-            }
-
-            // Execute the trade
-            const result = this.userProfile.buyStock(stock, order.quantity);
-
-            if (result.success) {
-                order.status = 'completed';
-                order.completedAt = new Date().toISOString();
-                order.executionPrice = stock.marketPrice;
-                order.totalValue = totalCost;
-
-                // Create notification
-                if (window.notificationSystem) {
-                    window.notificationSystem.success(`Limit Buy Order executed: ${order.quantity} shares of ${order.symbol} at $${stock.marketPrice.toFixed(2)}`);
-                }
-
-                return true;
-            } else {
-                order.status = 'failed';
-                order.failedAt = new Date().toISOString();
-                order.failReason = result.message || 'Transaction failed';
-                return false;
+    // Price shown for an order: the stop for stop types, the limit otherwise
+    formatTriggerPrice(order) {
+        switch (order.orderType) {
+            case 'market':
+                return 'At open';
+            case 'stop_loss':
+                return `Stop $${order.stopPrice.toFixed(2)}`;
+            case 'stop_limit':
+                return `Stop $${order.stopPrice.toFixed(2)} / Limit $${order.targetPrice.toFixed(2)}`;
+            case 'trailing_stop': {
+                const trail = order.trailType === 'percent' ? `${order.trailValue}%` : `$${order.trailValue.toFixed(2)}`;
+                const stop = order.stopPrice !== null ? ` (Stop $${order.stopPrice.toFixed(2)})` : '';
+                return `Trail ${trail}${stop}`;
             }
-        } catch (error) {
-            console.error('Error executing buy order:', error);
-            order.status = 'failed';
-            order.failedAt = new Date().toISOString();
-            order.failReason = error.message || 'Unexpected error';
-            return false;
+            default:
+                return `$${order.targetPrice.toFixed(2)}`;
         }
     }
 
-    // Execute a sell limit order
-    async executeSellOrder(order, stock) {
-        try {
-            // Check if user still has enough shares
-            const holding = this.userProfile.portfolio.holdingsMap[order.symbol];
-            if (!holding || holding.quantity < order.quantity) {
-                order.status = 'failed';
-                order.failedAt = new Date().toISOString();
-                order.failReason = 'Insufficient shares';
-                return false;
-            }
+    // Render open orders into the simulator's Open Orders table
+    renderOrderList() {
+        const tableBody = document.getElementById('limit-orders-table-body');
+        if (!tableBody) return;
+
+        const activeOrders = this.getActiveOrders();
+
+        if (activeOrders.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="py-6 text-center text-gray-400">
+                        <div class="flex flex-col items-center">
+                            <i class="fas fa-clipboard-list text-2xl mb-2 text-gray-500"></i>
+                            No open orders
+                        </div>
+                    </td>
+                </tr>`;
+            return;
+        }
 
-            // Execute the trade
-            const result = this.userProfile.sellStock(stock, order.quantity);
-
-            if (result.success) {
-                order.status = 'completed';
-                order.completedAt = new Date().toISOString();
-                order.executionPrice = stock.marketPrice;
-                order.totalValue = stock.marketPrice * order.quantity;
-
-                // Create notification
-                if (window.notificationSystem) {
-                    window.notificationSystem.success(`Limit Sell Order executed: ${order.quantity} shares of ${order.symbol} at $${stock.marketPrice.toFixed(2)}`);
-                }
-
-                return true;
-            } else {
-                order.status = 'failed';
-                order.failedAt = new Date().toISOString();
-                order.failReason = result.message || 'Transaction failed';
-                return false;
+        tableBody.innerHTML = activeOrders.map(order => {
+            const sideClass = order.type === 'buy' ? 'text-green-400' : 'text-red-400';
+            let state = order.triggerState === 'triggered' ? 'Triggered' : (order.triggerState === 'armed' ? 'Armed' : 'Active');
+            if (order.filledQuantity > 0) {
+                // The book couldn't take the whole order yet
+                state = `${order.filledQuantity}/${order.quantity} filled`;
             }
-        } catch (error) {
-            console.error('Error executing sell order:', error);
-            order.status = 'failed';
-            order.failedAt = new Date().toISOString();
-            order.failReason = error.message || 'Unexpected error';
-            return false;
-        }
+            const oco = order.ocoGroupId ? '<span class="ml-1 text-xs text-primary-light">OCO</span>' : '';
+
+            return `
+                <tr class="border-b border-tertiary/30">
+                    <td class="py-2">
+                        <div class="font-medium">${order.symbol}</div>
+                        <div class="text-xs ${sideClass}">${order.type.toUpperCase()} ${order.quantity !== null ? order.quantity : `$${order.amount.toFixed(2)}`}</div>
+                    </td>
+                    <td class="py-2 text-sm">${ORDER_TYPE_LABELS[order.orderType] || order.orderType}${oco}</td>
+                    <td class="py-2 text-right text-sm">${this.formatTriggerPrice(order)}</td>
+                    <td class="py-2 text-right text-xs text-gray-300">${state}</td>
+                </tr>`;
+        }).join('');
     }
 
     // Get all limit orders
@@ -261,6 +279,11 @@ export default class LimitOrderManager {
 
     // Clean up resources
     cleanup() {
+        if (this.unsubscribeStream) {
+            this.unsubscribeStream();
+            this.unsubscribeStream = null;
+        }
+
         if (this.checkInterval) {
             clearInterval(this.checkInterval);
             this.checkInterval = null;
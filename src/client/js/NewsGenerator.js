@@ -2,11 +2,14 @@
 // Requires the Express route shown earlier:  POST /api/news/generate
 // - Ryan Byers — 2025-05-09
 
+import { streamRandom } from './SeededRandom.js';
+
 export default class NewsGenerator {
-    constructor(userProfile) {
+    constructor(userProfile, seed = null) {
         this.userProfile  = userProfile;                         // holds stocksAddedToSim
         this.newsContainer = document.getElementById('news-container');
         this.newsInterval  = null;
+        this.setSeed(seed);
 
         /* topics and text snippets used ONLY when we fall back to client-side stories */
         this.fallbackTopics = [
@@ -30,6 +33,11 @@ export default class NewsGenerator {
         this.newsInterval = null;
     }
 
+    /* fallback headlines repeat exactly for a given simulation seed (null = unseeded) */
+    setSeed(seed) {
+        this.random = streamRandom(seed, 'news');
+    }
+
     /* ────────────────────────────────────────────────────────────────
        FETCH (or fabricate) A NEWS ITEM, THEN DISPLAY IT
     ─────────────────────────────────────────────────────────────────− */
@@ -81,10 +89,10 @@ export default class NewsGenerator {
         const stocks = this.userProfile.stocksAddedToSim;
         if (!stocks.length) throw new Error('No stocks in sim for fallback news');
 
-        const stock = stocks[Math.floor(Math.random() * stocks.length)];
-        const topic = this.fallbackTopics[Math.floor(Math.random() * this.fallbackTopics.length)];
+        const stock = stocks[Math.floor(this.random() * stocks.length)];
+        const topic = this.fallbackTopics[Math.floor(this.random() * this.fallbackTopics.length)];
 
-        const roll = Math.random();
+        const roll = this.random();
         let headline, content, sentiment;
 
         if (roll > 0.6) {                   // positive 40 %
@@ -92,7 +100,7 @@ export default class NewsGenerator {
             switch (topic) {
                 case 'earnings report':
                     headline = `${stock.companyName} (${stock.symbol}) Beats Earnings Expectations`;
-                    content  = `${stock.companyName} reported quarterly earnings above analyst expectations, with revenue up ${(Math.random()*20+5).toFixed(1)} %.`;
+                    content  = `${stock.companyName} reported quarterly earnings above analyst expectations, with revenue up ${(this.random()*20+5).toFixed(1)} %.`;
                     break;
                 case 'new product launch':
                     headline = `${stock.companyName} Unveils Innovative New Product`;
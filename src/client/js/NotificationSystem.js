@@ -1,3 +1,15 @@
+import { streamService } from './dbServices/StreamService.js';
+
+// Display names for conditional order types
+const ORDER_TYPE_LABELS = {
+    limit: 'Limit',
+    stop_loss: 'Stop-Loss',
+    take_profit: 'Take-Profit',
+    stop_limit: 'Stop-Limit',
+    trailing_stop: 'Trailing Stop',
+    market: 'Market'
+};
+
 export default class NotificationSystem {
     constructor(containerId = 'notification-container') {
         // Create notification container if it doesn't exist
@@ -10,6 +22,150 @@ export default class NotificationSystem {
         }
 
         this.container = container;
+        this.streamUnsubscribers = [];
+    }
+
+    // Show order fills, failures, expiries and OCO cancels, margin calls, dividends and splits on holdings,
+    // option expiry settlements, recurring investment runs, and the market open and close, pushed over the event stream
+    subscribeToStream(username) {
+        this.streamUnsubscribers.forEach(unsubscribe => unsubscribe());
+
+        streamService.connect(username);
+        this.streamUnsubscribers = [
+            streamService.on('order', order => this.orderUpdate(order)),
+            streamService.on('clock', clock => this.clockUpdate(clock)),
+            streamService.on('margin', margin => this.marginUpdate(margin)),
+            streamService.on('corporate_action', action => this.corporateActionUpdate(action)),
+            streamService.on('option', option => this.optionUpdate(option)),
+            streamService.on('schedule', run => this.scheduleUpdate(run))
+        ];
+    }
+
+    // Notification when the regular session opens or closes
+    clockUpdate(clock) {
+        if (clock.session === 'regular') {
+            return this.info(`Market open for ${clock.tradingDate}; queued orders are being filled`);
+        }
+
+        if (clock.dayClosed) {
+            return this.info(`Market closed for ${clock.tradingDate}; orders placed now fill at the next open`);
+        }
+
+        return null;
+    }
+
+    // Notification for a margin call being issued, met or settled by liquidation
+    marginUpdate(margin) {
+        switch (margin.status) {
+            case 'call':
+                return this.warning(`Margin call: equity $${margin.equity.toFixed(2)} is below the $${margin.maintenanceRequirement.toFixed(2)} maintenance requirement. Close positions within ${Math.round(margin.dueInSeconds / 60)} minutes`, 15000);
+            case 'met':
+                return this.success('Margin call met; equity is back above maintenance');
+            case 'liquidated': {
+                const trades = margin.liquidated
+                    .map(trade => `${trade.transactionType === 'BUY' ? 'bought back' : 'sold'} ${trade.quantity} ${trade.symbol}`)
+                    .join(', ');
+                return this.error(`Margin call not met; positions were liquidated${trades ? `: ${trades}` : ''}`, 15000);
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Notification for a dividend or split applied to one of the user's positions
+    corporateActionUpdate(action) {
+        // Stock-wide announcements carry no position
+        if (!action.portfolioId) return null;
+
+        if (action.actionType === 'split') {
+            return this.info(`${action.symbol} split ${action.splitTo}-for-${action.splitFrom}: ${action.quantity} shares are now ${action.newQuantity}`);
+        }
+
+        // Short positions pay the dividend to the lender
+        if (action.payment < 0) {
+            return this.warning(`${action.symbol} paid a $${action.amount} dividend; your short position was charged $${Math.abs(action.payment).toFixed(2)}`);
+        }
+
+        const reinvested = action.reinvestedShares > 0 ? ` and reinvested in ${action.reinvestedShares} shares` : '';
+        return this.success(`${action.symbol} dividend: $${action.payment.toFixed(2)} on ${action.quantity} shares${reinvested}`);
+    }
+
+    // Notification for an option position settled at expiry
+    optionUpdate(option) {
+        const contract = `${Math.abs(option.quantity)} ${option.symbol} ${option.expiryDate} $${option.strike} ${option.optionType}${Math.abs(option.quantity) === 1 ? '' : 's'}`;
+
+        switch (option.settlement) {
+            case 'expired':
+                return this.info(`${contract} expired worthless with ${option.symbol} at $${option.settlementPrice.toFixed(2)}`);
+            case 'exercise': {
+                const shares = option.shares > 0 ? `bought ${option.shares}` : `sold ${Math.abs(option.shares)}`;
+                return this.info(`${contract} ${option.quantity > 0 ? 'exercised' : 'assigned'}: ${shares} ${option.symbol} at $${option.strike.toFixed(2)}`);
+            }
+            case 'cash':
+                return option.amount >= 0
+                    ? this.success(`${contract} settled in cash for $${option.amount.toFixed(2)}`)
+                    : this.warning(`${contract} assigned; settled in cash for -$${Math.abs(option.amount).toFixed(2)}`);
+            default:
+                return null;
+        }
+    }
+
+    // Notification for a recurring investment run: bought, or skipped (e.g. insufficient funds)
+    scheduleUpdate(run) {
+        if (run.scheduleType && run.scheduleType !== 'buy') {
+            return this.cashScheduleUpdate(run);
+        }
+
+        switch (run.status) {
+            case 'filled':
+                return this.success(`Recurring investment: bought ${run.quantity} shares of ${run.symbol} at $${run.price.toFixed(2)}. Next run ${run.nextRunDate}`);
+            case 'skipped':
+                return this.warning(`Recurring investment of $${run.amount.toFixed(2)} in ${run.symbol} skipped: ${run.reason}. Next run ${run.nextRunDate}`, 10000);
+            case 'failed':
+                return this.error(`Recurring investment of $${run.amount.toFixed(2)} in ${run.symbol} failed. Next run ${run.nextRunDate}`);
+            default:
+                return null;
+        }
+    }
+
+    // Notification for a recurring deposit or withdrawal
+    cashScheduleUpdate(run) {
+        const label = run.scheduleType === 'deposit' ? 'deposit' : 'withdrawal';
+
+        switch (run.status) {
+            case 'filled':
+                return this.success(`Recurring ${label}: ${run.scheduleType === 'deposit' ? 'deposited' : 'withdrew'} $${run.amount.toFixed(2)}. Next run ${run.nextRunDate}`);
+            case 'skipped':
+                return this.warning(`Recurring ${label} of $${run.amount.toFixed(2)} skipped: ${run.reason}. Next run ${run.nextRunDate}`, 10000);
+            case 'failed':
+                return this.error(`Recurring ${label} of $${run.amount.toFixed(2)} failed. Next run ${run.nextRunDate}`);
+            default:
+                return null;
+        }
+    }
+
+    // Notification for an order that changed state on the server
+    orderUpdate(order) {
+        const side = order.type === 'buy' ? 'Buy' : 'Sell';
+        const label = ORDER_TYPE_LABELS[order.orderType] || 'Limit';
+
+        switch (order.status) {
+            case 'active':
+                // Partial fill: the order stays open for the rest
+                return order.lastFillQuantity
+                    ? this.info(`${label} ${side} Order partly filled: ${order.filledQuantity} of ${order.quantity} shares of ${order.symbol} at an average $${order.executionPrice.toFixed(2)}`)
+                    : null;
+            case 'completed':
+                return this.success(`${label} ${side} Order executed: ${order.quantity} shares of ${order.symbol} at $${order.executionPrice.toFixed(2)}`);
+            case 'failed':
+                return this.error(`${label} ${side} Order for ${order.symbol} failed: ${order.failReason}`);
+            case 'expired':
+                return this.warning(`${label} ${side} Order for ${order.symbol} expired`);
+            case 'cancelled':
+                return this.info(`${label} ${side} Order for ${order.symbol} cancelled${order.cancelReason ? `: ${order.cancelReason}` : ''}`);
+            default:
+                return null;
+        }
     }
 
     showNotification(message, type = 'info', duration = 5000) {
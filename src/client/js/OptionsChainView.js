@@ -0,0 +1,267 @@
+// src/client/js/OptionsChainView.js
+// Options panel for the dashboard: the option chain of a chosen stock, calls on the left and
+// puts on the right of each strike with their quotes and greeks, buttons to buy at the ask or
+// sell at the bid, and the portfolio's open option positions marked at their model value.
+import DatabaseService from './dbServices/DatabaseService.js';
+
+export default class OptionsChainView {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} options
+     * @param {string} options.username - Signed-in user
+     * @param {string} options.portfolioId - Portfolio trades are made in
+     * @param {Object} options.notifications - NotificationSystem for trade results
+     * @param {Function} [options.onTrade] - Called after a trade fills
+     */
+    constructor(container, { username, portfolioId, notifications, onTrade = null }) {
+        this.container = container;
+        this.username = username;
+        this.portfolioId = portfolioId;
+        this.notifications = notifications;
+        this.onTrade = onTrade;
+        this.dbService = new DatabaseService();
+        this.chain = null;
+        this.expiryDate = null;
+    }
+
+    /**
+     * Build the panel and load the first stock's chain
+     */
+    async initialize() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="bg-white rounded-lg shadow-md p-4">
+                <div class="flex flex-wrap items-center gap-3 mb-4">
+                    <select data-role="symbol" class="border border-gray-300 rounded px-2 py-1 text-sm"></select>
+                    <select data-role="expiry" class="border border-gray-300 rounded px-2 py-1 text-sm"></select>
+                    <label class="text-sm text-gray-600">Contracts
+                        <input data-role="quantity" type="number" min="1" step="1" value="1"
+                               class="border border-gray-300 rounded px-2 py-1 text-sm w-20 ml-1">
+                    </label>
+                    <span data-role="summary" class="text-sm text-gray-500"></span>
+                </div>
+                <div data-role="chain" class="overflow-x-auto"></div>
+                <h3 class="text-lg font-semibold text-gray-800 mt-6 mb-2">Option Positions</h3>
+                <div data-role="positions" class="overflow-x-auto"></div>
+            </div>`;
+
+        this.symbolSelect = this.container.querySelector('[data-role="symbol"]');
+        this.expirySelect = this.container.querySelector('[data-role="expiry"]');
+        this.quantityInput = this.container.querySelector('[data-role="quantity"]');
+
+        this.symbolSelect.addEventListener('change', () => {
+            this.expiryDate = null;
+            this.refreshChain();
+        });
+        this.expirySelect.addEventListener('change', () => {
+            this.expiryDate = this.expirySelect.value;
+            this.renderChain();
+        });
+
+        // One handler for every trade button in the chain
+        this.container.querySelector('[data-role="chain"]').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-contract]');
+            if (button) {
+                this.trade(Number(button.dataset.contract), button.dataset.side);
+            }
+        });
+
+        try {
+            const stocks = await this.dbService.getStocks(this.username);
+            this.symbolSelect.innerHTML = stocks
+                .filter(stock => Number(stock.marketPrice) > 0)
+                .map(stock => `<option value="${stock.symbol}">${stock.symbol}</option>`)
+                .join('');
+        } catch (error) {
+            this.container.querySelector('[data-role="chain"]').innerHTML =
+                '<div class="py-4 text-center text-gray-500">Stocks unavailable</div>';
+            return;
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * Reload the chain and the positions
+     */
+    async refresh() {
+        await Promise.all([this.refreshChain(), this.refreshPositions()]);
+    }
+
+    // Fetch the selected stock's chain
+    async refreshChain() {
+        const symbol = this.symbolSelect ? this.symbolSelect.value : null;
+        if (!symbol) return;
+
+        try {
+            const chain = await this.dbService.getOptionChain(this.username, symbol);
+
+            // The selection may have changed while the request was out
+            if (chain.symbol !== this.symbolSelect.value) return;
+
+            this.chain = chain;
+            if (!chain.expiries.some(expiry => expiry.expiryDate === this.expiryDate)) {
+                this.expiryDate = chain.expiries.length ? chain.expiries[0].expiryDate : null;
+            }
+
+            this.expirySelect.innerHTML = chain.expiries
+                .map(expiry => `<option value="${expiry.expiryDate}" ${expiry.expiryDate === this.expiryDate ? 'selected' : ''}>
+                    ${expiry.expiryDate} (${expiry.daysToExpiry}d)</option>`)
+                .join('');
+
+            this.renderChain();
+        } catch (error) {
+            this.container.querySelector('[data-role="chain"]').innerHTML =
+                `<div class="py-4 text-center text-gray-500">${error.message || 'Option chain unavailable'}</div>`;
+        }
+    }
+
+    // Fetch and render the portfolio's option positions
+    async refreshPositions() {
+        const target = this.container.querySelector('[data-role="positions"]');
+
+        try {
+            this.renderPositions(target, await this.dbService.getOptionPositions(this.username, this.portfolioId));
+        } catch (error) {
+            target.innerHTML = '<div class="py-4 text-center text-gray-500">Option positions unavailable</div>';
+        }
+    }
+
+    // Quote and greeks cells for one side of a strike, shaded when in the money
+    renderSide(quote, inTheMoney) {
+        if (!quote) return '<td colspan="6"></td>';
+
+        const cell = `px-2 py-1${inTheMoney ? ' bg-blue-50' : ''}`;
+
+        const button = (side, price, label, color) => `
+            <button data-contract="${quote.contractId}" data-side="${side}" ${price > 0 ? '' : 'disabled'}
+                    class="px-2 py-0.5 rounded text-xs text-white ${color} disabled:opacity-40">${label} ${price.toFixed(2)}</button>`;
+
+        return `
+            <td class="${cell}">${button('sell', quote.bid, 'Sell', 'bg-red-500 hover:bg-red-600')}</td>
+            <td class="${cell}">${button('buy', quote.ask, 'Buy', 'bg-green-500 hover:bg-green-600')}</td>
+            <td class="${cell} text-gray-700">${quote.theoreticalPrice.toFixed(2)}</td>
+            <td class="${cell} text-gray-500">${quote.delta.toFixed(2)}</td>
+            <td class="${cell} text-gray-500">${quote.gamma.toFixed(3)}</td>
+            <td class="${cell} text-gray-500">${quote.theta.toFixed(3)}</td>`;
+    }
+
+    // Render the selected expiry of the current chain
+    renderChain() {
+        const target = this.container.querySelector('[data-role="chain"]');
+        const summary = this.container.querySelector('[data-role="summary"]');
+        const chain = this.chain;
+        const expiry = chain ? chain.expiries.find(e => e.expiryDate === this.expiryDate) : null;
+
+        if (!expiry) {
+            target.innerHTML = '<div class="py-4 text-center text-gray-500">No contracts listed</div>';
+            return;
+        }
+
+        summary.textContent = `${chain.symbol} $${chain.underlyingPrice.toFixed(2)} · volatility ${(chain.volatility * 100).toFixed(1)}%`
+            + (chain.isHalted ? ' · halted' : '');
+
+        const sideHeaders = ['Bid', 'Ask', 'Value', 'Delta', 'Gamma', 'Theta']
+            .map(label => `<th class="px-2 py-1 font-medium">${label}</th>`)
+            .join('');
+        const rows = expiry.strikes.map(row => {
+            // Strikes at or below the price are in the money for calls, above it for puts
+            const callInTheMoney = row.strike <= chain.underlyingPrice;
+
+            return `
+                <tr class="text-sm border-b border-gray-100">
+                    ${this.renderSide(row.call, callInTheMoney)}
+                    <td class="px-3 py-1 text-center font-semibold text-gray-800">
+                        ${row.strike.toFixed(2)}${row.multiplier !== 100 ? ` <span class="text-xs text-gray-400">×${row.multiplier}</span>` : ''}
+                    </td>
+                    ${this.renderSide(row.put, !callInTheMoney)}
+                </tr>`;
+        }).join('');
+
+        target.innerHTML = `
+            <table class="min-w-full text-left">
+                <thead class="text-xs text-gray-500 uppercase">
+                    <tr><th colspan="6" class="px-2 py-1">Calls</th><th class="px-3 py-1 text-center">Strike</th><th colspan="6" class="px-2 py-1">Puts</th></tr>
+                    <tr class="border-b border-gray-200">${sideHeaders}<th></th>${sideHeaders}</tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Render the portfolio's option positions
+     * @param {HTMLElement} target - Element to render into
+     * @param {Array<Object>} positions - From the server's option positions endpoint
+     */
+    renderPositions(target, positions) {
+        if (positions.length === 0) {
+            target.innerHTML = '<div class="py-4 text-center text-gray-500">No option positions</div>';
+            return;
+        }
+
+        const rows = positions.map(position => `
+            <tr class="text-sm border-b border-gray-100">
+                <td class="px-3 py-2 font-medium text-gray-900">
+                    ${position.symbol} ${position.expiryDate} $${position.strike.toFixed(2)} ${position.optionType}
+                </td>
+                <td class="px-3 py-2 ${position.quantity < 0 ? 'text-red-600' : 'text-gray-700'}">${position.quantity}</td>
+                <td class="px-3 py-2 text-gray-500">$${position.avgPrice.toFixed(2)}</td>
+                <td class="px-3 py-2 text-gray-500">$${position.theoreticalPrice.toFixed(2)}</td>
+                <td class="px-3 py-2 text-gray-500">$${position.marketValue.toFixed(2)}</td>
+                <td class="px-3 py-2 ${position.unrealizedPL >= 0 ? 'text-green-600' : 'text-red-600'}">
+                    ${position.unrealizedPL >= 0 ? '+' : ''}$${position.unrealizedPL.toFixed(2)}
+                </td>
+                <td class="px-3 py-2 text-gray-500">${position.positionDelta.toFixed(2)}</td>
+            </tr>`).join('');
+
+        target.innerHTML = `
+            <table class="min-w-full text-left">
+                <thead class="text-xs text-gray-500 uppercase border-b border-gray-200">
+                    <tr>
+                        <th class="px-3 py-2 font-medium">Contract</th>
+                        <th class="px-3 py-2 font-medium">Qty</th>
+                        <th class="px-3 py-2 font-medium">Avg Price</th>
+                        <th class="px-3 py-2 font-medium">Value</th>
+                        <th class="px-3 py-2 font-medium">Market Value</th>
+                        <th class="px-3 py-2 font-medium">Unrealized P/L</th>
+                        <th class="px-3 py-2 font-medium">Delta (shares)</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Buy or sell the chosen number of contracts
+     * @param {number} contractId - Contract ID
+     * @param {string} side - 'buy' or 'sell'
+     */
+    async trade(contractId, side) {
+        const quantity = Number(this.quantityInput.value);
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            this.notifications.error('Enter a whole number of contracts');
+            return;
+        }
+
+        try {
+            const result = await this.dbService.tradeOption(this.username, {
+                portfolioId: this.portfolioId,
+                contractId,
+                side,
+                quantity
+            });
+
+            const action = result.tradeType.replace(/_/g, ' ');
+            this.notifications.success(
+                `${action.charAt(0).toUpperCase()}${action.slice(1)} ${result.quantity} ${result.symbol} ${result.expiryDate} $${result.strike} ${result.optionType} at $${result.price.toFixed(2)}`
+            );
+
+            await this.refresh();
+            if (this.onTrade) this.onTrade(result);
+        } catch (error) {
+            this.notifications.error(error.message || 'Option trade failed');
+        }
+    }
+}
@@ -0,0 +1,142 @@
+// src/client/js/OrderBookView.js
+// Level-2 market depth panel for the simulator: the simulated order book of the stock
+// selected in the chart, bids on the left and asks on the right, each level's bar showing
+// the cumulative shares a market order would walk through to reach it.
+import DatabaseService from './dbServices/DatabaseService.js';
+
+export default class OrderBookView {
+    /**
+     * @param {HTMLElement} container - Element the book is rendered into
+     * @param {Object} options
+     * @param {HTMLSelectElement} options.stockSelect - Chart's stock dropdown; the book follows its value
+     * @param {string|null} [options.username] - Signed-in user (their trading costs shape the book), or null for a guest
+     */
+    constructor(container, { stockSelect, username = null }) {
+        this.container = container;
+        this.stockSelect = stockSelect;
+        this.username = username;
+        this.dbService = new DatabaseService();
+        this.refreshInterval = null;
+        this.isFetching = false;
+
+        if (this.stockSelect) {
+            this.stockSelect.addEventListener('change', () => this.refresh());
+        }
+    }
+
+    /**
+     * Start refreshing the book
+     * @param {number} intervalMs - Milliseconds between refreshes
+     */
+    start(intervalMs = 2000) {
+        this.stop();
+        this.refresh();
+        this.refreshInterval = setInterval(() => this.refresh(), intervalMs);
+    }
+
+    /**
+     * Stop refreshing the book
+     */
+    stop() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+
+    // Fetch and render the selected stock's book
+    async refresh() {
+        const symbol = this.stockSelect ? this.stockSelect.value : null;
+
+        // Skip until a stock is selected, or while the previous request is still out
+        if (!symbol || this.isFetching || !this.container) return;
+        this.isFetching = true;
+
+        try {
+            const book = await this.dbService.getOrderBook(this.username, symbol);
+
+            // The selection may have changed while the request was out
+            if (book.symbol === this.stockSelect.value) {
+                this.render(book);
+            }
+        } catch (error) {
+            this.container.innerHTML = '<div class="py-6 text-center text-gray-400">Order book unavailable</div>';
+        } finally {
+            this.isFetching = false;
+        }
+    }
+
+    /**
+     * Levels with the running total of shares up to and including each one
+     * @param {Array<Object>} levels - { price, size }, best first
+     * @returns {Array<Object>} { price, size, cumulative }
+     */
+    withCumulative(levels) {
+        let cumulative = 0;
+
+        return levels.map(level => {
+            cumulative += level.size;
+            return { ...level, cumulative };
+        });
+    }
+
+    // Render one row: a bid and an ask level side by side
+    renderRow(bid, ask, maxDepth) {
+        const bidCells = bid
+            ? `<td class="relative py-1 pr-2 text-right text-gray-300">
+                   <div class="absolute inset-y-0 right-0 bg-green-500/20" style="width: ${bid.cumulative / maxDepth * 100}%"></div>
+                   <span class="relative">${bid.size.toLocaleString()}</span>
+               </td>
+               <td class="py-1 pr-3 text-right font-medium text-green-400">${bid.price.toFixed(2)}</td>`
+            : '<td></td><td></td>';
+
+        const askCells = ask
+            ? `<td class="py-1 pl-3 font-medium text-red-400">${ask.price.toFixed(2)}</td>
+               <td class="relative py-1 pl-2 text-gray-300">
+                   <div class="absolute inset-y-0 left-0 bg-red-500/20" style="width: ${ask.cumulative / maxDepth * 100}%"></div>
+                   <span class="relative">${ask.size.toLocaleString()}</span>
+               </td>`
+            : '<td></td><td></td>';
+
+        return `<tr class="text-sm">${bidCells}${askCells}</tr>`;
+    }
+
+    /**
+     * Render a book from the server
+     * @param {Object} book - { symbol, midPrice, bestBid, bestAsk, spread, isHalted, bids, asks }
+     */
+    render(book) {
+        const bids = this.withCumulative(book.bids);
+        const asks = this.withCumulative(book.asks);
+        const maxDepth = Math.max(
+            bids.length ? bids[bids.length - 1].cumulative : 0,
+            asks.length ? asks[asks.length - 1].cumulative : 0,
+            1
+        );
+
+        const rows = [];
+        for (let i = 0; i < Math.max(bids.length, asks.length); i++) {
+            rows.push(this.renderRow(bids[i], asks[i], maxDepth));
+        }
+
+        const spreadPercent = book.midPrice > 0 ? book.spread / book.midPrice * 100 : 0;
+
+        this.container.innerHTML = `
+            <div class="flex justify-between text-xs text-gray-400 mb-2">
+                <span>Mid $${book.midPrice.toFixed(2)}</span>
+                <span>Spread $${book.spread.toFixed(2)} (${spreadPercent.toFixed(2)}%)</span>
+                ${book.isHalted ? '<span class="text-yellow-400">Halted</span>' : ''}
+            </div>
+            <table class="w-full">
+                <thead>
+                <tr class="border-b border-tertiary/30 text-xs text-gray-400">
+                    <th class="text-right py-1 pr-2 font-medium">Size</th>
+                    <th class="text-right py-1 pr-3 font-medium">Bid</th>
+                    <th class="text-left py-1 pl-3 font-medium">Ask</th>
+                    <th class="text-left py-1 pl-2 font-medium">Size</th>
+                </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>`;
+    }
+}
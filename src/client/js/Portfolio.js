@@ -1,5 +1,6 @@
 //will push this file later tn (it exists but it didnt push for some reason):
 import DatabaseManager from '/js/DatabaseManager.js';
+import { DEFAULT_COST_SETTINGS, calculateFill } from '/js/CostModel.js';
 
 class Portfolio {
     //change the value passed to this constructor to change user starting money
@@ -7,9 +8,37 @@ class Portfolio {
         //give the user 500 dollars (or a provided value) to start investing with:
         this.initialBalance = initialBalance;
 
-        //stores the amount of cash the user has
+        //stores the amount of cash the user has (negative while borrowing on margin)
         this.balance = initialBalance;
 
+        //margin portfolios may borrow cash and sell stocks they don't own (short positions)
+        this.marginEnabled = false;
+
+        //dividends paid on holdings buy more of the same stock instead of staying in cash
+        this.dripEnabled = false;
+
+        //idle cash is swept into a money-market fund overnight and earns the full risk-free rate
+        this.sweepEnabled = false;
+
+        //in-the-money options settle at expiry in cash ('cash') or into stock at the strike ('exercise')
+        this.optionSettlement = 'cash';
+
+        //which tax lots a sell closes: 'fifo', 'lifo', 'highest_cost' or 'specific' (lots named on the order)
+        this.lotMethod = 'fifo';
+
+        //gains realized by closing tax lots, split short- and long-term (server portfolios only)
+        this.realizedGains = null;
+
+        //open option contracts, marked at their model value (server portfolios only)
+        this.optionPositions = [];
+        this.optionsValue = 0;
+
+        //cash plus what can be borrowed against the portfolio's equity
+        this.buyingPower = initialBalance;
+
+        //spread, slippage, commission and fees charged on each trade (see CostModel.js)
+        this.costSettings = { ...DEFAULT_COST_SETTINGS };
+
         //used to uniquely identify the owner of this instantantiation of the portfolio
         this.username = username;
 
@@ -30,8 +59,18 @@ class Portfolio {
         this.dbManager = new DatabaseManager();
     }
 
+    //returns the price and fee of a trade, after the costs in this.costSettings
+    priceFill(stock, type, quantity) {
+        return calculateFill(this.costSettings, {
+            transactionType: type,
+            quantity: quantity,
+            quotePrice: stock.marketPrice,
+            averageVolume: stock.volume
+        });
+    }
+
     //returns transaction, associated attributes detailed below:
-    createTransaction(stock, type, quantity) {
+    createTransaction(stock, type, quantity, fill) {
         return {
             //This gives something like: txn-1714526102005-g8kzq -- a unique transaction ID -- can be used as primary key in DB
             transactionID: `txn-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
@@ -39,8 +78,10 @@ class Portfolio {
             symbol: stock.symbol, //string
             companyName: stock.companyName, //string
             quantity: quantity, //int
-            price: stock.marketPrice, //float
-            totalTransactionValue: stock.marketPrice * quantity, //float
+            price: fill.price, //float, what each share filled at after spread and slippage
+            quotePrice: stock.marketPrice, //float
+            totalTransactionValue: fill.price * quantity, //float
+            fee: fill.fee, //float, commission and fees paid on top of totalTransactionValue
             timestamp: new Date()
         };
     }
@@ -80,8 +121,9 @@ class Portfolio {
             return false;
         }
 
-        //calculate and store the total cost of this transaction:
-        let totalCost = quantity * stock.marketPrice;
+        //calculate and store the total cost of this transaction, fees included:
+        const fill = this.priceFill(stock, "BUY", quantity);
+        let totalCost = quantity * fill.price + fill.fee;
 
         // Check if user has enough cash:
         if (totalCost > this.balance){
@@ -92,9 +134,9 @@ class Portfolio {
         this.addToBalance(-totalCost)
 
         //initialize a transaction object based on this transaction
-        let newTransaction = this.createTransaction(stock, "BUY", quantity)
+        let newTransaction = this.createTransaction(stock, "BUY", quantity, fill)
 
-        this.addStockToPortfolio(stock, quantity);
+        this.addStockToPortfolio(stock, quantity, fill.price);
 
         //store the transaction in transactionHistory array
         this.transactionHistory.push(newTransaction);
@@ -126,27 +168,31 @@ class Portfolio {
         return success;
     }
 
-    //returns a bool, true if purchase was successful, false otherwise
+    //returns a bool, true if sale was successful, false otherwise
     sellStock(stock, quantity) {
-        //quantity must be a number between 0 and the amount of this stock the user owns
+        const heldQuantity = this.holdingsMap[stock.symbol] ? this.holdingsMap[stock.symbol].quantity : 0;
+
+        //quantity must be a number between 0 and the amount of this stock the user owns,
+        //unless the portfolio is on margin, where selling more than is owned opens a short
         if (isNaN(quantity)
             || quantity <= 0
-            || quantity > this.holdingsMap[stock.symbol].quantity)
+            || (!this.marginEnabled && quantity > heldQuantity))
         {
             //sell unsuccessful
             return false;
         }
 
-        //calculate and store the total cost of this transaction:
-        let totalValue = quantity * stock.marketPrice;
+        //calculate and store the proceeds of this transaction, net of fees:
+        const fill = this.priceFill(stock, "SELL", quantity);
+        let totalValue = quantity * fill.price - fill.fee;
 
-        //negative value provided bc we are subtracting this value from the user's balance
-        this.addToBalance(-totalValue)
+        //sale proceeds (including from a short sale) are credited to the user's balance
+        this.addToBalance(totalValue)
 
-        this.removeStockFromPortfolio(stock, quantity);
+        this.removeStockFromPortfolio(stock, quantity, fill.price);
 
         //initialize a transaction object based on this transaction
-        let newTransaction = this.createTransaction(stock, "SELL", quantity)
+        let newTransaction = this.createTransaction(stock, "SELL", quantity, fill)
 
         //store the transaction in transactionHistory array
         this.transactionHistory.push(newTransaction);
@@ -157,13 +203,13 @@ class Portfolio {
 
     //TODO: fix access to "holding.price/avgPrice" this doesn't exist
     //void, removes 'quantity' 'stock's from this.holdingsMap
-    addStockToPortfolio(stock, quantity) {
+    addStockToPortfolio(stock, quantity, fillPrice = stock.marketPrice) {
         const holding = this.holdingsMap[stock.symbol];
 
         if (holding) {
             // weighted-average purchase price
             const oldCost = holding.avgPrice * holding.quantity;
-            const newCost = stock.marketPrice * quantity;
+            const newCost = fillPrice * quantity;
             holding.quantity += quantity;
             holding.price = stock.marketPrice;
             holding.avgPrice  = (oldCost + newCost) / holding.quantity;
@@ -172,22 +218,30 @@ class Portfolio {
                 stock: stock,
                 quantity: quantity,
                 price: stock.marketPrice,
-                avgPrice: stock.marketPrice     // first purchase price
+                avgPrice: fillPrice     // first purchase price
             };
         }
     }
 
     //void, removes 'quantity' stocks from this.holdingsMap
-    removeStockFromPortfolio(stock, quantity) {
+    removeStockFromPortfolio(stock, quantity, fillPrice = stock.marketPrice) {
         //reference to the user's holding
         const holding = this.holdingsMap[stock.symbol];
 
         //user has at least one of these stocks already:
         if (holding) {
             holding.quantity -= quantity;
-            if (holding.quantity <= 0) {
+            if (holding.quantity === 0) {
                 delete this.holdingsMap[stock.symbol];
             }
+        } else {
+            //short sale: a negative holding at the price it was sold at
+            this.holdingsMap[stock.symbol] = {
+                stock: stock,
+                quantity: -quantity,
+                price: stock.marketPrice,
+                avgPrice: fillPrice
+            };
         }
     }
 
@@ -1,6 +1,21 @@
+import DatabaseService from './dbServices/DatabaseService.js';
+import { simulationService } from './dbServices/SimulationService.js';
+
+// How often the daily performance figures are reloaded; they only change at each close
+const PERFORMANCE_REFRESH_MS = 60000;
+
+const LOT_METHOD_LABELS = {
+    fifo: 'FIFO',
+    lifo: 'LIFO',
+    highest_cost: 'Highest cost',
+    specific: 'Specific lot'
+};
+
 export default class PortfolioMetricsController {
     constructor(userProfile) {
         this.userProfile = userProfile;
+        this.dbService = new DatabaseService();
+        this.pnlRange = { from: '', to: '' };
         this.chartColors = [
             '#4F46E5', '#10B981', '#F59E0B', '#EF4444',
             '#8B5CF6', '#EC4899', '#06B6D4', '#84CC16'
@@ -34,6 +49,30 @@ export default class PortfolioMetricsController {
           <h3 class="text-lg font-semibold mb-4">Portfolio History</h3>
           <div id="portfolio-history-chart" class="h-64"></div>
         </div>
+
+        <div class="bg-white p-4 rounded-lg shadow md:col-span-2">
+          <h3 class="text-lg font-semibold mb-4">Risk &amp; Return</h3>
+          <div id="risk-return-metrics"></div>
+        </div>
+
+        <div class="bg-white p-4 rounded-lg shadow md:col-span-2">
+          <div class="flex flex-wrap justify-between items-center gap-2 mb-4">
+            <h3 class="text-lg font-semibold">Profit &amp; Loss</h3>
+            <div class="flex items-center gap-2 text-sm text-gray-600">
+              <label for="pnl-from">Realized from</label>
+              <input type="date" id="pnl-from" class="border rounded px-2 py-1">
+              <label for="pnl-to">to</label>
+              <input type="date" id="pnl-to" class="border rounded px-2 py-1">
+            </div>
+          </div>
+          <div id="profit-loss-metrics"></div>
+        </div>
+
+        <div class="bg-white p-4 rounded-lg shadow md:col-span-2">
+          <h3 class="text-lg font-semibold mb-4">Cost Basis &amp; Gains</h3>
+          <div id="tax-lot-metrics"></div>
+          <div id="tax-report-controls" class="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t text-sm"></div>
+        </div>
       </div>
     `;
 
@@ -42,9 +81,25 @@ export default class PortfolioMetricsController {
         this.createSectorAllocationChart();
         this.createTopPerformersChart();
         this.createPortfolioHistoryChart();
+        this.createRiskReturnMetrics();
+        this.createTaxLotMetrics();
+        this.createProfitLossMetrics();
+        this.createTaxReportControls();
+
+        // Reload the P&L whenever its date range changes
+        ['from', 'to'].forEach(bound => {
+            document.getElementById(`pnl-${bound}`).addEventListener('change', event => {
+                this.pnlRange[bound] = event.target.value;
+                this.createProfitLossMetrics();
+            });
+        });
 
-        // Set up update interval
+        // Set up update intervals
         this.updateInterval = setInterval(() => this.updateCharts(), 5000);
+        this.performanceInterval = setInterval(() => {
+            this.createRiskReturnMetrics();
+            this.createProfitLossMetrics();
+        }, PERFORMANCE_REFRESH_MS);
     }
 
     // Clean up resources when component is no longer needed
@@ -53,6 +108,11 @@ export default class PortfolioMetricsController {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
         }
+
+        if (this.performanceInterval) {
+            clearInterval(this.performanceInterval);
+            this.performanceInterval = null;
+        }
     }
 
     // Update all charts with latest data
@@ -61,12 +121,14 @@ export default class PortfolioMetricsController {
         this.createSectorAllocationChart();
         this.createTopPerformersChart();
         this.createPortfolioHistoryChart();
+        this.createTaxLotMetrics();
     }
 
     // Calculate portfolio analytics data
     calculateAnalytics() {
         const portfolio = this.userProfile.portfolio;
         const holdings = portfolio.holdingsMap;
+        // The money put in: the opening balance plus deposits less withdrawals
         const initialInvestment = portfolio.initialBalance;
         const currentHoldings = Object.values(holdings).map(holding => ({
             symbol: holding.stock.symbol,
@@ -80,10 +142,11 @@ export default class PortfolioMetricsController {
             percentChange: ((holding.stock.marketPrice - holding.avgPrice) / holding.avgPrice) * 100
         }));
 
-        // Calculate totals
+        // Calculate totals; profitLoss is unrealized, and gains locked in by sells are realized
         const totalValue = currentHoldings.reduce((sum, holding) => sum + holding.value, 0);
         const totalProfitLoss = currentHoldings.reduce((sum, holding) => sum + holding.profitLoss, 0);
         const totalPercentChange = (totalValue / (totalValue - totalProfitLoss) - 1) * 100;
+        const realizedProfitLoss = portfolio.realizedGains ? portfolio.realizedGains.total : 0;
 
         // Group by sector
         const sectorData = {};
@@ -105,6 +168,8 @@ export default class PortfolioMetricsController {
             totalValue,
             totalProfitLoss,
             totalPercentChange,
+            realizedProfitLoss,
+            netProfitLoss: totalProfitLoss + realizedProfitLoss,
             availableCash: portfolio.balance,
             totalAssets: portfolio.totalAssetsValue,
             initialInvestment,
@@ -121,7 +186,7 @@ export default class PortfolioMetricsController {
 
         // Calculate data points
         const data = [
-            { name: 'Initial Investment', value: analytics.initialInvestment },
+            { name: 'Contributions', value: analytics.initialInvestment },
             { name: 'Current Value', value: analytics.totalAssets }
         ];
 
@@ -131,7 +196,7 @@ export default class PortfolioMetricsController {
       <div class="flex justify-center items-end h-full p-4">
         ${data.map((item, index) => {
             const height = `${(item.value / Math.max(...data.map(d => d.value)) * 100)}%`;
-            const color = item.name === 'Initial Investment' ? 'bg-blue-500' :
+            const color = item.name === 'Contributions' ? 'bg-blue-500' :
                 (analytics.totalProfitLoss >= 0 ? 'bg-green-500' : 'bg-red-500');
 
             return `
@@ -150,6 +215,11 @@ export default class PortfolioMetricsController {
           ${analytics.totalProfitLoss >= 0 ? '+' : ''}$${analytics.totalProfitLoss.toFixed(2)} 
           (${analytics.totalPercentChange >= 0 ? '+' : ''}${analytics.totalPercentChange.toFixed(2)}%)
         </span>
+        <span class="text-sm text-gray-500">unrealized</span>
+        <div class="text-sm text-gray-500">
+          Realized ${analytics.realizedProfitLoss >= 0 ? '+' : '-'}$${Math.abs(analytics.realizedProfitLoss).toFixed(2)}
+          · Total ${analytics.netProfitLoss >= 0 ? '+' : '-'}$${Math.abs(analytics.netProfitLoss).toFixed(2)}
+        </div>
       </div>
     `;
     }
@@ -267,7 +337,11 @@ export default class PortfolioMetricsController {
 
         // Generate historical portfolio value data
         // In a real implementation, this would use actual historical price data
-        const initialBalance = this.userProfile.portfolio.initialBalance;
+        // initialBalance includes every deposit and withdrawal; the chart starts before them
+        const netDeposits = transactions
+            .filter(txn => txn.transactionType === 'DEPOSIT' || txn.transactionType === 'WITHDRAWAL')
+            .reduce((sum, txn) => sum + Number(txn.totalValue), 0);
+        const initialBalance = this.userProfile.portfolio.initialBalance - netDeposits;
 
         // Sort transactions by date
         const sortedTransactions = [...transactions].sort((a, b) =>
@@ -277,6 +351,7 @@ export default class PortfolioMetricsController {
         // Generate data points - simplified for this example
         // In production, more accurate historical values would be calculated
         let balance = initialBalance;
+        const random = simulationService.getRandom('value-history');
         const historyData = [{
             date: new Date(sortedTransactions[0]?.timestamp || Date.now() - 30*24*60*60*1000),
             value: initialBalance
@@ -287,12 +362,19 @@ export default class PortfolioMetricsController {
 
             if (txn.transactionType === 'BUY') {
                 balance -= amount;
-            } else {
+            } else if (txn.transactionType === 'SELL') {
                 balance += amount;
+            } else if (['DIVIDEND', 'INTEREST', 'DEPOSIT', 'WITHDRAWAL'].includes(txn.transactionType)) {
+                // Dividends are paid on longs and charged on shorts, interest is paid on cash,
+                // deposits and withdrawals move cash in and out; splits move no cash
+                balance += Number(txn.totalValue);
             }
 
+            // Commission and fees come out of cash on both sides
+            balance -= Number(txn.fee) || 0;
+
             // Add random market movement to simulate price changes
-            const randomFactor = 1 + (Math.random() * 0.04 - 0.02); // -2% to +2%
+            const randomFactor = 1 + (random() * 0.04 - 0.02); // -2% to +2%
             balance *= randomFactor;
 
             historyData.push({
@@ -349,4 +431,211 @@ export default class PortfolioMetricsController {
       </svg>
     `;
     }
-}
\ No newline at end of file
+
+    // Sharpe ratio, return and volatility from the server's daily closes, measured against
+    // the risk-free rate in the simulation settings, plus what the cash is earning
+    async createRiskReturnMetrics() {
+        const container = document.getElementById('risk-return-metrics');
+        const portfolio = this.userProfile.portfolio;
+        if (!container || !portfolio.portfolioID) return;
+
+        let performance;
+        try {
+            performance = await this.dbService.getPortfolioPerformance(this.userProfile.username, portfolio.portfolioID);
+        } catch (error) {
+            container.innerHTML = '<div class="text-center text-gray-500">Performance unavailable</div>';
+            return;
+        }
+
+        const percent = value => value === null ? '—' : `${(value * 100).toFixed(2)}%`;
+        const cashInterest = portfolio.cashInterest;
+
+        const metrics = [
+            {
+                label: 'Sharpe Ratio',
+                value: performance.sharpeRatio === null ? '—' : performance.sharpeRatio.toFixed(2),
+                color: performance.sharpeRatio === null ? 'text-gray-800'
+                    : (performance.sharpeRatio >= 0 ? 'text-green-600' : 'text-red-600')
+            },
+            { label: 'Annualized Return', value: percent(performance.annualReturn), color: 'text-gray-800' },
+            { label: 'Annualized Volatility', value: percent(performance.annualVolatility), color: 'text-gray-800' },
+            { label: 'Risk-Free Rate', value: percent(performance.riskFreeRate), color: 'text-gray-800' }
+        ];
+
+        if (cashInterest) {
+            metrics.push({
+                label: cashInterest.sweepEnabled ? 'Cash Rate (swept)' : 'Cash Rate',
+                value: percent(cashInterest.annualRate),
+                color: 'text-gray-800'
+            }, {
+                label: 'Interest Earned',
+                value: `$${cashInterest.totalInterest.toFixed(2)}`,
+                color: 'text-green-600'
+            });
+        }
+
+        container.innerHTML = `
+      <div class="grid grid-cols-2 md:grid-cols-3 gap-4">
+        ${metrics.map(metric => `
+          <div>
+            <div class="text-sm text-gray-500">${metric.label}</div>
+            <div class="text-xl font-bold ${metric.color}">${metric.value}</div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="text-xs text-gray-500 mt-4">
+        ${performance.annualVolatility === null
+            ? `Measured from daily closes; ${performance.days} recorded so far, at least 3 needed.`
+            : `Measured from the last ${performance.days} daily closes, annualized over 252 trading days.`}
+      </div>
+    `;
+    }
+
+    // Cost basis of the open tax lots and their unrealized gains by holding period, next to
+    // the gains already realized by sells
+    createTaxLotMetrics() {
+        const container = document.getElementById('tax-lot-metrics');
+        const portfolio = this.userProfile.portfolio;
+        if (!container) return;
+
+        const lots = Object.values(portfolio.holdingsMap).flatMap(holding => holding.lots || []);
+        const realized = portfolio.realizedGains || { total: 0, shortTerm: 0, longTerm: 0 };
+
+        const sum = (items, value) => items.reduce((total, item) => total + value(item), 0);
+        const unrealized = term => sum(lots.filter(lot => lot.term === term), lot => lot.unrealizedGain);
+        const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+        const gainColor = value => value >= 0 ? 'text-green-600' : 'text-red-600';
+
+        const metrics = [
+            { label: 'Cost Basis', value: money(sum(lots, lot => lot.costBasis)), color: 'text-gray-800' },
+            { label: 'Open Lots', value: lots.length, color: 'text-gray-800' },
+            { label: 'Lot Method', value: LOT_METHOD_LABELS[portfolio.lotMethod] || 'FIFO', color: 'text-gray-800' },
+            { label: 'Unrealized Short-Term', value: money(unrealized('short')), color: gainColor(unrealized('short')) },
+            { label: 'Unrealized Long-Term', value: money(unrealized('long')), color: gainColor(unrealized('long')) },
+            { label: 'Realized', value: money(realized.total), color: gainColor(realized.total) },
+            { label: 'Realized Short-Term', value: money(realized.shortTerm), color: gainColor(realized.shortTerm) },
+            { label: 'Realized Long-Term', value: money(realized.longTerm), color: gainColor(realized.longTerm) }
+        ];
+
+        container.innerHTML = `
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+        ${metrics.map(metric => `
+          <div>
+            <div class="text-sm text-gray-500">${metric.label}</div>
+            <div class="text-xl font-bold ${metric.color}">${metric.value}</div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="text-xs text-gray-500 mt-4">
+        Lots held more than a year of simulated time are long-term. Cost basis includes the fees paid to open each lot.
+      </div>
+    `;
+    }
+
+    // Realized P&L from sells in the chosen date range next to the unrealized P&L of what is
+    // still held, for the portfolio and each symbol
+    async createProfitLossMetrics() {
+        const container = document.getElementById('profit-loss-metrics');
+        const portfolio = this.userProfile.portfolio;
+        if (!container || !portfolio.portfolioID) return;
+
+        let pnl;
+        try {
+            pnl = await this.dbService.getPortfolioPnl(this.userProfile.username, portfolio.portfolioID, this.pnlRange);
+        } catch (error) {
+            container.innerHTML = `<div class="text-center text-gray-500">P&amp;L unavailable: ${error.message}</div>`;
+            return;
+        }
+
+        const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+        const gainColor = value => value >= 0 ? 'text-green-600' : 'text-red-600';
+        const range = pnl.from || pnl.to
+            ? `${pnl.from || 'the start'} to ${pnl.to || 'today'}`
+            : 'all time';
+
+        const metrics = [
+            { label: `Realized (${range})`, value: pnl.totals.realized },
+            { label: 'Unrealized', value: pnl.totals.unrealized },
+            { label: 'Total', value: pnl.totals.total }
+        ];
+
+        container.innerHTML = `
+      <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        ${metrics.map(metric => `
+          <div>
+            <div class="text-sm text-gray-500">${metric.label}</div>
+            <div class="text-xl font-bold ${gainColor(metric.value)}">${money(metric.value)}</div>
+          </div>
+        `).join('')}
+      </div>
+      ${pnl.symbols.length === 0
+            ? '<div class="text-center text-gray-500">No gains or losses yet</div>'
+            : `<table class="min-w-full text-sm">
+        <thead>
+          <tr class="text-left text-gray-500">
+            <th class="py-1">Symbol</th>
+            <th class="py-1 text-right">Shares</th>
+            <th class="py-1 text-right">Realized</th>
+            <th class="py-1 text-right">Unrealized</th>
+            <th class="py-1 text-right">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${pnl.symbols.map(row => `
+            <tr class="border-t">
+              <td class="py-1 font-medium">${row.symbol}</td>
+              <td class="py-1 text-right">${row.quantity}</td>
+              <td class="py-1 text-right ${gainColor(row.realized)}">${money(row.realized)}</td>
+              <td class="py-1 text-right ${gainColor(row.unrealized)}">${money(row.unrealized)}</td>
+              <td class="py-1 text-right font-semibold ${gainColor(row.total)}">${money(row.total)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>`}
+      <div class="text-xs text-gray-500 mt-4">
+        Realized P&amp;L is net of fees and counts lots closed in the range; unrealized P&amp;L is at current prices.
+      </div>
+    `;
+    }
+
+    // Capital gains statement downloads for each simulated year the portfolio sold in
+    async createTaxReportControls() {
+        const container = document.getElementById('tax-report-controls');
+        const portfolio = this.userProfile.portfolio;
+        if (!container || !portfolio.portfolioID) return;
+
+        let years;
+        try {
+            ({ years } = await this.dbService.getTaxReportYears(this.userProfile.username, portfolio.portfolioID));
+        } catch (error) {
+            container.innerHTML = '<span class="text-gray-500">Tax reports unavailable</span>';
+            return;
+        }
+
+        if (years.length === 0) {
+            container.innerHTML = '<span class="text-gray-500">No sales yet, so no capital gains statements</span>';
+            return;
+        }
+
+        container.innerHTML = `
+      <label for="tax-report-year" class="text-gray-600">Capital gains statement for</label>
+      <select id="tax-report-year" class="border rounded px-2 py-1">
+        ${years.map(year => `<option value="${year}">${year}</option>`).join('')}
+      </select>
+      <a id="tax-report-csv" class="text-blue-600 hover:text-blue-800">Download CSV</a>
+      <a id="tax-report-html" target="_blank" rel="noopener" class="text-blue-600 hover:text-blue-800">Printable statement</a>
+    `;
+
+        const select = document.getElementById('tax-report-year');
+        const setLinks = () => {
+            ['csv', 'html'].forEach(format => {
+                document.getElementById(`tax-report-${format}`).href = this.dbService.getTaxReportUrl(
+                    this.userProfile.username, portfolio.portfolioID, select.value, format
+                );
+            });
+        };
+
+        select.addEventListener('change', setLinks);
+        setLinks();
+    }
+}
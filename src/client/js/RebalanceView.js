@@ -0,0 +1,379 @@
+// src/client/js/RebalanceView.js
+// Rebalancing panel for the dashboard: a form to set the portfolio's target weights per symbol
+// or per sector with a drift threshold, a preview of each target's drift and the trades that
+// bring the portfolio back to target with their estimated costs, and a button that places
+// those trades as one all-or-nothing basket.
+import DatabaseService from './dbServices/DatabaseService.js';
+
+const TYPE_LABELS = {
+    symbol: 'Per stock',
+    sector: 'Per sector'
+};
+
+const money = value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+export default class RebalanceView {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} options
+     * @param {string} options.username - Signed-in user
+     * @param {string} options.portfolioId - Portfolio being rebalanced
+     * @param {Object} options.notifications - NotificationSystem for results
+     * @param {Function} [options.onTrade] - Called after a rebalance trades
+     */
+    constructor(container, { username, portfolioId, notifications, onTrade = () => {} }) {
+        this.container = container;
+        this.username = username;
+        this.portfolioId = portfolioId;
+        this.notifications = notifications;
+        this.onTrade = onTrade;
+        this.dbService = new DatabaseService();
+        this.stocks = [];
+        this.targets = [];
+        this.plan = null;
+    }
+
+    /**
+     * Build the panel, then load the allocation and its preview
+     */
+    async initialize() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="bg-white rounded-lg shadow-md p-4">
+                <div class="flex flex-wrap items-end gap-3 mb-4">
+                    <label class="text-sm text-gray-600">Targets
+                        <select data-role="type" class="block border border-gray-300 rounded px-2 py-1 text-sm">
+                            ${Object.entries(TYPE_LABELS).map(([value, label]) =>
+                                `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="text-sm text-gray-600">Drift threshold (points)
+                        <input data-role="threshold" type="number" min="0.1" max="100" step="0.1" value="5"
+                               class="block border border-gray-300 rounded px-2 py-1 text-sm w-24">
+                    </label>
+                    <button data-action="add" type="button"
+                            class="px-3 py-1 rounded text-sm text-gray-700 bg-gray-200 hover:bg-gray-300">Add target</button>
+                    <button data-action="current" type="button"
+                            class="px-3 py-1 rounded text-sm text-gray-700 bg-gray-200 hover:bg-gray-300">Use current weights</button>
+                    <button data-action="save" type="button"
+                            class="px-3 py-1 rounded text-sm text-white bg-blue-600 hover:bg-blue-700">Save targets</button>
+                    <button data-action="remove" type="button"
+                            class="px-3 py-1 rounded text-sm text-white bg-red-500 hover:bg-red-600">Remove</button>
+                </div>
+                <datalist id="rebalance-keys"></datalist>
+                <div data-role="targets" class="mb-4"></div>
+                <div data-role="preview"></div>
+            </div>`;
+
+        this.typeSelect = this.container.querySelector('[data-role="type"]');
+        this.thresholdInput = this.container.querySelector('[data-role="threshold"]');
+        this.keyList = this.container.querySelector('#rebalance-keys');
+
+        this.typeSelect.addEventListener('change', () => {
+            this.targets = [];
+            this.renderTargets();
+        });
+
+        // One handler for every action button, including the target rows' and the preview's
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (button) {
+                this.handleAction(button.dataset.action, Number(button.dataset.index));
+            }
+        });
+
+        this.container.querySelector('[data-role="targets"]').addEventListener('input', (event) => {
+            const index = Number(event.target.dataset.index);
+            if (event.target.dataset.field === 'key') {
+                this.targets[index].key = event.target.value;
+            } else if (event.target.dataset.field === 'weight') {
+                this.targets[index].weight = event.target.value;
+                this.renderTotal();
+            }
+        });
+
+        try {
+            this.stocks = await this.dbService.getStocks(this.username);
+        } catch (error) {
+            this.stocks = [];
+        }
+
+        try {
+            const allocation = await this.dbService.getAllocation(this.username, this.portfolioId);
+            if (allocation.allocationType) {
+                this.typeSelect.value = allocation.allocationType;
+            }
+            this.thresholdInput.value = allocation.driftThreshold;
+            this.targets = allocation.targets.map(target => ({ key: target.key, weight: String(target.weight) }));
+        } catch (error) {
+            this.targets = [];
+        }
+
+        this.renderTargets();
+        await this.refresh();
+    }
+
+    /**
+     * Reload the rebalance preview
+     */
+    async refresh() {
+        const target = this.container.querySelector('[data-role="preview"]');
+
+        try {
+            this.plan = await this.dbService.previewRebalance(this.username, this.portfolioId);
+            this.renderPreview(target);
+        } catch (error) {
+            this.plan = null;
+            target.innerHTML = `<div class="py-4 text-center text-gray-500">${error.message || 'Preview unavailable'}</div>`;
+        }
+    }
+
+    // Symbols or sectors offered while typing a target
+    renderKeyOptions() {
+        const keys = this.typeSelect.value === 'symbol'
+            ? this.stocks.map(stock => stock.symbol)
+            : [...new Set(this.stocks.map(stock => stock.sector).filter(Boolean))];
+
+        this.keyList.innerHTML = keys.sort().map(key => `<option value="${key}"></option>`).join('');
+    }
+
+    /**
+     * Render the editable target rows
+     */
+    renderTargets() {
+        this.renderKeyOptions();
+        const target = this.container.querySelector('[data-role="targets"]');
+        const label = this.typeSelect.value === 'symbol' ? 'Stock' : 'Sector';
+
+        const rows = this.targets.map((item, index) => `
+            <tr class="text-sm border-b border-gray-100">
+                <td class="px-3 py-1">
+                    <input data-index="${index}" data-field="key" list="rebalance-keys" value="${item.key}"
+                           class="border border-gray-300 rounded px-2 py-1 text-sm w-40">
+                </td>
+                <td class="px-3 py-1">
+                    <input data-index="${index}" data-field="weight" type="number" min="0.001" max="100" step="0.1"
+                           value="${item.weight}" class="border border-gray-300 rounded px-2 py-1 text-sm w-24"> %
+                </td>
+                <td class="px-3 py-1">
+                    <button data-action="delete" data-index="${index}"
+                            class="px-2 py-0.5 rounded text-xs text-gray-700 bg-gray-200 hover:bg-gray-300">Remove</button>
+                </td>
+            </tr>`).join('');
+
+        target.innerHTML = this.targets.length === 0
+            ? '<div class="py-2 text-center text-gray-500">No target allocation set</div>'
+            : `<table class="text-left">
+                <thead class="text-xs text-gray-500 uppercase border-b border-gray-200">
+                    <tr>
+                        <th class="px-3 py-2 font-medium">${label}</th>
+                        <th class="px-3 py-2 font-medium">Target</th>
+                        <th class="px-3 py-2"></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div data-role="total" class="text-sm text-gray-500 mt-2"></div>`;
+
+        this.renderTotal();
+    }
+
+    // Total of the target weights and what is left in cash
+    renderTotal() {
+        const target = this.container.querySelector('[data-role="total"]');
+        if (!target) return;
+
+        const total = this.targets.reduce((sum, item) => sum + (Number(item.weight) || 0), 0);
+        target.className = `text-sm mt-2 ${total > 100 ? 'text-red-600' : 'text-gray-500'}`;
+        target.textContent = total > 100
+            ? `Targets add up to ${total.toFixed(1)}%, more than 100%`
+            : `Targets add up to ${total.toFixed(1)}%; ${(100 - total).toFixed(1)}% stays in cash`;
+    }
+
+    /**
+     * Render each target's drift and the trades that rebalance the portfolio
+     * @param {HTMLElement} target - Element to render into
+     */
+    renderPreview(target) {
+        const plan = this.plan;
+        const driftColor = row => (Math.abs(row.drift) > plan.driftThreshold ? 'text-red-600' : 'text-gray-500');
+
+        const allocationRows = plan.allocations.map(row => `
+            <tr class="text-sm border-b border-gray-100">
+                <td class="px-3 py-2 font-medium text-gray-900">${row.key}</td>
+                <td class="px-3 py-2 text-gray-700">${row.targetWeight.toFixed(1)}%</td>
+                <td class="px-3 py-2 text-gray-700">${row.currentWeight.toFixed(1)}%</td>
+                <td class="px-3 py-2 ${driftColor(row)}">${row.drift >= 0 ? '+' : ''}${row.drift.toFixed(1)}</td>
+                <td class="px-3 py-2 text-gray-500">${money(row.currentValue)} → ${money(row.targetValue)}</td>
+            </tr>`).join('');
+
+        const legRows = plan.legs.map(leg => `
+            <tr class="text-sm border-b border-gray-100">
+                <td class="px-3 py-2 ${leg.transactionType === 'BUY' ? 'text-green-600' : 'text-red-600'}">${leg.transactionType}</td>
+                <td class="px-3 py-2 font-medium text-gray-900">${leg.symbol}</td>
+                <td class="px-3 py-2 text-gray-700">${leg.quantity}</td>
+                <td class="px-3 py-2 text-gray-500">$${leg.estimatedPrice.toFixed(2)}</td>
+                <td class="px-3 py-2 text-gray-700">${money(leg.value)}</td>
+                <td class="px-3 py-2 text-gray-500">${money(leg.fee)}</td>
+                <td class="px-3 py-2 text-gray-500">${money(leg.marketImpact)}${leg.fillable ? '' : ' <span class="text-yellow-600">(book too thin)</span>'}</td>
+            </tr>`).join('');
+
+        target.innerHTML = `
+            <div class="text-sm mb-2 ${plan.needsRebalance ? 'text-red-600' : 'text-green-600'}">
+                Largest drift ${plan.maxDrift.toFixed(1)} points
+                ${plan.needsRebalance ? `exceeds the ${plan.driftThreshold}-point threshold` : `is within the ${plan.driftThreshold}-point threshold`}
+            </div>
+            <div class="overflow-x-auto mb-4">
+                <table class="min-w-full text-left">
+                    <thead class="text-xs text-gray-500 uppercase border-b border-gray-200">
+                        <tr>
+                            <th class="px-3 py-2 font-medium">${plan.allocationType === 'symbol' ? 'Stock' : 'Sector'}</th>
+                            <th class="px-3 py-2 font-medium">Target</th>
+                            <th class="px-3 py-2 font-medium">Current</th>
+                            <th class="px-3 py-2 font-medium">Drift</th>
+                            <th class="px-3 py-2 font-medium">Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>${allocationRows}</tbody>
+                </table>
+            </div>
+            ${plan.unfilled.map(item => `<div class="text-sm text-yellow-600">${item.key}: ${item.reason}</div>`).join('')}
+            ${plan.legs.length === 0
+                ? '<div class="py-2 text-center text-gray-500">Already at target; nothing to trade</div>'
+                : `<h3 class="text-lg font-semibold text-gray-800 mb-2">Trades</h3>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full text-left">
+                        <thead class="text-xs text-gray-500 uppercase border-b border-gray-200">
+                            <tr>
+                                <th class="px-3 py-2 font-medium">Side</th>
+                                <th class="px-3 py-2 font-medium">Stock</th>
+                                <th class="px-3 py-2 font-medium">Shares</th>
+                                <th class="px-3 py-2 font-medium">Est. Price</th>
+                                <th class="px-3 py-2 font-medium">Value</th>
+                                <th class="px-3 py-2 font-medium">Fee</th>
+                                <th class="px-3 py-2 font-medium">Spread &amp; Impact</th>
+                            </tr>
+                        </thead>
+                        <tbody>${legRows}</tbody>
+                    </table>
+                </div>
+                <div class="flex flex-wrap justify-between items-center mt-3 text-sm">
+                    <div class="text-gray-600">
+                        Estimated costs ${money(plan.estimatedCosts)} · cash afterwards ${money(plan.cashAfter)}
+                    </div>
+                    <button data-action="rebalance"
+                            class="px-3 py-1 rounded text-sm text-white bg-green-600 hover:bg-green-700">Rebalance now</button>
+                </div>`}`;
+    }
+
+    /**
+     * Edit the targets, save or remove them, or place the rebalance
+     * @param {string} action - Button action
+     * @param {number} index - Target row, for row actions
+     */
+    async handleAction(action, index) {
+        switch (action) {
+            case 'add':
+                this.targets.push({ key: '', weight: '' });
+                this.renderTargets();
+                return;
+            case 'delete':
+                this.targets.splice(index, 1);
+                this.renderTargets();
+                return;
+            case 'current':
+                await this.useCurrentWeights();
+                return;
+            case 'save':
+                await this.save();
+                return;
+            case 'remove':
+                await this.remove();
+                return;
+            case 'rebalance':
+                await this.rebalance();
+                return;
+            default:
+        }
+    }
+
+    // Fill the targets with the portfolio's weights today, per stock or per sector
+    async useCurrentWeights() {
+        try {
+            const portfolio = await this.dbService.getPortfolio(this.username, this.portfolioId);
+            const holdings = Object.values(portfolio.holdingsMap).filter(holding => holding.quantity > 0);
+            const base = Number(portfolio.balance) + holdings.reduce((sum, holding) => sum + holding.value, 0);
+            const keyOf = holding => (this.typeSelect.value === 'symbol' ? holding.symbol : holding.sector || 'Unclassified');
+
+            const weights = new Map();
+            for (const holding of holdings) {
+                weights.set(keyOf(holding), (weights.get(keyOf(holding)) || 0) + holding.value / base * 100);
+            }
+
+            this.targets = [...weights.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .map(([key, weight]) => ({ key, weight: weight.toFixed(1) }));
+            this.renderTargets();
+        } catch (error) {
+            this.notifications.error(error.message || 'Failed to load current weights');
+        }
+    }
+
+    /**
+     * Save the targets and threshold, then preview the rebalance they call for
+     */
+    async save() {
+        const targets = this.targets
+            .filter(item => item.key.trim() !== '')
+            .map(item => ({ key: item.key.trim(), weight: Number(item.weight) }));
+
+        try {
+            await this.dbService.setAllocation(this.username, this.portfolioId, {
+                allocationType: this.typeSelect.value,
+                driftThreshold: Number(this.thresholdInput.value),
+                targets
+            });
+            this.notifications.success('Target allocation saved');
+            await this.refresh();
+        } catch (error) {
+            this.notifications.error(error.message || 'Failed to save target allocation');
+        }
+    }
+
+    /**
+     * Remove the target allocation
+     */
+    async remove() {
+        if (!window.confirm('Remove the target allocation?')) return;
+
+        try {
+            await this.dbService.removeAllocation(this.username, this.portfolioId);
+            this.targets = [];
+            this.renderTargets();
+            this.notifications.info('Target allocation removed');
+            await this.refresh();
+        } catch (error) {
+            this.notifications.error(error.message || 'Failed to remove target allocation');
+        }
+    }
+
+    /**
+     * Place the previewed trades as one basket; a rebalance within the threshold asks first
+     */
+    async rebalance() {
+        const force = Boolean(this.plan) && !this.plan.needsRebalance;
+        if (force && !window.confirm('No weight has drifted past the threshold. Rebalance anyway?')) return;
+
+        try {
+            const result = await this.dbService.executeRebalance(this.username, this.portfolioId, force);
+            this.notifications.success(
+                `Rebalanced with ${result.legs.length} trades: bought ${money(result.totalBought)}, sold ${money(result.totalSold)}, fees ${money(result.totalFees)}`
+            );
+            this.onTrade();
+            await this.refresh();
+        } catch (error) {
+            this.notifications.error(`Rebalance failed: ${error.message}`);
+        }
+    }
+}
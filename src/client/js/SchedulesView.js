@@ -0,0 +1,383 @@
+// src/client/js/SchedulesView.js
+// Recurring investments panel for the dashboard: a form to schedule buying a dollar amount of
+// a stock every day, week, two weeks or month of simulated time, or to deposit or withdraw
+// cash on one (a paycheck), the user's schedules with their next and latest runs, buttons to
+// pause, resume, edit or delete them, and each schedule's full run history.
+import DatabaseService from './dbServices/DatabaseService.js';
+
+const TYPE_LABELS = {
+    buy: 'Buy stock',
+    deposit: 'Deposit cash',
+    withdrawal: 'Withdraw cash'
+};
+
+const FREQUENCY_LABELS = {
+    daily: 'Every day',
+    weekly: 'Every week',
+    biweekly: 'Every 2 weeks',
+    monthly: 'Every month'
+};
+
+const RUN_STATUS_COLORS = {
+    filled: 'text-green-600',
+    skipped: 'text-yellow-600',
+    failed: 'text-red-600'
+};
+
+// What a schedule does, for lists and messages: its stock, or the cash it moves
+const scheduleLabel = schedule => (
+    schedule.scheduleType === 'buy' ? schedule.symbol : schedule.scheduleType === 'deposit' ? 'Deposit' : 'Withdrawal'
+);
+
+export default class SchedulesView {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} options
+     * @param {string} options.username - Signed-in user
+     * @param {string} options.portfolioId - Portfolio new schedules buy into
+     * @param {Object} options.notifications - NotificationSystem for results
+     */
+    constructor(container, { username, portfolioId, notifications }) {
+        this.container = container;
+        this.username = username;
+        this.portfolioId = portfolioId;
+        this.notifications = notifications;
+        this.dbService = new DatabaseService();
+        this.schedules = [];
+        this.editingId = null;
+        this.historyId = null;
+    }
+
+    /**
+     * Build the panel and load the schedules
+     */
+    async initialize() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="bg-white rounded-lg shadow-md p-4">
+                <form data-role="form" class="flex flex-wrap items-end gap-3 mb-4">
+                    <label class="text-sm text-gray-600">Type
+                        <select data-role="type" class="block border border-gray-300 rounded px-2 py-1 text-sm">
+                            ${Object.entries(TYPE_LABELS).map(([value, label]) =>
+                                `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="text-sm text-gray-600">Stock
+                        <select data-role="symbol" class="block border border-gray-300 rounded px-2 py-1 text-sm"></select>
+                    </label>
+                    <label class="text-sm text-gray-600">Amount ($)
+                        <input data-role="amount" type="number" min="0.01" step="0.01" value="25"
+                               class="block border border-gray-300 rounded px-2 py-1 text-sm w-24">
+                    </label>
+                    <label class="text-sm text-gray-600">Frequency
+                        <select data-role="frequency" class="block border border-gray-300 rounded px-2 py-1 text-sm">
+                            ${Object.entries(FREQUENCY_LABELS).map(([value, label]) =>
+                                `<option value="${value}" ${value === 'weekly' ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="text-sm text-gray-600">Next run
+                        <input data-role="date" type="date" class="block border border-gray-300 rounded px-2 py-1 text-sm">
+                    </label>
+                    <button data-role="submit" type="submit"
+                            class="px-3 py-1 rounded text-sm text-white bg-blue-600 hover:bg-blue-700">Schedule</button>
+                    <button data-role="cancel" type="button"
+                            class="hidden px-3 py-1 rounded text-sm text-gray-700 bg-gray-200 hover:bg-gray-300">Cancel</button>
+                </form>
+                <div data-role="schedules" class="overflow-x-auto"></div>
+                <div data-role="history" class="mt-4"></div>
+            </div>`;
+
+        this.form = this.container.querySelector('[data-role="form"]');
+        this.typeSelect = this.container.querySelector('[data-role="type"]');
+        this.symbolSelect = this.container.querySelector('[data-role="symbol"]');
+        this.amountInput = this.container.querySelector('[data-role="amount"]');
+        this.frequencySelect = this.container.querySelector('[data-role="frequency"]');
+        this.dateInput = this.container.querySelector('[data-role="date"]');
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+        this.container.querySelector('[data-role="cancel"]').addEventListener('click', () => this.resetForm());
+
+        // Deposits and withdrawals have no stock
+        this.typeSelect.addEventListener('change', () => {
+            this.symbolSelect.disabled = this.typeSelect.value !== 'buy';
+        });
+
+        // One handler for every action button in the list
+        this.container.querySelector('[data-role="schedules"]').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (button) {
+                this.handleAction(Number(button.dataset.schedule), button.dataset.action);
+            }
+        });
+
+        try {
+            const stocks = await this.dbService.getStocks(this.username);
+            this.symbolSelect.innerHTML = stocks
+                .map(stock => `<option value="${stock.symbol}">${stock.symbol}</option>`)
+                .join('');
+        } catch (error) {
+            this.symbolSelect.innerHTML = '';
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * Reload the schedules, and the open run history if any
+     */
+    async refresh() {
+        const target = this.container.querySelector('[data-role="schedules"]');
+
+        try {
+            this.schedules = await this.dbService.getSchedules(this.username);
+            this.renderSchedules(target);
+        } catch (error) {
+            target.innerHTML = '<div class="py-4 text-center text-gray-500">Schedules unavailable</div>';
+            return;
+        }
+
+        if (this.historyId !== null) {
+            await this.showHistory(this.historyId);
+        }
+    }
+
+    // Latest run of a schedule as a short colored label
+    renderLastRun(schedule) {
+        const run = schedule.recentRuns[0];
+        if (!run) return '<span class="text-gray-400">Not run yet</span>';
+
+        let detail = run.reason || '';
+        if (run.status === 'filled') {
+            detail = run.quantity !== null ? `${run.quantity} @ $${run.price.toFixed(2)}` : `$${run.amount.toFixed(2)}`;
+        }
+
+        return `<span class="${RUN_STATUS_COLORS[run.status]}">${run.tradingDate} ${run.status}</span>
+                <span class="text-gray-500">${detail}</span>`;
+    }
+
+    /**
+     * Render the user's schedules
+     * @param {HTMLElement} target - Element to render into
+     */
+    renderSchedules(target) {
+        if (this.schedules.length === 0) {
+            target.innerHTML = '<div class="py-4 text-center text-gray-500">No recurring investments</div>';
+            return;
+        }
+
+        const button = (schedule, action, label, color) => `
+            <button data-schedule="${schedule.scheduleID}" data-action="${action}"
+                    class="px-2 py-0.5 rounded text-xs ${color}">${label}</button>`;
+
+        const rows = this.schedules.map(schedule => `
+            <tr class="text-sm border-b border-gray-100">
+                <td class="px-3 py-2 font-medium text-gray-900">${scheduleLabel(schedule)}</td>
+                <td class="px-3 py-2 text-gray-700">$${schedule.amount.toFixed(2)}</td>
+                <td class="px-3 py-2 text-gray-500">${FREQUENCY_LABELS[schedule.frequency]}</td>
+                <td class="px-3 py-2 text-gray-500">${schedule.portfolioName}</td>
+                <td class="px-3 py-2 ${schedule.status === 'active' ? 'text-green-600' : 'text-gray-400'}">${schedule.status}</td>
+                <td class="px-3 py-2 text-gray-500">${schedule.status === 'active' ? schedule.nextRunDate : '—'}</td>
+                <td class="px-3 py-2">${this.renderLastRun(schedule)}</td>
+                <td class="px-3 py-2 whitespace-nowrap space-x-1">
+                    ${schedule.status === 'active'
+                        ? button(schedule, 'pause', 'Pause', 'text-white bg-yellow-500 hover:bg-yellow-600')
+                        : button(schedule, 'resume', 'Resume', 'text-white bg-green-500 hover:bg-green-600')}
+                    ${button(schedule, 'edit', 'Edit', 'text-gray-700 bg-gray-200 hover:bg-gray-300')}
+                    ${button(schedule, 'history', 'Runs', 'text-gray-700 bg-gray-200 hover:bg-gray-300')}
+                    ${button(schedule, 'delete', 'Delete', 'text-white bg-red-500 hover:bg-red-600')}
+                </td>
+            </tr>`).join('');
+
+        target.innerHTML = `
+            <table class="min-w-full text-left">
+                <thead class="text-xs text-gray-500 uppercase border-b border-gray-200">
+                    <tr>
+                        <th class="px-3 py-2 font-medium">Stock or Cash</th>
+                        <th class="px-3 py-2 font-medium">Amount</th>
+                        <th class="px-3 py-2 font-medium">Frequency</th>
+                        <th class="px-3 py-2 font-medium">Portfolio</th>
+                        <th class="px-3 py-2 font-medium">Status</th>
+                        <th class="px-3 py-2 font-medium">Next Run</th>
+                        <th class="px-3 py-2 font-medium">Last Run</th>
+                        <th class="px-3 py-2"></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Pause, resume, edit, delete or show the runs of a schedule
+     * @param {number} scheduleId - Schedule ID
+     * @param {string} action - Button action
+     */
+    async handleAction(scheduleId, action) {
+        const schedule = this.schedules.find(s => s.scheduleID === scheduleId);
+        if (!schedule) return;
+
+        try {
+            switch (action) {
+                case 'pause':
+                case 'resume':
+                    await this.dbService.updateSchedule(this.username, scheduleId, {
+                        status: action === 'pause' ? 'paused' : 'active'
+                    });
+                    this.notifications.info(`${scheduleLabel(schedule)} schedule ${action === 'pause' ? 'paused' : 'resumed'}`);
+                    break;
+                case 'edit':
+                    this.startEdit(schedule);
+                    return;
+                case 'history':
+                    this.historyId = this.historyId === scheduleId ? null : scheduleId;
+                    if (this.historyId === null) {
+                        this.container.querySelector('[data-role="history"]').innerHTML = '';
+                    } else {
+                        await this.showHistory(scheduleId);
+                    }
+                    return;
+                case 'delete':
+                    if (!window.confirm(`Delete the ${scheduleLabel(schedule)} schedule and its run history?`)) return;
+                    await this.dbService.deleteSchedule(this.username, scheduleId);
+                    if (this.editingId === scheduleId) this.resetForm();
+                    if (this.historyId === scheduleId) this.historyId = null;
+                    this.container.querySelector('[data-role="history"]').innerHTML = '';
+                    this.notifications.info(`${scheduleLabel(schedule)} schedule deleted`);
+                    break;
+                default:
+                    return;
+            }
+
+            await this.refresh();
+        } catch (error) {
+            this.notifications.error(error.message || 'Schedule update failed');
+        }
+    }
+
+    // Fill the form with a schedule so its amount, frequency and next run can be changed
+    startEdit(schedule) {
+        this.editingId = schedule.scheduleID;
+        this.typeSelect.value = schedule.scheduleType;
+        this.typeSelect.disabled = true;
+        if (schedule.symbol) this.symbolSelect.value = schedule.symbol;
+        this.symbolSelect.disabled = true;
+        this.amountInput.value = schedule.amount;
+        this.frequencySelect.value = schedule.frequency;
+        this.dateInput.value = schedule.nextRunDate;
+        this.container.querySelector('[data-role="submit"]').textContent = 'Save';
+        this.container.querySelector('[data-role="cancel"]').classList.remove('hidden');
+    }
+
+    // Back to creating a new schedule
+    resetForm() {
+        this.editingId = null;
+        this.typeSelect.disabled = false;
+        this.symbolSelect.disabled = this.typeSelect.value !== 'buy';
+        this.dateInput.value = '';
+        this.container.querySelector('[data-role="submit"]').textContent = 'Schedule';
+        this.container.querySelector('[data-role="cancel"]').classList.add('hidden');
+    }
+
+    /**
+     * Create a schedule from the form, or save the one being edited
+     */
+    async save() {
+        const amount = Number(this.amountInput.value);
+
+        if (!Number.isFinite(amount) || amount < 0.01) {
+            this.notifications.error('Enter an amount of at least $0.01');
+            return;
+        }
+
+        const data = { amount, frequency: this.frequencySelect.value };
+        if (this.dateInput.value) {
+            data.nextRunDate = this.dateInput.value;
+        }
+
+        try {
+            if (this.editingId !== null) {
+                const schedule = await this.dbService.updateSchedule(this.username, this.editingId, data);
+                this.notifications.success(`${scheduleLabel(schedule)} schedule updated`);
+                this.resetForm();
+            } else {
+                const scheduleType = this.typeSelect.value;
+                const schedule = await this.dbService.createSchedule(this.username, {
+                    ...data,
+                    portfolioId: this.portfolioId,
+                    scheduleType,
+                    ...(scheduleType === 'buy' ? { symbol: this.symbolSelect.value } : {})
+                });
+                const what = {
+                    buy: `Buying $${schedule.amount.toFixed(2)} of ${schedule.symbol}`,
+                    deposit: `Depositing $${schedule.amount.toFixed(2)}`,
+                    withdrawal: `Withdrawing $${schedule.amount.toFixed(2)}`
+                }[schedule.scheduleType];
+                this.notifications.success(
+                    `${what} ${FREQUENCY_LABELS[schedule.frequency].toLowerCase()}, starting ${schedule.nextRunDate}`
+                );
+            }
+
+            await this.refresh();
+        } catch (error) {
+            this.notifications.error(error.message || 'Failed to save schedule');
+        }
+    }
+
+    /**
+     * Show every run of a schedule below the list
+     * @param {number} scheduleId - Schedule ID
+     */
+    async showHistory(scheduleId) {
+        const target = this.container.querySelector('[data-role="history"]');
+        const schedule = this.schedules.find(s => s.scheduleID === scheduleId);
+
+        if (!schedule) {
+            this.historyId = null;
+            target.innerHTML = '';
+            return;
+        }
+
+        let runs;
+        try {
+            runs = await this.dbService.getScheduleRuns(this.username, scheduleId);
+        } catch (error) {
+            target.innerHTML = '<div class="py-4 text-center text-gray-500">Run history unavailable</div>';
+            return;
+        }
+
+        const rows = runs.map(run => `
+            <tr class="text-sm border-b border-gray-100">
+                <td class="px-3 py-2 text-gray-700">${run.tradingDate}</td>
+                <td class="px-3 py-2 ${RUN_STATUS_COLORS[run.status]}">${run.status}</td>
+                <td class="px-3 py-2 text-gray-500">$${run.amount.toFixed(2)}</td>
+                <td class="px-3 py-2 text-gray-500">${run.quantity !== null ? run.quantity : '—'}</td>
+                <td class="px-3 py-2 text-gray-500">${run.price !== null ? `$${run.price.toFixed(2)}` : '—'}</td>
+                <td class="px-3 py-2 text-gray-500">${run.fee !== null ? `$${run.fee.toFixed(2)}` : '—'}</td>
+                <td class="px-3 py-2 text-gray-500">${run.reason || ''}</td>
+            </tr>`).join('');
+
+        target.innerHTML = `
+            <h3 class="text-lg font-semibold text-gray-800 mb-2">${scheduleLabel(schedule)} Runs</h3>
+            ${runs.length === 0
+                ? '<div class="py-4 text-center text-gray-500">Not run yet</div>'
+                : `<div class="overflow-x-auto">
+                    <table class="min-w-full text-left">
+                        <thead class="text-xs text-gray-500 uppercase border-b border-gray-200">
+                            <tr>
+                                <th class="px-3 py-2 font-medium">Date</th>
+                                <th class="px-3 py-2 font-medium">Result</th>
+                                <th class="px-3 py-2 font-medium">Amount</th>
+                                <th class="px-3 py-2 font-medium">Shares</th>
+                                <th class="px-3 py-2 font-medium">Price</th>
+                                <th class="px-3 py-2 font-medium">Fee</th>
+                                <th class="px-3 py-2 font-medium">Note</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`}`;
+    }
+}
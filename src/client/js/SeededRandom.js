@@ -0,0 +1,51 @@
+// src/client/js/SeededRandom.js
+// Seedable pseudo-random numbers; the same algorithms as the server's
+// services/random.js so a seed produces the same numbers on both sides.
+
+/**
+ * Hash any mix of strings/numbers into a 32-bit seed (FNV-1a)
+ * @param {...(string|number)} parts - Values to combine, e.g. a seed and a stream name
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function hashSeed(...parts) {
+    const text = parts.join(':');
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a generator returning floats in [0, 1), like Math.random (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Random number generator
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generator for one named stream of a seed (e.g. the user's seed, 'history', symbol)
+ * @param {string|null} seed - Simulation seed, or null for unseeded Math.random
+ * @param {...(string|number)} parts - Stream name parts
+ * @returns {Function} Random number generator
+ */
+export function streamRandom(seed, ...parts) {
+    if (seed === null || seed === undefined || seed === '') {
+        return Math.random;
+    }
+
+    return createRandom(hashSeed(seed, ...parts));
+}
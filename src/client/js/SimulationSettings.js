@@ -1,3 +1,15 @@
+import { streamRandom } from './SeededRandom.js';
+import { DEFAULT_COST_SETTINGS } from './CostModel.js';
+
+// Trading cost form inputs and the settings they edit
+const COST_INPUTS = {
+    'commission-type': 'commissionType',
+    'commission-amount': 'commissionAmount',
+    'fee-percent': 'feePercent',
+    'spread-percent': 'spreadPercent',
+    'slippage-factor': 'slippageFactor'
+};
+
 export default class SimulationSettings {
     constructor(userProfile) {
         this.userProfile = userProfile;
@@ -5,7 +17,13 @@ export default class SimulationSettings {
             simulationSpeed: 1,
             marketVolatility: 'medium',
             eventFrequency: 'medium',
-            startingCash: 500
+            startingCash: 500,
+            seed: null,
+            marketFactorWeight: 0.3,
+            sectorFactorWeight: 0.3,
+            riskFreeRate: 0.04,
+            cashRateShare: 0.25,
+            ...DEFAULT_COST_SETTINGS
         };
 
         this.volatilityFactors = {
@@ -14,13 +32,6 @@ export default class SimulationSettings {
             high: 1.6
         };
 
-        this.eventProbabilities = {
-            none: 0,
-            low: 0.02,
-            medium: 0.05,
-            high: 0.1
-        };
-
         this.loadSettings();
         this.initModal();
     }
@@ -87,10 +98,16 @@ export default class SimulationSettings {
             });
         }
 
-        // Apply event frequency
-        if (window.marketEventsSimulator) {
-            const eventProbability = this.eventProbabilities[this.settings.eventFrequency];
-            window.marketEventsSimulator.eventProbability = eventProbability;
+        // Event frequency is applied by the server's market events engine once settings are saved
+
+        // Seeded fallback news repeats for everyone using the same seed
+        if (window.newsGenerator && typeof window.newsGenerator.setSeed === 'function') {
+            window.newsGenerator.setSeed(this.settings.seed || null);
+        }
+
+        // Trading costs price the portfolio's local fills (the server applies the saved ones)
+        if (this.userProfile && this.userProfile.portfolio) {
+            this.userProfile.portfolio.costSettings = this.getCostSettings();
         }
 
         // Starting cash affects new simulations only
@@ -159,6 +176,9 @@ export default class SimulationSettings {
         const volatilitySelect = document.getElementById('market-volatility');
         const eventFrequencySelect = document.getElementById('event-frequency');
         const startingCashInput = document.getElementById('starting-cash');
+        const seedInput = document.getElementById('simulation-seed');
+        const marketFactorInput = document.getElementById('market-factor-weight');
+        const sectorFactorInput = document.getElementById('sector-factor-weight');
 
         // Close button
         if (closeBtn) {
@@ -209,6 +229,23 @@ export default class SimulationSettings {
             startingCashInput.value = this.settings.startingCash;
         }
 
+        // Seed input
+        if (seedInput) {
+            seedInput.value = this.settings.seed || '';
+        }
+
+        // Correlation inputs
+        if (marketFactorInput) {
+            marketFactorInput.value = this.settings.marketFactorWeight ?? 0.3;
+        }
+
+        if (sectorFactorInput) {
+            sectorFactorInput.value = this.settings.sectorFactorWeight ?? 0.3;
+        }
+
+        // Trading cost inputs
+        this.fillCostInputs();
+
         // Close modal when clicking outside
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
@@ -227,6 +264,11 @@ export default class SimulationSettings {
             const volatilitySelect = document.getElementById('market-volatility');
             const eventFrequencySelect = document.getElementById('event-frequency');
             const startingCashInput = document.getElementById('starting-cash');
+            const seedInput = document.getElementById('simulation-seed');
+            const marketFactorInput = document.getElementById('market-factor-weight');
+            const sectorFactorInput = document.getElementById('sector-factor-weight');
+            const riskFreeRateInput = document.getElementById('risk-free-rate');
+            const cashRateShareInput = document.getElementById('cash-rate-share');
 
             if (speedRange) {
                 if (speedValue) {
@@ -247,6 +289,29 @@ export default class SimulationSettings {
                 startingCashInput.value = this.settings.startingCash;
             }
 
+            if (seedInput) {
+                seedInput.value = this.settings.seed || '';
+            }
+
+            if (marketFactorInput) {
+                marketFactorInput.value = this.settings.marketFactorWeight ?? 0.3;
+            }
+
+            if (sectorFactorInput) {
+                sectorFactorInput.value = this.settings.sectorFactorWeight ?? 0.3;
+            }
+
+            // Stored as a fraction, edited as a percentage
+            if (riskFreeRateInput) {
+                riskFreeRateInput.value = Number((Number(this.settings.riskFreeRate ?? 0.04) * 100).toFixed(2));
+            }
+
+            if (cashRateShareInput) {
+                cashRateShareInput.value = Number((Number(this.settings.cashRateShare ?? 0.25) * 100).toFixed(2));
+            }
+
+            this.fillCostInputs();
+
             // Show modal
             modal.classList.remove('hidden');
         }
@@ -266,17 +331,65 @@ export default class SimulationSettings {
         const volatilitySelect = document.getElementById('market-volatility');
         const eventFrequencySelect = document.getElementById('event-frequency');
         const startingCashInput = document.getElementById('starting-cash');
+        const seedInput = document.getElementById('simulation-seed');
+        const marketFactorInput = document.getElementById('market-factor-weight');
+        const sectorFactorInput = document.getElementById('sector-factor-weight');
+        const riskFreeRateInput = document.getElementById('risk-free-rate');
+        const cashRateShareInput = document.getElementById('cash-rate-share');
 
         const newSettings = {
             simulationSpeed: parseInt(speedRange.value) || 1,
             marketVolatility: volatilitySelect.value || 'medium',
             eventFrequency: eventFrequencySelect.value || 'medium',
-            startingCash: parseInt(startingCashInput.value) || 500
+            startingCash: parseInt(startingCashInput.value) || 500,
+            seed: seedInput ? seedInput.value.trim() || null : this.settings.seed,
+            marketFactorWeight: marketFactorInput ? parseFloat(marketFactorInput.value) || 0 : this.settings.marketFactorWeight,
+            sectorFactorWeight: sectorFactorInput ? parseFloat(sectorFactorInput.value) || 0 : this.settings.sectorFactorWeight,
+            riskFreeRate: riskFreeRateInput
+                ? Math.round((parseFloat(riskFreeRateInput.value) || 0) * 100) / 10000
+                : Number(this.settings.riskFreeRate ?? 0.04),
+            cashRateShare: cashRateShareInput
+                ? Math.round((parseFloat(cashRateShareInput.value) || 0) * 100) / 10000
+                : Number(this.settings.cashRateShare ?? 0.25)
         };
 
+        Object.entries(COST_INPUTS).forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (!input) {
+                newSettings[key] = this.settings[key];
+            } else {
+                newSettings[key] = key === 'commissionType' ? input.value : parseFloat(input.value) || 0;
+            }
+        });
+
         this.saveSettings(newSettings);
     }
 
+    // Trading cost settings with numeric values (the database returns decimals as strings)
+    getCostSettings() {
+        const costs = { ...DEFAULT_COST_SETTINGS };
+
+        Object.values(COST_INPUTS).forEach(key => {
+            if (this.settings[key] !== undefined && this.settings[key] !== null) {
+                costs[key] = key === 'commissionType' ? this.settings[key] : Number(this.settings[key]);
+            }
+        });
+
+        return costs;
+    }
+
+    // Show the current trading cost settings in the form
+    fillCostInputs() {
+        const costs = this.getCostSettings();
+
+        Object.entries(COST_INPUTS).forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = costs[key];
+            }
+        });
+    }
+
 // Reset simulation to initial state
     async resetSimulation() {
         try {
@@ -288,9 +401,10 @@ export default class SimulationSettings {
                     stock.priceHistory = [];
                     stock.currentSentiment = 0;
 
-                    // Generate new price history
+                    // Generate new price history (identical for everyone sharing a seed)
                     if (typeof stock.setSimulatedPriceHistory === 'function') {
-                        stock.setSimulatedPriceHistory(30, stock.openPrice);
+                        const random = streamRandom(this.settings.seed, 'history', stock.symbol);
+                        stock.setSimulatedPriceHistory(30, stock.openPrice, random);
                     }
                 });
 
@@ -314,15 +428,13 @@ export default class SimulationSettings {
                     this.userProfile.portfolio.totalAssetsValue = this.settings.startingCash;
                 }
 
-                // Reset news
+                // Reset news, restarting the seeded headline sequence
                 if (window.newsGenerator) {
                     window.newsGenerator.newsHistory = [];
                     window.newsGenerator.render();
-                }
-
-                // Reset market events
-                if (window.marketEventsSimulator) {
-                    window.marketEventsSimulator.lastEventTime = Date.now();
+                    if (typeof window.newsGenerator.setSeed === 'function') {
+                        window.newsGenerator.setSeed(this.settings.seed || null);
+                    }
                 }
 
                 // Update UI
@@ -1,3 +1,6 @@
+import { marketService } from './dbServices/MarketService.js';
+import DatabaseService from './dbServices/DatabaseService.js';
+
 export default class SimulatorGraphController {
     constructor(userProfile) {
         // Validate userProfile input
@@ -17,23 +20,44 @@ export default class SimulatorGraphController {
         this.GRAPH_PADDING = 60;
         this.GRID_LINES = 5;
         this.NUM_POINTS = 50;
+        this.INTRADAY_BAR_TICKS = 5;    // live ticks per intraday candle
+        this.VOLUME_PANE_RATIO = 0.2;   // share of the plot height for the volume pane
+        this.MIN_VISIBLE_BARS = 5;      // furthest zoom in
+        this.UP_COLOR = "#10B981";      // Emerald-500
+        this.DOWN_COLOR = "#EF4444";    // Red-500
 
-        // TimeFrame settings
+        // TimeFrame settings: bars is the default window, source where the bars come from
         this.TIME_FRAMES = {
-            "1D": { interval: 500, label: "Today" },    // in milliseconds
-            "1W": { interval: 3500, label: "This Week" },
-            "1M": { interval: 7000, label: "This Month" }
+            "1D": { interval: 500, label: "Today", bars: this.NUM_POINTS, source: "intraday" },    // minimum milliseconds between redraws
+            "1W": { interval: 3500, label: "This Week", bars: 5, source: "daily" },
+            "1M": { interval: 7000, label: "This Month", bars: 22, source: "daily" }
         };
 
+        this.CHART_MODES = ["line", "candles", "ohlc"];
+
         // Default timeframe to 1 day
         this.timeframe = "1D";
+
+        // Chart display: series style, volume pane, zoom/pan window and crosshair position
+        this.chartMode = "line";
+        this.showVolume = true;
+        this.view = { barCount: null, offset: 0 };
+        this.hover = null;
+        this.drag = null;
+
+        // Daily OHLC rows from the server, by symbol
+        this.dbService = new DatabaseService();
+        this.dailyBars = new Map();
         
         // DOM elements
         this.canvas = null;
         this.ctx = null;
+        this.canvasHandlers = null;
         
         // State tracking
-        this.updateInterval = null;
+        this.unsubscribePrices = null;
+        this.unsubscribeClock = null;
+        this.lastUpdateTime = 0;
         this.isInitialized = false;
         
         // Initialize after DOM is loaded
@@ -83,10 +107,19 @@ export default class SimulatorGraphController {
                 this.populateStockDropdown(this.userProfile.stocksAddedToSim);
                 this.updateCurrentStockDisplay();
                 this.setupEventListeners();
-                this.resetUpdateInterval();
+                this.subscribeToPriceUpdates();
+
+                // Daily bars change at the close; refetch the focused stock's
+                this.unsubscribeClock = marketService.onClockChanged(clock => {
+                    if (clock.dayClosed) {
+                        this.dailyBars.clear();
+                        this.loadDailyBars();
+                    }
+                });
 
                 // Draw initial graph
                 this.drawGraph();
+                this.loadDailyBars();
                 this.isInitialized = true;
             } else {
                 console.warn("[SimulatorGraphController] No stocks available for graph initialization");
@@ -141,6 +174,27 @@ export default class SimulatorGraphController {
                 console.warn("[SimulatorGraphController] Timeframe buttons not found");
             }
 
+            // Set up chart mode buttons (line, candles, OHLC)
+            const chartModeButtons = document.querySelectorAll('[data-chart-mode]');
+            chartModeButtons.forEach(button => {
+                button.addEventListener('click', (e) => {
+                    this.setChartMode(e.currentTarget.dataset.chartMode);
+
+                    chartModeButtons.forEach(btn => btn.classList.remove('bg-blue-600'));
+                    e.currentTarget.classList.add('bg-blue-600');
+                });
+            });
+
+            const volumeToggle = document.getElementById('toggleVolume');
+            if (volumeToggle) {
+                volumeToggle.addEventListener('change', (e) => {
+                    this.showVolume = e.target.checked;
+                    this.drawGraph();
+                });
+            }
+
+            this.setupCanvasInteractions();
+
             // Set up quantity input listeners for buy/sell
             const buyQuantityInput = document.getElementById('inputStockBuyQuantity');
             if (buyQuantityInput) {
@@ -156,6 +210,92 @@ export default class SimulatorGraphController {
         }
     }
 
+    // Crosshair on hover, wheel to zoom, drag to pan, double-click to reset the view
+    setupCanvasInteractions() {
+        if (!this.canvas) return;
+
+        // The canvas is scaled by CSS; convert to canvas pixels
+        const toCanvasPoint = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left) * this.CANVAS_WIDTH / rect.width,
+                y: (e.clientY - rect.top) * this.CANVAS_HEIGHT / rect.height
+            };
+        };
+
+        this.canvasHandlers = {
+            mousemove: (e) => {
+                this.hover = toCanvasPoint(e);
+
+                if (this.drag) {
+                    const slotWidth = (this.CANVAS_WIDTH - 2 * this.GRAPH_PADDING) / this.drag.visibleCount;
+                    this.panTo(this.drag.offset + Math.round((this.hover.x - this.drag.x) / slotWidth));
+                }
+
+                this.drawGraph();
+            },
+            mouseleave: () => {
+                this.hover = null;
+                this.drag = null;
+                this.drawGraph();
+            },
+            mousedown: (e) => {
+                const bars = this.getBars();
+                this.drag = {
+                    x: toCanvasPoint(e).x,
+                    offset: this.view.offset,
+                    visibleCount: Math.max(1, this.getVisibleBars(bars).length)
+                };
+            },
+            mouseup: () => {
+                this.drag = null;
+            },
+            wheel: (e) => {
+                e.preventDefault();
+                this.zoom(e.deltaY < 0 ? 0.8 : 1.25);
+            },
+            dblclick: () => this.resetView()
+        };
+
+        Object.entries(this.canvasHandlers).forEach(([type, handler]) => {
+            this.canvas.addEventListener(type, handler, type === 'wheel' ? { passive: false } : undefined);
+        });
+    }
+
+    // Scale the number of visible bars, keeping the right edge where it is
+    zoom(factor) {
+        const total = this.getBars().length;
+        const current = Math.min(this.view.barCount || this.TIME_FRAMES[this.timeframe].bars, total);
+        const minBars = Math.min(this.MIN_VISIBLE_BARS, total);
+
+        this.view.barCount = Math.max(minBars, Math.min(total, Math.round(current * factor)));
+        this.panTo(this.view.offset);
+        this.drawGraph();
+    }
+
+    // Move the window to end a number of bars before the latest one
+    panTo(offset) {
+        const total = this.getBars().length;
+        const visible = Math.min(this.view.barCount || this.TIME_FRAMES[this.timeframe].bars, total);
+
+        this.view.offset = Math.max(0, Math.min(total - visible, offset));
+    }
+
+    resetView() {
+        this.view = { barCount: null, offset: 0 };
+        this.drawGraph();
+    }
+
+    setChartMode(mode) {
+        if (!this.CHART_MODES.includes(mode)) {
+            console.warn(`[SimulatorGraphController] Invalid chart mode: ${mode}`);
+            return;
+        }
+
+        this.chartMode = mode;
+        this.resetView();
+    }
+
     setFocusedStock(stockSymbol) {
         try {
             if (!stockSymbol) {
@@ -167,8 +307,10 @@ export default class SimulatorGraphController {
             const stock = this.getStock(stockSymbol);
             if (stock) {
                 this.focusedStock = stock;
+                this.view = { barCount: null, offset: 0 };
                 this.updateCurrentStockDisplay();
                 this.drawGraph();
+                this.loadDailyBars();
             } else {
                 console.warn(`[SimulatorGraphController] Stock with symbol ${stockSymbol} not found`);
             }
@@ -187,12 +329,13 @@ export default class SimulatorGraphController {
         );
     }
 
-    resetUpdateInterval() {
+    // Redraw whenever the market stream delivers new prices, throttled by the timeframe
+    subscribeToPriceUpdates() {
         try {
-            // Clear existing interval
-            if (this.updateInterval) {
-                clearInterval(this.updateInterval);
-                this.updateInterval = null;
+            // Drop the existing subscription
+            if (this.unsubscribePrices) {
+                this.unsubscribePrices();
+                this.unsubscribePrices = null;
             }
 
             // Validate timeframe
@@ -202,19 +345,24 @@ export default class SimulatorGraphController {
                 return;
             }
 
-            // Set new interval based on selected timeframe
-            this.updateInterval = setInterval(() => {
+            this.unsubscribePrices = marketService.onPricesUpdated(() => {
+                const now = Date.now();
+                if (now - this.lastUpdateTime < intervalConfig.interval) return;
+
+                this.lastUpdateTime = now;
                 this.updateAllStockPrices();
-            }, intervalConfig.interval);
+            });
 
             // Trigger immediate update
+            this.lastUpdateTime = Date.now();
             this.updateAllStockPrices();
         } catch (error) {
-            console.error("[SimulatorGraphController] Error in resetUpdateInterval:", error);
+            console.error("[SimulatorGraphController] Error in subscribeToPriceUpdates:", error);
         }
     }
 
-    // Update all stocks at once
+    // Refresh displays with the latest prices; prices themselves are moved by the
+    // server's market engine and applied by MarketService
     updateAllStockPrices() {
         try {
             if (!this.userProfile || !Array.isArray(this.userProfile.stocksAddedToSim) || 
@@ -222,13 +370,6 @@ export default class SimulatorGraphController {
                 return;
             }
 
-            // Update prices for all stocks in the simulation
-            this.userProfile.stocksAddedToSim.forEach(stock => {
-                if (stock && typeof stock.updatePrice === 'function') {
-                    stock.updatePrice();
-                }
-            });
-
             // Update displays only if a stock is currently focused
             if (this.focusedStock) {
                 this.updateCurrentStockDisplay();
@@ -328,7 +469,9 @@ export default class SimulatorGraphController {
             }
             
             this.timeframe = tf;
-            this.resetUpdateInterval(); // Reset update interval when timeframe changes
+            this.view = { barCount: null, offset: 0 };
+            this.subscribeToPriceUpdates(); // Resubscribe with the new timeframe's redraw rate
+            this.loadDailyBars();
         } catch (error) {
             console.error("[SimulatorGraphController] Error in setTimeframe:", error);
         }
@@ -387,23 +530,23 @@ export default class SimulatorGraphController {
             // Clear canvas
             this.ctx.clearRect(0, 0, this.CANVAS_WIDTH, this.CANVAS_HEIGHT);
 
-            // Get price history
-            const priceHistory = this.focusedStock.priceHistory;
-            if (!Array.isArray(priceHistory) || priceHistory.length === 0) {
+            const bars = this.getBars();
+            if (bars.length === 0) {
                 this.displayNoDataMessage();
                 return;
             }
 
-            // Filter out any non-numeric values
-            const validPrices = priceHistory.filter(price => typeof price === 'number' && !isNaN(price));
-            if (validPrices.length === 0) {
-                this.displayNoDataMessage();
-                return;
-            }
+            const visibleBars = this.getVisibleBars(bars);
+            const hasVolume = this.showVolume && visibleBars.some(bar => bar.volume > 0);
+            const layout = this.getLayout(hasVolume);
+
+            // Line mode only needs closes; bar modes span the full high-low range
+            const lows = visibleBars.map(bar => (this.chartMode === 'line' ? bar.close : bar.low));
+            const highs = visibleBars.map(bar => (this.chartMode === 'line' ? bar.close : bar.high));
 
             // Determine price range for y-axis
-            let minPrice = Math.min(...validPrices);
-            let maxPrice = Math.max(...validPrices);
+            let minPrice = Math.min(...lows);
+            let maxPrice = Math.max(...highs);
 
             // Handle the case where min and max are the same (flat line)
             if (minPrice === maxPrice) {
@@ -417,19 +560,141 @@ export default class SimulatorGraphController {
             maxPrice = maxPrice + pricePadding;
 
             // Draw grid lines and labels
-            this.drawGrid(minPrice, maxPrice);
+            this.drawGrid(minPrice, maxPrice, layout);
 
-            // Draw stock price line
-            this.drawPriceLine(validPrices, minPrice, maxPrice);
+            // Draw the price series in the selected mode
+            if (this.chartMode === 'candles') {
+                this.drawCandles(visibleBars, minPrice, maxPrice, layout);
+            } else if (this.chartMode === 'ohlc') {
+                this.drawOhlcBars(visibleBars, minPrice, maxPrice, layout);
+            } else {
+                this.drawPriceLine(visibleBars, minPrice, maxPrice, layout);
+            }
+
+            if (hasVolume) {
+                this.drawVolume(visibleBars, layout);
+            }
 
             // Draw time frame label
             this.drawTimeframeLabel();
+
+            this.drawCrosshair(visibleBars, minPrice, maxPrice, layout);
         } catch (error) {
             console.error("[SimulatorGraphController] Error in drawGraph:", error);
             this.displayErrorMessage();
         }
     }
 
+    // Bars for the current timeframe: daily OHLC rows from the server for 1W/1M, or
+    // the live ticks grouped into bars for 1D (and for guests, who have no daily data)
+    getBars() {
+        const timeframeConfig = this.TIME_FRAMES[this.timeframe];
+        const dailyBars = this.dailyBars.get(this.focusedStock.symbol);
+
+        if (timeframeConfig.source === 'daily' && Array.isArray(dailyBars) && dailyBars.length > 0) {
+            return this.withLiveBar(dailyBars);
+        }
+
+        const prices = (this.focusedStock.priceHistory || [])
+            .filter(price => typeof price === 'number' && !isNaN(price));
+        const ticksPerBar = this.chartMode === 'line' ? 1 : this.INTRADAY_BAR_TICKS;
+
+        const bars = [];
+        for (let i = 0; i < prices.length; i += ticksPerBar) {
+            const group = prices.slice(i, i + ticksPerBar);
+            const ticksAgo = prices.length - Math.min(i + ticksPerBar, prices.length);
+
+            bars.push({
+                label: ticksAgo === 0 ? 'Now' : `${ticksAgo} ticks ago`,
+                open: group[0],
+                high: Math.max(...group),
+                low: Math.min(...group),
+                close: group[group.length - 1],
+                volume: null
+            });
+        }
+
+        return bars;
+    }
+
+    // The last daily bar is today's (still trading) session; move it with the live price
+    withLiveBar(dailyBars) {
+        const marketPrice = this.focusedStock.marketPrice;
+        if (!marketPrice) return dailyBars;
+
+        const last = dailyBars[dailyBars.length - 1];
+        return [
+            ...dailyBars.slice(0, -1),
+            {
+                ...last,
+                high: Math.max(last.high, marketPrice),
+                low: Math.min(last.low, marketPrice),
+                close: marketPrice
+            }
+        ];
+    }
+
+    // Fetch the focused stock's daily OHLC rows (registered users only) and redraw
+    async loadDailyBars(symbol = this.focusedStock?.symbol, refresh = false) {
+        const username = this.userProfile?.username;
+        if (!symbol || !username || username === 'demo_user') return;
+        if (this.dailyBars.has(symbol) && !refresh) return;
+
+        try {
+            const stock = await this.dbService.getStock(username, symbol);
+
+            this.dailyBars.set(symbol, (stock.priceData || []).map(day => ({
+                label: new Date(day.date).toLocaleDateString(),
+                open: Number(day.open),
+                high: Number(day.high),
+                low: Number(day.low),
+                close: Number(day.close),
+                volume: Number(day.volume) || 0
+            })));
+
+            if (this.focusedStock && this.focusedStock.symbol === symbol) {
+                this.drawGraph();
+            }
+        } catch (error) {
+            console.error("[SimulatorGraphController] Error loading daily bars:", error);
+        }
+    }
+
+    // Bars inside the zoom/pan window; the default window is set by the timeframe
+    getVisibleBars(bars) {
+        const count = Math.min(this.view.barCount || this.TIME_FRAMES[this.timeframe].bars, bars.length);
+        const offset = Math.min(this.view.offset, bars.length - count);
+        const end = bars.length - offset;
+
+        return bars.slice(Math.max(0, end - count), end);
+    }
+
+    // Plot areas for the price pane and, if shown, the volume pane beneath it
+    getLayout(hasVolume) {
+        const top = this.GRAPH_PADDING;
+        const bottom = this.CANVAS_HEIGHT - this.GRAPH_PADDING;
+        const volumeHeight = hasVolume ? (bottom - top) * this.VOLUME_PANE_RATIO : 0;
+
+        return {
+            left: this.GRAPH_PADDING,
+            right: this.CANVAS_WIDTH - this.GRAPH_PADDING,
+            priceTop: top,
+            priceBottom: hasVolume ? bottom - volumeHeight - 10 : bottom,
+            volumeTop: bottom - volumeHeight,
+            volumeBottom: bottom
+        };
+    }
+
+    // Center x of a bar's slot
+    barX(index, count, layout) {
+        return layout.left + (index + 0.5) * (layout.right - layout.left) / count;
+    }
+
+    priceToY(price, minPrice, maxPrice, layout) {
+        return layout.priceBottom -
+            ((price - minPrice) / (maxPrice - minPrice) * (layout.priceBottom - layout.priceTop));
+    }
+
     displayNoDataMessage() {
         if (!this.ctx) return;
         
@@ -456,7 +721,7 @@ export default class SimulatorGraphController {
         );
     }
 
-    drawGrid(minPrice, maxPrice) {
+    drawGrid(minPrice, maxPrice, layout) {
         try {
             if (!this.ctx) return;
             
@@ -465,12 +730,12 @@ export default class SimulatorGraphController {
 
             // Draw horizontal grid lines
             for (let i = 0; i <= this.GRID_LINES; i++) {
-                const y = this.GRAPH_PADDING + (i * (this.CANVAS_HEIGHT - 2 * this.GRAPH_PADDING) / this.GRID_LINES);
+                const y = layout.priceTop + (i * (layout.priceBottom - layout.priceTop) / this.GRID_LINES);
 
                 // Draw grid line
                 this.ctx.beginPath();
-                this.ctx.moveTo(this.GRAPH_PADDING, y);
-                this.ctx.lineTo(this.CANVAS_WIDTH - this.GRAPH_PADDING, y);
+                this.ctx.moveTo(layout.left, y);
+                this.ctx.lineTo(layout.right, y);
                 this.ctx.stroke();
 
                 // Draw price label
@@ -478,18 +743,18 @@ export default class SimulatorGraphController {
                 this.ctx.fillStyle = "#6B7280"; // Gray-500
                 this.ctx.font = "12px Arial";
                 this.ctx.textAlign = "right";
-                this.ctx.fillText(`$${marketPrice.toFixed(2)}`, this.GRAPH_PADDING - 8, y + 4);
+                this.ctx.fillText(`$${marketPrice.toFixed(2)}`, layout.left - 8, y + 4);
             }
 
             // Draw vertical grid lines (time)
             const numVerticalLines = 4; // Including start and end
             for (let i = 0; i <= numVerticalLines; i++) {
-                const x = this.GRAPH_PADDING + (i * (this.CANVAS_WIDTH - 2 * this.GRAPH_PADDING) / numVerticalLines);
+                const x = layout.left + (i * (layout.right - layout.left) / numVerticalLines);
 
                 // Draw grid line
                 this.ctx.beginPath();
-                this.ctx.moveTo(x, this.GRAPH_PADDING);
-                this.ctx.lineTo(x, this.CANVAS_HEIGHT - this.GRAPH_PADDING);
+                this.ctx.moveTo(x, layout.priceTop);
+                this.ctx.lineTo(x, layout.volumeBottom);
                 this.ctx.stroke();
             }
         } catch (error) {
@@ -497,52 +762,36 @@ export default class SimulatorGraphController {
         }
     }
 
-    drawPriceLine(priceHistory, minPrice, maxPrice) {
+    drawPriceLine(bars, minPrice, maxPrice, layout) {
         try {
             if (!this.ctx) return;
-            if (priceHistory.length < 2) return;
-
-            // Calculate starting point for graph
-            const dataLength = priceHistory.length;
-            const startIndex = Math.max(0, dataLength - this.NUM_POINTS);
-            const visiblePrices = priceHistory.slice(startIndex);
+            if (bars.length < 2) return;
 
-            // Draw price line
+            // Draw price line through the closes
             this.ctx.strokeStyle = "#2563EB"; // Blue-600
             this.ctx.lineWidth = 3;
             this.ctx.beginPath();
 
-            for (let i = 0; i < visiblePrices.length; i++) {
-                const pointsToUse = Math.max(1, visiblePrices.length - 1);
-                const x = this.GRAPH_PADDING + (i * (this.CANVAS_WIDTH - 2 * this.GRAPH_PADDING) / pointsToUse);
-                
-                // Safely calculate y position
-                let y;
-                if (maxPrice === minPrice) {
-                    // Handle flat line case
-                    y = this.CANVAS_HEIGHT / 2;
-                } else {
-                    y = this.CANVAS_HEIGHT - this.GRAPH_PADDING -
-                        ((visiblePrices[i] - minPrice) / (maxPrice - minPrice) *
-                        (this.CANVAS_HEIGHT - 2 * this.GRAPH_PADDING));
-                }
+            bars.forEach((bar, i) => {
+                const x = this.barX(i, bars.length, layout);
+                const y = this.priceToY(bar.close, minPrice, maxPrice, layout);
 
                 if (i === 0) {
                     this.ctx.moveTo(x, y);
                 } else {
                     this.ctx.lineTo(x, y);
                 }
-            }
+            });
             this.ctx.stroke();
 
             // Add gradient fill underneath the line
-            const gradient = this.ctx.createLinearGradient(0, this.GRAPH_PADDING, 0, this.CANVAS_HEIGHT - this.GRAPH_PADDING);
+            const gradient = this.ctx.createLinearGradient(0, layout.priceTop, 0, layout.priceBottom);
             gradient.addColorStop(0, "rgba(37, 99, 235, 0.2)");  // Blue-600 with transparency
             gradient.addColorStop(1, "rgba(37, 99, 235, 0)");    // Transparent at bottom
 
             this.ctx.fillStyle = gradient;
-            this.ctx.lineTo(this.CANVAS_WIDTH - this.GRAPH_PADDING, this.CANVAS_HEIGHT - this.GRAPH_PADDING);
-            this.ctx.lineTo(this.GRAPH_PADDING, this.CANVAS_HEIGHT - this.GRAPH_PADDING);
+            this.ctx.lineTo(this.barX(bars.length - 1, bars.length, layout), layout.priceBottom);
+            this.ctx.lineTo(this.barX(0, bars.length, layout), layout.priceBottom);
             this.ctx.closePath();
             this.ctx.fill();
         } catch (error) {
@@ -550,6 +799,166 @@ export default class SimulatorGraphController {
         }
     }
 
+    // Candlesticks: a body from open to close and a wick from high to low
+    drawCandles(bars, minPrice, maxPrice, layout) {
+        try {
+            if (!this.ctx) return;
+
+            const slotWidth = (layout.right - layout.left) / bars.length;
+            const bodyWidth = Math.max(1, slotWidth * 0.6);
+
+            bars.forEach((bar, i) => {
+                const x = this.barX(i, bars.length, layout);
+                const color = bar.close >= bar.open ? this.UP_COLOR : this.DOWN_COLOR;
+                const openY = this.priceToY(bar.open, minPrice, maxPrice, layout);
+                const closeY = this.priceToY(bar.close, minPrice, maxPrice, layout);
+
+                this.ctx.strokeStyle = color;
+                this.ctx.fillStyle = color;
+                this.ctx.lineWidth = 1;
+
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, this.priceToY(bar.high, minPrice, maxPrice, layout));
+                this.ctx.lineTo(x, this.priceToY(bar.low, minPrice, maxPrice, layout));
+                this.ctx.stroke();
+
+                // Keep doji bodies visible
+                this.ctx.fillRect(x - bodyWidth / 2, Math.min(openY, closeY), bodyWidth, Math.max(1, Math.abs(closeY - openY)));
+            });
+        } catch (error) {
+            console.error("[SimulatorGraphController] Error in drawCandles:", error);
+        }
+    }
+
+    // OHLC bars: a high-low line with the open ticked left and the close ticked right
+    drawOhlcBars(bars, minPrice, maxPrice, layout) {
+        try {
+            if (!this.ctx) return;
+
+            const tickWidth = Math.max(2, (layout.right - layout.left) / bars.length * 0.3);
+
+            bars.forEach((bar, i) => {
+                const x = this.barX(i, bars.length, layout);
+                const openY = this.priceToY(bar.open, minPrice, maxPrice, layout);
+                const closeY = this.priceToY(bar.close, minPrice, maxPrice, layout);
+
+                this.ctx.strokeStyle = bar.close >= bar.open ? this.UP_COLOR : this.DOWN_COLOR;
+                this.ctx.lineWidth = 2;
+
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, this.priceToY(bar.high, minPrice, maxPrice, layout));
+                this.ctx.lineTo(x, this.priceToY(bar.low, minPrice, maxPrice, layout));
+                this.ctx.moveTo(x - tickWidth, openY);
+                this.ctx.lineTo(x, openY);
+                this.ctx.moveTo(x, closeY);
+                this.ctx.lineTo(x + tickWidth, closeY);
+                this.ctx.stroke();
+            });
+        } catch (error) {
+            console.error("[SimulatorGraphController] Error in drawOhlcBars:", error);
+        }
+    }
+
+    // Volume histogram in its own pane, colored by the bar's direction
+    drawVolume(bars, layout) {
+        try {
+            if (!this.ctx) return;
+
+            const maxVolume = Math.max(...bars.map(bar => bar.volume || 0));
+            if (maxVolume <= 0) return;
+
+            const slotWidth = (layout.right - layout.left) / bars.length;
+            const barWidth = Math.max(1, slotWidth * 0.6);
+            const paneHeight = layout.volumeBottom - layout.volumeTop;
+
+            bars.forEach((bar, i) => {
+                const height = (bar.volume || 0) / maxVolume * paneHeight;
+                this.ctx.fillStyle = bar.close >= bar.open ? "rgba(16, 185, 129, 0.5)" : "rgba(239, 68, 68, 0.5)";
+                this.ctx.fillRect(this.barX(i, bars.length, layout) - barWidth / 2, layout.volumeBottom - height, barWidth, height);
+            });
+
+            this.ctx.fillStyle = "#6B7280"; // Gray-500
+            this.ctx.font = "12px Arial";
+            this.ctx.textAlign = "right";
+            this.ctx.fillText(this.formatVolume(maxVolume), layout.left - 8, layout.volumeTop + 10);
+            this.ctx.fillText("Vol", layout.left - 8, layout.volumeBottom);
+        } catch (error) {
+            console.error("[SimulatorGraphController] Error in drawVolume:", error);
+        }
+    }
+
+    formatVolume(volume) {
+        if (volume >= 1e6) return `${(volume / 1e6).toFixed(1)}M`;
+        if (volume >= 1e3) return `${(volume / 1e3).toFixed(1)}K`;
+        return String(volume);
+    }
+
+    // Crosshair at the mouse, snapped to the nearest bar, with that bar's values in a tooltip
+    drawCrosshair(bars, minPrice, maxPrice, layout) {
+        try {
+            if (!this.ctx || !this.hover || bars.length === 0) return;
+
+            const { x, y } = this.hover;
+            if (x < layout.left || x > layout.right || y < layout.priceTop || y > layout.volumeBottom) return;
+
+            const slotWidth = (layout.right - layout.left) / bars.length;
+            const index = Math.min(bars.length - 1, Math.max(0, Math.floor((x - layout.left) / slotWidth)));
+            const bar = bars[index];
+            const barX = this.barX(index, bars.length, layout);
+
+            this.ctx.save();
+            this.ctx.strokeStyle = "#9CA3AF"; // Gray-400
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(barX, layout.priceTop);
+            this.ctx.lineTo(barX, layout.volumeBottom);
+            if (y <= layout.priceBottom) {
+                this.ctx.moveTo(layout.left, y);
+                this.ctx.lineTo(layout.right, y);
+            }
+            this.ctx.stroke();
+            this.ctx.restore();
+
+            // Price at the cursor on the right axis
+            if (y <= layout.priceBottom) {
+                const cursorPrice = maxPrice - (y - layout.priceTop) / (layout.priceBottom - layout.priceTop) * (maxPrice - minPrice);
+                this.ctx.fillStyle = "#374151"; // Gray-700
+                this.ctx.fillRect(layout.right, y - 9, this.GRAPH_PADDING, 18);
+                this.ctx.fillStyle = "#FFFFFF";
+                this.ctx.font = "12px Arial";
+                this.ctx.textAlign = "left";
+                this.ctx.fillText(`$${cursorPrice.toFixed(2)}`, layout.right + 4, y + 4);
+            }
+
+            const lines = this.chartMode === 'line' && bar.volume === null
+                ? [bar.label, `Price: $${bar.close.toFixed(2)}`]
+                : [
+                    bar.label,
+                    `O: $${bar.open.toFixed(2)}  H: $${bar.high.toFixed(2)}`,
+                    `L: $${bar.low.toFixed(2)}  C: $${bar.close.toFixed(2)}`
+                ];
+            if (bar.volume !== null) {
+                lines.push(`Vol: ${this.formatVolume(bar.volume)}`);
+            }
+
+            // Keep the tooltip inside the plot, flipping to the left of the crosshair near the edge
+            this.ctx.font = "12px Arial";
+            const width = Math.max(...lines.map(line => this.ctx.measureText(line).width)) + 16;
+            const height = lines.length * 16 + 8;
+            const boxX = barX + 12 + width > layout.right ? barX - 12 - width : barX + 12;
+            const boxY = layout.priceTop + 4;
+
+            this.ctx.fillStyle = "rgba(17, 24, 39, 0.85)"; // Gray-900
+            this.ctx.fillRect(boxX, boxY, width, height);
+            this.ctx.fillStyle = "#F9FAFB"; // Gray-50
+            this.ctx.textAlign = "left";
+            lines.forEach((line, i) => this.ctx.fillText(line, boxX + 8, boxY + 18 + i * 16));
+        } catch (error) {
+            console.error("[SimulatorGraphController] Error in drawCrosshair:", error);
+        }
+    }
+
     drawTimeframeLabel() {
         try {
             if (!this.ctx) return;
@@ -605,9 +1014,20 @@ export default class SimulatorGraphController {
     // (for example, when navigating away from the page)
     cleanup() {
         try {
-            if (this.updateInterval) {
-                clearInterval(this.updateInterval);
-                this.updateInterval = null;
+            if (this.unsubscribePrices) {
+                this.unsubscribePrices();
+                this.unsubscribePrices = null;
+            }
+
+            if (this.unsubscribeClock) {
+                this.unsubscribeClock();
+                this.unsubscribeClock = null;
+            }
+
+            if (this.canvas && this.canvasHandlers) {
+                Object.entries(this.canvasHandlers).forEach(([type, handler]) => {
+                    this.canvas.removeEventListener(type, handler);
+                });
             }
             
             // Additional cleanup
@@ -14,7 +14,12 @@ class Stock {
             this.marketPrice = 0.00;
             this.priceHistory = [];
             this.sector = '';
+            this.instrumentType = 'stock'; // 'fund' for funds, priced at their basket's NAV (see FundManager.js)
             this.volatility = 0.015; // Default volatility
+            this.priceModel = 'gbm'; // Server price model (gbm, jump_diffusion, mean_reverting)
+            this.modelParams = {};
+            this.marketBeta = 1; // Sensitivity to market and sector factor moves
+            this.sectorBeta = 1;
             this.currentSentiment = 0;
             this.previousClosePrice = 0.00;
             this.openPrice = 0.00;
@@ -23,27 +28,11 @@ class Stock {
     }
 
     /**
-     * Updates the stock price based on volatility and sentiment
+     * Applies a price received from the server's market engine
+     * @param {number} price - New market price
      */
-    updatePrice() {
-        const volatilityFactor = this.volatility || 0.015;
-        const sentimentFactor = this.currentSentiment || 0;
-
-        // Random daily percentage change based on volatility
-        const randomFactor = (Math.random() - 0.5) * 2 * volatilityFactor;
-        const marketFactor = sentimentFactor * 0.01;
-
-        // Calculate new price
-        const combinedEffect = randomFactor + marketFactor;
-        this.marketPrice *= (1 + combinedEffect);
-
-        // Ensure price doesn't go negative
-        this.marketPrice = Math.max(this.marketPrice, 0.01);
-
-        // Update previous close periodically
-        if (Math.random() < 0.1) { // 10% chance each update
-            this.previousClosePrice = this.marketPrice * (1 - (Math.random() * 0.02 - 0.01)); // Within ±1%
-        }
+    applyPrice(price) {
+        this.marketPrice = price;
 
         // Add to price history
         this.priceHistory.push(this.marketPrice);
@@ -55,8 +44,10 @@ class Stock {
     /**
      * Generates price history for the stock
      * @param {number} days - Number of days to generate
+     * @param {number|null} startPrice - Price to end the history at (defaults to the market price)
+     * @param {Function} random - Random generator; pass a seeded one for reproducible history
      */
-    setSimulatedPriceHistory(days = 30, startPrice = null) {
+    setSimulatedPriceHistory(days = 30, startPrice = null, random = Math.random) {
         // Use provided start price or current market price
         const initialPrice = startPrice || this.marketPrice || 100;
 
@@ -65,7 +56,7 @@ class Stock {
 
         // Create a trend bias (slight upward or downward trend)
         // This creates more realistic price movements than pure random walk
-        const trendBias = (Math.random() * 0.006) - 0.003; // Between -0.3% and +0.3% daily bias
+        const trendBias = (random() * 0.006) - 0.003; // Between -0.3% and +0.3% daily bias
 
         // Get volatility
         const volatility = this.volatility || 0.015;
@@ -79,7 +70,7 @@ class Stock {
 
             // Random daily percentage change based on volatility
             // We're generating backward in time, so we divide instead of multiply
-            const change = trendBias + (volatility * (Math.random() * 2 - 1));
+            const change = trendBias + (volatility * (random() * 2 - 1));
             price = price / (1 + change);
 
             // Keep prices reasonable (no negative prices)
@@ -1,4 +1,5 @@
 import Stock from 'src/client/js/Stock';
+import { simulationService } from './dbServices/SimulationService.js';
 
 export default class StockDataService {
     constructor() {
@@ -128,12 +129,15 @@ export default class StockDataService {
      * @private
      */
     _createDemoStock(symbol, presetData = null) {
+        // Each symbol draws from its own stream of the simulation seed
+        const random = simulationService.getRandom('demo', symbol);
+
         // Find preset data for this symbol or use default values
         const preset = presetData || this.sampleStockData.find(s => s.symbol === symbol) || {
             symbol: symbol,
             name: `${symbol} Corporation`,
-            sector: this._getRandomSector(),
-            price: 50 + Math.random() * 450
+            sector: this._getRandomSector(random),
+            price: 50 + random() * 450
         };
 
         // Create a new stock object
@@ -142,39 +146,20 @@ export default class StockDataService {
             companyName: preset.name,
             sector: preset.sector,
             marketPrice: preset.price,
-            previousClosePrice: preset.price * (0.98 + Math.random() * 0.04), // ±2%
-            openPrice: preset.price * (0.99 + Math.random() * 0.02), // ±1%
+            previousClosePrice: preset.price * (0.98 + random() * 0.04), // ±2%
+            openPrice: preset.price * (0.99 + random() * 0.02), // ±1%
             highestPrice: preset.price * 1.02,
             lowestPrice: preset.price * 0.98,
-            volume: Math.floor(100000 + Math.random() * 9900000),
-            currentSentiment: (Math.random() * 2 - 1) * 0.5, // -0.5 to 0.5
-            volatility: 0.01 + Math.random() * 0.03, // 1-4% volatility
+            volume: Math.floor(100000 + random() * 9900000),
+            currentSentiment: (random() * 2 - 1) * 0.5, // -0.5 to 0.5
+            volatility: 0.01 + random() * 0.03, // 1-4% volatility
 
             // Generate price history
-            priceHistory: this._generatePriceHistory(preset.price, 50),
-
-            // Update price method
-            updatePrice: function () {
-                // Calculate price change
-                const volatilityFactor = this.volatility || 0.015;
-                const sentimentFactor = this.currentSentiment || 0;
-
-                // Combine random movement, volatility, and sentiment
-                const randomChange = (Math.random() * 2 - 1) * volatilityFactor;
-                const sentimentChange = sentimentFactor * 0.005; // Sentiment has smaller effect
-
-                // Calculate percentage change
-                const percentChange = randomChange + sentimentChange;
-                const priceChange = this.marketPrice * percentChange;
+            priceHistory: this._generatePriceHistory(preset.price, 50, random),
 
-                // Update price
-                this.marketPrice += priceChange;
-
-                // Ensure price doesn't go negative
-                this.marketPrice = Math.max(this.marketPrice, 0.01);
-
-                // Decay sentiment slightly each update
-                this.currentSentiment *= 0.95;
+            // Apply a price from the server's market engine
+            applyPrice: function (price) {
+                this.marketPrice = price;
 
                 // Update price history
                 this.priceHistory.push(this.marketPrice);
@@ -206,17 +191,18 @@ export default class StockDataService {
      * Generate simulated price history
      * @param {number} currentPrice - Current stock price
      * @param {number} days - Number of days of history to generate
+     * @param {Function} [random] - Random number generator
      * @returns {Array<number>} - Array of historical prices
      * @private
      */
-    _generatePriceHistory(currentPrice, days = 50) {
+    _generatePriceHistory(currentPrice, days = 50, random = Math.random) {
         const history = [];
         let price = currentPrice;
 
         // Work backwards to create price history
         for (let i = 0; i < days; i++) {
             // Add small random change
-            const change = price * (Math.random() * 0.04 - 0.02); // ±2%
+            const change = price * (random() * 0.04 - 0.02); // ±2%
             price = price - change; // Go backwards in time
 
             // Ensure price doesn't go negative
@@ -234,16 +220,17 @@ export default class StockDataService {
 
     /**
      * Get a random sector for a stock
+     * @param {Function} [random] - Random number generator
      * @returns {string} - Sector name
      * @private
      */
-    _getRandomSector() {
+    _getRandomSector(random = Math.random) {
         const sectors = [
             "Technology", "Healthcare", "Financial Services",
             "Consumer Goods", "Energy", "Telecommunications",
             "Real Estate", "Utilities", "Materials", "Industrials"
         ];
-        return sectors[Math.floor(Math.random() * sectors.length)];
+        return sectors[Math.floor(random() * sectors.length)];
     }
 
     /**
@@ -305,7 +292,10 @@ export default class StockDataService {
             { headline: 'Consumer Confidence Index Rises', company: null, weight: 0.01 },
             { headline: 'Healthcare Stocks React to Policy Changes', company: null, weight: 0.00 }
         ];
-        return legacy.sort(() => 0.5 - Math.random())
+
+        // One stream for all fallback news, so successive picks differ but follow the seed
+        this.newsRandom = this.newsRandom || simulationService.getRandom('news', 'legacy');
+        return legacy.sort(() => 0.5 - this.newsRandom())
             .slice(0, 3)
             .map(item => ({ ...item, timestamp: new Date() }));
     }
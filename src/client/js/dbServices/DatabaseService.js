@@ -171,6 +171,141 @@ export default class DatabaseService {
         }
     }
 
+    /**
+     * Get a portfolio's daily closing values with its return, volatility and Sharpe ratio
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     */
+    async getPortfolioPerformance(username, portfolioId) {
+        try {
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/performance`, 'GET');
+        } catch (error) {
+            console.error('Failed to get portfolio performance:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a portfolio's realized, unrealized and total P&L per symbol
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     * @param {Object} [range] - { from, to } (YYYY-MM-DD) limiting realized P&L to lots closed in that range
+     */
+    async getPortfolioPnl(username, portfolioId, { from, to } = {}) {
+        try {
+            const params = new URLSearchParams();
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+            const query = params.toString() ? `?${params}` : '';
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/pnl${query}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get portfolio P&L:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a portfolio's target allocation
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     */
+    async getAllocation(username, portfolioId) {
+        try {
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/allocation`, 'GET');
+        } catch (error) {
+            console.error('Failed to get target allocation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set a portfolio's target allocation
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     * @param {Object} allocation - { allocationType: 'symbol'|'sector', driftThreshold, targets: [{ key, weight }] }
+     */
+    async setAllocation(username, portfolioId, allocation) {
+        try {
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/allocation`, 'PUT', allocation);
+        } catch (error) {
+            console.error('Failed to set target allocation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a portfolio's target allocation
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     */
+    async removeAllocation(username, portfolioId) {
+        try {
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/allocation`, 'DELETE');
+        } catch (error) {
+            console.error('Failed to remove target allocation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Preview the trades that return a portfolio to its target allocation, with estimated costs
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     */
+    async previewRebalance(username, portfolioId) {
+        try {
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/rebalance`, 'GET');
+        } catch (error) {
+            console.error('Failed to preview rebalance:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rebalance a portfolio to target as one all-or-nothing basket
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     * @param {boolean} [force] - Rebalance even if no weight has drifted past the threshold
+     */
+    async executeRebalance(username, portfolioId, force = false) {
+        try {
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/rebalance`, 'POST', { force });
+        } catch (error) {
+            console.error('Failed to rebalance portfolio:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a portfolio's deposits and withdrawals and its total contributions
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     */
+    async getCashLedger(username, portfolioId) {
+        try {
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/cash`, 'GET');
+        } catch (error) {
+            console.error('Failed to get cash ledger:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Deposit cash into a portfolio or withdraw it
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     * @param {string} type - 'DEPOSIT' or 'WITHDRAWAL'
+     * @param {number} amount - Dollars
+     */
+    async recordCashTransfer(username, portfolioId, type, amount) {
+        try {
+            return await this.sendRequest(`portfolios/${username}/${portfolioId}/cash`, 'POST', { type, amount });
+        } catch (error) {
+            console.error('Failed to move cash:', error);
+            throw error;
+        }
+    }
+
     /**
      * Create a new portfolio
      * @param {string} username - Username
@@ -277,7 +412,7 @@ export default class DatabaseService {
     /**
      * Add a custom stock
      * @param {string} username - Username
-     * @param {object} stockData - Stock data (symbol, companyName, sector, initialPrice, volatility)
+     * @param {object} stockData - Stock data (symbol, companyName, sector, initialPrice, volatility, priceModel, modelParams, marketBeta, sectorBeta)
      */
     async addCustomStock(username, stockData) {
         try {
@@ -288,6 +423,235 @@ export default class DatabaseService {
         }
     }
 
+    /**
+     * Get all funds for a user (system sector and market funds plus their own)
+     * @param {string} username - Username
+     */
+    async getFunds(username) {
+        try {
+            return await this.sendRequest(`funds/${username}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get funds:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a fund with its constituents valued at current prices
+     * @param {string} username - Username
+     * @param {string} symbol - Fund symbol
+     */
+    async getFund(username, symbol) {
+        try {
+            return await this.sendRequest(`funds/${username}/${symbol}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get fund:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List a custom fund (deleted like a custom stock, with deleteCustomStock)
+     * @param {string} username - Username
+     * @param {object} fundData - symbol, companyName, constituents ([{ symbol, weight }], weights relative) and initialNav
+     */
+    async addFund(username, fundData) {
+        try {
+            return await this.sendRequest(`funds/${username}`, 'POST', fundData);
+        } catch (error) {
+            console.error('Failed to add fund:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change a stock's price model
+     * @param {string} username - Username
+     * @param {string} symbol - Stock symbol
+     * @param {string} priceModel - Model name ('gbm', 'jump_diffusion', 'mean_reverting')
+     * @param {object} modelParams - Model parameters; omitted ones use the model defaults
+     */
+    async updateStockModel(username, symbol, priceModel, modelParams = {}) {
+        try {
+            return await this.sendRequest(`stocks/${username}/${symbol}/model`, 'PUT', { priceModel, modelParams });
+        } catch (error) {
+            console.error('Failed to update price model:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the market clock (simulated time, session and the next open and close)
+     */
+    async getMarketClock() {
+        try {
+            return await this.sendRequest('market/clock', 'GET');
+        } catch (error) {
+            console.error('Failed to get market clock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the running market session (seed, start tick and start time)
+     */
+    async getMarketSession() {
+        try {
+            return await this.sendRequest('market/session', 'GET');
+        } catch (error) {
+            console.error('Failed to get market session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replay a market session tick for tick from its starting state
+     * @param {string} username - Username
+     * @param {number} ticks - Number of ticks to replay
+     * @param {object} options - Optional seed (to re-run under another seed) and sessionId (defaults to the running session)
+     */
+    async replayMarket(username, ticks, { seed = null, sessionId = null } = {}) {
+        try {
+            const params = new URLSearchParams({ ticks });
+            if (seed) params.set('seed', seed);
+            if (sessionId !== null) params.set('sessionId', sessionId);
+
+            return await this.sendRequest(`market/${username}/replay?${params}`, 'GET');
+        } catch (error) {
+            console.error('Failed to replay market session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change how strongly a stock follows the market and its sector
+     * @param {string} username - Username
+     * @param {string} symbol - Stock symbol
+     * @param {object} betas - marketBeta and/or sectorBeta (0-3)
+     */
+    async updateStockBetas(username, symbol, betas) {
+        try {
+            return await this.sendRequest(`stocks/${username}/${symbol}/betas`, 'PUT', betas);
+        } catch (error) {
+            console.error('Failed to update stock betas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the dividends and splits scheduled or applied on a stock
+     * @param {string} username - Username
+     * @param {string} symbol - Stock symbol
+     */
+    async getCorporateActions(username, symbol) {
+        try {
+            return await this.sendRequest(`stocks/${username}/${symbol}/actions`, 'GET');
+        } catch (error) {
+            console.error('Failed to get corporate actions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule a dividend or split (custom stocks by their owner, system stocks by admins)
+     * @param {string} username - Username
+     * @param {string} symbol - Stock symbol
+     * @param {object} action - actionType ('dividend' or 'split'), exDate (YYYY-MM-DD) and either
+     *                          amount per share or splitTo and splitFrom (e.g. 2 and 1 for 2-for-1)
+     */
+    async scheduleCorporateAction(username, symbol, action) {
+        try {
+            return await this.sendRequest(`stocks/${username}/${symbol}/actions`, 'POST', action);
+        } catch (error) {
+            console.error('Failed to schedule corporate action:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a corporate action that hasn't been applied yet
+     * @param {string} username - Username
+     * @param {string} symbol - Stock symbol
+     * @param {number} actionId - Action ID
+     */
+    async cancelCorporateAction(username, symbol, actionId) {
+        try {
+            return await this.sendRequest(`stocks/${username}/${symbol}/actions/${actionId}`, 'DELETE');
+        } catch (error) {
+            console.error('Failed to cancel corporate action:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move the whole market or one sector on the next tick (admin only)
+     * @param {string|null} sector - Sector name, or null for the whole market
+     * @param {number} size - Log return, e.g. -0.05 for roughly -5%
+     */
+    async applyMarketShock(sector, size) {
+        try {
+            return await this.sendRequest('market/shocks', 'POST', { sector, size });
+        } catch (error) {
+            console.error('Failed to apply market shock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a stock's level-2 order book. Signed-in users see the book their own trading
+     * costs shape; guests (no username) see system stocks at the default costs.
+     * @param {string|null} username - Username, or null for a guest
+     * @param {string} symbol - Stock symbol
+     */
+    async getOrderBook(username, symbol) {
+        try {
+            const path = username ? `market/${username}/book/${symbol}` : `market/book/${symbol}`;
+            return await this.sendRequest(path, 'GET');
+        } catch (error) {
+            console.error('Failed to get order book:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get recent market events (market-wide plus the user's custom stocks)
+     * @param {string} username - Username
+     * @param {number} limit - Number of events to return
+     */
+    async getMarketEvents(username, limit = 20) {
+        try {
+            return await this.sendRequest(`market/${username}/events?limit=${limit}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get market events:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fire a market event now (admins only)
+     * @param {string} eventType - crash, rally, earnings, halt or rotation
+     */
+    async triggerMarketEvent(eventType) {
+        try {
+            return await this.sendRequest('market/events', 'POST', { eventType });
+        } catch (error) {
+            console.error('Failed to trigger market event:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the available price models and their parameters
+     */
+    async getPriceModels() {
+        try {
+            return await this.sendRequest('market/models', 'GET');
+        } catch (error) {
+            console.error('Failed to get price models:', error);
+            throw error;
+        }
+    }
+
     /**
      * Delete a custom stock
      * @param {string} username - Username
@@ -302,6 +666,22 @@ export default class DatabaseService {
         }
     }
 
+    /**
+     * Get current market prices and any ticks after a tick ID
+     * @param {string|null} username - Username (null for system stocks only)
+     * @param {number|null} since - Last tick ID seen, or null for a fresh snapshot
+     */
+    async getMarketPrices(username, since = null) {
+        try {
+            const endpoint = username ? `market/${username}/prices` : 'market/prices';
+            const query = since !== null ? `?since=${since}` : '';
+            return await this.sendRequest(`${endpoint}${query}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get market prices:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get all transactions for a user
      * @param {string} username - Username
@@ -330,8 +710,50 @@ export default class DatabaseService {
     }
 
     /**
-     * Execute a buy/sell transaction
-     * @param {object} transactionData - Transaction data
+     * Get the years a portfolio has capital gains statements for
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     */
+    async getTaxReportYears(username, portfolioId) {
+        try {
+            return await this.sendRequest(`transactions/${username}/${portfolioId}/tax-report`, 'GET');
+        } catch (error) {
+            console.error('Failed to get tax report years:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a portfolio's capital gains statement for a year
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     * @param {number} year - Simulated year the sales closed in
+     */
+    async getTaxReport(username, portfolioId, year) {
+        try {
+            return await this.sendRequest(`transactions/${username}/${portfolioId}/tax-report/${year}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get tax report:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * URL of a capital gains statement to download or print; the session cookie authenticates it
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     * @param {number} year - Simulated year the sales closed in
+     * @param {string} format - 'csv' or 'html'
+     */
+    getTaxReportUrl(username, portfolioId, year, format) {
+        return `${this.baseUrl}/transactions/${username}/${portfolioId}/tax-report/${year}?format=${format}`;
+    }
+
+    /**
+     * Execute a buy/sell transaction priced from the server's market price; the response's
+     * price includes spread and slippage, and its fee is the commission and fees charged
+     * @param {object} transactionData - Transaction data (portfolioId, symbol, transactionType, and a quantity
+     *                                    of shares (fractions allowed) or a dollar amount)
      */
     async executeTransaction(transactionData) {
         try {
@@ -342,6 +764,20 @@ export default class DatabaseService {
         }
     }
 
+    /**
+     * Place a basket order: market buys and sells across symbols that all fill in full or none do
+     * @param {string} portfolioId - Portfolio ID
+     * @param {Array<object>} legs - Legs ({ symbol, transactionType, and a quantity or dollar amount })
+     */
+    async executeBasket(portfolioId, legs) {
+        try {
+            return await this.sendRequest('transactions/basket', 'POST', { portfolioId, legs });
+        } catch (error) {
+            console.error('Failed to execute basket order:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get transaction statistics
      * @param {string} username - Username
@@ -355,6 +791,207 @@ export default class DatabaseService {
         }
     }
 
+    /**
+     * Get limit orders for a user
+     * @param {string} username - Username
+     * @param {object} filters - Optional filters (status, portfolioId)
+     */
+    async getLimitOrders(username, filters = {}) {
+        try {
+            const query = new URLSearchParams(filters).toString();
+            return await this.sendRequest(`limit-orders/${username}${query ? `?${query}` : ''}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get limit orders:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a limit order
+     * @param {string} username - Username
+     * @param {object} orderData - Order data (portfolioId, symbol, type, orderType, quantity,
+     *   targetPrice, stopPrice, trailType, trailValue, expiration)
+     */
+    async createLimitOrder(username, orderData) {
+        try {
+            return await this.sendRequest(`limit-orders/${username}`, 'POST', orderData);
+        } catch (error) {
+            console.error('Failed to create limit order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a one-cancels-the-other bracket (take-profit + stop-loss or trailing-stop) on a position
+     * @param {string} username - Username
+     * @param {object} bracketData - Bracket data (portfolioId, symbol, quantity, takeProfitPrice,
+     *   stopPrice or trailType/trailValue, expiration)
+     */
+    async createBracketOrder(username, bracketData) {
+        try {
+            return await this.sendRequest(`limit-orders/${username}/bracket`, 'POST', bracketData);
+        } catch (error) {
+            console.error('Failed to create bracket order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update an active limit order
+     * @param {string} username - Username
+     * @param {string} orderId - Order ID
+     * @param {object} updateData - Data to update (quantity, targetPrice, stopPrice, trailValue, expiration)
+     */
+    async updateLimitOrder(username, orderId, updateData) {
+        try {
+            return await this.sendRequest(`limit-orders/${username}/${orderId}`, 'PUT', updateData);
+        } catch (error) {
+            console.error('Failed to update limit order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a limit order
+     * @param {string} username - Username
+     * @param {string} orderId - Order ID
+     */
+    async cancelLimitOrder(username, orderId) {
+        try {
+            return await this.sendRequest(`limit-orders/${username}/${orderId}`, 'DELETE');
+        } catch (error) {
+            console.error('Failed to cancel limit order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a stock's option chain: listed expiries with call and put quotes and greeks by strike
+     * @param {string} username - Username
+     * @param {string} symbol - Stock symbol
+     */
+    async getOptionChain(username, symbol) {
+        try {
+            return await this.sendRequest(`options/${username}/chain/${symbol}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get option chain:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a portfolio's open option positions
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     */
+    async getOptionPositions(username, portfolioId) {
+        try {
+            return await this.sendRequest(`options/${username}/positions/${portfolioId}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get option positions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a portfolio's option trades and expiry settlements
+     * @param {string} username - Username
+     * @param {string} portfolioId - Portfolio ID
+     */
+    async getOptionTrades(username, portfolioId) {
+        try {
+            return await this.sendRequest(`options/${username}/trades/${portfolioId}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get option trades:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Buy or sell option contracts at the current quote
+     * @param {string} username - Username
+     * @param {object} trade - portfolioId, contractId, side ('buy' or 'sell') and quantity in whole contracts
+     */
+    async tradeOption(username, trade) {
+        try {
+            return await this.sendRequest(`options/${username}/trade`, 'POST', trade);
+        } catch (error) {
+            console.error('Failed to trade option:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's recurring investment schedules with their latest runs
+     * @param {string} username - Username
+     */
+    async getSchedules(username) {
+        try {
+            return await this.sendRequest(`schedules/${username}`, 'GET');
+        } catch (error) {
+            console.error('Failed to get schedules:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every run of a recurring investment schedule
+     * @param {string} username - Username
+     * @param {number} scheduleId - Schedule ID
+     */
+    async getScheduleRuns(username, scheduleId) {
+        try {
+            return await this.sendRequest(`schedules/${username}/${scheduleId}/runs`, 'GET');
+        } catch (error) {
+            console.error('Failed to get schedule runs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a recurring investment schedule
+     * @param {string} username - Username
+     * @param {object} scheduleData - portfolioId, symbol, amount in dollars, frequency ('daily', 'weekly',
+     *                                'biweekly' or 'monthly') and optional nextRunDate (YYYY-MM-DD)
+     */
+    async createSchedule(username, scheduleData) {
+        try {
+            return await this.sendRequest(`schedules/${username}`, 'POST', scheduleData);
+        } catch (error) {
+            console.error('Failed to create schedule:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Edit, pause or resume a recurring investment schedule
+     * @param {string} username - Username
+     * @param {number} scheduleId - Schedule ID
+     * @param {object} updateData - amount, frequency, status ('active' or 'paused') and/or nextRunDate
+     */
+    async updateSchedule(username, scheduleId, updateData) {
+        try {
+            return await this.sendRequest(`schedules/${username}/${scheduleId}`, 'PUT', updateData);
+        } catch (error) {
+            console.error('Failed to update schedule:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a recurring investment schedule
+     * @param {string} username - Username
+     * @param {number} scheduleId - Schedule ID
+     */
+    async deleteSchedule(username, scheduleId) {
+        try {
+            return await this.sendRequest(`schedules/${username}/${scheduleId}`, 'DELETE');
+        } catch (error) {
+            console.error('Failed to delete schedule:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get simulation settings
      * @param {string} username - Username
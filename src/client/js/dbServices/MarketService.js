@@ -0,0 +1,248 @@
+// src/client/js/MarketService.js
+import DatabaseService from './DatabaseService.js';
+import { streamService } from './StreamService.js';
+
+/**
+ * Apply a server price to a stock object and record it in its price history
+ * @param {Object} stock - Stock object
+ * @param {number} price - New market price
+ */
+export function applyMarketPrice(stock, price) {
+    stock.marketPrice = price;
+
+    if (!Array.isArray(stock.priceHistory)) {
+        stock.priceHistory = [];
+    }
+
+    stock.priceHistory.push(price);
+    if (stock.priceHistory.length > 100) {
+        stock.priceHistory.shift();
+    }
+}
+
+/**
+ * Service that keeps local stock objects in sync with the server's market engine.
+ * Prices only move on the server; every tab receives the same ticks over the event
+ * stream (or by polling where EventSource isn't available), so they all agree.
+ */
+export default class MarketService {
+    constructor() {
+        this.dbService = new DatabaseService();
+        this.stocks = [];
+        this.username = null;
+        this.lastTickId = null;
+        this.seed = null;
+        this.clock = null;
+        this.pollInterval = null;
+        this.isPolling = false;
+
+        // Ticks streamed in before the first snapshot arrived
+        this.pendingTicks = [];
+        this.streamUnsubscribers = [];
+
+        // Listeners for price updates and market clock changes
+        this.priceUpdateListeners = [];
+        this.clockListeners = [];
+    }
+
+    /**
+     * Start following market prices for a set of stocks
+     * @param {Array<Object>} stocks - Stock objects to keep updated (mutated in place)
+     * @param {string|null} username - Username for custom stocks; null for system stocks only
+     * @param {number} intervalMs - Polling interval in milliseconds
+     */
+    start(stocks, username = null, intervalMs = 1000) {
+        this.stop();
+
+        this.stocks = stocks;
+        this.username = username;
+        this.lastTickId = null;
+        this.pendingTicks = [];
+
+        if (streamService.isSupported()) {
+            streamService.connect(username);
+            this.streamUnsubscribers = [
+                streamService.on('ticks', ({ ticks }) => this.applyTicks(ticks)),
+                streamService.on('clock', clock => this.applyClock(clock)),
+                // Ex-dividend and split prices are set outside a tick
+                streamService.on('corporate_action', () => this.poll()),
+                // The stream lost events; fetch the missing ticks from the database
+                streamService.on('resync', () => this.poll())
+            ];
+        } else {
+            this.pollInterval = setInterval(() => this.poll(), intervalMs);
+        }
+
+        // Initial snapshot
+        this.poll();
+    }
+
+    /**
+     * Stop following prices
+     */
+    stop() {
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+
+        this.streamUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.streamUnsubscribers = [];
+    }
+
+    /**
+     * Apply streamed ticks that are newer than what we already have
+     * @param {Array<Object>} ticks - Ticks ({ tickId, symbol, price }) in order
+     */
+    applyTicks(ticks) {
+        // Hold on to them until the snapshot tells us where we are
+        if (this.lastTickId === null) {
+            this.pendingTicks.push(...ticks);
+            return;
+        }
+
+        const stocksBySymbol = new Map(this.stocks.map(stock => [stock.symbol, stock]));
+        const newTicks = ticks.filter(tick => tick.tickId > this.lastTickId);
+        if (newTicks.length === 0) return;
+
+        newTicks.forEach(({ symbol, price }) => {
+            const stock = stocksBySymbol.get(symbol);
+            if (stock) applyMarketPrice(stock, price);
+        });
+
+        this.lastTickId = newTicks[newTicks.length - 1].tickId;
+        this.notifyPricesUpdated();
+    }
+
+    /**
+     * Apply a market clock change; at the daily close every stock's price becomes its previous close
+     * @param {Object} clock - Clock state ({ session, tradingDate, isOpen, nextOpen, nextClose, dayClosed })
+     */
+    applyClock(clock) {
+        if (clock.dayClosed) {
+            this.stocks.forEach(stock => {
+                stock.previousClosePrice = stock.marketPrice;
+            });
+        }
+
+        const sessionChanged = !this.clock || this.clock.session !== clock.session;
+        this.clock = clock;
+
+        if (sessionChanged) {
+            this.clockListeners.forEach(listener => listener(clock));
+        }
+    }
+
+    /**
+     * Whether the regular session is open (orders placed now fill immediately)
+     * @returns {boolean} True while the market is open; assumed open until the first snapshot
+     */
+    isMarketOpen() {
+        return this.clock ? this.clock.isOpen : true;
+    }
+
+    /**
+     * Fetch a snapshot (first call) or the ticks since the last one we applied
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        // Skip if the previous request hasn't returned yet
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        try {
+            const snapshot = await this.dbService.getMarketPrices(this.username, this.lastTickId);
+            const stocksBySymbol = new Map(this.stocks.map(stock => [stock.symbol, stock]));
+
+            if (this.lastTickId === null) {
+                // First poll: jump straight to the current prices and the server's last close
+                snapshot.prices.forEach(({ symbol, marketPrice, previousClosePrice, haltedUntil }) => {
+                    const stock = stocksBySymbol.get(symbol);
+                    if (!stock) return;
+
+                    applyMarketPrice(stock, marketPrice);
+                    if (previousClosePrice) stock.previousClosePrice = previousClosePrice;
+                    stock.haltedUntil = haltedUntil;
+                });
+            } else {
+                // Replay every tick so charts don't skip points after a slow poll
+                snapshot.ticks.forEach(({ symbol, price }) => {
+                    const stock = stocksBySymbol.get(symbol);
+                    if (stock) applyMarketPrice(stock, price);
+                });
+            }
+
+            this.seed = snapshot.seed;
+            if (snapshot.clock) this.applyClock(snapshot.clock);
+            this.lastTickId = snapshot.ticks.length > 0
+                ? snapshot.ticks[snapshot.ticks.length - 1].tickId
+                : snapshot.lastTickId;
+
+            this.notifyPricesUpdated();
+
+            // Anything streamed while the snapshot was in flight
+            if (this.pendingTicks.length > 0) {
+                const pendingTicks = this.pendingTicks;
+                this.pendingTicks = [];
+                this.applyTicks(pendingTicks);
+            }
+        } catch (error) {
+            console.error('Failed to poll market prices:', error);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Add a listener for price updates
+     * @param {Function} listener - Callback function, called with the updated stocks
+     * @returns {Function} Function to remove the listener
+     */
+    onPricesUpdated(listener) {
+        if (typeof listener !== 'function') {
+            console.error('onPricesUpdated requires a function callback');
+            return () => {};
+        }
+
+        this.priceUpdateListeners.push(listener);
+
+        // Return unsubscribe function
+        return () => {
+            this.priceUpdateListeners = this.priceUpdateListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Add a listener for market clock changes (session opens and closes)
+     * @param {Function} listener - Callback function, called with the clock state
+     * @returns {Function} Function to remove the listener
+     */
+    onClockChanged(listener) {
+        if (typeof listener !== 'function') {
+            console.error('onClockChanged requires a function callback');
+            return () => {};
+        }
+
+        this.clockListeners.push(listener);
+
+        // Return unsubscribe function
+        return () => {
+            this.clockListeners = this.clockListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Notify all listeners that prices changed
+     */
+    notifyPricesUpdated() {
+        this.priceUpdateListeners.forEach(listener => {
+            if (typeof listener === 'function') {
+                listener(this.stocks);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const marketService = new MarketService();
+export { marketService };
@@ -94,9 +94,15 @@ export default class PortfolioService {
      * @param {string} name - Portfolio name
      * @param {string} description - Portfolio description
      * @param {number} initialBalance - Initial cash balance
+     * @param {boolean} marginEnabled - Allow borrowing and short selling
+     * @param {boolean} dripEnabled - Reinvest dividends in the stock that paid them
+     * @param {string} optionSettlement - Settle in-the-money options in 'cash' or by 'exercise' into stock
+     * @param {boolean} sweepEnabled - Sweep idle cash into the money-market fund for the full risk-free rate
+     * @param {string} lotMethod - Tax lots sells close: 'fifo', 'lifo', 'highest_cost' or 'specific'
      * @returns {Promise<Object>} Created portfolio
      */
-    async createPortfolio(name, description = '', initialBalance = 500) {
+    async createPortfolio(name, description = '', initialBalance = 500, marginEnabled = false, dripEnabled = false,
+                          optionSettlement = 'cash', sweepEnabled = false, lotMethod = 'fifo') {
         try {
             const user = await getCurrentUser();
             if (!user) {
@@ -106,7 +112,12 @@ export default class PortfolioService {
             const portfolioData = {
                 name,
                 description,
-                initialBalance
+                initialBalance,
+                marginEnabled,
+                dripEnabled,
+                optionSettlement,
+                sweepEnabled,
+                lotMethod
             };
 
             const newPortfolio = await this.dbService.createPortfolio(user.username, portfolioData);
@@ -124,7 +135,8 @@ export default class PortfolioService {
     /**
      * Update a portfolio
      * @param {string} portfolioId - Portfolio ID
-     * @param {object} updateData - Data to update (name, description)
+     * @param {object} updateData - Data to update (name, description, marginEnabled, dripEnabled, sweepEnabled,
+     *                              optionSettlement, lotMethod, maxOrderQuantity, maxOrderValue, maxPositionPercent)
      * @returns {Promise<Object>} Update result
      */
     async updatePortfolio(portfolioId, updateData) {
@@ -248,10 +260,9 @@ export default class PortfolioService {
      * Buy stock for the current portfolio
      * @param {string} symbol - Stock symbol
      * @param {number} quantity - Number of shares to buy
-     * @param {number} price - Price per share
-     * @returns {Promise<Object>} Transaction result
+     * @returns {Promise<Object>} Transaction result (filled at the server's market price), or { queued: true, orderId } while the market is closed
      */
-    async buyStock(symbol, quantity, price) {
+    async buyStock(symbol, quantity) {
         try {
             if (!this.currentPortfolio) {
                 throw new Error('No active portfolio');
@@ -261,12 +272,16 @@ export default class PortfolioService {
                 portfolioId: this.currentPortfolio.portfolioID,
                 symbol,
                 transactionType: 'BUY',
-                quantity,
-                price
+                quantity
             };
 
             const result = await this.dbService.executeTransaction(transactionData);
 
+            // Market closed: the order is queued and fills at the open
+            if (result.queued) {
+                return result;
+            }
+
             // Update portfolio with new balance
             this.currentPortfolio.balance = result.newBalance;
 
@@ -284,18 +299,17 @@ export default class PortfolioService {
      * Sell stock from the current portfolio
      * @param {string} symbol - Stock symbol
      * @param {number} quantity - Number of shares to sell
-     * @param {number} price - Price per share
-     * @returns {Promise<Object>} Transaction result
+     * @returns {Promise<Object>} Transaction result (filled at the server's market price), or { queued: true, orderId } while the market is closed
      */
-    async sellStock(symbol, quantity, price) {
+    async sellStock(symbol, quantity) {
         try {
             if (!this.currentPortfolio) {
                 throw new Error('No active portfolio');
             }
 
-            // Check if user has enough shares
+            // Check if user has enough shares (margin portfolios may sell short)
             const holding = this.currentPortfolio.holdingsMap[symbol];
-            if (!holding || holding.quantity < quantity) {
+            if (!this.currentPortfolio.marginEnabled && (!holding || holding.quantity < quantity)) {
                 throw new Error('Insufficient shares');
             }
 
@@ -303,12 +317,16 @@ export default class PortfolioService {
                 portfolioId: this.currentPortfolio.portfolioID,
                 symbol,
                 transactionType: 'SELL',
-                quantity,
-                price
+                quantity
             };
 
             const result = await this.dbService.executeTransaction(transactionData);
 
+            // Market closed: the order is queued and fills at the open
+            if (result.queued) {
+                return result;
+            }
+
             // Update portfolio with new balance
             this.currentPortfolio.balance = result.newBalance;
 
@@ -322,6 +340,45 @@ export default class PortfolioService {
         }
     }
 
+    /**
+     * Buy or sell a dollar amount of a stock in the current portfolio ("buy $50 of NVDA");
+     * the server converts it to a fractional quantity at the fill price
+     * @param {string} symbol - Stock symbol
+     * @param {string} transactionType - 'BUY' or 'SELL'
+     * @param {number} amount - Dollars to trade
+     * @returns {Promise<Object>} Transaction result, or { queued: true, orderId } while the market is closed
+     */
+    async tradeAmount(symbol, transactionType, amount) {
+        try {
+            if (!this.currentPortfolio) {
+                throw new Error('No active portfolio');
+            }
+
+            const result = await this.dbService.executeTransaction({
+                portfolioId: this.currentPortfolio.portfolioID,
+                symbol,
+                transactionType,
+                amount
+            });
+
+            // Market closed: the order is queued and fills at the open
+            if (result.queued) {
+                return result;
+            }
+
+            // Update portfolio with new balance
+            this.currentPortfolio.balance = result.newBalance;
+
+            // Reload portfolio to get updated holdings
+            await this.loadActivePortfolio();
+
+            return result;
+        } catch (error) {
+            console.error(`Failed to ${transactionType === 'BUY' ? 'buy' : 'sell'} $${amount} of ${symbol}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Get transaction history for current portfolio
      * @returns {Promise<Array>} Transaction history
@@ -1,6 +1,7 @@
 // src/client/js/SimulationService.js
 import DatabaseService from './DatabaseService.js';
 import { getCurrentUser } from './AuthService.js';
+import { streamRandom } from '../SeededRandom.js';
 
 /**
  * Service for managing simulation settings and state
@@ -14,7 +15,10 @@ export default class SimulationService {
             simulationSpeed: 1,
             marketVolatility: 'medium',
             eventFrequency: 'medium',
-            startingCash: 500
+            startingCash: 500,
+            seed: null,
+            marketFactorWeight: 0.3,
+            sectorFactorWeight: 0.3
         };
 
         // Volatility factors by level
@@ -146,6 +150,23 @@ export default class SimulationService {
         return this.settings.startingCash;
     }
 
+    /**
+     * Get the simulation seed
+     * @returns {string|null} Seed, or null if the simulation is unseeded
+     */
+    getSeed() {
+        return this.settings.seed || null;
+    }
+
+    /**
+     * Get a random generator for one part of the simulation, seeded from the settings
+     * @param {...(string|number)} parts - Stream name, e.g. 'history', 'AAPL'
+     * @returns {Function} Random number generator (Math.random when unseeded)
+     */
+    getRandom(...parts) {
+        return streamRandom(this.getSeed(), ...parts);
+    }
+
     /**
      * Add a listener for settings changes
      * @param {Function} listener - Callback function
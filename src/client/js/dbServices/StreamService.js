@@ -0,0 +1,182 @@
+// src/client/js/StreamService.js
+
+/**
+ * Service wrapping the server-sent event stream (/api/stream).
+ * Publishes price ticks, market news, order updates and market clock changes to listeners and
+ * resumes from the last sequence number after a dropped connection.
+ */
+export default class StreamService {
+    constructor() {
+        this.baseUrl = '/api/stream';
+        this.eventSource = null;
+        this.username = null;
+        this.lastSeq = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = 1000;
+
+        // Listeners keyed by event type ('ticks', 'news', 'order', 'clock', 'margin', 'corporate_action',
+        // 'option', 'schedule', 'resync', 'open', 'error')
+        this.listeners = new Map();
+    }
+
+    /**
+     * Whether the browser supports server-sent events
+     * @returns {boolean} True if EventSource is available
+     */
+    isSupported() {
+        return typeof EventSource !== 'undefined';
+    }
+
+    /**
+     * Whether the stream is currently open
+     * @returns {boolean} True if connected
+     */
+    isConnected() {
+        return this.eventSource !== null && this.eventSource.readyState === EventSource.OPEN;
+    }
+
+    /**
+     * Open the stream for a user (or the public stream for guests)
+     * @param {string|null} username - Username, or null for broadcast events only
+     */
+    connect(username = null) {
+        if (!this.isSupported()) {
+            console.warn('Server-sent events are not supported; live updates disabled');
+            return;
+        }
+
+        // Already streaming for this user
+        if (this.eventSource && this.username === username) {
+            return;
+        }
+
+        this.disconnect();
+        this.username = username;
+        this.open();
+    }
+
+    /**
+     * Create the EventSource, resuming from the last sequence number if we have one
+     */
+    open() {
+        const endpoint = this.username ? `${this.baseUrl}/${this.username}` : this.baseUrl;
+        const query = this.lastSeq !== null ? `?since=${this.lastSeq}` : '';
+
+        this.eventSource = new EventSource(`${endpoint}${query}`, { withCredentials: true });
+
+        this.eventSource.addEventListener('open', () => {
+            this.reconnectDelay = 1000;
+            this.emit('open', {});
+        });
+
+        this.eventSource.addEventListener('ready', (event) => {
+            // Fresh connections start from the server's current position
+            if (this.lastSeq === null) {
+                this.lastSeq = JSON.parse(event.data).seq;
+            }
+        });
+
+        ['ticks', 'news', 'order', 'clock', 'margin', 'corporate_action', 'option', 'schedule', 'resync'].forEach(type => {
+            this.eventSource.addEventListener(type, (event) => this.handleEvent(type, event));
+        });
+
+        this.eventSource.addEventListener('error', () => {
+            this.emit('error', {});
+
+            // EventSource retries by itself unless the connection was closed for good
+            // (e.g. a 401); then back off and reopen with ?since= ourselves
+            if (this.eventSource.readyState === EventSource.CLOSED) {
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    /**
+     * Track the sequence number and dispatch an event to listeners
+     * @param {string} type - Event type
+     * @param {MessageEvent} event - Raw SSE event
+     */
+    handleEvent(type, event) {
+        if (event.lastEventId) {
+            this.lastSeq = Number(event.lastEventId);
+        }
+
+        try {
+            this.emit(type, JSON.parse(event.data));
+        } catch (error) {
+            console.error(`Failed to handle ${type} event:`, error);
+        }
+    }
+
+    /**
+     * Reopen the stream after a delay, doubling the delay up to 30 seconds
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        this.eventSource.close();
+        this.eventSource = null;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.open();
+        }, this.reconnectDelay);
+
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+    }
+
+    /**
+     * Close the stream
+     */
+    disconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    /**
+     * Add a listener for a stream event type
+     * @param {string} type - Event type
+     * @param {Function} listener - Callback function, called with the event payload
+     * @returns {Function} Function to remove the listener
+     */
+    on(type, listener) {
+        if (typeof listener !== 'function') {
+            console.error('StreamService.on requires a function callback');
+            return () => {};
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+
+        // Return unsubscribe function
+        return () => {
+            this.listeners.set(type, this.listeners.get(type).filter(l => l !== listener));
+        };
+    }
+
+    /**
+     * Notify all listeners of an event type
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     */
+    emit(type, data) {
+        (this.listeners.get(type) || []).forEach(listener => {
+            if (typeof listener === 'function') {
+                listener(data);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const streamService = new StreamService();
+export { streamService };
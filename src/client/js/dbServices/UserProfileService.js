@@ -3,6 +3,7 @@ import { authService } from './AuthService.js';
 import { stockService } from './StockService.js';
 import { simulationService } from './SimulationService.js';
 import DatabaseService from './DatabaseService.js';
+import { marketService } from './MarketService.js';
 import Portfolio from './Portfolio.js';
 
 /**
@@ -72,8 +73,9 @@ export default class UserProfileService {
             this.username = currentUser.username;
             this.email = currentUser.email;
 
-            // Load stocks
+            // Load stocks and follow the server's prices for them
             this.stocksAddedToSim = await stockService.loadStocks();
+            marketService.start(this.stocksAddedToSim, this.username);
 
             // Load active portfolio
             const portfolioData = await this.dbService.getPortfolio(this.username, currentUser.activePortfolioID);
@@ -92,6 +94,18 @@ export default class UserProfileService {
             this.portfolio.holdingsMap = portfolioData.holdingsMap || {};
             this.portfolio.portfolioValue = portfolioData.portfolioValue || 0;
             this.portfolio.totalAssetsValue = portfolioData.totalAssetsValue || portfolioData.balance;
+            this.portfolio.marginEnabled = Boolean(portfolioData.marginEnabled);
+            this.portfolio.dripEnabled = Boolean(portfolioData.dripEnabled);
+            this.portfolio.sweepEnabled = Boolean(portfolioData.sweepEnabled);
+            this.portfolio.cashInterest = portfolioData.cashInterest || null;
+            this.portfolio.optionSettlement = portfolioData.optionSettlement || 'cash';
+            this.portfolio.lotMethod = portfolioData.lotMethod || 'fifo';
+            this.portfolio.realizedGains = portfolioData.realizedGains || null;
+            this.portfolio.optionPositions = portfolioData.optionPositions || [];
+            this.portfolio.optionsValue = portfolioData.optionsValue || 0;
+            this.portfolio.buyingPower = portfolioData.buyingPower ?? portfolioData.balance;
+            this.portfolio.margin = portfolioData.margin || null;
+            this.portfolio.orderLimits = portfolioData.orderLimits || null;
 
             // Attach buy/sell methods
             this.attachPortfolioMethods();
@@ -121,8 +135,9 @@ export default class UserProfileService {
             // Attach buy/sell methods
             this.attachPortfolioMethods();
 
-            // Load sample stocks
+            // Load sample stocks; guests follow the server's prices for system stocks
             await this.createDemoStocks();
+            marketService.start(this.stocksAddedToSim);
 
             return this;
         } catch (error) {
@@ -167,6 +182,9 @@ export default class UserProfileService {
      * @returns {Object} Stock object
      */
     createDemoStock(data) {
+        // Each symbol draws from its own stream of the simulation seed
+        const random = simulationService.getRandom('demo', data.symbol);
+
         const stock = {
             symbol: data.symbol,
             companyName: data.name,
@@ -175,13 +193,13 @@ export default class UserProfileService {
             priceHistory: [],
             volatility: data.volatility || 0.015,
             currentSentiment: 0,
-            previousClosePrice: data.price * (0.99 + Math.random() * 0.02),
-            openPrice: data.price * (0.99 + Math.random() * 0.02),
-            volume: Math.floor(100000 + Math.random() * 9900000)
+            previousClosePrice: data.price * (0.99 + random() * 0.02),
+            openPrice: data.price * (0.99 + random() * 0.02),
+            volume: Math.floor(100000 + random() * 9900000)
         };
 
         // Generate price history
-        this.generatePriceHistory(stock, 50);
+        this.generatePriceHistory(stock, 50, random);
 
         return stock;
     }
@@ -190,8 +208,9 @@ export default class UserProfileService {
      * Generate realistic price history for a stock
      * @param {Object} stock - Stock object
      * @param {number} days - Number of days to generate
+     * @param {Function} [random] - Random number generator
      */
-    generatePriceHistory(stock, days) {
+    generatePriceHistory(stock, days, random = Math.random) {
         let currentPrice = stock.marketPrice;
 
         // Add current price
@@ -200,7 +219,7 @@ export default class UserProfileService {
         // Generate historical prices (going backward)
         for (let i = 1; i < days; i++) {
             // Random daily percentage change based on volatility
-            const change = (Math.random() - 0.5) * 2 * stock.volatility;
+            const change = (random() - 0.5) * 2 * stock.volatility;
 
             // Calculate previous day's price
             currentPrice = currentPrice / (1 + change);
@@ -227,10 +246,17 @@ export default class UserProfileService {
                     portfolioId: this.portfolio.portfolioID,
                     symbol: stock.symbol,
                     transactionType: 'BUY',
-                    quantity: quantity,
-                    price: stock.marketPrice
+                    quantity: quantity
                 });
 
+                if (result.queued) {
+                    return {
+                        success: true,
+                        queued: true,
+                        message: `Market is closed; order to buy ${quantity} shares of ${stock.symbol} will fill at the next open`
+                    };
+                }
+
                 // Update portfolio with new balance
                 this.portfolio.balance = result.newBalance;
 
@@ -239,7 +265,8 @@ export default class UserProfileService {
 
                 return {
                     success: true,
-                    message: `Successfully bought ${quantity} shares of ${stock.symbol} for $${(stock.marketPrice * quantity).toFixed(2)}`
+                    message: `Successfully bought ${result.quantity} shares of ${stock.symbol} at $${result.price.toFixed(2)} for $${result.totalValue.toFixed(2)} plus $${result.fee.toFixed(2)} in fees`
+                        + (result.partial ? ` (only ${result.quantity} of ${result.requestedQuantity} were available)` : '')
                 };
             } catch (error) {
                 console.error('Failed to buy stock:', error);
@@ -258,9 +285,9 @@ export default class UserProfileService {
                     return this.sellStockLocal(stock, quantity);
                 }
 
-                // Check if user has enough shares
+                // Check if user has enough shares (margin portfolios may sell short)
                 const holding = this.portfolio.holdingsMap[stock.symbol];
-                if (!holding || holding.quantity < quantity) {
+                if (!this.portfolio.marginEnabled && (!holding || holding.quantity < quantity)) {
                     return {
                         success: false,
                         message: `Failed to sell ${quantity} shares of ${stock.symbol}: Insufficient shares`
@@ -272,10 +299,17 @@ export default class UserProfileService {
                     portfolioId: this.portfolio.portfolioID,
                     symbol: stock.symbol,
                     transactionType: 'SELL',
-                    quantity: quantity,
-                    price: stock.marketPrice
+                    quantity: quantity
                 });
 
+                if (result.queued) {
+                    return {
+                        success: true,
+                        queued: true,
+                        message: `Market is closed; order to sell ${quantity} shares of ${stock.symbol} will fill at the next open`
+                    };
+                }
+
                 // Update portfolio with new balance
                 this.portfolio.balance = result.newBalance;
 
@@ -284,7 +318,9 @@ export default class UserProfileService {
 
                 return {
                     success: true,
-                    message: `Successfully sold ${quantity} shares of ${stock.symbol} for $${(stock.marketPrice * quantity).toFixed(2)}`
+                    message: `Successfully sold ${result.quantity} shares of ${stock.symbol} at $${result.price.toFixed(2)} for $${result.totalValue.toFixed(2)} less $${result.fee.toFixed(2)} in fees`
+                        + (result.realizedGain ? `, realizing ${result.realizedGain >= 0 ? 'a gain' : 'a loss'} of $${Math.abs(result.realizedGain).toFixed(2)}` : '')
+                        + (result.partial ? ` (only ${result.quantity} of ${result.requestedQuantity} could be sold)` : '')
                 };
             } catch (error) {
                 console.error('Failed to sell stock:', error);
@@ -311,7 +347,9 @@ export default class UserProfileService {
             };
         }
 
-        const totalCost = quantity * stock.marketPrice;
+        // Fill price and fees from the portfolio's trading costs
+        const fill = this.portfolio.priceFill(stock, 'BUY', quantity);
+        const totalCost = quantity * fill.price + fill.fee;
 
         // Check if user has enough cash
         if (totalCost > this.portfolio.balance) {
@@ -330,7 +368,7 @@ export default class UserProfileService {
         if (holding) {
             // Update existing holding
             const oldCost = holding.avgPrice * holding.quantity;
-            const newCost = stock.marketPrice * quantity;
+            const newCost = fill.price * quantity;
             holding.quantity += quantity;
             holding.avgPrice = (oldCost + newCost) / holding.quantity;
             holding.price = stock.marketPrice;
@@ -340,7 +378,7 @@ export default class UserProfileService {
                 stock: stock,
                 quantity: quantity,
                 price: stock.marketPrice,
-                avgPrice: stock.marketPrice
+                avgPrice: fill.price
             };
         }
 
@@ -349,7 +387,7 @@ export default class UserProfileService {
 
         return {
             success: true,
-            message: `Successfully bought ${quantity} shares of ${stock.symbol} for $${(stock.marketPrice * quantity).toFixed(2)}`
+            message: `Successfully bought ${quantity} shares of ${stock.symbol} at $${fill.price.toFixed(2)} for $${(fill.price * quantity).toFixed(2)} plus $${fill.fee.toFixed(2)} in fees`
         };
     }
 
@@ -377,7 +415,9 @@ export default class UserProfileService {
             };
         }
 
-        const totalValue = quantity * stock.marketPrice;
+        // Proceeds net of the portfolio's trading costs
+        const fill = this.portfolio.priceFill(stock, 'SELL', quantity);
+        const totalValue = quantity * fill.price - fill.fee;
 
         // Add to balance
         this.portfolio.balance += totalValue;
@@ -395,7 +435,7 @@ export default class UserProfileService {
 
         return {
             success: true,
-            message: `Successfully sold ${quantity} shares of ${stock.symbol} for $${(stock.marketPrice * quantity).toFixed(2)}`
+            message: `Successfully sold ${quantity} shares of ${stock.symbol} at $${fill.price.toFixed(2)} for $${(fill.price * quantity).toFixed(2)} less $${fill.fee.toFixed(2)} in fees`
         };
     }
 
@@ -1,16 +1,31 @@
 // src/client/js/simulator.js
 // Main controller for the simulator page
 
+// Share quantities may be fractional down to a millionth of a share
+const QUANTITY_SCALE = 1e6;
+
+const roundQuantity = (quantity) => Math.round(quantity * QUANTITY_SCALE) / QUANTITY_SCALE;
+
+// Shares a dollar amount buys, rounded down so the cost never exceeds the amount
+const sharesForAmount = (amount, price) => Math.floor(amount / price * QUANTITY_SCALE + 1e-6) / QUANTITY_SCALE;
+
+// Legs of the basket being built: { symbol, transactionType, unit ('shares' or 'dollars'), value }
+const basketLegs = [];
+
 document.addEventListener('DOMContentLoaded', async function() {
     console.log('Simulator initializing...');
 
     // Import necessary classes
     try {
+        // Random parts of the simulator draw from the user's seed (Math.random when unseeded)
+        const { simulationService } = await import('/js/dbServices/SimulationService.js');
+        await simulationService.loadSettings();
+
         // Create demo user profile since we may not have authentication set up yet
-        const userProfile = await createDemoUserProfile();
+        const userProfile = await createDemoUserProfile(simulationService);
 
         // Initialize the simulator components
-        initializeSimulator(userProfile);
+        initializeSimulator(userProfile, simulationService);
 
         console.log('Simulator initialization complete');
     } catch (error) {
@@ -20,9 +35,12 @@ document.addEventListener('DOMContentLoaded', async function() {
 });
 
 // Create a demo user profile for testing
-async function createDemoUserProfile() {
+async function createDemoUserProfile(simulationService) {
     console.log('Creating demo user profile...');
 
+    // Fills pay the same spread, slippage and fees as server trades
+    const { DEFAULT_COST_SETTINGS, calculateFill } = await import('/js/CostModel.js');
+
     // Create a basic user object
     const userProfile = {
         username: 'demo_user',
@@ -33,7 +51,12 @@ async function createDemoUserProfile() {
             initialBalance: 10000.00,
             holdingsMap: {},
             portfolioValue: 0.00,
-            totalAssetsValue: 10000.00
+            totalAssetsValue: 10000.00,
+            orderLimits: {
+                maxOrderQuantity: 100,
+                maxOrderValue: null
+            },
+            costSettings: { ...DEFAULT_COST_SETTINGS }
         }
     };
 
@@ -46,54 +69,51 @@ async function createDemoUserProfile() {
         { symbol: 'GOOGL', companyName: 'Alphabet Inc.', sector: 'Communication', marketPrice: 157.73, volatility: 0.015, priceHistory: [] }
     ];
 
-    // Generate price history for each stock
+    // Price history comes from the server's ticks once the market feed connects
     demoStocks.forEach(stock => {
-        generatePriceHistory(stock, 50);
+        const random = simulationService.getRandom('demo', stock.symbol);
+        stock.priceHistory = [stock.marketPrice];
 
         // Add some additional properties needed for the simulator
-        stock.previousClosePrice = stock.marketPrice * (0.99 + Math.random() * 0.02);
-        stock.openPrice = stock.marketPrice * (0.99 + Math.random() * 0.02);
-        stock.volume = Math.floor(100000 + Math.random() * 9900000);
+        stock.previousClosePrice = stock.marketPrice * (0.99 + random() * 0.02);
+        stock.openPrice = stock.marketPrice * (0.99 + random() * 0.02);
+        stock.volume = Math.floor(100000 + random() * 9900000);
         stock.currentSentiment = 0;
-
-        // Add the updatePrice method
-        stock.updatePrice = function() {
-            const volatilityFactor = this.volatility || 0.015;
-            const sentimentFactor = this.currentSentiment || 0;
-
-            // Random daily percentage change based on volatility
-            const randomFactor = (Math.random() - 0.5) * 2 * volatilityFactor;
-            const marketFactor = sentimentFactor * 0.01;
-
-            // Calculate new price
-            const combinedEffect = randomFactor + marketFactor;
-            this.marketPrice *= (1 + combinedEffect);
-
-            // Ensure price doesn't go negative
-            this.marketPrice = Math.max(this.marketPrice, 0.01);
-
-            // Add to price history
-            this.priceHistory.push(this.marketPrice);
-            if (this.priceHistory.length > 100) {
-                this.priceHistory.shift();
-            }
-        };
     });
 
     // Add stocks to user profile
     userProfile.stocksAddedToSim = demoStocks;
 
+    // Price and fee of a trade after the portfolio's trading costs
+    userProfile.portfolio.priceFill = function(stock, transactionType, quantity) {
+        return calculateFill(this.costSettings, {
+            transactionType,
+            quantity,
+            quotePrice: stock.marketPrice,
+            averageVolume: stock.volume
+        });
+    };
+
     // Add portfolio methods for buying and selling
     userProfile.portfolio.buyStock = function(stock, quantity) {
         // Validate inputs
-        if (!stock || isNaN(quantity) || quantity <= 0 || quantity > 100) {
+        if (!stock || isNaN(quantity) || quantity <= 0 || roundQuantity(quantity) !== quantity) {
             return {
                 success: false,
                 message: 'Invalid quantity or stock'
             };
         }
 
-        const totalCost = stock.marketPrice * quantity;
+        const fill = this.priceFill(stock, 'BUY', quantity);
+        const totalCost = fill.price * quantity + fill.fee;
+
+        const limitError = checkOrderLimits(this.orderLimits, quantity, fill.price * quantity);
+        if (limitError) {
+            return {
+                success: false,
+                message: limitError
+            };
+        }
 
         // Check if user has enough cash
         if (totalCost > this.balance) {
@@ -111,8 +131,8 @@ async function createDemoUserProfile() {
             // Update existing holding
             const holding = this.holdingsMap[stock.symbol];
             const oldCost = holding.avgPrice * holding.quantity;
-            const newCost = stock.marketPrice * quantity;
-            holding.quantity += quantity;
+            const newCost = fill.price * quantity;
+            holding.quantity = roundQuantity(holding.quantity + quantity);
             holding.avgPrice = (oldCost + newCost) / holding.quantity;
             holding.currentPrice = stock.marketPrice;
         } else {
@@ -120,7 +140,7 @@ async function createDemoUserProfile() {
             this.holdingsMap[stock.symbol] = {
                 stock: stock,
                 quantity: quantity,
-                avgPrice: stock.marketPrice,
+                avgPrice: fill.price,
                 currentPrice: stock.marketPrice
             };
         }
@@ -130,7 +150,7 @@ async function createDemoUserProfile() {
 
         return {
             success: true,
-            message: `Successfully purchased ${quantity} shares of ${stock.symbol} for $${totalCost.toFixed(2)}`
+            message: `Successfully purchased ${quantity} shares of ${stock.symbol} at $${fill.price.toFixed(2)} for $${totalCost.toFixed(2)} (including $${fill.fee.toFixed(2)} in fees)`
         };
     };
 
@@ -152,13 +172,22 @@ async function createDemoUserProfile() {
             };
         }
 
-        const totalValue = stock.marketPrice * quantity;
+        const fill = this.priceFill(stock, 'SELL', quantity);
+        const totalValue = fill.price * quantity - fill.fee;
+
+        const limitError = checkOrderLimits(this.orderLimits, quantity, fill.price * quantity);
+        if (limitError) {
+            return {
+                success: false,
+                message: limitError
+            };
+        }
 
         // Add value to balance
         this.balance += totalValue;
 
         // Remove from holdings
-        holding.quantity -= quantity;
+        holding.quantity = roundQuantity(holding.quantity - quantity);
         if (holding.quantity <= 0) {
             delete this.holdingsMap[stock.symbol];
         }
@@ -168,7 +197,72 @@ async function createDemoUserProfile() {
 
         return {
             success: true,
-            message: `Successfully sold ${quantity} shares of ${stock.symbol} for $${totalValue.toFixed(2)}`
+            message: `Successfully sold ${quantity} shares of ${stock.symbol} at $${fill.price.toFixed(2)} for $${totalValue.toFixed(2)} (after $${fill.fee.toFixed(2)} in fees)`
+        };
+    };
+
+    // Trade several stocks as one order: every leg goes through or none does
+    userProfile.portfolio.executeBasket = function(legs) {
+        if (legs.length === 0) {
+            return {
+                success: false,
+                message: 'Add at least one stock to the basket'
+            };
+        }
+
+        // Check the basket as a whole before any leg trades
+        let netCost = 0;
+        for (const { stock, transactionType, quantity } of legs) {
+            if (!stock || isNaN(quantity) || quantity <= 0) {
+                return {
+                    success: false,
+                    message: `${stock ? stock.symbol : 'Basket'}: invalid quantity`
+                };
+            }
+
+            const fill = this.priceFill(stock, transactionType, quantity);
+            netCost += transactionType === 'BUY'
+                ? fill.price * quantity + fill.fee
+                : -(fill.price * quantity - fill.fee);
+        }
+
+        if (netCost > this.balance) {
+            return {
+                success: false,
+                message: `Insufficient funds: the basket needs $${netCost.toFixed(2)} and $${this.balance.toFixed(2)} is available`
+            };
+        }
+
+        // Sells go first so their proceeds pay for the buys; any failure puts everything back
+        const savedBalance = this.balance;
+        const savedHoldings = Object.fromEntries(
+            Object.entries(this.holdingsMap).map(([symbol, holding]) => [symbol, { ...holding }])
+        );
+        const ordered = [
+            ...legs.filter(leg => leg.transactionType === 'SELL'),
+            ...legs.filter(leg => leg.transactionType === 'BUY')
+        ];
+
+        for (const { stock, transactionType, quantity } of ordered) {
+            const result = transactionType === 'BUY'
+                ? this.buyStock(stock, quantity)
+                : this.sellStock(stock, quantity);
+
+            if (!result.success) {
+                this.balance = savedBalance;
+                this.holdingsMap = savedHoldings;
+                updatePortfolioValue(this);
+
+                return {
+                    success: false,
+                    message: `${stock.symbol}: ${result.message}. No part of the basket was traded.`
+                };
+            }
+        }
+
+        return {
+            success: true,
+            message: `Basket of ${legs.length} order${legs.length === 1 ? '' : 's'} filled; net cost $${netCost.toFixed(2)}`
         };
     };
 
@@ -176,32 +270,119 @@ async function createDemoUserProfile() {
     return userProfile;
 }
 
-// Generate realistic price history for a stock
-function generatePriceHistory(stock, days) {
-    const initialPrice = stock.marketPrice;
-    const volatility = stock.volatility || 0.015;
-    stock.priceHistory = [];
+// Prices kept in each stock's chart history
+const PRICE_HISTORY_LENGTH = 100;
 
-    // Create a slight trend bias
-    const trendBias = (Math.random() * 0.006) - 0.003; // Between -0.3% and +0.3% daily bias
+// Apply a price from the server's market engine to a stock
+function applyMarketPrice(stock, price) {
+    stock.marketPrice = price;
 
-    // Generate price points going backward from current price
-    let price = initialPrice;
+    // Add to price history
+    stock.priceHistory.push(price);
+    if (stock.priceHistory.length > PRICE_HISTORY_LENGTH) {
+        stock.priceHistory.shift();
+    }
+}
+
+// Follow the server's market prices over the event stream; every tab sees the same ticks
+function startMarketFeed(userProfile) {
+    let lastTickId = null;
+    let pendingTicks = [];
+    let isFetching = false;
 
-    for (let i = 0; i < days; i++) {
-        // Add current price to history
-        stock.priceHistory.unshift(price);
+    const findStock = symbol => userProfile.stocksAddedToSim.find(s => s.symbol === symbol);
+
+    // Apply ticks we haven't seen yet, in order
+    const applyTicks = ticks => {
+        // Hold on to them until the first snapshot tells us where we are
+        if (lastTickId === null) {
+            pendingTicks.push(...ticks);
+            return;
+        }
 
-        // Calculate new price for previous day
-        const change = trendBias + (volatility * (Math.random() * 2 - 1));
-        price = price / (1 + change); // Going backward in time
+        ticks.filter(tick => tick.tickId > lastTickId).forEach(({ tickId, symbol, price }) => {
+            const stock = findStock(symbol);
+            if (stock) applyMarketPrice(stock, price);
+            lastTickId = tickId;
+        });
+    };
+
+    const getSnapshot = async (since) => {
+        const res = await fetch(`/api/market/prices${since !== null ? `?since=${since}` : ''}`);
+        if (!res.ok) throw new Error(`API status ${res.status}`);
+        return res.json();
+    };
+
+    // On the first call, load the latest ticks as chart history; afterwards fetch whatever ticks the stream missed
+    const fetchPrices = async () => {
+        // Skip if the previous request hasn't returned yet
+        if (isFetching) return;
+        isFetching = true;
+
+        try {
+            let snapshot;
+
+            if (lastTickId === null) {
+                // Every tab starts from the same server ticks, so their charts agree
+                const { lastTickId: latest, prices } = await getSnapshot(null);
+                const historyStart = Math.max(0, latest - PRICE_HISTORY_LENGTH * prices.length);
+                snapshot = await getSnapshot(historyStart);
+
+                snapshot.prices.forEach(({ symbol, marketPrice, previousClosePrice }) => {
+                    const stock = findStock(symbol);
+                    if (stock) {
+                        stock.marketPrice = marketPrice;
+                        if (previousClosePrice) stock.previousClosePrice = previousClosePrice;
+                        stock.priceHistory = [];
+                    }
+                });
+                lastTickId = historyStart;
+            } else {
+                snapshot = await getSnapshot(lastTickId);
+            }
 
-        // Keep prices reasonable
-        price = Math.max(price, 0.01);
+            applyTicks(snapshot.ticks);
+
+            // A stock that hasn't ticked lately (halted, or the market closed) charts its current price
+            userProfile.stocksAddedToSim
+                .filter(stock => stock.priceHistory.length === 0)
+                .forEach(stock => stock.priceHistory.push(stock.marketPrice));
+
+            const pending = pendingTicks;
+            pendingTicks = [];
+            applyTicks(pending);
+        } catch (error) {
+            console.error('Failed to fetch market prices:', error);
+        } finally {
+            isFetching = false;
+        }
+    };
+
+    fetchPrices();
+
+    // Browsers without server-sent events fall back to polling
+    if (typeof EventSource === 'undefined') {
+        return setInterval(fetchPrices, 1000);
     }
 
-    // Add current price to make sure it's in the history
-    stock.priceHistory.push(initialPrice);
+    // The browser reconnects by itself and sends Last-Event-ID, so the server replays what we missed
+    const source = new EventSource('/api/stream');
+    source.addEventListener('ticks', event => applyTicks(JSON.parse(event.data).ticks));
+    source.addEventListener('resync', () => fetchPrices());
+    source.addEventListener('clock', event => {
+        // At the daily close today's price becomes the previous close
+        if (JSON.parse(event.data).dayClosed) {
+            userProfile.stocksAddedToSim.forEach(stock => {
+                stock.previousClosePrice = stock.marketPrice;
+            });
+        }
+    });
+    source.addEventListener('news', event => {
+        const { newsId, story, company, symbols, weight, timestamp } = JSON.parse(event.data);
+        window.newsGenerator?.show({ newsId, headline: story, company, symbols, weight, timestamp: new Date(timestamp) });
+    });
+
+    return source;
 }
 
 // Update portfolio value calculations
@@ -223,9 +404,12 @@ function updatePortfolioValue(portfolio) {
 }
 
 // Initialize simulator components
-function initializeSimulator(userProfile) {
+function initializeSimulator(userProfile, simulationService) {
     console.log('Initializing simulator components...');
 
+    // Prices move on the server; this only keeps the local copies in sync
+    window.marketFeed = startMarketFeed(userProfile);
+
     // Initialize the chart controller
     const graphController = new SimulatorGraphController(userProfile);
     window.graphController = graphController;
@@ -235,7 +419,7 @@ function initializeSimulator(userProfile) {
     window.portfolioController = portfolioController;
 
     // Initialize the news generator
-    const newsGenerator = new NewsGenerator(userProfile);
+    const newsGenerator = new NewsGenerator(userProfile, simulationService.getRandom('news'));
     newsGenerator.start();
     window.newsGenerator = newsGenerator;
 
@@ -318,6 +502,56 @@ function setupEventHandlers(userProfile) {
             updateSellTotal();
         });
     }
+
+    // Shares / dollars toggles
+    const buyUnit = document.getElementById('buy-unit');
+    if (buyUnit) {
+        buyUnit.addEventListener('change', function() {
+            updateBuyTotal();
+        });
+    }
+
+    const sellUnit = document.getElementById('sell-unit');
+    if (sellUnit) {
+        sellUnit.addEventListener('change', function() {
+            updateSellTotal();
+        });
+    }
+
+    // Basket order buttons
+    const basketAdd = document.getElementById('basket-add');
+    if (basketAdd) {
+        basketAdd.addEventListener('click', function() {
+            addBasketLeg();
+        });
+    }
+
+    const basketClear = document.getElementById('basket-clear');
+    if (basketClear) {
+        basketClear.addEventListener('click', function() {
+            basketLegs.length = 0;
+            updateBasketDisplay();
+        });
+    }
+
+    const basketSubmit = document.getElementById('basket-submit');
+    if (basketSubmit) {
+        basketSubmit.addEventListener('click', function() {
+            executeBasketOrder(userProfile);
+        });
+    }
+
+    // Remove buttons on the basket's rows
+    const basketBody = document.getElementById('basket-legs-body');
+    if (basketBody) {
+        basketBody.addEventListener('click', function(event) {
+            const button = event.target.closest('[data-remove-leg]');
+            if (button) {
+                basketLegs.splice(Number(button.dataset.removeLeg), 1);
+                updateBasketDisplay();
+            }
+        });
+    }
 }
 
 // Change the focused stock
@@ -347,6 +581,30 @@ function setTimeframe(timeframe) {
     }
 }
 
+// Check an order against the portfolio's per-order limits; returns an error message or null
+function checkOrderLimits(limits, quantity, totalValue) {
+    if (quantity > limits.maxOrderQuantity) {
+        return `Orders are limited to ${limits.maxOrderQuantity} shares`;
+    }
+
+    if (limits.maxOrderValue !== null && totalValue > limits.maxOrderValue) {
+        return `Orders are limited to $${limits.maxOrderValue.toFixed(2)}`;
+    }
+
+    return null;
+}
+
+// Shares an order form asks for: its input is a share quantity or, in dollar mode, an amount
+function getOrderQuantity(side, stock) {
+    const input = document.getElementById(`${side}-quantity`);
+    const unit = document.getElementById(`${side}-unit`);
+    const value = parseFloat(input.value) || 0;
+
+    return unit && unit.value === 'dollars'
+        ? sharesForAmount(value, stock.marketPrice)
+        : roundQuantity(value);
+}
+
 // Execute buy operation
 function executeBuy(userProfile) {
     const stockSelect = document.getElementById('stockSelect');
@@ -355,7 +613,6 @@ function executeBuy(userProfile) {
     if (!stockSelect || !buyQuantity) return;
 
     const symbol = stockSelect.value;
-    const quantity = parseInt(buyQuantity.value);
 
     // Find the stock
     const stock = userProfile.stocksAddedToSim.find(s => s.symbol === symbol);
@@ -364,6 +621,8 @@ function executeBuy(userProfile) {
         return;
     }
 
+    const quantity = getOrderQuantity('buy', stock);
+
     // Execute buy
     const result = userProfile.portfolio.buyStock(stock, quantity);
 
@@ -386,7 +645,6 @@ function executeSell(userProfile) {
     if (!stockSelect || !sellQuantity) return;
 
     const symbol = stockSelect.value;
-    const quantity = parseInt(sellQuantity.value);
 
     // Find the stock
     const stock = userProfile.stocksAddedToSim.find(s => s.symbol === symbol);
@@ -395,6 +653,8 @@ function executeSell(userProfile) {
         return;
     }
 
+    const quantity = getOrderQuantity('sell', stock);
+
     // Execute sell
     const result = userProfile.portfolio.sellStock(stock, quantity);
 
@@ -409,6 +669,110 @@ function executeSell(userProfile) {
     }
 }
 
+// Shares a basket leg trades at the stock's current price
+function getLegQuantity(leg, stock) {
+    return leg.unit === 'dollars'
+        ? sharesForAmount(leg.value, stock.marketPrice)
+        : roundQuantity(leg.value);
+}
+
+// Add the selected stock to the basket, replacing any leg it already has
+function addBasketLeg() {
+    const stockSelect = document.getElementById('stockSelect');
+    const side = document.getElementById('basket-side');
+    const quantity = document.getElementById('basket-quantity');
+    const unit = document.getElementById('basket-unit');
+
+    if (!stockSelect || !side || !quantity || !unit || !stockSelect.value) return;
+
+    const value = parseFloat(quantity.value) || 0;
+    if (value <= 0) {
+        displayErrorMessage('Enter a quantity or amount for the basket');
+        return;
+    }
+
+    const leg = { symbol: stockSelect.value, transactionType: side.value, unit: unit.value, value };
+    const index = basketLegs.findIndex(existing => existing.symbol === leg.symbol);
+
+    if (index >= 0) {
+        basketLegs[index] = leg;
+    } else {
+        basketLegs.push(leg);
+    }
+
+    updateBasketDisplay();
+}
+
+// Trade every leg of the basket, or none of them
+function executeBasketOrder(userProfile) {
+    const legs = [];
+
+    for (const leg of basketLegs) {
+        const stock = userProfile.stocksAddedToSim.find(s => s.symbol === leg.symbol);
+        if (!stock) {
+            displayErrorMessage(`Stock not found: ${leg.symbol}`);
+            return;
+        }
+
+        legs.push({ stock, transactionType: leg.transactionType, quantity: getLegQuantity(leg, stock) });
+    }
+
+    const result = userProfile.portfolio.executeBasket(legs);
+
+    if (result.success) {
+        displaySuccessMessage(result.message);
+        basketLegs.length = 0;
+        updateAllDisplays(userProfile);
+    } else {
+        displayErrorMessage(result.message);
+    }
+}
+
+// Update the basket's legs and net cost at current prices
+function updateBasketDisplay() {
+    const tableBody = document.getElementById('basket-legs-body');
+    const basketTotal = document.getElementById('basket-total');
+
+    if (!tableBody || !basketTotal || !window.graphController) return;
+
+    const { stocksAddedToSim, portfolio } = window.graphController.userProfile;
+
+    if (basketLegs.length === 0) {
+        tableBody.innerHTML = `
+            <tr>
+                <td colspan="5" class="py-4 text-center text-gray-400">Add stocks from the list above to build a basket</td>
+            </tr>
+        `;
+        basketTotal.textContent = '$0.00';
+        return;
+    }
+
+    let netCost = 0;
+
+    tableBody.innerHTML = basketLegs.map((leg, index) => {
+        const stock = stocksAddedToSim.find(s => s.symbol === leg.symbol);
+        const quantity = getLegQuantity(leg, stock);
+        const fill = portfolio.priceFill(stock, leg.transactionType, quantity);
+        const value = fill.price * quantity;
+
+        netCost += leg.transactionType === 'BUY' ? value + fill.fee : -(value - fill.fee);
+
+        return `
+            <tr class="border-b border-tertiary/20">
+                <td class="py-2 font-medium">${leg.symbol}</td>
+                <td class="py-2 ${leg.transactionType === 'BUY' ? 'text-green-400' : 'text-red-400'}">${leg.transactionType === 'BUY' ? 'Buy' : 'Sell'}</td>
+                <td class="py-2 text-right">${quantity}</td>
+                <td class="py-2 text-right">$${value.toFixed(2)}</td>
+                <td class="py-2 text-right">
+                    <button data-remove-leg="${index}" class="text-gray-400 hover:text-red-400" title="Remove"><i class="fas fa-times"></i></button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    basketTotal.textContent = netCost >= 0 ? `$${netCost.toFixed(2)}` : `-$${(-netCost).toFixed(2)}`;
+}
+
 // Update buy total display
 function updateBuyTotal() {
     const buyQuantity = document.getElementById('buy-quantity');
@@ -417,16 +781,17 @@ function updateBuyTotal() {
 
     if (!buyQuantity || !buyTotal || !stockSelect || !window.graphController) return;
 
-    const quantity = parseInt(buyQuantity.value) || 0;
     const symbol = stockSelect.value;
 
     // Find the stock
     const stock = window.graphController.userProfile.stocksAddedToSim.find(s => s.symbol === symbol);
     if (!stock) return;
 
-    // Calculate and display total
-    const total = stock.marketPrice * quantity;
-    buyTotal.textContent = `$${total.toFixed(2)}`;
+    // Calculate and display total with fees (and the shares a dollar amount buys)
+    const quantity = getOrderQuantity('buy', stock);
+    const fill = window.graphController.userProfile.portfolio.priceFill(stock, 'BUY', quantity);
+    const total = fill.price * quantity + fill.fee;
+    buyTotal.textContent = `$${total.toFixed(2)} (${quantity} sh, $${fill.fee.toFixed(2)} fees)`;
 }
 
 // Update sell total display
@@ -437,16 +802,17 @@ function updateSellTotal() {
 
     if (!sellQuantity || !sellTotal || !stockSelect || !window.graphController) return;
 
-    const quantity = parseInt(sellQuantity.value) || 0;
     const symbol = stockSelect.value;
 
     // Find the stock
     const stock = window.graphController.userProfile.stocksAddedToSim.find(s => s.symbol === symbol);
     if (!stock) return;
 
-    // Calculate and display total
-    const total = stock.marketPrice * quantity;
-    sellTotal.textContent = `$${total.toFixed(2)}`;
+    // Calculate and display proceeds after fees (and the shares a dollar amount sells)
+    const quantity = getOrderQuantity('sell', stock);
+    const fill = window.graphController.userProfile.portfolio.priceFill(stock, 'SELL', quantity);
+    const total = fill.price * quantity - fill.fee;
+    sellTotal.textContent = `$${total.toFixed(2)} (${quantity} sh, $${fill.fee.toFixed(2)} fees)`;
 }
 
 // Update all UI displays
@@ -491,9 +857,10 @@ function updateStockDisplays() {
         sellPrice.textContent = `$${stock.marketPrice.toFixed(2)}`;
     }
 
-    // Update buy/sell totals
+    // Update buy/sell and basket totals
     updateBuyTotal();
     updateSellTotal();
+    updateBasketDisplay();
 }
 
 // Update portfolio value displays
@@ -504,6 +871,25 @@ function updatePortfolioDisplays(portfolio) {
         availableCash.textContent = `$${portfolio.balance.toFixed(2)}`;
     }
 
+    // Update buying power (cash, or what can be borrowed against equity on margin)
+    const buyingPower = document.getElementById('buying-power');
+    if (buyingPower) {
+        buyingPower.textContent = `$${(portfolio.buyingPower ?? portfolio.balance).toFixed(2)}`;
+    }
+
+    const marginStatus = document.getElementById('margin-status');
+    if (marginStatus) {
+        const margin = portfolio.marginEnabled ? portfolio.margin : null;
+        const openCall = margin && margin.marginCalls.find(call => call.status === 'open');
+
+        marginStatus.classList.toggle('text-red-400', Boolean(openCall));
+        marginStatus.textContent = !margin
+            ? 'Cash account'
+            : openCall
+                ? `Margin call: equity below $${margin.maintenanceRequirement.toFixed(2)} maintenance`
+                : `Margin account · equity $${margin.equity.toFixed(2)}`;
+    }
+
     // Update portfolio value
     const portfolioValue = document.getElementById('portfolio-value');
     if (portfolioValue) {
@@ -591,26 +977,8 @@ class Stock {
         Object.assign(this, data);
     }
 
-    updatePrice() {
-        const volatilityFactor = this.volatility || 0.015;
-        const sentimentFactor = this.currentSentiment || 0;
-
-        // Random daily percentage change based on volatility
-        const randomFactor = (Math.random() - 0.5) * 2 * volatilityFactor;
-        const marketFactor = sentimentFactor * 0.01;
-
-        // Calculate new price
-        const combinedEffect = randomFactor + marketFactor;
-        this.marketPrice *= (1 + combinedEffect);
-
-        // Ensure price doesn't go negative
-        this.marketPrice = Math.max(this.marketPrice, 0.01);
-
-        // Add to price history
-        this.priceHistory.push(this.marketPrice);
-        if (this.priceHistory.length > 100) {
-            this.priceHistory.shift();
-        }
+    applyPrice(price) {
+        applyMarketPrice(this, price);
     }
 }
 
@@ -621,14 +989,18 @@ class Stock {
    — bumps each stock’s currentSentiment by the “weight” returned
 ────────────────────────────────────────────────────────────────── */
 class NewsGenerator {
-    constructor(userProfile) {
+    constructor(userProfile, random = Math.random) {
         this.userProfile   = userProfile;
+        this.random        = random;          // fallback headlines follow the seed
         this.newsContainer = document.getElementById('news-container');
         this.interval      = null;
 
         /* cache AI headlines for 60 s so you don’t hammer your quota */
         this.cache          = { items: [], ts: 0 };
         this.cacheDuration  = 60_000;
+
+        /* the event stream echoes our own headlines back; show each once */
+        this.seenNewsIds    = new Set();
     }
 
     /* public ----------------------------------------------------- */
@@ -646,17 +1018,24 @@ class NewsGenerator {
     /* core ------------------------------------------------------- */
     async publishNews() {
         try {
-            const item = await this.getAIHeadline();
-            this.applyImpact(item);           // nudge the stock’s sentiment
-            this.render(item);
+            this.show(await this.getAIHeadline());
         } catch (err) {
             console.warn('AI news failed, fallback headline →', err);
-            const fallback = this.createLegacyHeadline();
-            this.applyImpact(fallback);
-            this.render(fallback);
+            this.show(this.createLegacyHeadline());
         }
     }
 
+    /* apply + render a headline unless it was already shown (local or streamed) */
+    show(item) {
+        if (item.newsId) {
+            if (this.seenNewsIds.has(item.newsId)) return;
+            this.seenNewsIds.add(item.newsId);
+        }
+
+        this.applyImpact(item);               // nudge the stock’s sentiment
+        this.render(item);
+    }
+
     /* ── SERVER CALL ───────────────────────────────────────────── */
     async getAIHeadline() {
         /* use cached response if < 60 s old */
@@ -668,8 +1047,9 @@ class NewsGenerator {
         const res = await fetch('/api/news/generate', { method: 'POST' });
         if (!res.ok) throw new Error(`API status ${res.status}`);
 
-        const { story, company, weight } = await res.json();
+        const { newsId, story, company, weight } = await res.json();
         const item = {
+            newsId,
             headline : story,
             company,
             weight,
@@ -684,9 +1064,9 @@ class NewsGenerator {
     /* ── FALLBACK ──────────────────────────────────────────────── */
     createLegacyHeadline() {
         const stocks = this.userProfile.stocksAddedToSim;
-        const stock  = stocks[Math.floor(Math.random() * stocks.length)];
+        const stock  = stocks[Math.floor(this.random() * stocks.length)];
 
-        const positive = Math.random() > 0.5;
+        const positive = this.random() > 0.5;
         const list = positive
             ? [`${stock.companyName} Reports Strong Quarterly Results`,
                 `Analysts Upgrade ${stock.companyName}`,
@@ -698,7 +1078,7 @@ class NewsGenerator {
                 `${stock.companyName} Stock Under Pressure After Announcement`];
 
         return {
-            headline : list[Math.floor(Math.random() * list.length)],
+            headline : list[Math.floor(this.random() * list.length)],
             company  : stock.symbol,
             weight   : positive ? 0.05 : -0.05,
             timestamp: new Date()
@@ -706,13 +1086,16 @@ class NewsGenerator {
     }
 
     /* ── SIDE-EFFECTS ──────────────────────────────────────────── */
-    applyImpact({ company, weight }) {
-        const stock = this.userProfile.stocksAddedToSim
-            .find(s => s.symbol === company);
-        if (stock) {
-            stock.currentSentiment += weight;
-            stock.currentSentiment = Math.max(-1, Math.min(1, stock.currentSentiment));
-        }
+    applyImpact({ company, symbols, weight }) {
+        /* market events can move several stocks at once */
+        const affected = symbols?.length ? symbols : [company];
+
+        this.userProfile.stocksAddedToSim
+            .filter(s => affected.includes(s.symbol))
+            .forEach(stock => {
+                stock.currentSentiment += weight;
+                stock.currentSentiment = Math.max(-1, Math.min(1, stock.currentSentiment));
+            });
     }
 
     /* ── UI RENDERING ──────────────────────────────────────────── */
@@ -801,14 +1184,7 @@ class SimulatorGraphController {
     }
 
     updateAllStockPrices() {
-        // Update all stock prices
-        this.userProfile.stocksAddedToSim.forEach(stock => {
-            if (typeof stock.updatePrice === 'function') {
-                stock.updatePrice();
-            }
-        });
-
-        // Update UI
+        // Prices are applied by the market feed; just refresh the UI
         this.drawGraph();
         updateStockDisplays();
         updatePortfolioDisplays(this.userProfile.portfolio);
@@ -6,6 +6,8 @@ export { default as AuthService, authService, getCurrentUser, isAuthenticated, r
 export { default as PortfolioService } from '../PortfolioService.js';
 export { default as StockService, stockService } from '../StockService.js';
 export { default as SimulationService, simulationService } from '../SimulationService.js';
+export { default as MarketService, marketService, applyMarketPrice } from '../MarketService.js';
+export { default as StreamService, streamService } from '../StreamService.js';
 export { default as UserProfileService, userProfileService } from '../UserProfileService.js';
 
 // This allows easy importing like:
@@ -7,6 +7,20 @@ const path      = require('path');
 const helmet    = require('helmet');
 const morgan    = require('morgan');
 const db        = require('./middleware/db');  // make sure this connects
+const marketEngine = require('./services/marketEngine');
+const limitOrderEngine = require('./services/limitOrderEngine');
+const marketEvents = require('./services/marketEvents');
+const marginEngine = require('./services/marginEngine');
+const orderLimits = require('./services/orderLimits');
+const costModel = require('./services/costModel');
+const corporateActions = require('./services/corporateActions');
+const optionsEngine = require('./services/optionsEngine');
+const fundEngine = require('./services/fundEngine');
+const cashInterest = require('./services/cashInterest');
+const performance = require('./services/performance');
+const taxLots = require('./services/taxLots');
+const rebalancer = require('./services/rebalancer');
+const recurringInvestments = require('./services/recurringInvestments');
 
 
 const newsRoutes        = require('./routes/news.js');
@@ -16,6 +30,12 @@ const portfolioRoutes   = require('./routes/portfolios');
 const stockRoutes       = require('./routes/stocks');
 const transactionRoutes = require('./routes/transactions');
 const settingsRoutes    = require('./routes/settings');
+const limitOrderRoutes  = require('./routes/limitOrders');
+const marketRoutes      = require('./routes/market');
+const streamRoutes      = require('./routes/stream');
+const optionRoutes      = require('./routes/options');
+const fundRoutes        = require('./routes/funds');
+const scheduleRoutes    = require('./routes/schedules');
 
 
 const PORT = process.env.PORT
@@ -39,13 +59,43 @@ app.use(session({
 app.use(express.json());
 
 db.testConnection()
-    .then(connected => {
+    .then(async connected => {
         if (!connected) {
             console.error('WARNING: Database connection failed during startup');
+            return;
         }
+
+        // Background engines run server-side so they keep working while users are offline
+        try {
+            await orderLimits.ensureOrderLimitColumns();
+            await marginEngine.ensureMarginTables();
+            await marketEngine.ensureMarketTables();
+            await costModel.ensureCostColumns();
+            await corporateActions.ensureCorporateActionTables();
+            await optionsEngine.ensureOptionTables();
+            await fundEngine.ensureFundTables();
+            await cashInterest.ensureInterestTables();
+            await performance.ensurePerformanceTables();
+            await taxLots.ensureLotTables();
+            await rebalancer.ensureRebalanceTables();
+            await marketEvents.ensureMarketEventsTable();
+            await limitOrderEngine.ensureLimitOrdersTable();
+            await recurringInvestments.ensureScheduleTables();
+        } catch (err) {
+            // Routes and engines depend on these tables; don't serve a half-migrated database
+            console.error('Database migration failed; shutting down:', err);
+            process.exit(1);
+        }
+
+        // Engines start only once every table exists; their first tick can touch any of them
+        await marketEngine.start();
+        marketEvents.start();
+        limitOrderEngine.start();
+        marginEngine.start();
+        recurringInvestments.start();
     })
     .catch(err => {
-        console.error('Error testing database connection:', err);
+        console.error('Error starting background engines:', err);
     });
 
 
@@ -56,6 +106,12 @@ app.use('/api/portfolios',  portfolioRoutes);
 app.use('/api/stocks',      stockRoutes);
 app.use('/api/transactions',transactionRoutes);
 app.use('/api/settings',    settingsRoutes);
+app.use('/api/limit-orders', limitOrderRoutes);
+app.use('/api/market',      marketRoutes);
+app.use('/api/stream',      streamRoutes);
+app.use('/api/options',     optionRoutes);
+app.use('/api/funds',       fundRoutes);
+app.use('/api/schedules',   scheduleRoutes);
 app.use('/api/news', newsRoutes);      //  →  POST /api/news/generate
 
 // Simple liveness check
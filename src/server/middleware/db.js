@@ -74,6 +74,59 @@ const transaction = async (callback) => {
     }
 };
 
+/**
+ * Add a column to an existing table if it isn't there yet
+ * MySQL has no ADD COLUMN IF NOT EXISTS, so check information_schema first
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column definition, e.g. "DECIMAL(12, 2) NULL"
+ * @returns {Promise<boolean>} True if the column was added
+ */
+const ensureColumn = async (table, column, definition) => {
+    const [columns] = await query(
+        `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+
+    if (columns.length > 0) {
+        return false;
+    }
+
+    await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+};
+
+/**
+ * Change an existing column's type or nullability if it doesn't match yet
+ * Skips the ALTER (and the table rebuild it can cause) when the column already has the type
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} type - Column type, e.g. "DECIMAL(12, 2)" or "ENUM('a', 'b')"
+ * @param {string} [attributes] - Rest of the definition, e.g. "NOT NULL DEFAULT 'a'"
+ * @returns {Promise<boolean>} True if the column was changed
+ */
+const ensureColumnType = async (table, column, type, attributes = 'NULL') => {
+    const [columns] = await query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+
+    // information_schema reports types in lower case without spaces, and older servers add an int display width
+    const normalize = value => value.toLowerCase().replace(/\s+/g, '').replace(/^((tiny|small|medium|big)?int)\(\d+\)/, '$1');
+    const nullable = !/\bNOT\s+NULL\b/i.test(attributes);
+
+    if (columns.length > 0 &&
+        normalize(columns[0].COLUMN_TYPE) === normalize(type) &&
+        (columns[0].IS_NULLABLE === 'YES') === nullable) {
+        return false;
+    }
+
+    await query(`ALTER TABLE ${table} MODIFY ${column} ${type} ${attributes}`);
+    return true;
+};
+
 /**
  * Close the database pool
  * @returns {Promise<void>}
@@ -105,6 +158,8 @@ module.exports = {
     getConnection,
     query,
     transaction,
+    ensureColumn,
+    ensureColumnType,
     closePool,
     testConnection
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+// server/routes/funds.js
+const express = require('express');
+const router = express.Router();
+
+//get middleware:
+const db = require('../middleware/db');
+const auth = require('../middleware/auth');
+const fundEngine = require('../services/fundEngine');
+
+// Get all funds available to a user (system funds + user's own)
+router.get('/:username', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to fund data' });
+        }
+
+        res.json(await fundEngine.getFunds(req.user.userID));
+    } catch (error) {
+        console.error('Get funds error:', error);
+        res.status(500).json({ error: 'Failed to get funds' });
+    }
+});
+
+// Get a fund with its basket valued at current prices
+router.get('/:username/:symbol', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, symbol } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to fund data' });
+        }
+
+        const funds = await fundEngine.getFunds(req.user.userID, symbol);
+
+        if (funds.length === 0) {
+            return res.status(404).json({ error: 'Fund not found' });
+        }
+
+        res.json(funds[0]);
+    } catch (error) {
+        console.error('Get fund error:', error);
+        res.status(500).json({ error: 'Failed to get fund' });
+    }
+});
+
+// List a custom fund: a weighted basket of system stocks and the user's custom stocks.
+// Weights are relative; the basket is sized so the fund starts at initialNav.
+router.post('/:username', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { symbol, companyName, constituents, initialNav = fundEngine.DEFAULT_NAV } = req.body;
+
+        // Verify user is adding a fund for themselves
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to add fund' });
+        }
+
+        // Validate input
+        if (!symbol || !companyName) {
+            return res.status(400).json({ error: 'Symbol and fund name are required' });
+        }
+
+        if (!/^[A-Z]{1,5}$/.test(symbol)) {
+            return res.status(400).json({ error: 'Symbol must be 1-5 uppercase letters' });
+        }
+
+        if (typeof initialNav !== 'number' || !Number.isFinite(initialNav) || initialNav < 1) {
+            return res.status(400).json({ error: 'Initial NAV must be at least $1' });
+        }
+
+        const basketError = fundEngine.validateBasket(constituents);
+        if (basketError) {
+            return res.status(400).json({ error: basketError });
+        }
+
+        const userID = req.user.userID;
+
+        // Check if symbol already exists in the system stocks or user's custom stocks
+        const [existingStocks] = await db.query(
+            'SELECT stockID FROM stocks WHERE symbol = ? AND (userID IS NULL OR userID = ?)',
+            [symbol, userID]
+        );
+
+        if (existingStocks.length > 0) {
+            return res.status(409).json({ error: 'Stock symbol already exists' });
+        }
+
+        // Constituents must be priced stocks the user can see; funds can't hold other funds
+        const [stocks] = await db.query(
+            `SELECT stockID, symbol, marketPrice, volatility, instrumentType FROM stocks
+       WHERE symbol IN (?) AND (userID IS NULL OR userID = ?)`,
+            [constituents.map(constituent => constituent.symbol), userID]
+        );
+
+        const stocksBySymbol = new Map(stocks.map(stock => [stock.symbol, stock]));
+        for (const constituent of constituents) {
+            const stock = stocksBySymbol.get(constituent.symbol);
+
+            if (!stock) {
+                return res.status(404).json({ error: `Stock ${constituent.symbol} not found` });
+            }
+
+            if (stock.instrumentType === 'fund') {
+                return res.status(400).json({ error: `${constituent.symbol} is a fund; funds can only hold stocks` });
+            }
+
+            if (!(Number(stock.marketPrice) > 0)) {
+                return res.status(400).json({ error: `${constituent.symbol} has no price yet` });
+            }
+        }
+
+        const stockID = await db.transaction(connection => fundEngine.createFund(connection, {
+            symbol,
+            companyName,
+            sector: 'Fund',
+            userID,
+            fundType: 'custom',
+            nav: initialNav,
+            constituents: constituents.map(constituent => ({
+                ...stocksBySymbol.get(constituent.symbol),
+                weight: constituent.weight
+            }))
+        }));
+
+        const funds = await fundEngine.getFunds(userID, symbol);
+        res.status(201).json({ ...funds[0], stockID });
+    } catch (error) {
+        console.error('Add fund error:', error);
+        res.status(500).json({ error: 'Failed to add fund' });
+    }
+});
+
+module.exports = router;
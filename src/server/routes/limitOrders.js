@@ -0,0 +1,577 @@
+// server/routes/limitOrders.js
+const express = require('express');
+const router = express.Router();
+
+//get middleware:
+const db = require('../middleware/db');
+const auth = require('../middleware/auth');
+const limitOrderEngine = require('../services/limitOrderEngine');
+const orderLimits = require('../services/orderLimits');
+
+const ORDER_TYPES = ['limit', 'stop_loss', 'take_profit', 'stop_limit', 'trailing_stop'];
+const TRAIL_TYPES = ['percent', 'amount'];
+
+// Whether a conditional order is still waiting for its trigger price (null for plain limit and queued market orders)
+function getTriggerState(order) {
+    if (order.orderType === 'limit' || order.orderType === 'market') return null;
+    if (order.triggeredAt) return 'triggered';
+    return order.status === 'active' ? 'armed' : 'inactive';
+}
+
+// Shape an order row the way LimitOrderManager expects it
+function formatOrder(order) {
+    return {
+        id: order.orderID,
+        portfolioId: order.portfolioID,
+        symbol: order.symbol,
+        companyName: order.companyName,
+        type: order.side,
+        orderType: order.orderType,
+        quantity: order.quantity !== null ? Number(order.quantity) : null,
+        amount: order.amount !== null ? Number(order.amount) : null,
+        filledQuantity: Number(order.filledQuantity),
+        targetPrice: order.targetPrice !== null ? Number(order.targetPrice) : null,
+        stopPrice: order.stopPrice !== null ? Number(order.stopPrice) : null,
+        trailType: order.trailType,
+        trailValue: order.trailValue !== null ? Number(order.trailValue) : null,
+        trailAnchorPrice: order.trailAnchorPrice !== null ? Number(order.trailAnchorPrice) : null,
+        ocoGroupId: order.ocoGroupID,
+        triggerState: getTriggerState(order),
+        expiration: order.expiresAt,
+        status: order.status,
+        executionPrice: order.executionPrice !== null ? Number(order.executionPrice) : null,
+        totalValue: order.executionPrice !== null ? Number(order.executionPrice) * Number(order.filledQuantity) : null,
+        transactionID: order.transactionID,
+        failReason: order.failReason,
+        cancelReason: order.cancelReason,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt,
+        completedAt: order.completedAt,
+        triggeredAt: order.triggeredAt,
+        cancelledAt: order.cancelledAt,
+        expiredAt: order.expiredAt,
+        failedAt: order.failedAt
+    };
+}
+
+// Get a single order belonging to a user
+async function findOrder(username, orderId) {
+    const [orders] = await db.query(
+        `SELECT lo.*, s.symbol, s.companyName
+       FROM limit_orders lo
+       JOIN stocks s ON lo.stockID = s.stockID
+       JOIN users u ON lo.userID = u.userID
+       WHERE u.username = ? AND lo.orderID = ?`,
+        [username, orderId]
+    );
+
+    return orders.length > 0 ? orders[0] : null;
+}
+
+// Validate the price fields each order type needs; returns an error message or null
+function validateOrderInput({ type, orderType, quantity, targetPrice, stopPrice, trailType, trailValue }) {
+    if (type !== 'buy' && type !== 'sell') {
+        return 'Order type must be "buy" or "sell"';
+    }
+
+    if (!ORDER_TYPES.includes(orderType)) {
+        return `Order kind must be one of: ${ORDER_TYPES.join(', ')}`;
+    }
+
+    if (!orderLimits.isValidQuantity(quantity)) {
+        return `Quantity must be a positive number of shares with at most ${orderLimits.QUANTITY_DECIMALS} decimal places`;
+    }
+
+    const needsTarget = ['limit', 'take_profit', 'stop_limit'].includes(orderType);
+    const needsStop = ['stop_loss', 'stop_limit'].includes(orderType);
+
+    if (needsTarget && (typeof targetPrice !== 'number' || targetPrice <= 0)) {
+        return 'Target price must be a positive number';
+    }
+
+    if (needsStop && (typeof stopPrice !== 'number' || stopPrice <= 0)) {
+        return 'Stop price must be a positive number';
+    }
+
+    if (orderType === 'trailing_stop') {
+        if (!TRAIL_TYPES.includes(trailType)) {
+            return 'Trail type must be "percent" or "amount"';
+        }
+
+        if (typeof trailValue !== 'number' || trailValue <= 0 || (trailType === 'percent' && trailValue >= 100)) {
+            return 'Trail value must be a positive number (percent trails must be below 100)';
+        }
+    }
+
+    return null;
+}
+
+// Parse an optional expiration date; returns { expiresAt } or { error }
+function parseExpiration(expiration) {
+    if (!expiration) {
+        return { expiresAt: null };
+    }
+
+    const expiresAt = new Date(expiration);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return { error: 'Expiration must be a valid future date' };
+    }
+
+    return { expiresAt };
+}
+
+// Look up the user's portfolio and a stock visible to them; returns { error } if either is missing
+async function findPortfolioStock(username, portfolioId, symbol) {
+    const [portfolios] = await db.query(
+        `SELECT p.portfolioID, p.marginEnabled, p.maxOrderQuantity, p.maxOrderValue, p.maxPositionPercent, u.userID
+       FROM portfolios p
+       JOIN users u ON p.userID = u.userID
+       WHERE u.username = ? AND p.portfolioID = ?`,
+        [username, portfolioId]
+    );
+
+    if (portfolios.length === 0) {
+        return { error: 'Portfolio not found or does not belong to user' };
+    }
+
+    const userID = portfolios[0].userID;
+
+    // Get stock (system stocks + user's custom stocks)
+    const [stocks] = await db.query(
+        'SELECT stockID, marketPrice FROM stocks WHERE symbol = ? AND (userID IS NULL OR userID = ?)',
+        [symbol, userID]
+    );
+
+    if (stocks.length === 0) {
+        return { error: 'Stock not found' };
+    }
+
+    return {
+        userID,
+        stockID: stocks[0].stockID,
+        marketPrice: Number(stocks[0].marketPrice),
+        marginEnabled: Boolean(portfolios[0].marginEnabled),
+        limits: orderLimits.fromRow(portfolios[0])
+    };
+}
+
+// Number of shares of a stock held in a portfolio
+async function getHeldQuantity(portfolioId, stockID) {
+    const [holdings] = await db.query(
+        'SELECT quantity FROM holdings WHERE portfolioID = ? AND stockID = ?',
+        [portfolioId, stockID]
+    );
+
+    return holdings.length > 0 ? Number(holdings[0].quantity) : 0;
+}
+
+// Insert an order row; trailing stops start anchored at the current market price
+async function insertOrder(connection, order) {
+    const orderID = `order-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+    let trailAnchorPrice = null;
+    let stopPrice = order.stopPrice ?? null;
+
+    if (order.orderType === 'trailing_stop' && order.marketPrice) {
+        trailAnchorPrice = order.marketPrice;
+        stopPrice = Math.max(limitOrderEngine.calculateTrailingStop(order, order.marketPrice), 0.01);
+    }
+
+    await connection.query(
+        `INSERT INTO limit_orders
+       (orderID, userID, portfolioID, stockID, side, orderType, quantity, targetPrice, stopPrice,
+        trailType, trailValue, trailAnchorPrice, ocoGroupID, expiresAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            orderID, order.userID, order.portfolioId, order.stockID, order.side, order.orderType,
+            order.quantity, order.targetPrice ?? null, stopPrice,
+            order.trailType || null, order.trailValue ?? null, trailAnchorPrice,
+            order.ocoGroupID || null, order.expiresAt
+        ]
+    );
+
+    return orderID;
+}
+
+// Get all limit orders for a user
+router.get('/:username', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { status, portfolioId } = req.query;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to limit orders' });
+        }
+
+        const conditions = ['u.username = ?'];
+        const values = [username];
+
+        if (status) {
+            conditions.push('lo.status = ?');
+            values.push(status);
+        }
+
+        if (portfolioId) {
+            conditions.push('lo.portfolioID = ?');
+            values.push(portfolioId);
+        }
+
+        const [orders] = await db.query(
+            `SELECT lo.*, s.symbol, s.companyName
+       FROM limit_orders lo
+       JOIN stocks s ON lo.stockID = s.stockID
+       JOIN users u ON lo.userID = u.userID
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY lo.createdAt DESC`,
+            values
+        );
+
+        res.json(orders.map(formatOrder));
+    } catch (error) {
+        console.error('Get limit orders error:', error);
+        res.status(500).json({ error: 'Failed to get limit orders' });
+    }
+});
+
+// Get a specific limit order
+router.get('/:username/:orderId', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, orderId } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to limit orders' });
+        }
+
+        const order = await findOrder(username, orderId);
+
+        if (!order) {
+            return res.status(404).json({ error: 'Limit order not found' });
+        }
+
+        res.json(formatOrder(order));
+    } catch (error) {
+        console.error('Get limit order error:', error);
+        res.status(500).json({ error: 'Failed to get limit order' });
+    }
+});
+
+// Create an order (limit, stop-loss, take-profit, stop-limit or trailing-stop)
+router.post('/:username', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const {
+            portfolioId, symbol, type, orderType = 'limit', quantity,
+            targetPrice, stopPrice, trailType, trailValue, expiration
+        } = req.body;
+
+        // Verify user is creating an order for themselves
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to create limit order' });
+        }
+
+        // Validate input
+        if (!portfolioId || !symbol || !type || !quantity) {
+            return res.status(400).json({ error: 'Portfolio, symbol, type, and quantity are required' });
+        }
+
+        const validationError = validateOrderInput({ type, orderType, quantity, targetPrice, stopPrice, trailType, trailValue });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { expiresAt, error: expirationError } = parseExpiration(expiration);
+        if (expirationError) {
+            return res.status(400).json({ error: expirationError });
+        }
+
+        const target = await findPortfolioStock(username, portfolioId, symbol);
+        if (target.error) {
+            return res.status(404).json({ error: target.error });
+        }
+
+        // Size limits are checked at the order's own price where it has one
+        const sizeError = orderLimits.validateOrderSize(target.limits, quantity, targetPrice ?? stopPrice ?? target.marketPrice);
+        if (sizeError) {
+            return res.status(400).json({ error: sizeError });
+        }
+
+        // For sell orders, check if user has enough shares (margin portfolios may sell short)
+        if (type === 'sell' && !target.marginEnabled && await getHeldQuantity(portfolioId, target.stockID) < quantity) {
+            return res.status(400).json({ error: 'Insufficient shares' });
+        }
+
+        const orderID = await insertOrder(db, {
+            ...target,
+            portfolioId,
+            side: type,
+            orderType,
+            quantity,
+            targetPrice,
+            stopPrice,
+            trailType,
+            trailValue,
+            expiresAt
+        });
+
+        const order = await findOrder(username, orderID);
+
+        res.status(201).json(formatOrder(order));
+    } catch (error) {
+        console.error('Create limit order error:', error);
+        res.status(500).json({ error: 'Failed to create limit order' });
+    }
+});
+
+// Attach a one-cancels-the-other bracket (take-profit + stop-loss or trailing-stop) to a position
+router.post('/:username/bracket', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { portfolioId, symbol, quantity, takeProfitPrice, stopPrice, trailType, trailValue, expiration } = req.body;
+
+        // Verify user is creating orders for themselves
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to create limit order' });
+        }
+
+        // Validate input
+        if (!portfolioId || !symbol || !quantity) {
+            return res.status(400).json({ error: 'Portfolio, symbol, and quantity are required' });
+        }
+
+        if (takeProfitPrice === undefined || (stopPrice === undefined && trailType === undefined)) {
+            return res.status(400).json({ error: 'A bracket needs a take-profit price and a stop price or trailing stop' });
+        }
+
+        // A long position is closed by sell legs, a short one (margin portfolios) by buy legs
+        const buildLegs = (type) => [
+            { type, orderType: 'take_profit', quantity, targetPrice: takeProfitPrice },
+            trailType !== undefined
+                ? { type, orderType: 'trailing_stop', quantity, trailType, trailValue }
+                : { type, orderType: 'stop_loss', quantity, stopPrice }
+        ];
+
+        const validationError = buildLegs('sell').map(validateOrderInput).find(Boolean);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { expiresAt, error: expirationError } = parseExpiration(expiration);
+        if (expirationError) {
+            return res.status(400).json({ error: expirationError });
+        }
+
+        const target = await findPortfolioStock(username, portfolioId, symbol);
+        if (target.error) {
+            return res.status(404).json({ error: target.error });
+        }
+
+        const sizeError = orderLimits.validateOrderSize(target.limits, quantity, takeProfitPrice);
+        if (sizeError) {
+            return res.status(400).json({ error: sizeError });
+        }
+
+        // Brackets protect an existing position
+        const heldQuantity = await getHeldQuantity(portfolioId, target.stockID);
+        const isShort = heldQuantity < 0;
+        if (Math.abs(heldQuantity) < quantity) {
+            return res.status(400).json({ error: isShort ? 'Quantity exceeds the short position' : 'Insufficient shares' });
+        }
+
+        if (trailType === undefined && !isShort && stopPrice >= takeProfitPrice) {
+            return res.status(400).json({ error: 'Stop price must be below the take-profit price' });
+        }
+
+        if (trailType === undefined && isShort && stopPrice <= takeProfitPrice) {
+            return res.status(400).json({ error: 'Stop price must be above the take-profit price on a short position' });
+        }
+
+        const legs = buildLegs(isShort ? 'buy' : 'sell');
+
+        const ocoGroupID = `oco-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+        const orderIDs = await db.transaction(async (connection) => {
+            const ids = [];
+            for (const leg of legs) {
+                ids.push(await insertOrder(connection, {
+                    ...leg,
+                    ...target,
+                    portfolioId,
+                    side: leg.type,
+                    ocoGroupID,
+                    expiresAt
+                }));
+            }
+            return ids;
+        });
+
+        const orders = [];
+        for (const orderID of orderIDs) {
+            orders.push(formatOrder(await findOrder(username, orderID)));
+        }
+
+        res.status(201).json({ ocoGroupId: ocoGroupID, orders });
+    } catch (error) {
+        console.error('Create bracket order error:', error);
+        res.status(500).json({ error: 'Failed to create bracket order' });
+    }
+});
+
+// Update an active limit order
+router.put('/:username/:orderId', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, orderId } = req.params;
+        const { quantity, targetPrice, stopPrice, trailValue, expiration } = req.body;
+
+        // Verify user is updating their own order
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to update limit order' });
+        }
+
+        const order = await findOrder(username, orderId);
+
+        if (!order) {
+            return res.status(404).json({ error: 'Limit order not found' });
+        }
+
+        if (order.status !== 'active') {
+            return res.status(400).json({ error: `Cannot update a ${order.status} order` });
+        }
+
+        // Update order
+        const updateFields = [];
+        const updateValues = [];
+
+        if (quantity !== undefined) {
+            if (!orderLimits.isValidQuantity(quantity)) {
+                return res.status(400).json({
+                    error: `Quantity must be a positive number of shares with at most ${orderLimits.QUANTITY_DECIMALS} decimal places`
+                });
+            }
+
+            if (order.amount !== null) {
+                return res.status(400).json({ error: 'Dollar-amount orders are sized when they fill' });
+            }
+
+            if (quantity <= Number(order.filledQuantity)) {
+                return res.status(400).json({ error: `${Number(order.filledQuantity)} shares of this order have already filled` });
+            }
+
+            const orderPrice = order.targetPrice ?? order.stopPrice;
+            const sizeError = orderLimits.validateOrderSize(
+                await orderLimits.getOrderLimits(db, order.portfolioID),
+                quantity,
+                orderPrice !== null ? Number(orderPrice) : null
+            );
+            if (sizeError) {
+                return res.status(400).json({ error: sizeError });
+            }
+            updateFields.push('quantity = ?');
+            updateValues.push(quantity);
+        }
+
+        if (targetPrice !== undefined) {
+            if (['stop_loss', 'trailing_stop', 'market'].includes(order.orderType)) {
+                return res.status(400).json({ error: 'Stop, trailing-stop and market orders have no target price' });
+            }
+            if (typeof targetPrice !== 'number' || targetPrice <= 0) {
+                return res.status(400).json({ error: 'Target price must be a positive number' });
+            }
+            updateFields.push('targetPrice = ?');
+            updateValues.push(targetPrice);
+        }
+
+        if (stopPrice !== undefined) {
+            if (!['stop_loss', 'stop_limit'].includes(order.orderType) || typeof stopPrice !== 'number' || stopPrice <= 0) {
+                return res.status(400).json({ error: 'Stop price must be a positive number on a stop order' });
+            }
+            updateFields.push('stopPrice = ?');
+            updateValues.push(stopPrice);
+        }
+
+        if (trailValue !== undefined) {
+            const trailError = order.orderType === 'trailing_stop'
+                ? validateOrderInput({ type: order.side, orderType: order.orderType, quantity: Number(order.quantity), trailType: order.trailType, trailValue })
+                : 'Trail value can only be changed on a trailing stop';
+            if (trailError) {
+                return res.status(400).json({ error: trailError });
+            }
+
+            // Re-derive the stop from the current anchor
+            const anchorPrice = Number(order.trailAnchorPrice);
+            updateFields.push('trailValue = ?', 'stopPrice = ?');
+            updateValues.push(trailValue, Math.max(limitOrderEngine.calculateTrailingStop({ ...order, trailValue }, anchorPrice), 0.01));
+        }
+
+        if (expiration !== undefined) {
+            const { expiresAt, error: expirationError } = parseExpiration(expiration);
+            if (expirationError) {
+                return res.status(400).json({ error: expirationError });
+            }
+            updateFields.push('expiresAt = ?');
+            updateValues.push(expiresAt);
+        }
+
+        if (updateFields.length === 0) {
+            return res.status(400).json({ error: 'No update fields provided' });
+        }
+
+        // Add order ID to values
+        updateValues.push(orderId);
+
+        // Only touch the order if the matcher hasn't filled it in the meantime
+        const [result] = await db.query(
+            `UPDATE limit_orders SET ${updateFields.join(', ')} WHERE orderID = ? AND status = 'active'`,
+            updateValues
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ error: 'Limit order is no longer active' });
+        }
+
+        const updatedOrder = await findOrder(username, orderId);
+
+        res.json(formatOrder(updatedOrder));
+    } catch (error) {
+        console.error('Update limit order error:', error);
+        res.status(500).json({ error: 'Failed to update limit order' });
+    }
+});
+
+// Cancel a limit order (kept for the audit trail rather than deleted)
+router.delete('/:username/:orderId', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, orderId } = req.params;
+
+        // Verify user is cancelling their own order
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to cancel limit order' });
+        }
+
+        const order = await findOrder(username, orderId);
+
+        if (!order) {
+            return res.status(404).json({ error: 'Limit order not found' });
+        }
+
+        const [result] = await db.query(
+            `UPDATE limit_orders SET status = 'cancelled', cancelledAt = NOW()
+       WHERE orderID = ? AND status = 'active'`,
+            [orderId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({ error: `Cannot cancel a ${order.status} order` });
+        }
+
+        const cancelledOrder = await findOrder(username, orderId);
+
+        res.json(formatOrder(cancelledOrder));
+    } catch (error) {
+        console.error('Cancel limit order error:', error);
+        res.status(500).json({ error: 'Failed to cancel limit order' });
+    }
+});
+
+module.exports = router;
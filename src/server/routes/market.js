@@ -0,0 +1,369 @@
+// server/routes/market.js
+const express = require('express');
+const router = express.Router();
+
+//get middleware:
+const db = require('../middleware/db');
+const auth = require('../middleware/auth');
+const marketEngine = require('../services/marketEngine');
+const priceModels = require('../services/priceModels');
+const marketEvents = require('../services/marketEvents');
+const marketClock = require('../services/marketClock');
+const orderBook = require('../services/orderBook');
+const costModel = require('../services/costModel');
+
+// Parse the ?since= tick cursor; returns undefined when absent and null when invalid
+function parseSince(since) {
+    if (since === undefined) return undefined;
+
+    const tickId = Number(since);
+    return Number.isInteger(tickId) && tickId >= 0 ? tickId : null;
+}
+
+// Parse the ?limit= for event lists; returns null when invalid
+function parseLimit(limit) {
+    if (limit === undefined) return 20;
+
+    const value = Number(limit);
+    return Number.isInteger(value) && value >= 1 && value <= 100 ? value : null;
+}
+
+// Level-2 book for a stock row ({ stockID, symbol, marketPrice, isHalted }) under a set of cost settings
+async function getStockBook(stock, settings) {
+    const book = await orderBook.getBook(db, { stockID: stock.stockID, quotePrice: Number(stock.marketPrice) }, settings);
+
+    return { symbol: stock.symbol, isHalted: Boolean(stock.isHalted), ...book };
+}
+
+// Available price models and their parameters
+router.get('/models', (req, res) => {
+    res.json(priceModels.listModels());
+});
+
+// The running market session (seed and start time), for sharing or replaying it
+router.get('/session', async (req, res) => {
+    try {
+        const session = await marketEngine.getSession();
+        if (!session) {
+            return res.status(503).json({ error: 'Market engine is not running' });
+        }
+
+        const { startState, ...info } = session;
+        res.json(info);
+    } catch (error) {
+        console.error('Get market session error:', error);
+        res.status(500).json({ error: 'Failed to get market session' });
+    }
+});
+
+// Market clock: simulated time, trading session and the next open and close
+router.get('/clock', (req, res) => {
+    const clock = marketClock.getState();
+    if (!clock) {
+        return res.status(503).json({ error: 'Market engine is not running' });
+    }
+
+    res.json(clock);
+});
+
+// Move the whole market or one sector at once (e.g. an instructor staging a sector crash)
+router.post('/shocks', auth.verifyToken, auth.isAdmin, async (req, res) => {
+    try {
+        const { sector = null, size } = req.body;
+
+        if (typeof size !== 'number' || size < -0.5 || size > 0.5) {
+            return res.status(400).json({ error: 'size must be a log return between -0.5 and 0.5' });
+        }
+
+        if (sector !== null) {
+            const [stocks] = await db.query('SELECT stockID FROM stocks WHERE sector = ? LIMIT 1', [sector]);
+            if (stocks.length === 0) {
+                return res.status(404).json({ error: 'Sector not found' });
+            }
+        }
+
+        marketEngine.applyFactorShock(sector, size);
+        res.status(202).json({ sector, size });
+    } catch (error) {
+        console.error('Market shock error:', error);
+        res.status(500).json({ error: 'Failed to apply market shock' });
+    }
+});
+
+// Recent market-wide events (crashes, rallies, earnings, halts, rotations)
+router.get('/events', async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        if (limit === null) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+        }
+
+        res.json(await marketEvents.getRecentEvents(null, limit));
+    } catch (error) {
+        console.error('Get market events error:', error);
+        res.status(500).json({ error: 'Failed to get market events' });
+    }
+});
+
+// Fire a market event now (e.g. an instructor staging an earnings day)
+router.post('/events', auth.verifyToken, auth.isAdmin, async (req, res) => {
+    try {
+        const { eventType } = req.body;
+
+        if (!marketEvents.EVENT_TYPES[eventType]) {
+            return res.status(400).json({
+                error: `eventType must be one of: ${Object.keys(marketEvents.EVENT_TYPES).join(', ')}`
+            });
+        }
+
+        const event = await marketEvents.triggerEvent(eventType);
+        if (!event) {
+            return res.status(409).json({ error: 'The market cannot have this event right now' });
+        }
+
+        res.status(201).json(event);
+    } catch (error) {
+        console.error('Trigger market event error:', error);
+        res.status(500).json({ error: 'Failed to trigger market event' });
+    }
+});
+
+// Current prices for system stocks (used by the guest simulator)
+router.get('/prices', async (req, res) => {
+    try {
+        const since = parseSince(req.query.since);
+        if (since === null) {
+            return res.status(400).json({ error: 'since must be a non-negative tick ID' });
+        }
+
+        res.json(await marketEngine.getMarketSnapshot(null, since));
+    } catch (error) {
+        console.error('Get market prices error:', error);
+        res.status(500).json({ error: 'Failed to get market prices' });
+    }
+});
+
+// Order book depth for a system stock (used by the guest simulator), with the default trading costs
+router.get('/book/:symbol', async (req, res) => {
+    try {
+        const [stocks] = await db.query(
+            `SELECT stockID, symbol, marketPrice, haltedUntil > NOW() AS isHalted
+             FROM stocks WHERE symbol = ? AND userID IS NULL`,
+            [req.params.symbol]
+        );
+
+        if (stocks.length === 0) {
+            return res.status(404).json({ error: 'Stock not found' });
+        }
+
+        res.json(await getStockBook(stocks[0], costModel.fromRow()));
+    } catch (error) {
+        console.error('Get order book error:', error);
+        res.status(500).json({ error: 'Failed to get order book' });
+    }
+});
+
+// Current prices for system stocks plus the user's custom stocks
+router.get('/:username/prices', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to market data' });
+        }
+
+        const since = parseSince(req.query.since);
+        if (since === null) {
+            return res.status(400).json({ error: 'since must be a non-negative tick ID' });
+        }
+
+        // Get user ID
+        const [users] = await db.query(
+            'SELECT userID FROM users WHERE username = ?',
+            [username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(await marketEngine.getMarketSnapshot(users[0].userID, since));
+    } catch (error) {
+        console.error('Get market prices error:', error);
+        res.status(500).json({ error: 'Failed to get market prices' });
+    }
+});
+
+// Recent market-wide events plus those on the user's custom stocks
+router.get('/:username/events', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to market data' });
+        }
+
+        const limit = parseLimit(req.query.limit);
+        if (limit === null) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+        }
+
+        // Get user ID
+        const [users] = await db.query(
+            'SELECT userID FROM users WHERE username = ?',
+            [username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(await marketEvents.getRecentEvents(users[0].userID, limit));
+    } catch (error) {
+        console.error('Get market events error:', error);
+        res.status(500).json({ error: 'Failed to get market events' });
+    }
+});
+
+// Order book depth for a system stock or one of the user's custom stocks, shaped by the
+// user's trading cost settings (the book their orders fill against)
+router.get('/:username/book/:symbol', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, symbol } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to market data' });
+        }
+
+        // Get user ID and cost settings
+        const [users] = await db.query(
+            `SELECT u.userID, ss.commissionType, ss.commissionAmount, ss.feePercent, ss.spreadPercent, ss.slippageFactor
+             FROM users u
+             LEFT JOIN simulation_settings ss ON ss.userID = u.userID
+             WHERE u.username = ?`,
+            [username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [stocks] = await db.query(
+            `SELECT stockID, symbol, marketPrice, haltedUntil > NOW() AS isHalted
+             FROM stocks WHERE symbol = ? AND (userID IS NULL OR userID = ?)`,
+            [symbol, users[0].userID]
+        );
+
+        if (stocks.length === 0) {
+            return res.status(404).json({ error: 'Stock not found' });
+        }
+
+        // Users without saved settings trade at the defaults
+        const settings = users[0].spreadPercent !== null ? costModel.fromRow(users[0]) : costModel.fromRow();
+
+        res.json(await getStockBook(stocks[0], settings));
+    } catch (error) {
+        console.error('Get order book error:', error);
+        res.status(500).json({ error: 'Failed to get order book' });
+    }
+});
+
+// Replay a recorded session tick for tick from its starting state and recorded inputs, next to
+// the ticks it recorded (kept for each of the latest sessions' replay windows) to check against.
+// ?seed= re-runs the same session under a different seed.
+router.get('/:username/replay', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { seed } = req.query;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to market data' });
+        }
+
+        const ticks = Number(req.query.ticks);
+        if (!Number.isInteger(ticks) || ticks < 1 || ticks > marketEngine.MAX_REPLAY_TICKS) {
+            return res.status(400).json({ error: `ticks must be an integer between 1 and ${marketEngine.MAX_REPLAY_TICKS}` });
+        }
+
+        if (seed !== undefined && (typeof seed !== 'string' || seed.length === 0 || seed.length > 64)) {
+            return res.status(400).json({ error: 'seed must be 1-64 characters' });
+        }
+
+        const sessionId = req.query.sessionId !== undefined ? Number(req.query.sessionId) : undefined;
+        if (sessionId !== undefined && !Number.isInteger(sessionId)) {
+            return res.status(400).json({ error: 'sessionId must be an integer' });
+        }
+
+        // Get user ID
+        const [users] = await db.query(
+            'SELECT userID FROM users WHERE username = ?',
+            [username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const userID = users[0].userID;
+
+        const session = await marketEngine.getSession(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Market session not found' });
+        }
+
+        // System stocks plus the user's own custom stocks
+        const visible = stock => stock.userID === null || stock.userID === userID;
+        const stocks = session.startState.filter(visible);
+        const inputs = session.inputs.map(record => ({
+            step: record.step,
+            inputs: record.inputs.stocks
+                ? { ...record.inputs, stocks: record.inputs.stocks.filter(visible) }
+                : record.inputs
+        }));
+        const replaySeed = seed || session.seed;
+        const replayed = marketEngine.replay(replaySeed, stocks, ticks, session.clockStart, inputs);
+
+        // The ticks the session recorded for the same steps: one per non-null replayed price
+        const recorded = new Map(replayed.map(stock => [stock.stockID, []]));
+        if (replayed.length > 0) {
+            const [rows] = await db.query(
+                `SELECT stockID, price FROM price_ticks
+                 WHERE tickID > ? AND (? IS NULL OR tickID <= ?) AND stockID IN (?)
+                 ORDER BY tickID`,
+                [session.startTickId, session.replayEndTickId, session.replayEndTickId, [...recorded.keys()]]
+            );
+            rows.forEach(row => recorded.get(row.stockID).push(Number(row.price)));
+        }
+
+        res.json({
+            sessionId: session.sessionId,
+            seed: replaySeed,
+            startTickId: session.startTickId,
+            startedAt: session.startedAt,
+            clockStart: session.clockStart,
+            ticks,
+            stocks: replayed.map(({ stockID, ...stock }) => {
+                const ticked = stock.prices.filter(price => price !== null).length;
+                const recordedPrices = recorded.get(stockID).slice(0, ticked);
+
+                return {
+                    ...stock,
+                    recordedPrices,
+                    // Null when the recording was pruned or is shorter than the replay
+                    matchesRecording: recordedPrices.length === ticked
+                        ? stock.prices.filter(price => price !== null).every((price, index) => price === recordedPrices[index])
+                        : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Replay market session error:', error);
+        res.status(500).json({ error: 'Failed to replay market session' });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 // src/server/routes/news.js
 const express = require('express');
 const OpenAI  = require('openai');
+const db = require('../middleware/db');
+const eventStream = require('../services/eventStream');
+const marketEngine = require('../services/marketEngine');
 
 const router = express.Router();
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -11,9 +14,28 @@ const CATEGORIES = [
     { tag: 'negative real',  weightSign: '-', min: -0.30, max: -0.05 }  // 40 %
 ];
 
+// A headline's weight moves the company's whole sector by this fraction of it (weight 0.3 → ~1.5%)
+const SECTOR_IMPACT = 0.05;
+
 // simple helper
 function pick(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
 
+// Queue a sector-wide move for a headline; news is still served if this fails
+async function moveSector(company, weight) {
+    try {
+        const [stocks] = await db.query(
+            'SELECT sector FROM stocks WHERE symbol = ? AND userID IS NULL',
+            [company]
+        );
+
+        if (stocks.length > 0 && stocks[0].sector && Number.isFinite(weight)) {
+            marketEngine.applyFactorShock(stocks[0].sector, weight * SECTOR_IMPACT);
+        }
+    } catch (err) {
+        console.error('News sector shock error', err);
+    }
+}
+
 router.post('/generate', async (_req, res) => {
     /* 1 ▸ decide ticker & category up-front */
     const ticker    = pick(TICKERS);
@@ -68,11 +90,20 @@ weight: ${signed}
             return res.status(500).json({ error: 'Malformed news payload' });
         }
         const weight = parseFloat(fields.weight.replace(/[^0-9+.\-]/g, ''));
-        return res.json({
+        const item = {
+            newsId : `news-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
             story  : fields.story.replace(/^"|"$/g, ''),
             company: fields.company,
             weight
-        });
+        };
+
+        /* market news is shared, so every open simulator gets it */
+        eventStream.publish('news', { ...item, timestamp: new Date() });
+
+        /* the headline drags the rest of the company's sector with it */
+        moveSector(item.company, weight);
+
+        return res.json(item);
     } catch (err) {
         console.error('News-gen error', err);
         res.status(500).json({ error: 'News generation failed' });
@@ -0,0 +1,161 @@
+// server/routes/options.js
+const express = require('express');
+const router = express.Router();
+
+//get middleware:
+const db = require('../middleware/db');
+const auth = require('../middleware/auth');
+const optionsEngine = require('../services/optionsEngine');
+const marketClock = require('../services/marketClock');
+
+const SIDES = ['buy', 'sell'];
+
+// Get a portfolio with its owner's username, or null
+async function findPortfolio(portfolioId) {
+    const [portfolios] = await db.query(
+        `SELECT p.portfolioID, u.username
+       FROM portfolios p
+       JOIN users u ON p.userID = u.userID
+       WHERE p.portfolioID = ?`,
+        [portfolioId]
+    );
+
+    return portfolios.length > 0 ? portfolios[0] : null;
+}
+
+// Get option chain for a stock
+router.get('/:username/chain/:symbol', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, symbol } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to option data' });
+        }
+
+        // Contracts are listed and priced on the simulated clock
+        if (!marketClock.now()) {
+            return res.status(503).json({ error: 'Market clock is not running' });
+        }
+
+        const [stocks] = await db.query(
+            `SELECT s.stockID, s.symbol, s.marketPrice, s.volatility, s.haltedUntil > NOW() AS isHalted
+       FROM stocks s
+       JOIN users u ON u.username = ?
+       WHERE s.symbol = ? AND (s.userID IS NULL OR s.userID = u.userID)`,
+            [username, symbol]
+        );
+
+        if (stocks.length === 0) {
+            return res.status(404).json({ error: 'Stock not found' });
+        }
+
+        if (!(Number(stocks[0].marketPrice) > 0)) {
+            return res.status(409).json({ error: 'Stock has no price to list options against' });
+        }
+
+        res.json(await optionsEngine.getChain(stocks[0]));
+    } catch (error) {
+        console.error('Get option chain error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get a portfolio's open option positions
+router.get('/:username/positions/:portfolioId', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to option data' });
+        }
+
+        const portfolio = await findPortfolio(portfolioId);
+
+        if (!portfolio || portfolio.username !== username) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        res.json(await optionsEngine.getPositions(db, portfolioId));
+    } catch (error) {
+        console.error('Get option positions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get a portfolio's option trades and settlements
+router.get('/:username/trades/:portfolioId', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to option data' });
+        }
+
+        const portfolio = await findPortfolio(portfolioId);
+
+        if (!portfolio || portfolio.username !== username) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        res.json(await optionsEngine.getTrades(portfolioId));
+    } catch (error) {
+        console.error('Get option trades error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Buy or sell option contracts
+router.post('/:username/trade', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { portfolioId, contractId, side, quantity } = req.body;
+
+        // Verify user is trading for themselves
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio' });
+        }
+
+        if (!portfolioId || !contractId || !side || quantity === undefined) {
+            return res.status(400).json({ error: 'All fields are required' });
+        }
+
+        if (!SIDES.includes(side)) {
+            return res.status(400).json({ error: 'Side must be "buy" or "sell"' });
+        }
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({ error: 'Quantity must be a whole number of contracts' });
+        }
+
+        const portfolio = await findPortfolio(portfolioId);
+
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        // Verify user is working with their own portfolio
+        if (portfolio.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio' });
+        }
+
+        const result = await db.transaction(connection => optionsEngine.executeOptionTrade(connection, {
+            portfolioId,
+            contractId,
+            side,
+            quantity
+        }));
+
+        res.status(201).json(result);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Option trade error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,48 @@ const router = express.Router();
 //get middleware:
 const db = require('../middleware/db');
 const auth = require('../middleware/auth');
+const marginAccount = require('../services/marginAccount');
+const marginEngine = require('../services/marginEngine');
+const orderLimits = require('../services/orderLimits');
+const optionsEngine = require('../services/optionsEngine');
+const cashInterest = require('../services/cashInterest');
+const performance = require('../services/performance');
+const taxLots = require('../services/taxLots');
+const profitLoss = require('../services/profitLoss');
+const rebalancer = require('../services/rebalancer');
+const basketOrders = require('../services/basketOrders');
+const marketClock = require('../services/marketClock');
+const cashLedger = require('../services/cashLedger');
+
+// Move the order limit columns of a portfolio row into one orderLimits object
+function extractOrderLimits(portfolio) {
+    const limits = orderLimits.fromRow(portfolio);
+    delete portfolio.maxOrderQuantity;
+    delete portfolio.maxOrderValue;
+    delete portfolio.maxPositionPercent;
+    return limits;
+}
+
+// Get a user's portfolio with its owner and order limits, or null
+async function findUserPortfolio(username, portfolioId) {
+    const [portfolios] = await db.query(
+        `SELECT p.portfolioID, p.userID, p.maxOrderQuantity, p.maxOrderValue, p.maxPositionPercent
+       FROM portfolios p
+       JOIN users u ON p.userID = u.userID
+       WHERE u.username = ? AND p.portfolioID = ?`,
+        [username, portfolioId]
+    );
+
+    return portfolios.length > 0 ? portfolios[0] : null;
+}
+
+// Option positions as the contracts' shares at the option's value, the way margin accounts value them
+function toAccountPositions(optionPositions) {
+    return optionPositions.map(option => ({
+        quantity: option.quantity * option.multiplier,
+        marketPrice: option.theoreticalPrice
+    }));
+}
 
 // Get all portfolios for a user
 router.get('/:username', auth.verifyToken, async (req, res) => {
@@ -19,6 +61,7 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
         // Get user's portfolios
         const [portfolios] = await db.query(
             `SELECT p.portfolioID, p.name, p.description, p.initialBalance, p.balance, 
+                 p.marginEnabled, p.dripEnabled, p.sweepEnabled, p.optionSettlement, p.lotMethod, p.maxOrderQuantity, p.maxOrderValue, p.maxPositionPercent,
                  p.createdAt, p.updatedAt
                FROM portfolios p
                JOIN users u ON p.userID = u.userID
@@ -48,9 +91,24 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
                 portfolioValue += holding.quantity * holding.marketPrice;
             }
 
+            const optionPositions = await optionsEngine.getPositions(db, portfolio.portfolioID);
+            const optionsValue = optionPositions.reduce((sum, option) => sum + option.marketValue, 0);
+
             portfolio.portfolioValue = portfolioValue;
-            portfolio.totalAssetsValue = portfolioValue + portfolio.balance;
+            portfolio.optionsValue = optionsValue;
+            portfolio.totalAssetsValue = portfolioValue + optionsValue + portfolio.balance;
             portfolio.holdingsCount = holdingsResult.length;
+
+            const account = marginAccount.calculateAccount(
+                Number(portfolio.balance), [...holdingsResult, ...toAccountPositions(optionPositions)],
+                Boolean(portfolio.marginEnabled)
+            );
+            portfolio.marginEnabled = Boolean(portfolio.marginEnabled);
+            portfolio.dripEnabled = Boolean(portfolio.dripEnabled);
+            portfolio.sweepEnabled = Boolean(portfolio.sweepEnabled);
+            portfolio.equity = account.equity;
+            portfolio.buyingPower = account.buyingPower;
+            portfolio.orderLimits = extractOrderLimits(portfolio);
         }
 
         res.json(portfolios);
@@ -73,6 +131,7 @@ router.get('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
         // Get portfolio
         const [portfolios] = await db.query(
             `SELECT p.portfolioID, p.name, p.description, p.initialBalance, p.balance, 
+              p.marginEnabled, p.dripEnabled, p.sweepEnabled, p.optionSettlement, p.lotMethod, p.maxOrderQuantity, p.maxOrderValue, p.maxPositionPercent,
               p.createdAt, p.updatedAt
                    FROM portfolios p
                    JOIN users u ON p.userID = u.userID
@@ -96,6 +155,9 @@ router.get('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
             [portfolioId]
         );
 
+        // Open tax lots, grouped under their holdings
+        const lots = await taxLots.getOpenLots(db, portfolioId);
+
         // Format holdings
         const holdingsMap = {};
         let portfolioValue = 0;
@@ -109,19 +171,68 @@ router.get('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
                 symbol: holding.symbol,
                 companyName: holding.companyName,
                 sector: holding.sector,
-                quantity: holding.quantity,
+                quantity: Number(holding.quantity),
                 avgPrice: holding.avgPrice,
                 currentPrice: holding.marketPrice,
                 value: value,
+                side: holding.quantity < 0 ? 'short' : 'long',
                 profitLoss: (holding.marketPrice - holding.avgPrice) * holding.quantity,
-                percentChange: ((holding.marketPrice - holding.avgPrice) / holding.avgPrice) * 100
+                // Relative to the cost basis, so a short gains as the price falls
+                percentChange: ((holding.marketPrice - holding.avgPrice) * holding.quantity)
+                    / (Math.abs(holding.quantity) * holding.avgPrice) * 100,
+                lots: lots.filter(lot => lot.stockID === holding.stockID)
             };
         }
 
+        // Option positions, marked at their Black-Scholes value
+        const optionPositions = await optionsEngine.getPositions(db, portfolioId);
+        const optionsValue = optionPositions.reduce((sum, option) => sum + option.marketValue, 0);
+
         // Calculate portfolio value
         portfolio.portfolioValue = portfolioValue;
-        portfolio.totalAssetsValue = portfolioValue + portfolio.balance;
+        portfolio.optionsValue = optionsValue;
+        portfolio.totalAssetsValue = portfolioValue + optionsValue + portfolio.balance;
         portfolio.holdingsMap = holdingsMap;
+        portfolio.optionPositions = optionPositions;
+
+        // Margin figures; cash portfolios just report their cash as buying power
+        const account = marginAccount.calculateAccount(
+            Number(portfolio.balance), [...holdings, ...toAccountPositions(optionPositions)],
+            Boolean(portfolio.marginEnabled)
+        );
+        portfolio.marginEnabled = Boolean(portfolio.marginEnabled);
+        portfolio.dripEnabled = Boolean(portfolio.dripEnabled);
+        portfolio.sweepEnabled = Boolean(portfolio.sweepEnabled);
+        portfolio.buyingPower = account.buyingPower;
+        portfolio.orderLimits = extractOrderLimits(portfolio);
+        portfolio.margin = {
+            ...account,
+            initialMargin: marginAccount.INITIAL_MARGIN,
+            longMaintenanceMargin: marginAccount.LONG_MAINTENANCE_MARGIN,
+            shortMaintenanceMargin: marginAccount.SHORT_MAINTENANCE_MARGIN,
+            borrowFeeRate: marginAccount.BORROW_FEE_RATE,
+            marginCalls: portfolio.marginEnabled ? await marginEngine.getMarginCalls(portfolioId) : []
+        };
+
+        // What trading has cost so far: fees charged to cash, and the spread and slippage
+        // paid against the quote (older transactions have no quote recorded)
+        const [costs] = await db.query(
+            `SELECT COALESCE(SUM(fee), 0) AS fees,
+                    COALESCE(SUM(ABS(pricePaid - quotePrice) * quantity), 0) AS priceImpact
+             FROM transactions
+             WHERE portfolioID = ?`,
+            [portfolioId]
+        );
+        portfolio.tradingCosts = {
+            fees: Number(costs[0].fees),
+            priceImpact: Math.round(Number(costs[0].priceImpact) * 100) / 100
+        };
+
+        // The rate the cash earns and the interest paid on it so far
+        portfolio.cashInterest = await cashInterest.getCashInterest(db, portfolio);
+
+        // Gains realized on closed tax lots, short- and long-term
+        portfolio.realizedGains = await taxLots.getRealizedGains(db, portfolioId);
 
         res.json(portfolio);
     } catch (error) {
@@ -130,17 +241,349 @@ router.get('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
     }
 });
 
+// Get a portfolio's daily closing values with its return, volatility and Sharpe ratio
+router.get('/:username/:portfolioId/performance', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+
+        // Verify user is accessing their own data or is an admin
+        if (req.user.username !== username && !req.user.isAdmin) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio data' });
+        }
+
+        // Check if portfolio exists and belongs to user
+        const [portfolios] = await db.query(
+            `SELECT p.portfolioID FROM portfolios p
+       JOIN users u ON p.userID = u.userID
+       WHERE u.username = ? AND p.portfolioID = ?`,
+            [username, portfolioId]
+        );
+
+        if (portfolios.length === 0) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        res.json(await performance.getPerformance(portfolioId));
+    } catch (error) {
+        console.error('Get portfolio performance error:', error);
+        res.status(500).json({ error: 'Failed to get portfolio performance' });
+    }
+});
+
+// Get a portfolio's realized, unrealized and total P&L per symbol. from and to (YYYY-MM-DD)
+// limit realized P&L to lots closed in that range; unrealized P&L is always at current prices
+router.get('/:username/:portfolioId/pnl', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+        const { from, to } = req.query;
+
+        // Verify user is accessing their own data or is an admin
+        if (req.user.username !== username && !req.user.isAdmin) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio data' });
+        }
+
+        const rangeError = profitLoss.validateRange({ from, to });
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        // Check if portfolio exists and belongs to user
+        const [portfolios] = await db.query(
+            `SELECT p.portfolioID FROM portfolios p
+       JOIN users u ON p.userID = u.userID
+       WHERE u.username = ? AND p.portfolioID = ?`,
+            [username, portfolioId]
+        );
+
+        if (portfolios.length === 0) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        res.json({ portfolioId, ...await profitLoss.getProfitLoss(db, portfolioId, { from, to }) });
+    } catch (error) {
+        console.error('Get portfolio P&L error:', error);
+        res.status(500).json({ error: 'Failed to get portfolio P&L' });
+    }
+});
+
+// Get a portfolio's target allocation
+router.get('/:username/:portfolioId/allocation', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio data' });
+        }
+
+        if (!await findUserPortfolio(username, portfolioId)) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        res.json(await rebalancer.getAllocation(db, portfolioId));
+    } catch (error) {
+        console.error('Get allocation error:', error);
+        res.status(500).json({ error: 'Failed to get target allocation' });
+    }
+});
+
+// Set a portfolio's target allocation: weights in percent per symbol or per sector, and the
+// drift in percentage points that calls for a rebalance
+router.put('/:username/:portfolioId/allocation', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+        const { allocationType, driftThreshold, targets } = req.body;
+
+        // Verify user is updating their own portfolio
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to update portfolio' });
+        }
+
+        const allocationError = rebalancer.validateAllocation({ allocationType, driftThreshold, targets });
+        if (allocationError) {
+            return res.status(400).json({ error: allocationError });
+        }
+
+        const portfolio = await findUserPortfolio(username, portfolioId);
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        // Symbol targets must be system stocks or the user's own
+        if (allocationType === 'symbol') {
+            const symbols = targets.map(target => target.key);
+            const [stocks] = await db.query(
+                'SELECT symbol FROM stocks WHERE symbol IN (?) AND (userID IS NULL OR userID = ?)',
+                [symbols, portfolio.userID]
+            );
+
+            const found = new Set(stocks.map(stock => stock.symbol));
+            const missing = symbols.filter(symbol => !found.has(symbol));
+            if (missing.length > 0) {
+                return res.status(404).json({ error: `Stock not found: ${missing.join(', ')}` });
+            }
+        }
+
+        await db.transaction(connection => rebalancer.setAllocation(connection, portfolioId, {
+            allocationType, driftThreshold, targets
+        }));
+
+        res.json(await rebalancer.getAllocation(db, portfolioId));
+    } catch (error) {
+        console.error('Set allocation error:', error);
+        res.status(500).json({ error: 'Failed to set target allocation' });
+    }
+});
+
+// Remove a portfolio's target allocation
+router.delete('/:username/:portfolioId/allocation', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+
+        // Verify user is updating their own portfolio
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to update portfolio' });
+        }
+
+        if (!await findUserPortfolio(username, portfolioId)) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        await rebalancer.clearAllocation(db, portfolioId);
+
+        res.json({ message: 'Target allocation removed' });
+    } catch (error) {
+        console.error('Remove allocation error:', error);
+        res.status(500).json({ error: 'Failed to remove target allocation' });
+    }
+});
+
+// Preview a rebalance: each target's drift and the trades that return the portfolio to
+// target, priced against the order books with their estimated fees and market impact
+router.get('/:username/:portfolioId/rebalance', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio data' });
+        }
+
+        if (!await findUserPortfolio(username, portfolioId)) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        res.json(await rebalancer.planRebalance(db, portfolioId));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Preview rebalance error:', error);
+        res.status(500).json({ error: 'Failed to preview rebalance' });
+    }
+});
+
+// Rebalance to target as one basket: every trade fills or none do. Unless force is set,
+// only when some weight has drifted past the threshold.
+router.post('/:username/:portfolioId/rebalance', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+        const { force = false } = req.body;
+
+        // Verify user is trading in their own portfolio
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio' });
+        }
+
+        if (typeof force !== 'boolean') {
+            return res.status(400).json({ error: 'force must be true or false' });
+        }
+
+        const portfolio = await findUserPortfolio(username, portfolioId);
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        // Rebalances trade together at market, so they aren't queued for the next open
+        if (!marketClock.isOpen()) {
+            return res.status(409).json({ error: 'Portfolios can only be rebalanced while the market is open' });
+        }
+
+        const { plan, basket } = await db.transaction(connection => rebalancer.executeRebalance(connection, {
+            portfolioId,
+            limits: orderLimits.fromRow(portfolio),
+            force
+        }));
+
+        basketOrders.recordFills(basket);
+
+        res.status(201).json({
+            portfolioId,
+            maxDrift: plan.maxDrift,
+            driftThreshold: plan.driftThreshold,
+            estimatedCosts: plan.estimatedCosts,
+            legs: basket.legs.map(leg => ({
+                transactionID: leg.transactionID,
+                symbol: leg.symbol,
+                transactionType: leg.transactionType,
+                quantity: leg.quantity,
+                price: leg.price,
+                totalValue: leg.totalValue,
+                fee: leg.fee,
+                realizedGain: leg.realizedGain
+            })),
+            totalBought: basket.totalBought,
+            totalSold: basket.totalSold,
+            totalFees: basket.totalFees,
+            newBalance: basket.newBalance,
+            timestamp: new Date()
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Rebalance error:', error);
+        res.status(500).json({ error: 'Failed to rebalance portfolio' });
+    }
+});
+
+// Get a portfolio's deposits and withdrawals and the money put into it in total
+router.get('/:username/:portfolioId/cash', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio data' });
+        }
+
+        if (!await findUserPortfolio(username, portfolioId)) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        res.json(await cashLedger.getLedger(db, portfolioId));
+    } catch (error) {
+        console.error('Get cash ledger error:', error);
+        res.status(500).json({ error: 'Failed to get cash ledger' });
+    }
+});
+
+// Deposit cash into a portfolio or withdraw it; either way initialBalance follows, so the
+// portfolio's gain doesn't count money moved in or out
+router.post('/:username/:portfolioId/cash', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+        const { type, amount } = req.body;
+
+        // Verify user is moving cash in their own portfolio
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio' });
+        }
+
+        const transferError = cashLedger.validateTransfer({ type, amount });
+        if (transferError) {
+            return res.status(400).json({ error: transferError });
+        }
+
+        if (!await findUserPortfolio(username, portfolioId)) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        const transfer = await db.transaction(connection => cashLedger.recordTransfer(connection, {
+            portfolioId, type, amount
+        }));
+
+        res.status(201).json({ portfolioId, ...transfer, timestamp: new Date() });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Cash transfer error:', error);
+        res.status(500).json({ error: 'Failed to move cash' });
+    }
+});
+
 // Create a new portfolio
 router.post('/:username', auth.verifyToken, async (req, res) => {
     try {
         const { username } = req.params;
-        const { name, description, initialBalance = 500 } = req.body;
+        const {
+            name, description, initialBalance = 500, marginEnabled = false, dripEnabled = false, sweepEnabled = false,
+            optionSettlement = 'cash', lotMethod = 'fifo',
+            maxOrderQuantity = orderLimits.DEFAULT_ORDER_LIMITS.maxOrderQuantity,
+            maxOrderValue = null, maxPositionPercent = null
+        } = req.body;
 
         // Validate input
         if (!name) {
             return res.status(400).json({ error: 'Portfolio name is required' });
         }
 
+        if (typeof marginEnabled !== 'boolean') {
+            return res.status(400).json({ error: 'marginEnabled must be true or false' });
+        }
+
+        if (typeof dripEnabled !== 'boolean') {
+            return res.status(400).json({ error: 'dripEnabled must be true or false' });
+        }
+
+        if (typeof sweepEnabled !== 'boolean') {
+            return res.status(400).json({ error: 'sweepEnabled must be true or false' });
+        }
+
+        if (!optionsEngine.SETTLEMENT_TYPES.includes(optionSettlement)) {
+            return res.status(400).json({ error: `optionSettlement must be one of: ${optionsEngine.SETTLEMENT_TYPES.join(', ')}` });
+        }
+
+        if (!taxLots.LOT_METHODS.includes(lotMethod)) {
+            return res.status(400).json({ error: `lotMethod must be one of: ${taxLots.LOT_METHODS.join(', ')}` });
+        }
+
+        const limitsError = orderLimits.validateLimitSettings({ maxOrderQuantity, maxOrderValue, maxPositionPercent });
+        if (limitsError) {
+            return res.status(400).json({ error: limitsError });
+        }
+
         // Verify user is creating a portfolio for themselves
         if (req.user.username !== username) {
             return res.status(403).json({ error: 'Unauthorized access to create portfolio' });
@@ -163,9 +606,14 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
 
         // Create portfolio
         await db.query(
-            `INSERT INTO portfolios (portfolioID, userID, name, description, initialBalance, balance)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-            [portfolioID, userID, name, description || '', initialBalance, initialBalance]
+            `INSERT INTO portfolios
+       (portfolioID, userID, name, description, initialBalance, balance, marginEnabled, dripEnabled,
+        sweepEnabled, optionSettlement, lotMethod, maxOrderQuantity, maxOrderValue, maxPositionPercent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                portfolioID, userID, name, description || '', initialBalance, initialBalance, marginEnabled, dripEnabled,
+                sweepEnabled, optionSettlement, lotMethod, maxOrderQuantity, maxOrderValue, maxPositionPercent
+            ]
         );
 
         // Get created portfolio
@@ -179,6 +627,7 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
         }
 
         const portfolio = portfolios[0];
+        const account = marginAccount.calculateAccount(Number(portfolio.balance), [], Boolean(portfolio.marginEnabled));
 
         // Return the created portfolio
         res.status(201).json({
@@ -187,10 +636,18 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
             description: portfolio.description,
             initialBalance: portfolio.initialBalance,
             balance: portfolio.balance,
+            marginEnabled: Boolean(portfolio.marginEnabled),
+            dripEnabled: Boolean(portfolio.dripEnabled),
+            sweepEnabled: Boolean(portfolio.sweepEnabled),
+            optionSettlement: portfolio.optionSettlement,
+            lotMethod: portfolio.lotMethod,
+            orderLimits: orderLimits.fromRow(portfolio),
             createdAt: portfolio.createdAt,
             updatedAt: portfolio.updatedAt,
             portfolioValue: 0,
+            optionsValue: 0,
             totalAssetsValue: portfolio.balance,
+            buyingPower: account.buyingPower,
             holdingsMap: {}
         });
     } catch (error) {
@@ -203,7 +660,10 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
 router.put('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
     try {
         const { username, portfolioId } = req.params;
-        const { name, description } = req.body;
+        const {
+            name, description, marginEnabled, dripEnabled, sweepEnabled, optionSettlement, lotMethod,
+            maxOrderQuantity, maxOrderValue, maxPositionPercent
+        } = req.body;
 
         // Verify user is updating their own portfolio
         if (req.user.username !== username) {
@@ -222,6 +682,39 @@ router.put('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
             return res.status(404).json({ error: 'Portfolio not found or does not belong to user' });
         }
 
+        if (marginEnabled !== undefined && typeof marginEnabled !== 'boolean') {
+            return res.status(400).json({ error: 'marginEnabled must be true or false' });
+        }
+
+        if (dripEnabled !== undefined && typeof dripEnabled !== 'boolean') {
+            return res.status(400).json({ error: 'dripEnabled must be true or false' });
+        }
+
+        if (sweepEnabled !== undefined && typeof sweepEnabled !== 'boolean') {
+            return res.status(400).json({ error: 'sweepEnabled must be true or false' });
+        }
+
+        if (optionSettlement !== undefined && !optionsEngine.SETTLEMENT_TYPES.includes(optionSettlement)) {
+            return res.status(400).json({ error: `optionSettlement must be one of: ${optionsEngine.SETTLEMENT_TYPES.join(', ')}` });
+        }
+
+        if (lotMethod !== undefined && !taxLots.LOT_METHODS.includes(lotMethod)) {
+            return res.status(400).json({ error: `lotMethod must be one of: ${taxLots.LOT_METHODS.join(', ')}` });
+        }
+
+        const limitsError = orderLimits.validateLimitSettings({ maxOrderQuantity, maxOrderValue, maxPositionPercent });
+        if (limitsError) {
+            return res.status(400).json({ error: limitsError });
+        }
+
+        // A portfolio can only go back to cash once nothing is borrowed
+        if (marginEnabled === false) {
+            const account = await marginAccount.getAccount(db, portfolioId);
+            if (account.shortValue > 0 || account.cash < 0) {
+                return res.status(409).json({ error: 'Cover short positions and repay the margin loan before disabling margin' });
+            }
+        }
+
         // Update portfolio
         const updateFields = [];
         const updateValues = [];
@@ -236,6 +729,43 @@ router.put('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
             updateValues.push(description);
         }
 
+        if (marginEnabled !== undefined) {
+            updateFields.push('marginEnabled = ?');
+            updateValues.push(marginEnabled);
+        }
+
+        // Reinvest dividends in the paying stock
+        if (dripEnabled !== undefined) {
+            updateFields.push('dripEnabled = ?');
+            updateValues.push(dripEnabled);
+        }
+
+        // Sweep idle cash into the money-market fund overnight for the full risk-free rate
+        if (sweepEnabled !== undefined) {
+            updateFields.push('sweepEnabled = ?');
+            updateValues.push(sweepEnabled);
+        }
+
+        // Settle in-the-money options at expiry in cash or by exercising into stock
+        if (optionSettlement !== undefined) {
+            updateFields.push('optionSettlement = ?');
+            updateValues.push(optionSettlement);
+        }
+
+        // Which tax lots sells close: fifo, lifo, highest_cost, or specific lots named per order
+        if (lotMethod !== undefined) {
+            updateFields.push('lotMethod = ?');
+            updateValues.push(lotMethod);
+        }
+
+        // Order limits; null lifts a value or position limit
+        for (const [field, value] of Object.entries({ maxOrderQuantity, maxOrderValue, maxPositionPercent })) {
+            if (value !== undefined) {
+                updateFields.push(`${field} = ?`);
+                updateValues.push(value);
+            }
+        }
+
         if (updateFields.length === 0) {
             return res.status(400).json({ error: 'No update fields provided' });
         }
@@ -299,6 +829,35 @@ router.post('/:username/:portfolioId/reset', auth.verifyToken, async (req, res)
             [portfolioId]
         );
 
+        // Margin history goes with the positions it was about
+        await db.query('DELETE FROM borrow_fees WHERE portfolioID = ?', [portfolioId]);
+        await db.query('DELETE FROM margin_calls WHERE portfolioID = ?', [portfolioId]);
+
+        // So do option positions and their trades
+        await db.query('DELETE FROM option_positions WHERE portfolioID = ?', [portfolioId]);
+        await db.query('DELETE FROM option_trades WHERE portfolioID = ?', [portfolioId]);
+
+        // And the interest and value history of the old balance
+        await db.query('DELETE FROM interest_accruals WHERE portfolioID = ?', [portfolioId]);
+        await db.query('DELETE FROM portfolio_values WHERE portfolioID = ?', [portfolioId]);
+
+        // And the tax lots of the old positions
+        await db.query('DELETE FROM lot_closings WHERE portfolioID = ?', [portfolioId]);
+        await db.query('DELETE FROM tax_lots WHERE portfolioID = ?', [portfolioId]);
+
+        // Open orders were placed against the old positions and balance
+        await db.query(
+            `UPDATE limit_orders SET status = 'cancelled', cancelledAt = NOW(), cancelReason = 'Portfolio reset'
+       WHERE portfolioID = ? AND status = 'active'`,
+            [portfolioId]
+        );
+
+        // Recurring schedules stop until the user resumes them on the fresh portfolio
+        await db.query(
+            "UPDATE investment_schedules SET status = 'paused' WHERE portfolioID = ? AND status = 'active'",
+            [portfolioId]
+        );
+
         // Update portfolio balance and initial balance
         await db.query(
             'UPDATE portfolios SET balance = ?, initialBalance = ?, updatedAt = NOW() WHERE portfolioID = ?',
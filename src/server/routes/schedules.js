@@ -0,0 +1,293 @@
+// server/routes/schedules.js
+const express = require('express');
+const router = express.Router();
+
+//get middleware:
+const db = require('../middleware/db');
+const auth = require('../middleware/auth');
+const recurringInvestments = require('../services/recurringInvestments');
+const marketClock = require('../services/marketClock');
+const orderLimits = require('../services/orderLimits');
+const cashLedger = require('../services/cashLedger');
+
+// Number of recent runs returned with each schedule
+const RECENT_RUNS = 5;
+
+// Schedule columns with dates as YYYY-MM-DD and the stock and portfolio they buy into;
+// deposit and withdrawal schedules have a null symbol
+const SCHEDULE_COLUMNS = `sc.scheduleID, sc.portfolioID, p.name AS portfolioName, sc.scheduleType, s.symbol, s.companyName,
+    sc.amount, sc.frequency, sc.status,
+    DATE_FORMAT(sc.nextRunDate, '%Y-%m-%d') AS nextRunDate,
+    DATE_FORMAT(sc.lastRunDate, '%Y-%m-%d') AS lastRunDate,
+    sc.createdAt, sc.updatedAt`;
+
+// Check a schedule's amount: order limits for buys, the transfer cap for deposits and withdrawals
+function validateScheduleAmount(scheduleType, limits, amount) {
+    if (scheduleType === 'buy') {
+        return orderLimits.validateOrderAmount(limits, amount);
+    }
+
+    return cashLedger.validateTransfer({ type: scheduleType === 'deposit' ? 'DEPOSIT' : 'WITHDRAWAL', amount });
+}
+
+// Amounts and quantities are stored as fixed-precision decimals, which the driver returns as strings
+function formatRun(run) {
+    return {
+        ...run,
+        amount: Number(run.amount),
+        quantity: run.quantity !== null ? Number(run.quantity) : null,
+        price: run.price !== null ? Number(run.price) : null,
+        fee: run.fee !== null ? Number(run.fee) : null
+    };
+}
+
+// Get a user's schedule by ID, or null
+async function findSchedule(userID, scheduleId) {
+    const [schedules] = await db.query(
+        `SELECT ${SCHEDULE_COLUMNS}
+       FROM investment_schedules sc
+       LEFT JOIN stocks s ON s.stockID = sc.stockID
+       JOIN portfolios p ON p.portfolioID = sc.portfolioID
+       WHERE sc.scheduleID = ? AND sc.userID = ?`,
+        [scheduleId, userID]
+    );
+
+    return schedules.length > 0 ? { ...schedules[0], amount: Number(schedules[0].amount) } : null;
+}
+
+// Get all schedules for a user with their latest runs
+router.get('/:username', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to schedule data' });
+        }
+
+        const [schedules] = await db.query(
+            `SELECT ${SCHEDULE_COLUMNS}
+       FROM investment_schedules sc
+       LEFT JOIN stocks s ON s.stockID = sc.stockID
+       JOIN portfolios p ON p.portfolioID = sc.portfolioID
+       WHERE sc.userID = ?
+       ORDER BY sc.createdAt`,
+            [req.user.userID]
+        );
+
+        for (const schedule of schedules) {
+            const [runs] = await db.query(
+                `SELECT runID, DATE_FORMAT(tradingDate, '%Y-%m-%d') AS tradingDate, status, amount, quantity,
+                price, fee, transactionID, reason, createdAt
+         FROM schedule_runs
+         WHERE scheduleID = ?
+         ORDER BY tradingDate DESC
+         LIMIT ?`,
+                [schedule.scheduleID, RECENT_RUNS]
+            );
+
+            schedule.amount = Number(schedule.amount);
+            schedule.recentRuns = runs.map(formatRun);
+        }
+
+        res.json(schedules);
+    } catch (error) {
+        console.error('Get schedules error:', error);
+        res.status(500).json({ error: 'Failed to get schedules' });
+    }
+});
+
+// Get every run of a schedule
+router.get('/:username/:scheduleId/runs', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, scheduleId } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to schedule data' });
+        }
+
+        if (!await findSchedule(req.user.userID, scheduleId)) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        const [runs] = await db.query(
+            `SELECT runID, DATE_FORMAT(tradingDate, '%Y-%m-%d') AS tradingDate, status, amount, quantity,
+              price, fee, transactionID, reason, createdAt
+       FROM schedule_runs
+       WHERE scheduleID = ?
+       ORDER BY tradingDate DESC`,
+            [scheduleId]
+        );
+
+        res.json(runs.map(formatRun));
+    } catch (error) {
+        console.error('Get schedule runs error:', error);
+        res.status(500).json({ error: 'Failed to get schedule runs' });
+    }
+});
+
+// Create a recurring investment: buy a dollar amount of a stock every day, week, two weeks
+// or month of simulated time, starting on nextRunDate (default: the current trading date).
+// With scheduleType 'deposit' or 'withdrawal' it moves that amount of cash instead, like a paycheck.
+router.post('/:username', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { portfolioId, symbol, amount, frequency, nextRunDate } = req.body;
+        const scheduleType = req.body.scheduleType || 'buy';
+
+        // Verify user is creating a schedule for themselves
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to create schedule' });
+        }
+
+        if (!portfolioId || amount === undefined || !frequency) {
+            return res.status(400).json({ error: 'Portfolio, amount and frequency are required' });
+        }
+
+        if (scheduleType === 'buy' && !symbol) {
+            return res.status(400).json({ error: 'Symbol is required for a recurring investment' });
+        }
+
+        const scheduleError = recurringInvestments.validateSchedule({ scheduleType, amount, frequency, nextRunDate });
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        const startDate = nextRunDate || marketClock.getTradingDate();
+        if (!startDate) {
+            return res.status(503).json({ error: 'Market clock is not running' });
+        }
+
+        const userID = req.user.userID;
+
+        // Check if portfolio belongs to user
+        const [portfolios] = await db.query(
+            'SELECT portfolioID, maxOrderQuantity, maxOrderValue, maxPositionPercent FROM portfolios WHERE portfolioID = ? AND userID = ?',
+            [portfolioId, userID]
+        );
+
+        if (portfolios.length === 0) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        const amountError = validateScheduleAmount(scheduleType, orderLimits.fromRow(portfolios[0]), amount);
+        if (amountError) {
+            return res.status(400).json({ error: amountError });
+        }
+
+        let stockID = null;
+        if (scheduleType === 'buy') {
+            // System stocks and the user's own custom stocks and funds
+            const [stocks] = await db.query(
+                'SELECT stockID FROM stocks WHERE symbol = ? AND (userID IS NULL OR userID = ?)',
+                [symbol, userID]
+            );
+
+            if (stocks.length === 0) {
+                return res.status(404).json({ error: 'Stock not found' });
+            }
+
+            stockID = stocks[0].stockID;
+        }
+
+        const [result] = await db.query(
+            `INSERT INTO investment_schedules (userID, portfolioID, scheduleType, stockID, amount, frequency, nextRunDate)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userID, portfolioId, scheduleType, stockID, amount, frequency, startDate]
+        );
+
+        res.status(201).json(await findSchedule(userID, result.insertId));
+    } catch (error) {
+        console.error('Create schedule error:', error);
+        res.status(500).json({ error: 'Failed to create schedule' });
+    }
+});
+
+// Edit a schedule, or pause and resume it with status
+router.put('/:username/:scheduleId', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, scheduleId } = req.params;
+        const { amount, frequency, status, nextRunDate } = req.body;
+
+        // Verify user is updating their own schedule
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to update schedule' });
+        }
+
+        const scheduleError = recurringInvestments.validateSchedule({ amount, frequency, status, nextRunDate });
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        const schedule = await findSchedule(req.user.userID, scheduleId);
+
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        if (amount !== undefined) {
+            const limits = await orderLimits.getOrderLimits(db, schedule.portfolioID);
+            const amountError = validateScheduleAmount(schedule.scheduleType, limits, amount);
+            if (amountError) {
+                return res.status(400).json({ error: amountError });
+            }
+        }
+
+        const updates = {};
+        if (amount !== undefined) updates.amount = amount;
+        if (frequency !== undefined) updates.frequency = frequency;
+        if (status !== undefined) updates.status = status;
+        if (nextRunDate !== undefined) updates.nextRunDate = nextRunDate;
+
+        // A schedule resumed after its date had passed runs at the next session, not for every missed date
+        const today = marketClock.getTradingDate();
+        if (status === 'active' && schedule.status === 'paused' && nextRunDate === undefined
+            && today && schedule.nextRunDate < today) {
+            updates.nextRunDate = today;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No update fields provided' });
+        }
+
+        await db.query(
+            `UPDATE investment_schedules SET ${Object.keys(updates).map(key => `${key} = ?`).join(', ')}
+       WHERE scheduleID = ?`,
+            [...Object.values(updates), scheduleId]
+        );
+
+        res.json(await findSchedule(req.user.userID, scheduleId));
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+});
+
+// Delete a schedule and its run history
+router.delete('/:username/:scheduleId', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, scheduleId } = req.params;
+
+        // Verify user is deleting their own schedule
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to delete schedule' });
+        }
+
+        const [result] = await db.query(
+            'DELETE FROM investment_schedules WHERE scheduleID = ? AND userID = ?',
+            [scheduleId, req.user.userID]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        res.json({ message: 'Schedule deleted successfully' });
+    } catch (error) {
+        console.error('Delete schedule error:', error);
+        res.status(500).json({ error: 'Failed to delete schedule' });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,10 @@ const router = express.Router();
 //get middleware:
 const db = require('../middleware/db');
 const auth = require('../middleware/auth');
+const factorModel = require('../services/factorModel');
+const costModel = require('../services/costModel');
+const cashInterest = require('../services/cashInterest');
+const marketEngine = require('../services/marketEngine');
 // Get simulation settings for a user
 router.get('/:username', auth.verifyToken, async (req, res) => {
     try {
@@ -40,6 +44,11 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
                 marketVolatility: 'medium',
                 eventFrequency: 'medium',
                 startingCash: 500.00,
+                seed: null,
+                ...factorModel.DEFAULT_FACTOR_SETTINGS,
+                ...costModel.DEFAULT_COST_SETTINGS,
+                riskFreeRate: cashInterest.DEFAULT_RISK_FREE_RATE,
+                cashRateShare: cashInterest.DEFAULT_CASH_RATE_SHARE,
                 updatedAt: new Date()
             });
         }
@@ -55,7 +64,12 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
 router.put('/:username', auth.verifyToken, async (req, res) => {
     try {
         const { username } = req.params;
-        const { simulationSpeed, marketVolatility, eventFrequency, startingCash } = req.body;
+        const {
+            simulationSpeed, marketVolatility, eventFrequency, startingCash, seed,
+            marketFactorWeight, sectorFactorWeight,
+            commissionType, commissionAmount, feePercent, spreadPercent, slippageFactor,
+            riskFreeRate, cashRateShare
+        } = req.body;
 
         // Verify user is updating their own settings
         if (req.user.username !== username) {
@@ -79,6 +93,35 @@ router.put('/:username', auth.verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'Starting cash must be a number between 100 and 10000' });
         }
 
+        // Seed makes generated histories, sentiment and fallback news reproducible, and an admin's
+        // seeds the class market from its next tick; null/'' clears it
+        if (seed !== undefined && seed !== null && (typeof seed !== 'string' || seed.length > 64)) {
+            return res.status(400).json({ error: 'Seed must be a string of at most 64 characters' });
+        }
+
+        // Trading costs charged on this user's fills
+        const costSettings = { commissionType, commissionAmount, feePercent, spreadPercent, slippageFactor };
+        const costError = costModel.validateCostSettings(costSettings);
+        if (costError) {
+            return res.status(400).json({ error: costError });
+        }
+
+        // Rate cash earns interest at and Sharpe ratios are measured against
+        if (riskFreeRate !== undefined) {
+            const rateError = cashInterest.validateRiskFreeRate(riskFreeRate);
+            if (rateError) {
+                return res.status(400).json({ error: rateError });
+            }
+        }
+
+        // Share of that rate paid on cash the money-market sweep doesn't cover
+        if (cashRateShare !== undefined) {
+            const shareError = cashInterest.validateCashRateShare(cashRateShare);
+            if (shareError) {
+                return res.status(400).json({ error: shareError });
+            }
+        }
+
         // Get user ID
         const [users] = await db.query(
             'SELECT userID FROM users WHERE username = ?',
@@ -93,16 +136,36 @@ router.put('/:username', auth.verifyToken, async (req, res) => {
 
         // Check if settings exist
         const [settings] = await db.query(
-            'SELECT settingsID FROM simulation_settings WHERE userID = ?',
+            'SELECT settingsID, marketFactorWeight, sectorFactorWeight FROM simulation_settings WHERE userID = ?',
             [userID]
         );
 
+        // How strongly stocks move with the market and their sector (checked against the
+        // stored weight when only one is changed). Applies to the user's custom stocks;
+        // an admin's settings also drive the system stocks everyone trades.
+        const current = settings.length > 0 ? settings[0] : factorModel.DEFAULT_FACTOR_SETTINGS;
+        const factorError = factorModel.validateFactorSettings({
+            marketFactorWeight: marketFactorWeight !== undefined ? marketFactorWeight : Number(current.marketFactorWeight),
+            sectorFactorWeight: sectorFactorWeight !== undefined ? sectorFactorWeight : Number(current.sectorFactorWeight)
+        });
+        if (factorError) {
+            return res.status(400).json({ error: factorError });
+        }
+
         // Build update object
         const updates = {};
         if (simulationSpeed !== undefined) updates.simulationSpeed = simulationSpeed;
         if (marketVolatility !== undefined) updates.marketVolatility = marketVolatility;
         if (eventFrequency !== undefined) updates.eventFrequency = eventFrequency;
         if (startingCash !== undefined) updates.startingCash = startingCash;
+        if (seed !== undefined) updates.seed = seed || null;
+        if (marketFactorWeight !== undefined) updates.marketFactorWeight = marketFactorWeight;
+        if (sectorFactorWeight !== undefined) updates.sectorFactorWeight = sectorFactorWeight;
+        Object.entries(costSettings).forEach(([key, value]) => {
+            if (value !== undefined) updates[key] = value;
+        });
+        if (riskFreeRate !== undefined) updates.riskFreeRate = riskFreeRate;
+        if (cashRateShare !== undefined) updates.cashRateShare = cashRateShare;
 
         if (Object.keys(updates).length === 0) {
             return res.status(400).json({ error: 'No valid update fields provided' });
@@ -124,6 +187,13 @@ router.put('/:username', auth.verifyToken, async (req, res) => {
                 marketVolatility: updates.marketVolatility || 'medium',
                 eventFrequency: updates.eventFrequency || 'medium',
                 startingCash: updates.startingCash || 500.00,
+                seed: updates.seed || null,
+                marketFactorWeight: updates.marketFactorWeight ?? factorModel.DEFAULT_FACTOR_SETTINGS.marketFactorWeight,
+                sectorFactorWeight: updates.sectorFactorWeight ?? factorModel.DEFAULT_FACTOR_SETTINGS.sectorFactorWeight,
+                ...costModel.DEFAULT_COST_SETTINGS,
+                ...Object.fromEntries(Object.entries(costSettings).filter(([, value]) => value !== undefined)),
+                riskFreeRate: updates.riskFreeRate ?? cashInterest.DEFAULT_RISK_FREE_RATE,
+                cashRateShare: updates.cashRateShare ?? cashInterest.DEFAULT_CASH_RATE_SHARE,
                 userID
             };
 
@@ -143,6 +213,10 @@ router.put('/:username', auth.verifyToken, async (req, res) => {
             [userID]
         );
 
+        if (updates.seed !== undefined && req.user.isAdmin) {
+            marketEngine.reseed();
+        }
+
         res.json(updatedSettings[0]);
     } catch (error) {
         console.error('Update settings error:', error);
@@ -178,6 +252,11 @@ router.post('/:username/reset', auth.verifyToken, async (req, res) => {
             marketVolatility: 'medium',
             eventFrequency: 'medium',
             startingCash: 500.00,
+            seed: null,
+            ...factorModel.DEFAULT_FACTOR_SETTINGS,
+            ...costModel.DEFAULT_COST_SETTINGS,
+            riskFreeRate: cashInterest.DEFAULT_RISK_FREE_RATE,
+            cashRateShare: cashInterest.DEFAULT_CASH_RATE_SHARE,
             userID
         };
 
@@ -192,13 +271,24 @@ router.post('/:username/reset', auth.verifyToken, async (req, res) => {
             await db.query(
                 `UPDATE simulation_settings 
          SET simulationSpeed = ?, marketVolatility = ?, eventFrequency = ?, 
-             startingCash = ?, updatedAt = NOW()
+             startingCash = ?, seed = NULL, marketFactorWeight = ?, sectorFactorWeight = ?,
+             commissionType = ?, commissionAmount = ?, feePercent = ?, spreadPercent = ?, slippageFactor = ?,
+             riskFreeRate = ?, cashRateShare = ?, updatedAt = NOW()
          WHERE userID = ?`,
                 [
                     defaultSettings.simulationSpeed,
                     defaultSettings.marketVolatility,
                     defaultSettings.eventFrequency,
                     defaultSettings.startingCash,
+                    defaultSettings.marketFactorWeight,
+                    defaultSettings.sectorFactorWeight,
+                    defaultSettings.commissionType,
+                    defaultSettings.commissionAmount,
+                    defaultSettings.feePercent,
+                    defaultSettings.spreadPercent,
+                    defaultSettings.slippageFactor,
+                    defaultSettings.riskFreeRate,
+                    defaultSettings.cashRateShare,
                     userID
                 ]
             );
@@ -218,6 +308,11 @@ router.post('/:username/reset', auth.verifyToken, async (req, res) => {
             );
         }
 
+        // An admin's cleared seed no longer drives the class market
+        if (req.user.isAdmin) {
+            marketEngine.reseed();
+        }
+
         // Return default settings
         defaultSettings.updatedAt = new Date();
         res.json(defaultSettings);
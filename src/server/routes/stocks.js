@@ -5,6 +5,55 @@ const router = express.Router();
 //get middleware:
 const db = require('../middleware/db');
 const auth = require('../middleware/auth');
+const priceModels = require('../services/priceModels');
+const random = require('../services/random');
+const marketClock = require('../services/marketClock');
+const corporateActions = require('../services/corporateActions');
+
+// A user's simulation seed, or null if their simulation is unseeded
+async function getUserSeed(userID) {
+    const [settings] = await db.query(
+        'SELECT seed FROM simulation_settings WHERE userID = ?',
+        [userID]
+    );
+
+    return settings.length > 0 ? settings[0].seed : null;
+}
+
+// Sentiment stays within -1 (very bearish) and +1 (very bullish)
+function clampSentiment(value) {
+    return Math.max(-1, Math.min(1, value));
+}
+
+// Betas scale how much a stock follows the market and sector factors
+function validateBeta(name, value) {
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 3)) {
+        return `${name} must be a number between 0 and 3`;
+    }
+
+    return null;
+}
+
+// Fill in model parameters that should be pinned when a stock's model is set
+function pinModelParams(priceModel, modelParams, price) {
+    // Mean reversion without an explicit level reverts to the price at the time it was configured
+    if (priceModel === 'mean_reverting' && modelParams.mu === undefined) {
+        return { ...modelParams, mu: Number(price) };
+    }
+
+    return modelParams;
+}
+
+// A stock a user can see (a system stock or one of their custom stocks), or null
+async function findUserStock(userID, symbol) {
+    const [stocks] = await db.query(
+        `SELECT stockID, symbol, userID, marketPrice, instrumentType FROM stocks
+       WHERE symbol = ? AND (userID IS NULL OR userID = ?)`,
+        [symbol, userID]
+    );
+
+    return stocks.length > 0 ? stocks[0] : null;
+}
 
 // Get all stocks available to a user
 router.get('/:username', auth.verifyToken, async (req, res) => {
@@ -30,18 +79,19 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
 
         // Get stocks (system stocks + user's custom stocks)
         const [stocks] = await db.query(
-            `SELECT s.stockID, s.symbol, s.companyName, s.sector, s.isCustom, 
+            `SELECT s.stockID, s.symbol, s.companyName, s.sector, s.isCustom, s.instrumentType,
               sd.openPrice, sd.closePrice, sd.highPrice, sd.lowPrice, sd.volume,
-              (SELECT closePrice FROM stock_data 
-               WHERE stockID = s.stockID 
-               ORDER BY dataDate DESC LIMIT 1) as marketPrice
+              s.marketPrice, s.priceModel, s.modelParams, s.marketBeta, s.sectorBeta,
+              s.sentiment, s.haltedUntil, s.previousClosePrice
        FROM stocks s
-       LEFT JOIN stock_data sd ON s.stockID = sd.stockID AND sd.dataDate = CURDATE()
+       LEFT JOIN stock_data sd ON s.stockID = sd.stockID AND sd.dataDate = COALESCE(?, CURDATE())
        WHERE s.userID IS NULL OR s.userID = ?
        ORDER BY s.symbol`,
-            [userID]
+            [marketClock.getTradingDate(), userID]
         );
 
+        const seed = await getUserSeed(userID);
+
         // For each stock, get recent price history
         for (const stock of stocks) {
             // Get historical price data (last 30 days)
@@ -57,11 +107,15 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
             // Format price history (oldest first)
             stock.priceHistory = priceHistory.reverse().map(p => p.closePrice);
 
-            // Calculate price change
-            if (stock.priceHistory.length > 1) {
-                const previousClose = stock.priceHistory[stock.priceHistory.length - 2];
-                stock.priceChange = stock.marketPrice - previousClose;
-                stock.priceChangePercent = (stock.priceChange / previousClose) * 100;
+            // Calculate price change since the last daily close (or the last stored day)
+            const previousClose = stock.previousClosePrice !== null
+                ? Number(stock.previousClosePrice)
+                : stock.priceHistory[stock.priceHistory.length - 2];
+            stock.previousClosePrice = previousClose !== undefined ? Number(previousClose) : null;
+
+            if (stock.previousClosePrice) {
+                stock.priceChange = stock.marketPrice - stock.previousClosePrice;
+                stock.priceChangePercent = (stock.priceChange / stock.previousClosePrice) * 100;
             } else {
                 stock.priceChange = 0;
                 stock.priceChangePercent = 0;
@@ -83,8 +137,10 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
                 stock.volatility = 0.015; // Default volatility if not enough history
             }
 
-            // Add sentiment value (randomly initialized)
-            stock.currentSentiment = (Math.random() * 2 - 1) * 0.2; // Between -0.2 and 0.2
+            // Add sentiment value (randomly initialized, reproducible under the user's seed)
+            // on top of the sentiment news and market events have built up
+            const sentimentRandom = random.streamRandom(seed, 'sentiment', stock.symbol);
+            stock.currentSentiment = clampSentiment(Number(stock.sentiment) + (sentimentRandom() * 2 - 1) * 0.2);
         }
 
         res.json(stocks);
@@ -118,15 +174,14 @@ router.get('/:username/:symbol', auth.verifyToken, async (req, res) => {
 
         // Get stock
         const [stocks] = await db.query(
-            `SELECT s.stockID, s.symbol, s.companyName, s.sector, s.isCustom, 
+            `SELECT s.stockID, s.symbol, s.companyName, s.sector, s.isCustom, s.instrumentType,
               sd.openPrice, sd.closePrice, sd.highPrice, sd.lowPrice, sd.volume,
-              (SELECT closePrice FROM stock_data 
-               WHERE stockID = s.stockID 
-               ORDER BY dataDate DESC LIMIT 1) as marketPrice
+              s.marketPrice, s.priceModel, s.modelParams, s.marketBeta, s.sectorBeta,
+              s.sentiment, s.haltedUntil, s.previousClosePrice
        FROM stocks s
-       LEFT JOIN stock_data sd ON s.stockID = sd.stockID AND sd.dataDate = CURDATE()
+       LEFT JOIN stock_data sd ON s.stockID = sd.stockID AND sd.dataDate = COALESCE(?, CURDATE())
        WHERE (s.userID IS NULL OR s.userID = ?) AND s.symbol = ?`,
-            [userID, symbol]
+            [marketClock.getTradingDate(), userID, symbol]
         );
 
         if (stocks.length === 0) {
@@ -157,11 +212,15 @@ router.get('/:username/:symbol', auth.verifyToken, async (req, res) => {
 
         stock.priceHistory = stock.priceData.map(p => p.close);
 
-        // Calculate price change
-        if (stock.priceHistory.length > 1) {
-            const previousClose = stock.priceHistory[stock.priceHistory.length - 2];
-            stock.priceChange = stock.marketPrice - previousClose;
-            stock.priceChangePercent = (stock.priceChange / previousClose) * 100;
+        // Calculate price change since the last daily close (or the last stored day)
+        const previousClose = stock.previousClosePrice !== null
+            ? Number(stock.previousClosePrice)
+            : stock.priceHistory[stock.priceHistory.length - 2];
+        stock.previousClosePrice = previousClose !== undefined ? Number(previousClose) : null;
+
+        if (stock.previousClosePrice) {
+            stock.priceChange = stock.marketPrice - stock.previousClosePrice;
+            stock.priceChangePercent = (stock.priceChange / stock.previousClosePrice) * 100;
         } else {
             stock.priceChange = 0;
             stock.priceChangePercent = 0;
@@ -183,8 +242,10 @@ router.get('/:username/:symbol', auth.verifyToken, async (req, res) => {
             stock.volatility = 0.015; // Default volatility if not enough history
         }
 
-        // Add sentiment value (randomly initialized)
-        stock.currentSentiment = (Math.random() * 2 - 1) * 0.2; // Between -0.2 and 0.2
+        // Add sentiment value (randomly initialized, reproducible under the user's seed)
+        // on top of the sentiment news and market events have built up
+        const sentimentRandom = random.streamRandom(await getUserSeed(userID), 'sentiment', stock.symbol);
+        stock.currentSentiment = clampSentiment(Number(stock.sentiment) + (sentimentRandom() * 2 - 1) * 0.2);
 
         res.json(stock);
     } catch (error) {
@@ -197,7 +258,11 @@ router.get('/:username/:symbol', auth.verifyToken, async (req, res) => {
 router.post('/:username', auth.verifyToken, async (req, res) => {
     try {
         const { username } = req.params;
-        const { symbol, companyName, sector, initialPrice, volatility = 0.015 } = req.body;
+        const {
+            symbol, companyName, sector, initialPrice, volatility = 0.015,
+            priceModel = priceModels.DEFAULT_MODEL, modelParams = {},
+            marketBeta = 1, sectorBeta = 1
+        } = req.body;
 
         // Verify user is adding stock to their own account
         if (req.user.username !== username) {
@@ -219,6 +284,23 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'Initial price must be a positive number' });
         }
 
+        // Validate volatility (daily, as a fraction)
+        if (typeof volatility !== 'number' || volatility <= 0 || volatility > 1) {
+            return res.status(400).json({ error: 'Volatility must be a number between 0 and 1' });
+        }
+
+        // Validate price model and its parameters
+        const modelError = priceModels.validateModelConfig(priceModel, modelParams);
+        if (modelError) {
+            return res.status(400).json({ error: modelError });
+        }
+
+        // Validate factor betas
+        const betaError = validateBeta('marketBeta', marketBeta) || validateBeta('sectorBeta', sectorBeta);
+        if (betaError) {
+            return res.status(400).json({ error: betaError });
+        }
+
         // Get user ID
         const [users] = await db.query(
             'SELECT userID FROM users WHERE username = ?',
@@ -242,27 +324,35 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
             return res.status(409).json({ error: 'Stock symbol already exists' });
         }
 
+        // History is reproducible under the user's seed
+        const historyRandom = random.streamRandom(await getUserSeed(userID), 'history', symbol);
+
         // Begin transaction
         await db.query('START TRANSACTION');
 
         // Add custom stock
+        const storedParams = pinModelParams(priceModel, modelParams, initialPrice);
         const [result] = await db.query(
-            `INSERT INTO stocks (symbol, companyName, sector, isCustom, userID)
-       VALUES (?, ?, ?, TRUE, ?)`,
-            [symbol, companyName, sector || 'Custom', userID]
+            `INSERT INTO stocks (symbol, companyName, sector, isCustom, userID, marketPrice, volatility,
+              priceModel, modelParams, marketBeta, sectorBeta)
+       VALUES (?, ?, ?, TRUE, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                symbol, companyName, sector || 'Custom', userID, initialPrice, volatility,
+                priceModel, JSON.stringify(storedParams), marketBeta, sectorBeta
+            ]
         );
 
         const stockID = result.insertId;
 
-        // Add initial price data
-        const today = new Date();
-        const todayStr = today.toISOString().split('T')[0];
+        // Add initial price data, dated by the market clock's trading day
+        const today = marketClock.now() || new Date();
+        const todayStr = marketClock.formatDate(today);
 
         // Slight variation for other price points
-        const openPrice = initialPrice * (0.99 + Math.random() * 0.02); // +/- 1%
-        const highPrice = Math.max(openPrice, initialPrice) * (1 + Math.random() * 0.01); // Up to 1% higher
-        const lowPrice = Math.min(openPrice, initialPrice) * (0.99 - Math.random() * 0.01); // Up to 1% lower
-        const volume = Math.floor(10000 + Math.random() * 990000); // Random volume between 10k and 1M
+        const openPrice = initialPrice * (0.99 + historyRandom() * 0.02); // +/- 1%
+        const highPrice = Math.max(openPrice, initialPrice) * (1 + historyRandom() * 0.01); // Up to 1% higher
+        const lowPrice = Math.min(openPrice, initialPrice) * (0.99 - historyRandom() * 0.01); // Up to 1% lower
+        const volume = Math.floor(10000 + historyRandom() * 990000); // Random volume between 10k and 1M
 
         await db.query(
             `INSERT INTO stock_data (stockID, dataDate, openPrice, highPrice, lowPrice, closePrice, volume)
@@ -270,22 +360,25 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
             [stockID, todayStr, openPrice, highPrice, lowPrice, initialPrice, volume]
         );
 
-        // Generate historical data (30 days)
+        // Generate historical data (30 trading days)
         let currentPrice = initialPrice;
+        let previousClosePrice = null;
+        const date = new Date(today);
         for (let i = 1; i <= 30; i++) {
-            const date = new Date(today);
-            date.setDate(today.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
+            do {
+                date.setUTCDate(date.getUTCDate() - 1);
+            } while (!marketClock.isTradingDay(date));
+            const dateStr = marketClock.formatDate(date);
 
             // Random daily change based on volatility
-            const dailyChange = (Math.random() * 2 - 1) * volatility / Math.sqrt(252);
+            const dailyChange = (historyRandom() * 2 - 1) * volatility / Math.sqrt(252);
             const previousPrice = currentPrice / (1 + dailyChange);
 
             // Variation for other price points
-            const prevOpen = previousPrice * (0.99 + Math.random() * 0.02);
-            const prevHigh = Math.max(prevOpen, previousPrice) * (1 + Math.random() * 0.01);
-            const prevLow = Math.min(prevOpen, previousPrice) * (0.99 - Math.random() * 0.01);
-            const prevVolume = Math.floor(10000 + Math.random() * 990000);
+            const prevOpen = previousPrice * (0.99 + historyRandom() * 0.02);
+            const prevHigh = Math.max(prevOpen, previousPrice) * (1 + historyRandom() * 0.01);
+            const prevLow = Math.min(prevOpen, previousPrice) * (0.99 - historyRandom() * 0.01);
+            const prevVolume = Math.floor(10000 + historyRandom() * 990000);
 
             await db.query(
                 `INSERT INTO stock_data (stockID, dataDate, openPrice, highPrice, lowPrice, closePrice, volume)
@@ -293,9 +386,15 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
                 [stockID, dateStr, prevOpen, prevHigh, prevLow, previousPrice, prevVolume]
             );
 
+            if (i === 1) previousClosePrice = previousPrice;
             currentPrice = previousPrice;
         }
 
+        await db.query(
+            'UPDATE stocks SET previousClosePrice = ? WHERE stockID = ?',
+            [previousClosePrice, stockID]
+        );
+
         // Commit transaction
         await db.query('COMMIT');
 
@@ -325,6 +424,11 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
 
         createdStock.priceHistory = priceHistory.map(p => p.closePrice);
         createdStock.volatility = volatility;
+        createdStock.priceModel = priceModel;
+        createdStock.modelParams = storedParams;
+        createdStock.marketBeta = marketBeta;
+        createdStock.sectorBeta = sectorBeta;
+        createdStock.previousClosePrice = previousClosePrice;
         createdStock.currentSentiment = 0;
 
         res.status(201).json(createdStock);
@@ -335,6 +439,244 @@ router.post('/:username', auth.verifyToken, async (req, res) => {
     }
 });
 
+// Change the price model of a stock (custom stocks by their owner, system stocks by admins)
+router.put('/:username/:symbol/model', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, symbol } = req.params;
+        const { priceModel, modelParams = {} } = req.body;
+
+        // Verify user is updating their own stocks
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to update stock' });
+        }
+
+        // Validate price model and its parameters
+        const modelError = priceModels.validateModelConfig(priceModel, modelParams);
+        if (modelError) {
+            return res.status(400).json({ error: modelError });
+        }
+
+        // Get user ID
+        const [users] = await db.query(
+            'SELECT userID FROM users WHERE username = ?',
+            [username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const userID = users[0].userID;
+
+        const [stocks] = await db.query(
+            `SELECT stockID, userID, marketPrice, instrumentType FROM stocks
+       WHERE symbol = ? AND (userID IS NULL OR userID = ?)`,
+            [symbol, userID]
+        );
+
+        if (stocks.length === 0) {
+            return res.status(404).json({ error: 'Stock not found' });
+        }
+
+        const stock = stocks[0];
+
+        // System stocks are shared by every user
+        if (stock.userID === null && !req.user.isAdmin) {
+            return res.status(403).json({ error: 'Only administrators can change system stock models' });
+        }
+
+        if (stock.instrumentType === 'fund') {
+            return res.status(409).json({ error: 'A fund is priced at its NAV, not by a price model' });
+        }
+
+        const storedParams = pinModelParams(priceModel, modelParams, stock.marketPrice);
+        await db.query(
+            'UPDATE stocks SET priceModel = ?, modelParams = ? WHERE stockID = ?',
+            [priceModel, JSON.stringify(storedParams), stock.stockID]
+        );
+
+        res.json({ symbol, priceModel, modelParams: storedParams });
+    } catch (error) {
+        console.error('Update stock model error:', error);
+        res.status(500).json({ error: 'Failed to update price model' });
+    }
+});
+
+// Change how strongly a stock follows the market and its sector (same access rules as the model)
+router.put('/:username/:symbol/betas', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, symbol } = req.params;
+        const { marketBeta, sectorBeta } = req.body;
+
+        // Verify user is updating their own stocks
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to update stock' });
+        }
+
+        if (marketBeta === undefined && sectorBeta === undefined) {
+            return res.status(400).json({ error: 'marketBeta or sectorBeta is required' });
+        }
+
+        const betaError = validateBeta('marketBeta', marketBeta) || validateBeta('sectorBeta', sectorBeta);
+        if (betaError) {
+            return res.status(400).json({ error: betaError });
+        }
+
+        // Get user ID
+        const [users] = await db.query(
+            'SELECT userID FROM users WHERE username = ?',
+            [username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const userID = users[0].userID;
+
+        const [stocks] = await db.query(
+            `SELECT stockID, userID, marketBeta, sectorBeta, instrumentType FROM stocks
+       WHERE symbol = ? AND (userID IS NULL OR userID = ?)`,
+            [symbol, userID]
+        );
+
+        if (stocks.length === 0) {
+            return res.status(404).json({ error: 'Stock not found' });
+        }
+
+        const stock = stocks[0];
+
+        // System stocks are shared by every user
+        if (stock.userID === null && !req.user.isAdmin) {
+            return res.status(403).json({ error: 'Only administrators can change system stock betas' });
+        }
+
+        if (stock.instrumentType === 'fund') {
+            return res.status(409).json({ error: 'A fund follows its constituents; set their betas instead' });
+        }
+
+        const betas = {
+            marketBeta: marketBeta !== undefined ? marketBeta : Number(stock.marketBeta),
+            sectorBeta: sectorBeta !== undefined ? sectorBeta : Number(stock.sectorBeta)
+        };
+
+        await db.query(
+            'UPDATE stocks SET marketBeta = ?, sectorBeta = ? WHERE stockID = ?',
+            [betas.marketBeta, betas.sectorBeta, stock.stockID]
+        );
+
+        res.json({ symbol, ...betas });
+    } catch (error) {
+        console.error('Update stock betas error:', error);
+        res.status(500).json({ error: 'Failed to update stock betas' });
+    }
+});
+
+// Dividends and splits scheduled or applied on a stock
+router.get('/:username/:symbol/actions', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, symbol } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to stock data' });
+        }
+
+        const stock = await findUserStock(req.user.userID, symbol);
+        if (!stock) {
+            return res.status(404).json({ error: 'Stock not found' });
+        }
+
+        res.json(await corporateActions.getActions(stock.stockID));
+    } catch (error) {
+        console.error('Get corporate actions error:', error);
+        res.status(500).json({ error: 'Failed to get corporate actions' });
+    }
+});
+
+// Schedule a dividend or split (custom stocks by their owner, system stocks by admins).
+// It applies as the first session of exDate starts, so exDate must be a later trading date.
+router.post('/:username/:symbol/actions', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, symbol } = req.params;
+        const { actionType, amount, splitTo, splitFrom, exDate } = req.body;
+
+        // Verify user is updating their own stocks
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to update stock' });
+        }
+
+        const actionError = corporateActions.validateAction({ actionType, amount, splitTo, splitFrom, exDate });
+        if (actionError) {
+            return res.status(400).json({ error: actionError });
+        }
+
+        const tradingDate = marketClock.getTradingDate() || marketClock.formatDate(new Date());
+        if (exDate <= tradingDate) {
+            return res.status(400).json({ error: `exDate must be after the current trading date (${tradingDate})` });
+        }
+
+        const stock = await findUserStock(req.user.userID, symbol);
+        if (!stock) {
+            return res.status(404).json({ error: 'Stock not found' });
+        }
+
+        // System stocks are shared by every user
+        if (stock.userID === null && !req.user.isAdmin) {
+            return res.status(403).json({ error: 'Only administrators can schedule system stock corporate actions' });
+        }
+
+        // Funds pass on their constituents' dividends and splits through the basket
+        if (stock.instrumentType === 'fund') {
+            return res.status(409).json({ error: 'Corporate actions apply to stocks, not funds' });
+        }
+
+        if (actionType === 'dividend' && amount >= Number(stock.marketPrice)) {
+            return res.status(400).json({ error: 'A dividend must be less than the stock price' });
+        }
+
+        const action = await corporateActions.scheduleAction(
+            stock.stockID, { actionType, amount, splitTo, splitFrom, exDate }, req.user.userID
+        );
+
+        res.status(201).json(action);
+    } catch (error) {
+        console.error('Schedule corporate action error:', error);
+        res.status(500).json({ error: 'Failed to schedule corporate action' });
+    }
+});
+
+// Cancel a corporate action that hasn't been applied yet (same access rules as scheduling)
+router.delete('/:username/:symbol/actions/:actionId', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, symbol } = req.params;
+        const actionId = Number(req.params.actionId);
+
+        // Verify user is updating their own stocks
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to update stock' });
+        }
+
+        const stock = await findUserStock(req.user.userID, symbol);
+        if (!stock) {
+            return res.status(404).json({ error: 'Stock not found' });
+        }
+
+        if (stock.userID === null && !req.user.isAdmin) {
+            return res.status(403).json({ error: 'Only administrators can cancel system stock corporate actions' });
+        }
+
+        if (!Number.isInteger(actionId) || !await corporateActions.cancelAction(stock.stockID, actionId)) {
+            return res.status(404).json({ error: 'Scheduled corporate action not found' });
+        }
+
+        res.json({ message: 'Corporate action cancelled successfully' });
+    } catch (error) {
+        console.error('Cancel corporate action error:', error);
+        res.status(500).json({ error: 'Failed to cancel corporate action' });
+    }
+});
+
 // Delete a custom stock
 router.delete('/:username/:symbol', auth.verifyToken, async (req, res) => {
     try {
@@ -387,6 +729,18 @@ router.delete('/:username/:symbol', auth.verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'Cannot delete stock with active holdings' });
         }
 
+        // A fund's NAV depends on every stock in its basket
+        const [funds] = await db.query(
+            `SELECT s.symbol FROM fund_constituents fc
+       JOIN stocks s ON fc.fundID = s.stockID
+       WHERE fc.stockID = ?`,
+            [stock.stockID]
+        );
+
+        if (funds.length > 0) {
+            return res.status(400).json({ error: `Cannot delete a stock held by fund ${funds.map(fund => fund.symbol).join(', ')}` });
+        }
+
         // Delete stock (will cascade to stock_data)
         await db.query(
             'DELETE FROM stocks WHERE stockID = ?',
@@ -0,0 +1,51 @@
+// server/routes/stream.js
+const express = require('express');
+const router = express.Router();
+
+//get middleware:
+const db = require('../middleware/db');
+const auth = require('../middleware/auth');
+const eventStream = require('../services/eventStream');
+
+// Resume point: EventSource sends Last-Event-ID on reconnect; ?since= covers manual reconnects
+function parseLastSeq(req) {
+    const value = req.get('Last-Event-ID') || req.query.since;
+    if (value === undefined) return undefined;
+
+    const seq = Number(value);
+    return Number.isInteger(seq) && seq >= 0 ? seq : undefined;
+}
+
+// Broadcast events only (system stock ticks, market news) for the guest simulator
+router.get('/', (req, res) => {
+    eventStream.subscribe(req, res, null, parseLastSeq(req));
+});
+
+// Broadcast events plus the user's own custom stock ticks and order updates
+router.get('/:username', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        // Verify user is subscribing to their own stream
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to event stream' });
+        }
+
+        // Get user ID
+        const [users] = await db.query(
+            'SELECT userID FROM users WHERE username = ?',
+            [username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        eventStream.subscribe(req, res, users[0].userID, parseLastSeq(req));
+    } catch (error) {
+        console.error('Event stream error:', error);
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+});
+
+module.exports = router;
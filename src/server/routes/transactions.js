@@ -5,8 +5,28 @@ const router = express.Router();
 //get middleware:
 const db = require('../middleware/db');
 const auth = require('../middleware/auth');
-
-// Get all transactions for a user
+const tradeService = require('../services/tradeService');
+const marketClock = require('../services/marketClock');
+const limitOrderEngine = require('../services/limitOrderEngine');
+const orderLimits = require('../services/orderLimits');
+const basketOrders = require('../services/basketOrders');
+const orderBook = require('../services/orderBook');
+const taxLots = require('../services/taxLots');
+const taxReport = require('../services/taxReport');
+
+// Quantities and fees are stored as fixed-precision decimals, which the driver returns as strings
+function formatTransaction(transaction) {
+    return {
+        ...transaction,
+        quantity: Number(transaction.quantity),
+        quotePrice: transaction.quotePrice !== null ? Number(transaction.quotePrice) : null,
+        fee: Number(transaction.fee),
+        realizedGain: transaction.realizedGain !== null ? Number(transaction.realizedGain) : null
+    };
+}
+
+// Get all transactions for a user. Interest is paid on cash, so INTEREST rows have no stock.
+// Trades that closed tax lots carry the gain they realized.
 router.get('/:username', auth.verifyToken, async (req, res) => {
     try {
         const { username } = req.params;
@@ -18,11 +38,12 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
 
         // Get transactions
         const [transactions] = await db.query(
-            `SELECT t.transactionID, t.portfolioID, t.stockID, t.transactionType, 
-              t.quantity, t.pricePaid, t.totalValue, t.timestamp,
+            `SELECT t.transactionID, t.portfolioID, t.stockID, t.transactionType, t.actionID,
+              t.quantity, t.pricePaid, t.quotePrice, t.totalValue, t.fee, t.timestamp,
+              (SELECT SUM(lc.realizedGain) FROM lot_closings lc WHERE lc.transactionID = t.transactionID) AS realizedGain,
               s.symbol, s.companyName, p.name as portfolioName
        FROM transactions t
-       JOIN stocks s ON t.stockID = s.stockID
+       LEFT JOIN stocks s ON t.stockID = s.stockID
        JOIN portfolios p ON t.portfolioID = p.portfolioID
        JOIN users u ON p.userID = u.userID
        WHERE u.username = ?
@@ -30,13 +51,96 @@ router.get('/:username', auth.verifyToken, async (req, res) => {
             [username]
         );
 
-        res.json(transactions);
+        res.json(transactions.map(formatTransaction));
     } catch (error) {
         console.error('Get transactions error:', error);
         res.status(500).json({ error: 'Failed to get transactions' });
     }
 });
 
+// Get transaction statistics (registered before /:username/:portfolioId, which would match it)
+router.get('/:username/stats', auth.verifyToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to transaction statistics' });
+        }
+
+        // Get basic transaction stats; deposits and withdrawals are cash movements, not trades
+        const [stats] = await db.query(
+            `SELECT 
+         SUM(CASE WHEN transactionType IN ('BUY', 'SELL') THEN 1 ELSE 0 END) as totalTransactions,
+         SUM(CASE WHEN transactionType = 'BUY' THEN 1 ELSE 0 END) as buyTransactions,
+         SUM(CASE WHEN transactionType = 'SELL' THEN 1 ELSE 0 END) as sellTransactions,
+         SUM(CASE WHEN transactionType = 'BUY' THEN totalValue ELSE 0 END) as totalBuyValue,
+         SUM(CASE WHEN transactionType = 'SELL' THEN totalValue ELSE 0 END) as totalSellValue,
+         SUM(fee) as totalFees,
+         SUM(CASE WHEN transactionType = 'DIVIDEND' THEN totalValue ELSE 0 END) as totalDividends,
+         SUM(CASE WHEN transactionType = 'INTEREST' THEN totalValue ELSE 0 END) as totalInterest,
+         SUM(CASE WHEN transactionType = 'DEPOSIT' THEN ABS(totalValue) ELSE 0 END) as totalDeposits,
+         SUM(CASE WHEN transactionType = 'WITHDRAWAL' THEN ABS(totalValue) ELSE 0 END) as totalWithdrawals
+       FROM transactions t
+       JOIN portfolios p ON t.portfolioID = p.portfolioID
+       JOIN users u ON p.userID = u.userID
+       WHERE u.username = ?`,
+            [username]
+        );
+
+        // Get transactions by month
+        const [monthlyStats] = await db.query(
+            `SELECT 
+         DATE_FORMAT(timestamp, '%Y-%m') as month,
+         SUM(CASE WHEN transactionType IN ('BUY', 'SELL') THEN 1 ELSE 0 END) as transactions,
+         SUM(CASE WHEN transactionType = 'BUY' THEN totalValue ELSE 0 END) as buyValue,
+         SUM(CASE WHEN transactionType = 'SELL' THEN totalValue ELSE 0 END) as sellValue,
+         SUM(fee) as fees,
+         SUM(CASE WHEN transactionType = 'DIVIDEND' THEN totalValue ELSE 0 END) as dividends,
+         SUM(CASE WHEN transactionType = 'INTEREST' THEN totalValue ELSE 0 END) as interest,
+         SUM(CASE WHEN transactionType = 'DEPOSIT' THEN ABS(totalValue) ELSE 0 END) as deposits,
+         SUM(CASE WHEN transactionType = 'WITHDRAWAL' THEN ABS(totalValue) ELSE 0 END) as withdrawals
+       FROM transactions t
+       JOIN portfolios p ON t.portfolioID = p.portfolioID
+       JOIN users u ON p.userID = u.userID
+       WHERE u.username = ?
+       GROUP BY DATE_FORMAT(timestamp, '%Y-%m')
+       ORDER BY month DESC
+       LIMIT 12`,
+            [username]
+        );
+
+        // Get most traded stocks
+        const [topStocks] = await db.query(
+            `SELECT 
+         s.symbol, s.companyName,
+         COUNT(*) as transactions,
+         SUM(CASE WHEN transactionType = 'BUY' THEN quantity ELSE 0 END) as buyQuantity,
+         SUM(CASE WHEN transactionType = 'SELL' THEN quantity ELSE 0 END) as sellQuantity,
+         SUM(CASE WHEN transactionType = 'BUY' THEN totalValue ELSE 0 END) as buyValue,
+         SUM(CASE WHEN transactionType = 'SELL' THEN totalValue ELSE 0 END) as sellValue
+       FROM transactions t
+       JOIN stocks s ON t.stockID = s.stockID
+       JOIN portfolios p ON t.portfolioID = p.portfolioID
+       JOIN users u ON p.userID = u.userID
+       WHERE u.username = ? AND t.transactionType IN ('BUY', 'SELL')
+       GROUP BY s.stockID
+       ORDER BY transactions DESC
+       LIMIT 10`,
+            [username]
+        );
+
+        res.json({
+            summary: stats[0],
+            monthlyActivity: monthlyStats,
+            topStocks: topStocks
+        });
+    } catch (error) {
+        console.error('Get transaction stats error:', error);
+        res.status(500).json({ error: 'Failed to get transaction statistics' });
+    }
+});
+
 // Get transactions for a specific portfolio
 router.get('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
     try {
@@ -61,30 +165,113 @@ router.get('/:username/:portfolioId', auth.verifyToken, async (req, res) => {
 
         // Get transactions
         const [transactions] = await db.query(
-            `SELECT t.transactionID, t.portfolioID, t.stockID, t.transactionType, 
-              t.quantity, t.pricePaid, t.totalValue, t.timestamp,
+            `SELECT t.transactionID, t.portfolioID, t.stockID, t.transactionType, t.actionID,
+              t.quantity, t.pricePaid, t.quotePrice, t.totalValue, t.fee, t.timestamp,
+              (SELECT SUM(lc.realizedGain) FROM lot_closings lc WHERE lc.transactionID = t.transactionID) AS realizedGain,
               s.symbol, s.companyName
        FROM transactions t
-       JOIN stocks s ON t.stockID = s.stockID
+       LEFT JOIN stocks s ON t.stockID = s.stockID
        WHERE t.portfolioID = ?
        ORDER BY t.timestamp DESC`,
             [portfolioId]
         );
 
-        res.json(transactions);
+        res.json(transactions.map(formatTransaction));
     } catch (error) {
         console.error('Get portfolio transactions error:', error);
         res.status(500).json({ error: 'Failed to get portfolio transactions' });
     }
 });
 
-// Create a transaction (buy/sell)
+// Get a user's portfolio with its name, or null
+async function findPortfolio(username, portfolioId) {
+    const [portfolios] = await db.query(
+        `SELECT p.portfolioID, p.name FROM portfolios p
+       JOIN users u ON p.userID = u.userID
+       WHERE u.username = ? AND p.portfolioID = ?`,
+        [username, portfolioId]
+    );
+
+    return portfolios.length > 0 ? portfolios[0] : null;
+}
+
+// Get the years a portfolio has capital gains statements for
+router.get('/:username/:portfolioId/tax-report', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId } = req.params;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to transaction data' });
+        }
+
+        if (!await findPortfolio(username, portfolioId)) {
+            return res.status(404).json({ error: 'Portfolio not found or does not belong to user' });
+        }
+
+        res.json({ years: await taxReport.getReportYears(db, portfolioId) });
+    } catch (error) {
+        console.error('Get tax report years error:', error);
+        res.status(500).json({ error: 'Failed to get tax report years' });
+    }
+});
+
+// Get a portfolio's capital gains statement for a simulated year: the sales, short- and
+// long-term, with wash sales flagged. format=csv downloads it and format=html is a printable page.
+router.get('/:username/:portfolioId/tax-report/:year', auth.verifyToken, async (req, res) => {
+    try {
+        const { username, portfolioId, year } = req.params;
+        const { format = 'json' } = req.query;
+
+        // Verify user is accessing their own data
+        if (req.user.username !== username) {
+            return res.status(403).json({ error: 'Unauthorized access to transaction data' });
+        }
+
+        const yearError = taxReport.validateYear(year);
+        if (yearError) {
+            return res.status(400).json({ error: yearError });
+        }
+
+        if (!taxReport.FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${taxReport.FORMATS.join(', ')}` });
+        }
+
+        const portfolio = await findPortfolio(username, portfolioId);
+        if (!portfolio) {
+            return res.status(404).json({ error: 'Portfolio not found or does not belong to user' });
+        }
+
+        const report = await taxReport.getCapitalGains(db, portfolio, Number(year));
+
+        if (format === 'csv') {
+            res.attachment(`capital-gains-${year}-${portfolioId}.csv`);
+            return res.type('text/csv').send(taxReport.toCsv(report));
+        }
+
+        if (format === 'html') {
+            return res.type('html').send(taxReport.toHtml(report));
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error('Get tax report error:', error);
+        res.status(500).json({ error: 'Failed to get tax report' });
+    }
+});
+
+// Create a transaction (buy/sell). Orders give either a quantity of shares (fractions allowed)
+// or a dollar amount, which is converted to shares at the quoted price. The order walks the
+// stock's order book and fills what the book can take; any remainder is cancelled. Fills pay
+// the fees of the user's cost model. A sell (or buy to cover) may name the tax lots to close
+// as lots: [{ lotId, quantity }]; otherwise lots close by the portfolio's lot method.
 router.post('/', auth.verifyToken, async (req, res) => {
     try {
-        const { portfolioId, symbol, transactionType, quantity, price } = req.body;
+        // Any client-supplied price is ignored; trades are priced from the server's market price
+        const { portfolioId, symbol, transactionType, quantity, amount, lots } = req.body;
 
         // Validate input
-        if (!portfolioId || !symbol || !transactionType || !quantity || !price) {
+        if (!portfolioId || !symbol || !transactionType || (quantity === undefined && amount === undefined)) {
             return res.status(400).json({ error: 'All fields are required' });
         }
 
@@ -92,17 +279,37 @@ router.post('/', auth.verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'Transaction type must be BUY or SELL' });
         }
 
-        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > 100) {
-            return res.status(400).json({ error: 'Quantity must be a positive integer (max 100)' });
+        if (quantity !== undefined && amount !== undefined) {
+            return res.status(400).json({ error: 'Give either a quantity or an amount, not both' });
+        }
+
+        if (quantity !== undefined && !orderLimits.isValidQuantity(quantity)) {
+            return res.status(400).json({
+                error: `Quantity must be a positive number of shares with at most ${orderLimits.QUANTITY_DECIMALS} decimal places`
+            });
+        }
+
+        if (amount !== undefined && !orderLimits.isValidAmount(amount)) {
+            return res.status(400).json({ error: 'Amount must be a dollar amount of at least $0.01' });
         }
 
-        if (typeof price !== 'number' || price <= 0) {
-            return res.status(400).json({ error: 'Price must be a positive number' });
+        const lotsError = lots !== undefined ? taxLots.validateLotSelection(lots) : null;
+        if (lotsError) {
+            return res.status(400).json({ error: lotsError });
+        }
+
+        // The lots named can't cover more than the order; a partial fill closes them only so far
+        if (lots !== undefined && quantity !== undefined) {
+            const named = orderLimits.roundQuantity(lots.reduce((total, lot) => total + lot.quantity, 0));
+            if (named > quantity) {
+                return res.status(400).json({ error: `The lots named add up to ${named} shares but the order is for ${quantity}` });
+            }
         }
 
         // Check if portfolio belongs to user
         const [portfolios] = await db.query(
-            `SELECT p.portfolioID, p.balance, u.username
+            `SELECT p.portfolioID, p.balance, p.maxOrderQuantity, p.maxOrderValue, p.maxPositionPercent,
+              u.userID, u.username
        FROM portfolios p
        JOIN users u ON p.userID = u.userID
        WHERE p.portfolioID = ?`,
@@ -131,119 +338,195 @@ router.post('/', auth.verifyToken, async (req, res) => {
         }
 
         const stock = stocks[0];
-        const totalValue = price * quantity;
-
-        // Begin transaction
-        await db.query('START TRANSACTION');
+        const limits = orderLimits.fromRow(portfolio);
+
+        // Dollar amounts are capped directly; share quantities at the last price
+        const sizeError = amount !== undefined
+            ? orderLimits.validateOrderAmount(limits, amount)
+            : orderLimits.validateOrderSize(limits, quantity, Number(stock.marketPrice));
+        if (sizeError) {
+            return res.status(400).json({ error: sizeError });
+        }
 
-        // Process based on transaction type
-        if (transactionType === 'BUY') {
-            // Check if user has enough cash
-            if (portfolio.balance < totalValue) {
-                await db.query('ROLLBACK');
-                return res.status(400).json({ error: 'Insufficient funds' });
+        // Outside the regular session the order waits for the open and fills at the opening price
+        if (!marketClock.isOpen()) {
+            // The lots named may be gone by the open
+            if (lots !== undefined) {
+                return res.status(409).json({ error: 'Specific lots can only be sold while the market is open' });
             }
 
-            // Update portfolio balance
-            await db.query(
-                'UPDATE portfolios SET balance = balance - ? WHERE portfolioID = ?',
-                [totalValue, portfolioId]
-            );
-
-            // Check if holding already exists
-            const [holdings] = await db.query(
-                'SELECT * FROM holdings WHERE portfolioID = ? AND stockID = ?',
-                [portfolioId, stock.stockID]
-            );
-
-            if (holdings.length > 0) {
-                // Update existing holding
-                const holding = holdings[0];
-                const newQuantity = holding.quantity + quantity;
-                const newAvgPrice = ((holding.quantity * holding.avgPrice) + totalValue) / newQuantity;
-
-                await db.query(
-                    'UPDATE holdings SET quantity = ?, avgPrice = ? WHERE holdingID = ?',
-                    [newQuantity, newAvgPrice, holding.holdingID]
-                );
-            } else {
-                // Create new holding
-                await db.query(
-                    'INSERT INTO holdings (portfolioID, stockID, quantity, avgPrice) VALUES (?, ?, ?, ?)',
-                    [portfolioId, stock.stockID, quantity, price]
-                );
-            }
-        } else { // SELL
-            // Check if user has enough shares
-            const [holdings] = await db.query(
-                'SELECT * FROM holdings WHERE portfolioID = ? AND stockID = ?',
-                [portfolioId, stock.stockID]
-            );
-
-            if (holdings.length === 0 || holdings[0].quantity < quantity) {
-                await db.query('ROLLBACK');
-                return res.status(400).json({ error: 'Insufficient shares' });
-            }
+            const clock = marketClock.getState();
+            const orderId = await limitOrderEngine.queueMarketOrder({
+                userID: portfolio.userID,
+                portfolioId,
+                stockID: stock.stockID,
+                side: transactionType === 'BUY' ? 'buy' : 'sell',
+                quantity,
+                amount
+            });
+
+            return res.status(202).json({
+                queued: true,
+                orderId,
+                portfolioId,
+                symbol,
+                transactionType,
+                quantity: quantity ?? null,
+                amount: amount ?? null,
+                session: clock ? clock.session : 'closed',
+                nextOpen: clock ? clock.nextOpen : null
+            });
+        }
 
-            const holding = holdings[0];
-
-            // Update portfolio balance
-            await db.query(
-                'UPDATE portfolios SET balance = balance + ? WHERE portfolioID = ?',
-                [totalValue, portfolioId]
-            );
-
-            // Update holding
-            const newQuantity = holding.quantity - quantity;
-            if (newQuantity > 0) {
-                await db.query(
-                    'UPDATE holdings SET quantity = ? WHERE holdingID = ?',
-                    [newQuantity, holding.holdingID]
-                );
-            } else {
-                // Remove holding if no shares left
-                await db.query(
-                    'DELETE FROM holdings WHERE holdingID = ?',
-                    [holding.holdingID]
-                );
+        // Apply the trade to balance and holdings in a single database transaction
+        const result = await db.transaction(async (connection) => {
+            const price = await tradeService.getMarketPrice(connection, stock.stockID);
+
+            // A dollar amount is sized at the quoted price, then checked like any other quantity
+            let shares = quantity;
+            if (amount !== undefined) {
+                shares = orderLimits.sharesForAmount(amount, price);
+
+                const limitError = shares > 0
+                    ? orderLimits.validateOrderSize(limits, shares, price)
+                    : 'Amount is too small to trade any shares';
+                if (limitError) {
+                    throw tradeService.tradeError(limitError);
+                }
             }
+
+            return tradeService.executeTrade(connection, {
+                portfolioId,
+                stockID: stock.stockID,
+                transactionType,
+                quantity: shares,
+                price,
+                lots: lots ?? null
+            });
+        });
+
+        // The fill leaves the book only once it has committed
+        orderBook.recordFill(stock.stockID, transactionType, result.quantity);
+
+        // Return transaction details
+        res.status(201).json({
+            transactionID: result.transactionID,
+            portfolioId,
+            symbol,
+            transactionType,
+            quantity: result.quantity,
+            requestedQuantity: result.requestedQuantity,
+            partial: result.partial,
+            price: result.price,
+            quotePrice: result.quotePrice,
+            totalValue: result.totalValue,
+            fee: result.fee,
+            realizedGain: result.realizedGain,
+            newBalance: result.newBalance,
+            timestamp: result.timestamp
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
         }
+        console.error('Create transaction error:', error);
+        res.status(500).json({ error: 'Failed to create transaction' });
+    }
+});
 
-        // Create transaction record
-        const transactionID = `txn-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+// Submit a basket of market buys and sells across symbols; every leg fills in full or none do
+router.post('/basket', auth.verifyToken, async (req, res) => {
+    try {
+        const { portfolioId, legs } = req.body;
 
-        await db.query(
-            `INSERT INTO transactions 
-       (transactionID, portfolioID, stockID, transactionType, quantity, pricePaid, totalValue) 
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [transactionID, portfolioId, stock.stockID, transactionType, quantity, price, totalValue]
-        );
+        if (!portfolioId) {
+            return res.status(400).json({ error: 'Portfolio is required' });
+        }
 
-        // Commit transaction
-        await db.query('COMMIT');
+        const legsError = basketOrders.validateLegs(legs);
+        if (legsError) {
+            return res.status(400).json({ error: legsError });
+        }
 
-        // Get updated portfolio balance
-        const [updatedPortfolios] = await db.query(
-            'SELECT balance FROM portfolios WHERE portfolioID = ?',
+        // Check if portfolio belongs to user
+        const [portfolios] = await db.query(
+            `SELECT p.portfolioID, p.maxOrderQuantity, p.maxOrderValue, p.maxPositionPercent, u.username
+       FROM portfolios p
+       JOIN users u ON p.userID = u.userID
+       WHERE p.portfolioID = ?`,
             [portfolioId]
         );
 
-        // Return transaction details
+        if (portfolios.length === 0) {
+            return res.status(404).json({ error: 'Portfolio not found' });
+        }
+
+        // Verify user is working with their own portfolio
+        if (req.user.username !== portfolios[0].username) {
+            return res.status(403).json({ error: 'Unauthorized access to portfolio' });
+        }
+
+        // Baskets trade together at market, so they aren't queued for the next open
+        if (!marketClock.isOpen()) {
+            return res.status(409).json({ error: 'Basket orders can only be placed while the market is open' });
+        }
+
+        const symbols = legs.map(leg => leg.symbol);
+        const [stocks] = await db.query(
+            'SELECT stockID, symbol FROM stocks WHERE symbol IN (?)',
+            [symbols]
+        );
+
+        const stockIDs = new Map(stocks.map(stock => [stock.symbol, stock.stockID]));
+        const missing = symbols.filter(symbol => !stockIDs.has(symbol));
+        if (missing.length > 0) {
+            return res.status(404).json({ error: `Stock not found: ${missing.join(', ')}` });
+        }
+
+        const limits = orderLimits.fromRow(portfolios[0]);
+
+        // Dollar amounts are capped up front; share quantities once priced
+        for (const leg of legs) {
+            const amountError = leg.amount !== undefined ? orderLimits.validateOrderAmount(limits, leg.amount) : null;
+            if (amountError) {
+                return res.status(400).json({ error: `${leg.symbol}: ${amountError}` });
+            }
+        }
+
+        // Every leg commits or rolls back together
+        const basket = await db.transaction(connection => basketOrders.executeBasket(connection, {
+            portfolioId,
+            limits,
+            legs: legs.map(leg => ({ ...leg, stockID: stockIDs.get(leg.symbol) }))
+        }));
+
+        basketOrders.recordFills(basket);
+
         res.status(201).json({
-            transactionID,
             portfolioId,
-            symbol,
-            transactionType,
-            quantity,
-            price,
-            totalValue,
-            newBalance: updatedPortfolios[0].balance,
+            legs: basket.legs.map(leg => ({
+                transactionID: leg.transactionID,
+                symbol: leg.symbol,
+                transactionType: leg.transactionType,
+                quantity: leg.quantity,
+                price: leg.price,
+                quotePrice: leg.quotePrice,
+                totalValue: leg.totalValue,
+                fee: leg.fee
+            })),
+            estimatedCost: basket.estimatedCost,
+            totalBought: basket.totalBought,
+            totalSold: basket.totalSold,
+            totalFees: basket.totalFees,
+            newBalance: basket.newBalance,
             timestamp: new Date()
         });
     } catch (error) {
-        await db.query('ROLLBACK');
-        console.error('Create transaction error:', error);
-        res.status(500).json({ error: 'Failed to create transaction' });
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Create basket order error:', error);
+        res.status(500).json({ error: 'Failed to place basket order' });
     }
 });
 
@@ -254,11 +537,12 @@ router.get('/details/:transactionId', auth.verifyToken, async (req, res) => {
 
         // Get transaction
         const [transactions] = await db.query(
-            `SELECT t.transactionID, t.portfolioID, t.stockID, t.transactionType, 
-              t.quantity, t.pricePaid, t.totalValue, t.timestamp,
+            `SELECT t.transactionID, t.portfolioID, t.stockID, t.transactionType, t.actionID,
+              t.quantity, t.pricePaid, t.quotePrice, t.totalValue, t.fee, t.timestamp,
+              (SELECT SUM(lc.realizedGain) FROM lot_closings lc WHERE lc.transactionID = t.transactionID) AS realizedGain,
               s.symbol, s.companyName, p.name as portfolioName, u.username
        FROM transactions t
-       JOIN stocks s ON t.stockID = s.stockID
+       LEFT JOIN stocks s ON t.stockID = s.stockID
        JOIN portfolios p ON t.portfolioID = p.portfolioID
        JOIN users u ON p.userID = u.userID
        WHERE t.transactionID = ?`,
@@ -279,83 +563,30 @@ router.get('/details/:transactionId', auth.verifyToken, async (req, res) => {
         // Remove username from response
         delete transaction.username;
 
-        res.json(transaction);
-    } catch (error) {
-        console.error('Get transaction error:', error);
-        res.status(500).json({ error: 'Failed to get transaction' });
-    }
-});
-
-// Get transaction statistics
-router.get('/:username/stats', auth.verifyToken, async (req, res) => {
-    try {
-        const { username } = req.params;
-
-        // Verify user is accessing their own data
-        if (req.user.username !== username) {
-            return res.status(403).json({ error: 'Unauthorized access to transaction statistics' });
-        }
-
-        // Get basic transaction stats
-        const [stats] = await db.query(
-            `SELECT 
-         COUNT(*) as totalTransactions,
-         SUM(CASE WHEN transactionType = 'BUY' THEN 1 ELSE 0 END) as buyTransactions,
-         SUM(CASE WHEN transactionType = 'SELL' THEN 1 ELSE 0 END) as sellTransactions,
-         SUM(CASE WHEN transactionType = 'BUY' THEN totalValue ELSE 0 END) as totalBuyValue,
-         SUM(CASE WHEN transactionType = 'SELL' THEN totalValue ELSE 0 END) as totalSellValue
-       FROM transactions t
-       JOIN portfolios p ON t.portfolioID = p.portfolioID
-       JOIN users u ON p.userID = u.userID
-       WHERE u.username = ?`,
-            [username]
-        );
-
-        // Get transactions by month
-        const [monthlyStats] = await db.query(
-            `SELECT 
-         DATE_FORMAT(timestamp, '%Y-%m') as month,
-         COUNT(*) as transactions,
-         SUM(CASE WHEN transactionType = 'BUY' THEN totalValue ELSE 0 END) as buyValue,
-         SUM(CASE WHEN transactionType = 'SELL' THEN totalValue ELSE 0 END) as sellValue
-       FROM transactions t
-       JOIN portfolios p ON t.portfolioID = p.portfolioID
-       JOIN users u ON p.userID = u.userID
-       WHERE u.username = ?
-       GROUP BY DATE_FORMAT(timestamp, '%Y-%m')
-       ORDER BY month DESC
-       LIMIT 12`,
-            [username]
-        );
-
-        // Get most traded stocks
-        const [topStocks] = await db.query(
-            `SELECT 
-         s.symbol, s.companyName,
-         COUNT(*) as transactions,
-         SUM(CASE WHEN transactionType = 'BUY' THEN quantity ELSE 0 END) as buyQuantity,
-         SUM(CASE WHEN transactionType = 'SELL' THEN quantity ELSE 0 END) as sellQuantity,
-         SUM(CASE WHEN transactionType = 'BUY' THEN totalValue ELSE 0 END) as buyValue,
-         SUM(CASE WHEN transactionType = 'SELL' THEN totalValue ELSE 0 END) as sellValue
-       FROM transactions t
-       JOIN stocks s ON t.stockID = s.stockID
-       JOIN portfolios p ON t.portfolioID = p.portfolioID
-       JOIN users u ON p.userID = u.userID
-       WHERE u.username = ?
-       GROUP BY s.stockID
-       ORDER BY transactions DESC
-       LIMIT 10`,
-            [username]
+        // The tax lots the trade closed, with each one's basis, proceeds and holding period
+        const [closings] = await db.query(
+            `SELECT lotID, quantity, costBasis, proceeds, realizedGain,
+              DATE_FORMAT(acquiredDate, '%Y-%m-%d') AS acquiredDate,
+              DATE_FORMAT(closedDate, '%Y-%m-%d') AS closedDate, holdingDays, term
+       FROM lot_closings
+       WHERE transactionID = ?
+       ORDER BY closingID`,
+            [transactionId]
         );
 
         res.json({
-            summary: stats[0],
-            monthlyActivity: monthlyStats,
-            topStocks: topStocks
+            ...formatTransaction(transaction),
+            lotClosings: closings.map(closing => ({
+                ...closing,
+                quantity: Number(closing.quantity),
+                costBasis: Number(closing.costBasis),
+                proceeds: Number(closing.proceeds),
+                realizedGain: Number(closing.realizedGain)
+            }))
         });
     } catch (error) {
-        console.error('Get transaction stats error:', error);
-        res.status(500).json({ error: 'Failed to get transaction statistics' });
+        console.error('Get transaction error:', error);
+        res.status(500).json({ error: 'Failed to get transaction' });
     }
 });
 
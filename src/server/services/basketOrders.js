@@ -0,0 +1,191 @@
+// src/server/services/basketOrders.js
+// Basket (multi-leg) orders: several market buys and sells across symbols submitted as one
+// order. The whole basket is priced at the quotes and checked against the portfolio's buying
+// power before any leg trades, then every leg goes through executeTrade() inside the caller's
+// database transaction, so a leg that can't fill in full rolls the others back with it.
+// Sells go first so their proceeds can pay for the buys.
+const orderLimits = require('./orderLimits');
+const costModel = require('./costModel');
+const marginAccount = require('./marginAccount');
+const orderBook = require('./orderBook');
+const tradeService = require('./tradeService');
+
+// Most legs one basket may have
+const MAX_LEGS = 20;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check the legs of a basket from a request
+ * @param {*} legs - [{ symbol, transactionType, quantity | amount }]
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateLegs = (legs) => {
+    if (!Array.isArray(legs) || legs.length === 0) {
+        return 'A basket needs at least one leg';
+    }
+
+    if (legs.length > MAX_LEGS) {
+        return `A basket can have at most ${MAX_LEGS} legs`;
+    }
+
+    const symbols = new Set();
+
+    for (const leg of legs) {
+        const { symbol, transactionType, quantity, amount } = leg || {};
+
+        if (!symbol || !transactionType || (quantity === undefined && amount === undefined)) {
+            return 'Every leg needs a symbol, a transaction type and a quantity or amount';
+        }
+
+        if (transactionType !== 'BUY' && transactionType !== 'SELL') {
+            return `${symbol}: transaction type must be BUY or SELL`;
+        }
+
+        if (quantity !== undefined && amount !== undefined) {
+            return `${symbol}: give either a quantity or an amount, not both`;
+        }
+
+        if (quantity !== undefined && !orderLimits.isValidQuantity(quantity)) {
+            return `${symbol}: quantity must be a positive number of shares with at most ${orderLimits.QUANTITY_DECIMALS} decimal places`;
+        }
+
+        if (amount !== undefined && !orderLimits.isValidAmount(amount)) {
+            return `${symbol}: amount must be a dollar amount of at least $0.01`;
+        }
+
+        // One leg per symbol, so no two legs walk the same side of a book
+        if (symbols.has(symbol)) {
+            return `${symbol} appears in more than one leg`;
+        }
+        symbols.add(symbol);
+    }
+
+    return null;
+};
+
+// Re-throw a trade error with the leg's symbol in front, keeping its status
+const legError = (symbol, error) => {
+    if (error.status) {
+        throw tradeService.tradeError(`${symbol}: ${error.message}`, error.status);
+    }
+    throw error;
+};
+
+/**
+ * Execute every leg of a basket or none. Must be called inside db.transaction(); on success the
+ * caller passes the result to recordFills() once the transaction has committed.
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} basket
+ * @param {string} basket.portfolioId - Portfolio ID
+ * @param {Object} basket.limits - The portfolio's order limits (orderLimits.fromRow() output)
+ * @param {Array<Object>} basket.legs - validateLegs()-checked legs, each with the stock's stockID
+ * @returns {Promise<Object>} { legs: executeTrade() results in the order given, estimatedCost,
+ *                              totalBought, totalSold, totalFees, newBalance }
+ */
+const executeBasket = async (connection, { portfolioId, limits, legs }) => {
+    // Hold the portfolio for the whole basket, not just each leg
+    await connection.query('SELECT portfolioID FROM portfolios WHERE portfolioID = ? FOR UPDATE', [portfolioId]);
+
+    const settings = await costModel.getCostSettings(connection, portfolioId);
+
+    // Size every leg at its quote
+    const orders = [];
+    for (const leg of legs) {
+        try {
+            const price = await tradeService.getMarketPrice(connection, leg.stockID);
+
+            let quantity = leg.quantity;
+            if (leg.amount !== undefined) {
+                quantity = orderLimits.sharesForAmount(leg.amount, price);
+            }
+
+            const limitError = quantity > 0
+                ? orderLimits.validateOrderSize(limits, quantity, price)
+                : 'Amount is too small to trade any shares';
+            if (limitError) {
+                throw tradeService.tradeError(limitError);
+            }
+
+            orders.push({ ...leg, quantity, price });
+        } catch (error) {
+            legError(leg.symbol, error);
+        }
+    }
+
+    // Buying power check for the basket as a whole: what the buys cost less what the sells raise
+    const estimatedCost = roundCents(orders.reduce((total, order) => {
+        const value = order.quantity * order.price;
+        const { fee } = costModel.calculateFees(settings, order.quantity, order.price);
+        return total + (order.transactionType === 'BUY' ? value + fee : -value + fee);
+    }, 0));
+
+    const account = await marginAccount.getAccount(connection, portfolioId);
+    if (estimatedCost > account.buyingPower) {
+        throw tradeService.tradeError(
+            `Insufficient buying power: the basket needs about $${estimatedCost.toFixed(2)} and $${account.buyingPower.toFixed(2)} is available`
+        );
+    }
+
+    const results = new Map();
+    let newBalance = null;
+
+    for (const order of [
+        ...orders.filter(order => order.transactionType === 'SELL'),
+        ...orders.filter(order => order.transactionType === 'BUY')
+    ]) {
+        try {
+            const result = await tradeService.executeTrade(connection, {
+                portfolioId,
+                stockID: order.stockID,
+                transactionType: order.transactionType,
+                quantity: order.quantity,
+                price: order.price,
+                recordFill: false
+            });
+
+            // A basket fills in full or not at all
+            if (result.partial) {
+                throw tradeService.tradeError(
+                    `the order book only had ${result.quantity} of ${result.requestedQuantity} shares`, 409
+                );
+            }
+
+            results.set(order, { ...result, symbol: order.symbol });
+            newBalance = result.newBalance;
+        } catch (error) {
+            legError(order.symbol, error);
+        }
+    }
+
+    const filled = orders.map(order => results.get(order));
+    const sum = (type, value) => roundCents(filled
+        .filter(leg => type === null || leg.transactionType === type)
+        .reduce((total, leg) => total + value(leg), 0));
+
+    return {
+        legs: filled,
+        estimatedCost,
+        totalBought: sum('BUY', leg => leg.totalValue),
+        totalSold: sum('SELL', leg => leg.totalValue),
+        totalFees: sum(null, leg => leg.fee),
+        newBalance
+    };
+};
+
+/**
+ * Take a committed basket's fills out of the books' liquidity
+ * @param {Object} basket - executeBasket() output
+ */
+const recordFills = (basket) => {
+    for (const leg of basket.legs) {
+        orderBook.recordFill(leg.stockID, leg.transactionType, leg.quantity);
+    }
+};
+
+module.exports = {
+    MAX_LEGS,
+    validateLegs,
+    executeBasket,
+    recordFills
+};
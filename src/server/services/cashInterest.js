@@ -0,0 +1,236 @@
+// src/server/services/cashInterest.js
+// Interest on uninvested cash. Each user sets an annual risk-free rate in simulation_settings;
+// at every daily close a portfolio's positive balance earns a trading day's worth of it,
+// credited to cash and posted as an INTEREST row in transactions. Cash left in the account
+// earns the user's cashRateShare of the rate (the broker keeps the rest; 1 pays the full rate
+// on all cash); portfolios with the money-market sweep on have their cash swept into a
+// money-market fund overnight and earn the full rate. Swept cash is back in the account before
+// the open, so buying power is the same either way. A margin loan (negative cash) earns nothing.
+const db = require('../middleware/db');
+const optionPricing = require('./optionPricing');
+const marginAccount = require('./marginAccount');
+
+const DEFAULT_RISK_FREE_RATE = optionPricing.RISK_FREE_RATE;
+
+// Highest annual rate a user can set
+const MAX_RISK_FREE_RATE = 0.2;
+
+// Default share of the risk-free rate paid on cash that isn't swept
+const DEFAULT_CASH_RATE_SHARE = 0.25;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const createTransactionID = () => `txn-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+/**
+ * Add the rate, cash share and sweep settings, let cash entries in transactions go without a stock and
+ * create the interest_accruals table
+ * @returns {Promise<void>}
+ */
+const ensureInterestTables = async () => {
+    await db.ensureColumn('simulation_settings', 'riskFreeRate', `DECIMAL(6, 4) NOT NULL DEFAULT ${DEFAULT_RISK_FREE_RATE}`);
+    await db.ensureColumn('simulation_settings', 'cashRateShare',
+        `DECIMAL(5, 4) NOT NULL DEFAULT ${DEFAULT_CASH_RATE_SHARE} AFTER riskFreeRate`);
+    await db.ensureColumn('portfolios', 'sweepEnabled', 'TINYINT(1) NOT NULL DEFAULT 0 AFTER dripEnabled');
+
+    // Interest is paid on the portfolio's cash, not on a stock
+    await db.ensureColumnType('transactions', 'stockID', 'INT');
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS interest_accruals (
+            accrualID INT AUTO_INCREMENT PRIMARY KEY,
+            portfolioID VARCHAR(64) NOT NULL,
+            tradingDate DATE NOT NULL,
+            balance DECIMAL(12, 2) NOT NULL,
+            rate DECIMAL(6, 4) NOT NULL,
+            swept TINYINT(1) NOT NULL DEFAULT 0,
+            amount DECIMAL(12, 2) NOT NULL,
+            transactionID VARCHAR(64) NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            UNIQUE KEY (portfolioID, tradingDate)
+        )
+    `);
+};
+
+/**
+ * Check a risk-free rate from a request
+ * @param {*} riskFreeRate - Annual rate as a fraction, e.g. 0.04
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRiskFreeRate = (riskFreeRate) => {
+    if (typeof riskFreeRate !== 'number' || !Number.isFinite(riskFreeRate)
+        || riskFreeRate < 0 || riskFreeRate > MAX_RISK_FREE_RATE) {
+        return `riskFreeRate must be a number between 0 and ${MAX_RISK_FREE_RATE}`;
+    }
+
+    return null;
+};
+
+/**
+ * Check a cash rate share from a request
+ * @param {*} cashRateShare - Fraction of the risk-free rate unswept cash earns, e.g. 0.25
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateCashRateShare = (cashRateShare) => {
+    if (typeof cashRateShare !== 'number' || !Number.isFinite(cashRateShare)
+        || cashRateShare < 0 || cashRateShare > 1) {
+        return 'cashRateShare must be a number between 0 and 1';
+    }
+
+    return null;
+};
+
+/**
+ * Annual rate a portfolio's cash earns
+ * @param {number} riskFreeRate - Owner's risk-free rate
+ * @param {boolean} sweepEnabled - Whether cash is swept into the money-market fund
+ * @param {number} [cashRateShare] - Owner's share of the rate paid on unswept cash
+ * @returns {number} Annual rate as a fraction
+ */
+const cashRate = (riskFreeRate, sweepEnabled, cashRateShare = DEFAULT_CASH_RATE_SHARE) => (
+    sweepEnabled ? riskFreeRate : riskFreeRate * cashRateShare
+);
+
+/**
+ * One trading day's interest on a cash balance
+ * @param {number} balance - Cash balance
+ * @param {number} rate - Annual rate the cash earns
+ * @returns {number} Interest in dollars, 0 for a margin loan
+ */
+const dailyInterest = (balance, rate) => (
+    balance > 0 ? roundCents(balance * rate / marginAccount.TRADING_DAYS_PER_YEAR) : 0
+);
+
+/**
+ * Load a portfolio owner's risk-free rate
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<number>} Annual rate as a fraction
+ */
+const getRiskFreeRate = async (connection, portfolioId) => {
+    const [rows] = await connection.query(
+        `SELECT ss.riskFreeRate
+         FROM portfolios p
+         JOIN simulation_settings ss ON ss.userID = p.userID
+         WHERE p.portfolioID = ?`,
+        [portfolioId]
+    );
+
+    return rows.length > 0 ? Number(rows[0].riskFreeRate) : DEFAULT_RISK_FREE_RATE;
+};
+
+/**
+ * Credit one day's interest on every portfolio's cash at the closing balance.
+ * Each portfolio is credited at most once per trading date.
+ * @param {string} tradingDate - YYYY-MM-DD of the session that just closed
+ * @returns {Promise<number>} Number of portfolios credited
+ */
+const accrueInterest = async (tradingDate) => {
+    const [portfolios] = await db.query(
+        `SELECT p.portfolioID, p.balance, p.sweepEnabled, ss.riskFreeRate, ss.cashRateShare
+         FROM portfolios p
+         LEFT JOIN simulation_settings ss ON ss.userID = p.userID
+         WHERE p.balance > 0`
+    );
+
+    let credited = 0;
+
+    for (const portfolio of portfolios) {
+        const balance = Number(portfolio.balance);
+        const sweepEnabled = Boolean(portfolio.sweepEnabled);
+        const riskFreeRate = portfolio.riskFreeRate !== null ? Number(portfolio.riskFreeRate) : DEFAULT_RISK_FREE_RATE;
+        const cashRateShare = portfolio.cashRateShare !== null ? Number(portfolio.cashRateShare) : DEFAULT_CASH_RATE_SHARE;
+        const rate = cashRate(riskFreeRate, sweepEnabled, cashRateShare);
+        const amount = dailyInterest(balance, rate);
+        if (amount <= 0) continue;
+
+        await db.transaction(async (connection) => {
+            const transactionID = createTransactionID();
+
+            const [result] = await connection.query(
+                `INSERT IGNORE INTO interest_accruals (portfolioID, tradingDate, balance, rate, swept, amount, transactionID)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [portfolio.portfolioID, tradingDate, balance, rate, sweepEnabled, amount, transactionID]
+            );
+
+            if (result.affectedRows === 0) return;
+
+            await connection.query(
+                'UPDATE portfolios SET balance = balance + ? WHERE portfolioID = ?',
+                [amount, portfolio.portfolioID]
+            );
+
+            // The balance that earned the interest stands in for a quantity
+            await connection.query(
+                `INSERT INTO transactions
+               (transactionID, portfolioID, stockID, transactionType, quantity, pricePaid, quotePrice, totalValue, fee)
+               VALUES (?, ?, NULL, 'INTEREST', ?, 0, NULL, ?, 0)`,
+                [transactionID, portfolio.portfolioID, balance, amount]
+            );
+            credited++;
+        });
+    }
+
+    return credited;
+};
+
+/**
+ * Load a portfolio owner's share of the rate paid on unswept cash
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<number>} Fraction of the risk-free rate
+ */
+const getCashRateShare = async (connection, portfolioId) => {
+    const [rows] = await connection.query(
+        `SELECT ss.cashRateShare
+         FROM portfolios p
+         JOIN simulation_settings ss ON ss.userID = p.userID
+         WHERE p.portfolioID = ?`,
+        [portfolioId]
+    );
+
+    return rows.length > 0 ? Number(rows[0].cashRateShare) : DEFAULT_CASH_RATE_SHARE;
+};
+
+/**
+ * What a portfolio's cash earns and has earned
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {Object} portfolio - { portfolioID, balance, sweepEnabled }
+ * @returns {Promise<Object>} { riskFreeRate, cashRateShare, annualRate, sweepEnabled, dailyInterest, totalInterest }
+ */
+const getCashInterest = async (connection, portfolio) => {
+    const riskFreeRate = await getRiskFreeRate(connection, portfolio.portfolioID);
+    const cashRateShare = await getCashRateShare(connection, portfolio.portfolioID);
+    const sweepEnabled = Boolean(portfolio.sweepEnabled);
+    const annualRate = cashRate(riskFreeRate, sweepEnabled, cashRateShare);
+
+    const [totals] = await connection.query(
+        'SELECT COALESCE(SUM(amount), 0) AS totalInterest FROM interest_accruals WHERE portfolioID = ?',
+        [portfolio.portfolioID]
+    );
+
+    return {
+        riskFreeRate,
+        cashRateShare,
+        annualRate,
+        sweepEnabled,
+        dailyInterest: dailyInterest(Number(portfolio.balance), annualRate),
+        totalInterest: Number(totals[0].totalInterest)
+    };
+};
+
+module.exports = {
+    DEFAULT_RISK_FREE_RATE,
+    MAX_RISK_FREE_RATE,
+    DEFAULT_CASH_RATE_SHARE,
+    ensureInterestTables,
+    validateRiskFreeRate,
+    validateCashRateShare,
+    cashRate,
+    dailyInterest,
+    getRiskFreeRate,
+    getCashRateShare,
+    accrueInterest,
+    getCashInterest
+};
@@ -0,0 +1,136 @@
+// src/server/services/cashLedger.js
+// Deposits and withdrawals. Each moves a portfolio's cash and is posted to transactions as a
+// DEPOSIT or WITHDRAWAL row with no stock, its totalValue the signed change in cash. A
+// portfolio's initialBalance is the money put into it: its opening balance plus deposits less
+// withdrawals, so gains measured against it exclude money moved in or out.
+const orderLimits = require('./orderLimits');
+const tradeService = require('./tradeService');
+
+const TRANSFER_TYPES = ['DEPOSIT', 'WITHDRAWAL'];
+
+// Largest single deposit or withdrawal
+const MAX_TRANSFER = 1000000;
+
+const createTransactionID = () => `txn-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check a deposit or withdrawal from a request
+ * @param {Object} transfer - { type, amount }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateTransfer = ({ type, amount }) => {
+    if (!TRANSFER_TYPES.includes(type)) {
+        return `type must be one of: ${TRANSFER_TYPES.join(', ')}`;
+    }
+
+    if (!orderLimits.isValidAmount(amount)) {
+        return 'Amount must be a dollar amount of at least $0.01';
+    }
+
+    if (amount > MAX_TRANSFER) {
+        return `Amount can be at most $${MAX_TRANSFER.toLocaleString('en-US')}`;
+    }
+
+    return null;
+};
+
+/**
+ * Deposit cash into a portfolio or withdraw it. Must be called inside db.transaction().
+ * Withdrawals come out of cash only, never a margin loan.
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} transfer
+ * @param {string} transfer.portfolioId - Portfolio ID
+ * @param {string} transfer.type - 'DEPOSIT' or 'WITHDRAWAL'
+ * @param {number} transfer.amount - Dollars, positive
+ * @returns {Promise<Object>} { transactionID, type, amount, newBalance, contributions }
+ */
+const recordTransfer = async (connection, { portfolioId, type, amount }) => {
+    const [portfolios] = await connection.query(
+        'SELECT balance, initialBalance FROM portfolios WHERE portfolioID = ? FOR UPDATE',
+        [portfolioId]
+    );
+
+    if (portfolios.length === 0) {
+        throw tradeService.tradeError('Portfolio not found', 404);
+    }
+
+    const balance = Number(portfolios[0].balance);
+    const change = type === 'DEPOSIT' ? amount : -amount;
+
+    if (type === 'WITHDRAWAL' && amount > balance) {
+        throw tradeService.tradeError(
+            `Insufficient cash: $${amount.toFixed(2)} requested and $${Math.max(balance, 0).toFixed(2)} is available`
+        );
+    }
+
+    const newBalance = roundCents(balance + change);
+    const contributions = roundCents(Number(portfolios[0].initialBalance) + change);
+
+    await connection.query(
+        'UPDATE portfolios SET balance = ?, initialBalance = ?, updatedAt = NOW() WHERE portfolioID = ?',
+        [newBalance, contributions, portfolioId]
+    );
+
+    const transactionID = createTransactionID();
+    await connection.query(
+        `INSERT INTO transactions
+       (transactionID, portfolioID, stockID, transactionType, quantity, pricePaid, quotePrice, totalValue, fee)
+       VALUES (?, ?, NULL, ?, 0, 0, NULL, ?, 0)`,
+        [transactionID, portfolioId, type, change]
+    );
+
+    return { transactionID, type, amount, newBalance, contributions };
+};
+
+/**
+ * A portfolio's deposits and withdrawals, newest first, with what they add up to
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Object>} { openingBalance, deposits, withdrawals, contributions, entries }
+ */
+const getLedger = async (connection, portfolioId) => {
+    const [[portfolio]] = await connection.query(
+        'SELECT initialBalance FROM portfolios WHERE portfolioID = ?',
+        [portfolioId]
+    );
+
+    const [entries] = await connection.query(
+        `SELECT transactionID, transactionType, totalValue, timestamp
+         FROM transactions
+         WHERE portfolioID = ? AND transactionType IN (?)
+         ORDER BY timestamp DESC`,
+        [portfolioId, TRANSFER_TYPES]
+    );
+
+    const ledger = entries.map(entry => ({
+        transactionID: entry.transactionID,
+        type: entry.transactionType,
+        amount: Math.abs(Number(entry.totalValue)),
+        timestamp: entry.timestamp
+    }));
+
+    const total = (type) => roundCents(ledger
+        .filter(entry => entry.type === type)
+        .reduce((sum, entry) => sum + entry.amount, 0));
+    const deposits = total('DEPOSIT');
+    const withdrawals = total('WITHDRAWAL');
+    const contributions = Number(portfolio.initialBalance);
+
+    return {
+        openingBalance: roundCents(contributions - deposits + withdrawals),
+        deposits,
+        withdrawals,
+        contributions,
+        entries: ledger
+    };
+};
+
+module.exports = {
+    TRANSFER_TYPES,
+    MAX_TRANSFER,
+    validateTransfer,
+    recordTransfer,
+    getLedger
+};
@@ -0,0 +1,490 @@
+// src/server/services/corporateActions.js
+// Cash dividends and stock splits. Actions are scheduled for an ex-date and applied as the
+// first session of that trading day starts, to the positions held at the previous close:
+// a dividend pays longs (and charges shorts) the amount per share and the price opens that
+// much lower; portfolios with DRIP on reinvest the payout in fractional shares at the
+// ex-dividend price. A split of splitTo-for-splitFrom multiplies holdings, open orders and
+// volume by the ratio and divides prices, including the stock's history, by it (a reverse
+// split has splitTo < splitFrom). Every position an action touches gets a DIVIDEND or
+// SPLIT row in transactions carrying the action's ID.
+const db = require('../middleware/db');
+const tradeService = require('./tradeService');
+const orderLimits = require('./orderLimits');
+const taxLots = require('./taxLots');
+const eventStream = require('./eventStream');
+
+const ACTION_TYPES = ['dividend', 'split'];
+
+// Largest split ratio term, e.g. 1000-for-1
+const MAX_SPLIT_TERM = 1000;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const createTransactionID = () => `txn-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+/**
+ * Create the corporate_actions table, the DRIP portfolio setting and the ledger columns
+ * @returns {Promise<void>}
+ */
+const ensureCorporateActionTables = async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS corporate_actions (
+            actionID INT AUTO_INCREMENT PRIMARY KEY,
+            stockID INT NOT NULL,
+            actionType ENUM('dividend', 'split') NOT NULL,
+            amount DECIMAL(12, 4) NULL,
+            splitTo INT NULL,
+            splitFrom INT NULL,
+            exDate DATE NOT NULL,
+            status ENUM('scheduled', 'processed', 'cancelled') NOT NULL DEFAULT 'scheduled',
+            createdBy INT NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            processedAt DATETIME NULL,
+            cancelledAt DATETIME NULL,
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            FOREIGN KEY (createdBy) REFERENCES users(userID) ON DELETE SET NULL,
+            INDEX (status, exDate),
+            INDEX (stockID, exDate)
+        )
+    `);
+
+    await db.ensureColumn('portfolios', 'dripEnabled', 'TINYINT(1) NOT NULL DEFAULT 0 AFTER marginEnabled');
+
+    // Dividends, splits, interest, deposits and withdrawals are recorded next to trades
+    const transactionTypes = tradeService.TRANSACTION_TYPES.map(type => `'${type}'`).join(', ');
+    await db.ensureColumnType('transactions', 'transactionType', `ENUM(${transactionTypes})`, 'NOT NULL');
+    await db.ensureColumn('transactions', 'actionID', 'INT NULL AFTER transactionType');
+};
+
+/**
+ * Check a corporate action from a request
+ * @param {Object} action - { actionType, amount, splitTo, splitFrom, exDate }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateAction = ({ actionType, amount, splitTo, splitFrom, exDate }) => {
+    if (!ACTION_TYPES.includes(actionType)) {
+        return `actionType must be one of: ${ACTION_TYPES.join(', ')}`;
+    }
+
+    if (typeof exDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(exDate) || Number.isNaN(Date.parse(exDate))) {
+        return 'exDate must be a date in YYYY-MM-DD format';
+    }
+
+    if (actionType === 'dividend') {
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0
+            || Math.abs(Math.round(amount * 10000) - amount * 10000) > 1e-6) {
+            return 'amount must be a positive cash amount per share with at most 4 decimal places';
+        }
+
+        return null;
+    }
+
+    for (const [name, value] of Object.entries({ splitTo, splitFrom })) {
+        if (!Number.isInteger(value) || value < 1 || value > MAX_SPLIT_TERM) {
+            return `${name} must be a whole number between 1 and ${MAX_SPLIT_TERM}`;
+        }
+    }
+
+    if (splitTo === splitFrom) {
+        return 'splitTo and splitFrom must differ';
+    }
+
+    return null;
+};
+
+/**
+ * Corporate action for clients
+ * @param {Object} row - corporate_actions row joined with the stock's symbol
+ * @returns {Object} Action with numeric values
+ */
+const formatAction = (row) => ({
+    actionId: row.actionID,
+    symbol: row.symbol,
+    actionType: row.actionType,
+    amount: row.amount !== null ? Number(row.amount) : null,
+    splitTo: row.splitTo,
+    splitFrom: row.splitFrom,
+    exDate: row.exDate,
+    status: row.status,
+    createdAt: row.createdAt,
+    processedAt: row.processedAt,
+    cancelledAt: row.cancelledAt
+});
+
+/**
+ * A stock's corporate actions, latest ex-date first
+ * @param {number} stockID - Stock ID
+ * @returns {Promise<Array<Object>>} formatAction() output
+ */
+const getActions = async (stockID) => {
+    const [actions] = await db.query(
+        `SELECT ca.*, DATE_FORMAT(ca.exDate, '%Y-%m-%d') AS exDate, s.symbol
+         FROM corporate_actions ca
+         JOIN stocks s ON s.stockID = ca.stockID
+         WHERE ca.stockID = ?
+         ORDER BY ca.exDate DESC, ca.actionID DESC`,
+        [stockID]
+    );
+
+    return actions.map(formatAction);
+};
+
+/**
+ * Schedule a dividend or split
+ * @param {number} stockID - Stock ID
+ * @param {Object} action - validateAction() input that passed
+ * @param {number} userID - User scheduling it
+ * @returns {Promise<Object>} formatAction() output
+ */
+const scheduleAction = async (stockID, { actionType, amount, splitTo, splitFrom, exDate }, userID) => {
+    const isDividend = actionType === 'dividend';
+
+    const [result] = await db.query(
+        `INSERT INTO corporate_actions (stockID, actionType, amount, splitTo, splitFrom, exDate, createdBy)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [stockID, actionType, isDividend ? amount : null, isDividend ? null : splitTo,
+            isDividend ? null : splitFrom, exDate, userID]
+    );
+
+    const [actions] = await db.query(
+        `SELECT ca.*, DATE_FORMAT(ca.exDate, '%Y-%m-%d') AS exDate, s.symbol
+         FROM corporate_actions ca
+         JOIN stocks s ON s.stockID = ca.stockID
+         WHERE ca.actionID = ?`,
+        [result.insertId]
+    );
+
+    return formatAction(actions[0]);
+};
+
+/**
+ * Cancel an action that hasn't been applied yet
+ * @param {number} stockID - Stock ID
+ * @param {number} actionID - Action ID
+ * @returns {Promise<boolean>} False if the action doesn't exist or is no longer scheduled
+ */
+const cancelAction = async (stockID, actionID) => {
+    const [result] = await db.query(
+        `UPDATE corporate_actions SET status = 'cancelled', cancelledAt = NOW()
+         WHERE actionID = ? AND stockID = ? AND status = 'scheduled'`,
+        [actionID, stockID]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Record a corporate action against a position in transactions
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} entry - { portfolioID, stockID, actionID, transactionType, quantity, price, totalValue }
+ * @returns {Promise<string>} Transaction ID
+ */
+const recordLedgerEntry = async (connection, { portfolioID, stockID, actionID, transactionType, quantity, price, totalValue }) => {
+    const transactionID = createTransactionID();
+
+    // Reinvestment buys fill exactly at the quote; dividends and splits have no quote
+    await connection.query(
+        `INSERT INTO transactions
+       (transactionID, portfolioID, stockID, transactionType, actionID, quantity, pricePaid, quotePrice, totalValue, fee)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+        [transactionID, portfolioID, stockID, transactionType, actionID, quantity, price,
+            transactionType === 'BUY' ? price : null, totalValue]
+    );
+
+    return transactionID;
+};
+
+/**
+ * Pay a dividend on every position in the stock, drop its price by the amount and reinvest
+ * the payouts of DRIP portfolios
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} action - Locked corporate_actions row
+ * @returns {Promise<Array<Object>>} What each portfolio received, for notifications
+ */
+const applyDividend = async (connection, action) => {
+    const amount = Number(action.amount);
+
+    const [stocks] = await connection.query(
+        'SELECT marketPrice FROM stocks WHERE stockID = ? FOR UPDATE',
+        [action.stockID]
+    );
+    const exPrice = Math.max(roundCents(Number(stocks[0].marketPrice) - amount), 0.01);
+
+    // The previous close moves with it, so the day's change doesn't show the payout as a loss
+    await connection.query(
+        `UPDATE stocks SET marketPrice = ?, previousClosePrice = GREATEST(previousClosePrice - ?, 0.01)
+         WHERE stockID = ?`,
+        [exPrice, amount, action.stockID]
+    );
+
+    // Funds reinvest the dividend in the stock, so their NAV doesn't drop with its price
+    await connection.query(
+        'UPDATE fund_constituents SET units = units * ? WHERE stockID = ?',
+        [Number(stocks[0].marketPrice) / exPrice, action.stockID]
+    );
+
+    const [holdings] = await connection.query(
+        `SELECT h.*, p.userID, p.dripEnabled
+         FROM holdings h
+         JOIN portfolios p ON p.portfolioID = h.portfolioID
+         WHERE h.stockID = ?
+         FOR UPDATE`,
+        [action.stockID]
+    );
+
+    const payouts = [];
+
+    for (const holding of holdings) {
+        const quantity = Number(holding.quantity);
+
+        // Longs are paid; shorts owe the dividend to the lender
+        const payment = roundCents(quantity * amount);
+        if (payment === 0) continue;
+
+        await connection.query(
+            'UPDATE portfolios SET balance = balance + ? WHERE portfolioID = ?',
+            [payment, holding.portfolioID]
+        );
+
+        await recordLedgerEntry(connection, {
+            portfolioID: holding.portfolioID,
+            stockID: action.stockID,
+            actionID: action.actionID,
+            transactionType: 'DIVIDEND',
+            quantity,
+            price: amount,
+            totalValue: payment
+        });
+
+        let reinvestedShares = 0;
+
+        if (holding.dripEnabled && payment > 0) {
+            reinvestedShares = orderLimits.sharesForAmount(payment, exPrice);
+        }
+
+        if (reinvestedShares > 0) {
+            const cost = roundCents(reinvestedShares * exPrice);
+
+            await connection.query(
+                'UPDATE portfolios SET balance = balance - ? WHERE portfolioID = ?',
+                [cost, holding.portfolioID]
+            );
+
+            const transactionID = await recordLedgerEntry(connection, {
+                portfolioID: holding.portfolioID,
+                stockID: action.stockID,
+                actionID: action.actionID,
+                transactionType: 'BUY',
+                quantity: reinvestedShares,
+                price: exPrice,
+                totalValue: cost
+            });
+
+            // Reinvested shares are a new lot bought at the ex-dividend price
+            await tradeService.fillPosition(connection, {
+                portfolioId: holding.portfolioID,
+                stockID: action.stockID,
+                holding,
+                transactionID,
+                transactionType: 'BUY',
+                quantity: reinvestedShares,
+                price: exPrice
+            });
+        }
+
+        payouts.push({ userID: holding.userID, portfolioId: holding.portfolioID, quantity, payment, reinvestedShares });
+    }
+
+    return payouts;
+};
+
+/**
+ * Split a stock: scale every position, open order and the price history by the ratio
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} action - Locked corporate_actions row
+ * @returns {Promise<Array<Object>>} Each position's share change, for notifications
+ */
+const applySplit = async (connection, action) => {
+    const ratio = action.splitTo / action.splitFrom;
+
+    const [stocks] = await connection.query(
+        'SELECT modelParams FROM stocks WHERE stockID = ? FOR UPDATE',
+        [action.stockID]
+    );
+
+    await connection.query(
+        `UPDATE stocks
+         SET marketPrice = GREATEST(ROUND(marketPrice / ?, 2), 0.01),
+             previousClosePrice = GREATEST(ROUND(previousClosePrice / ?, 2), 0.01),
+             marketVolume = ROUND(marketVolume * ?)
+         WHERE stockID = ?`,
+        [ratio, ratio, ratio, action.stockID]
+    );
+
+    // A mean-reverting stock's long-run level is a price too
+    const params = typeof stocks[0].modelParams === 'string' ? JSON.parse(stocks[0].modelParams) : stocks[0].modelParams;
+    if (params && typeof params.mu === 'number') {
+        await connection.query(
+            'UPDATE stocks SET modelParams = ? WHERE stockID = ?',
+            [JSON.stringify({ ...params, mu: Math.round(params.mu / ratio * 10000) / 10000 }), action.stockID]
+        );
+    }
+
+    // History is restated in post-split shares so charts don't show the split as a crash or spike
+    await connection.query(
+        `UPDATE stock_data
+         SET openPrice = ROUND(openPrice / ?, 2), highPrice = ROUND(highPrice / ?, 2),
+             lowPrice = ROUND(lowPrice / ?, 2), closePrice = ROUND(closePrice / ?, 2),
+             volume = ROUND(volume * ?)
+         WHERE stockID = ?`,
+        [ratio, ratio, ratio, ratio, ratio, action.stockID]
+    );
+
+    await connection.query(
+        'UPDATE price_ticks SET price = ROUND(price / ?, 2) WHERE stockID = ?',
+        [ratio, action.stockID]
+    );
+
+    // Open orders keep their value: more shares at proportionally lower prices
+    await connection.query(
+        `UPDATE limit_orders
+         SET quantity = ROUND(quantity * ?, ${orderLimits.QUANTITY_DECIMALS}),
+             filledQuantity = ROUND(filledQuantity * ?, ${orderLimits.QUANTITY_DECIMALS}),
+             targetPrice = ROUND(targetPrice / ?, 2),
+             stopPrice = ROUND(stopPrice / ?, 2),
+             trailAnchorPrice = ROUND(trailAnchorPrice / ?, 2),
+             trailValue = IF(trailType = 'amount', ROUND(trailValue / ?, 4), trailValue)
+         WHERE stockID = ? AND status = 'active'`,
+        [ratio, ratio, ratio, ratio, ratio, ratio, action.stockID]
+    );
+
+    // Funds hold more shares of the stock
+    await connection.query(
+        'UPDATE fund_constituents SET units = units * ? WHERE stockID = ?',
+        [ratio, action.stockID]
+    );
+
+    // Listed options deliver the same stock value: strikes divide, each contract covers more shares
+    await connection.query(
+        `UPDATE option_contracts
+         SET strike = ROUND(strike / ?, 2), multiplier = ROUND(multiplier * ?, 4)
+         WHERE stockID = ? AND status = 'open'`,
+        [ratio, ratio, action.stockID]
+    );
+
+    const [[{ marketPrice }]] = await connection.query(
+        'SELECT marketPrice FROM stocks WHERE stockID = ?',
+        [action.stockID]
+    );
+
+    const [holdings] = await connection.query(
+        `SELECT h.*, p.userID
+         FROM holdings h
+         JOIN portfolios p ON p.portfolioID = h.portfolioID
+         WHERE h.stockID = ?
+         FOR UPDATE`,
+        [action.stockID]
+    );
+
+    // Tax lots keep their dates and total cost over more (or fewer) shares
+    await taxLots.splitLots(connection, action.stockID, ratio);
+
+    const changes = [];
+
+    for (const holding of holdings) {
+        const quantity = Number(holding.quantity);
+        const newQuantity = orderLimits.roundQuantity(quantity * ratio);
+
+        await connection.query(
+            'UPDATE holdings SET quantity = ?, avgPrice = ? WHERE holdingID = ?',
+            [newQuantity, Number(holding.avgPrice) / ratio, holding.holdingID]
+        );
+
+        // The ledger entry is the change in shares; no cash moves
+        await recordLedgerEntry(connection, {
+            portfolioID: holding.portfolioID,
+            stockID: action.stockID,
+            actionID: action.actionID,
+            transactionType: 'SPLIT',
+            quantity: orderLimits.roundQuantity(newQuantity - quantity),
+            price: Number(marketPrice),
+            totalValue: 0
+        });
+
+        changes.push({ userID: holding.userID, portfolioId: holding.portfolioID, quantity, newQuantity });
+    }
+
+    return changes;
+};
+
+/**
+ * Apply every scheduled action whose ex-date has arrived, oldest first. Each action
+ * commits on its own, so one failing leaves it scheduled for the next attempt.
+ * @param {string} tradingDate - YYYY-MM-DD the market clock is on
+ * @returns {Promise<number>} Number of actions applied
+ */
+const processDueActions = async (tradingDate) => {
+    const [due] = await db.query(
+        `SELECT actionID FROM corporate_actions
+         WHERE status = 'scheduled' AND exDate <= ?
+         ORDER BY exDate, actionID`,
+        [tradingDate]
+    );
+
+    let applied = 0;
+
+    for (const { actionID } of due) {
+        try {
+            const result = await db.transaction(async (connection) => {
+                const [actions] = await connection.query(
+                    `SELECT ca.*, DATE_FORMAT(ca.exDate, '%Y-%m-%d') AS exDate, s.symbol, s.userID AS ownerID
+                     FROM corporate_actions ca
+                     JOIN stocks s ON s.stockID = ca.stockID
+                     WHERE ca.actionID = ? AND ca.status = 'scheduled'
+                     FOR UPDATE`,
+                    [actionID]
+                );
+
+                // Cancelled after it was picked up
+                if (actions.length === 0) return null;
+
+                const action = actions[0];
+                const positions = action.actionType === 'dividend'
+                    ? await applyDividend(connection, action)
+                    : await applySplit(connection, action);
+
+                await connection.query(
+                    "UPDATE corporate_actions SET status = 'processed', processedAt = NOW() WHERE actionID = ?",
+                    [actionID]
+                );
+
+                return { action: { ...action, status: 'processed', processedAt: new Date() }, positions };
+            });
+
+            if (!result) continue;
+            applied++;
+
+            // Everyone who can see the stock learns its prices changed; holders also get their position's update
+            const action = formatAction(result.action);
+            eventStream.publish('corporate_action', action, result.action.ownerID);
+
+            for (const { userID, ...position } of result.positions) {
+                eventStream.publish('corporate_action', { ...action, ...position }, userID);
+            }
+        } catch (error) {
+            console.error(`Corporate action ${actionID} error:`, error);
+        }
+    }
+
+    return applied;
+};
+
+module.exports = {
+    ACTION_TYPES,
+    ensureCorporateActionTables,
+    validateAction,
+    getActions,
+    scheduleAction,
+    cancelAction,
+    processDueActions
+};
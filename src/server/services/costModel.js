@@ -0,0 +1,153 @@
+// src/server/services/costModel.js
+// Trading costs applied to every fill. The spread and slippage settings shape the order book
+// fills walk (see orderBook.js): the best quotes sit half the spread either side of the mid,
+// and deeper liquidity is priced further away by
+//   slippage = slippageFactor * sqrt(shares ahead / average daily volume)
+// (square-root market impact, so large orders in thin stocks cost more). On top of the fill
+// price come a flat or per-share commission and a percentage fee, kept separately as the
+// transaction's fee. Settings live in simulation_settings.
+const db = require('../middleware/db');
+
+const COMMISSION_TYPES = ['none', 'flat', 'per_share'];
+
+const DEFAULT_COST_SETTINGS = {
+    commissionType: 'flat',
+    commissionAmount: 0,
+    feePercent: 0,
+    spreadPercent: 0.05,
+    slippageFactor: 0.1
+};
+
+// Daily volume assumed for a stock the market engine hasn't given a volume yet
+const DEFAULT_AVERAGE_VOLUME = 100000;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Add the cost columns to simulation_settings and the fee columns to transactions
+ * @returns {Promise<void>}
+ */
+const ensureCostColumns = async () => {
+    const defaults = DEFAULT_COST_SETTINGS;
+
+    await db.ensureColumn('simulation_settings', 'commissionType',
+        `ENUM('none', 'flat', 'per_share') NOT NULL DEFAULT '${defaults.commissionType}'`);
+    await db.ensureColumn('simulation_settings', 'commissionAmount', `DECIMAL(8, 4) NOT NULL DEFAULT ${defaults.commissionAmount}`);
+    await db.ensureColumn('simulation_settings', 'feePercent', `DECIMAL(6, 4) NOT NULL DEFAULT ${defaults.feePercent}`);
+    await db.ensureColumn('simulation_settings', 'spreadPercent', `DECIMAL(6, 4) NOT NULL DEFAULT ${defaults.spreadPercent}`);
+    await db.ensureColumn('simulation_settings', 'slippageFactor', `DECIMAL(6, 4) NOT NULL DEFAULT ${defaults.slippageFactor}`);
+
+    // What the trade cost on top of price * quantity, and the quote it was filled against
+    await db.ensureColumn('transactions', 'fee', 'DECIMAL(12, 2) NOT NULL DEFAULT 0 AFTER totalValue');
+    await db.ensureColumn('transactions', 'quotePrice', 'DECIMAL(12, 2) NULL AFTER pricePaid');
+};
+
+/**
+ * Check cost settings; any of them may be omitted
+ * @param {Object} settings - { commissionType, commissionAmount, feePercent, spreadPercent, slippageFactor }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateCostSettings = ({ commissionType, commissionAmount, feePercent, spreadPercent, slippageFactor }) => {
+    if (commissionType !== undefined && !COMMISSION_TYPES.includes(commissionType)) {
+        return `commissionType must be one of: ${COMMISSION_TYPES.join(', ')}`;
+    }
+
+    if (commissionAmount !== undefined && (typeof commissionAmount !== 'number' || commissionAmount < 0 || commissionAmount > 50)) {
+        return 'commissionAmount must be a number between 0 and 50';
+    }
+
+    for (const [name, value] of Object.entries({ feePercent, spreadPercent })) {
+        if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 5)) {
+            return `${name} must be a number between 0 and 5`;
+        }
+    }
+
+    if (slippageFactor !== undefined && (typeof slippageFactor !== 'number' || slippageFactor < 0 || slippageFactor > 1)) {
+        return 'slippageFactor must be a number between 0 and 1';
+    }
+
+    return null;
+};
+
+/**
+ * Cost settings from a simulation_settings row
+ * @param {Object|undefined} row - Row, or undefined for a user without settings
+ * @returns {Object} Settings with numeric values
+ */
+const fromRow = (row) => {
+    if (!row) return { ...DEFAULT_COST_SETTINGS };
+
+    return {
+        commissionType: row.commissionType ?? DEFAULT_COST_SETTINGS.commissionType,
+        commissionAmount: Number(row.commissionAmount ?? DEFAULT_COST_SETTINGS.commissionAmount),
+        feePercent: Number(row.feePercent ?? DEFAULT_COST_SETTINGS.feePercent),
+        spreadPercent: Number(row.spreadPercent ?? DEFAULT_COST_SETTINGS.spreadPercent),
+        slippageFactor: Number(row.slippageFactor ?? DEFAULT_COST_SETTINGS.slippageFactor)
+    };
+};
+
+/**
+ * Commission and percentage fee on a fill
+ * @param {Object} settings - Cost settings
+ * @param {number} quantity - Shares filled
+ * @param {number} price - Average fill price per share
+ * @returns {Object} { commission, percentFee, fee }
+ */
+const calculateFees = (settings, quantity, price) => {
+    let commission = 0;
+    if (settings.commissionType === 'flat') {
+        commission = settings.commissionAmount;
+    } else if (settings.commissionType === 'per_share') {
+        commission = settings.commissionAmount * quantity;
+    }
+
+    const percentFee = price * quantity * settings.feePercent / 100;
+
+    return {
+        commission: roundCents(commission),
+        percentFee: roundCents(percentFee),
+        fee: roundCents(commission + percentFee)
+    };
+};
+
+/**
+ * Load the cost settings that apply to a portfolio (its owner's simulation settings)
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Object>} Cost settings
+ */
+const getCostSettings = async (connection, portfolioId) => {
+    const [rows] = await connection.query(
+        `SELECT ss.commissionType, ss.commissionAmount, ss.feePercent, ss.spreadPercent, ss.slippageFactor
+         FROM portfolios p
+         JOIN simulation_settings ss ON ss.userID = p.userID
+         WHERE p.portfolioID = ?`,
+        [portfolioId]
+    );
+
+    return fromRow(rows[0]);
+};
+
+/**
+ * Average daily volume of a stock: the simulated market volume the market engine gives it
+ * (stocks.marketVolume), so how much a class trades doesn't thin or deepen the book
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {number} stockID - Stock ID
+ * @returns {Promise<number>} Shares per day
+ */
+const getAverageVolume = async (connection, stockID) => {
+    const [rows] = await connection.query('SELECT marketVolume FROM stocks WHERE stockID = ?', [stockID]);
+
+    return (rows.length > 0 && Number(rows[0].marketVolume)) || DEFAULT_AVERAGE_VOLUME;
+};
+
+module.exports = {
+    COMMISSION_TYPES,
+    DEFAULT_COST_SETTINGS,
+    ensureCostColumns,
+    validateCostSettings,
+    fromRow,
+    calculateFees,
+    getCostSettings,
+    getAverageVolume
+};
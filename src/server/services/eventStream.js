@@ -0,0 +1,105 @@
+// src/server/services/eventStream.js
+// Server-sent events hub. Every published event gets a sequence number and is
+// kept in a short replay buffer, so a client that reconnects with its last seen
+// sequence number (Last-Event-ID) picks up exactly where it left off.
+
+// How many recent events are kept for resuming clients
+const REPLAY_BUFFER_SIZE = 2000;
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+let sequence = 0;
+const replayBuffer = [];
+const clients = new Set();
+
+// Whether a client may see an event: broadcast events go to everyone, user events only to that user
+const canSee = (client, event) => event.userID === null || event.userID === client.userID;
+
+// Write one event in SSE wire format
+const writeEvent = (res, event) => {
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+/**
+ * Publish an event to connected clients
+ * @param {string} type - Event name, e.g. 'ticks', 'news', 'order'
+ * @param {Object} data - JSON-serialisable payload
+ * @param {number|null} userID - Recipient user, or null to broadcast
+ * @returns {number} Sequence number assigned to the event
+ */
+const publish = (type, data, userID = null) => {
+    const event = { seq: ++sequence, type, data, userID };
+
+    replayBuffer.push(event);
+    if (replayBuffer.length > REPLAY_BUFFER_SIZE) {
+        replayBuffer.shift();
+    }
+
+    for (const client of clients) {
+        if (canSee(client, event)) {
+            writeEvent(client.res, event);
+        }
+    }
+
+    return event.seq;
+};
+
+/**
+ * Turn a response into an event stream for a user, replaying anything missed since lastSeq
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {number|null} userID - Subscriber, or null for broadcast events only
+ * @param {number} [lastSeq] - Last sequence number the client received
+ */
+const subscribe = (req, res, userID, lastSeq) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, userID };
+
+    // A sequence number from before a server restart can't be resumed
+    if (lastSeq !== undefined && lastSeq <= sequence) {
+        const oldest = replayBuffer.length > 0 ? replayBuffer[0].seq : sequence + 1;
+
+        if (lastSeq < oldest - 1) {
+            // Gap is older than the buffer; the client must reload state from the REST API
+            writeEvent(res, { seq: sequence, type: 'resync', data: { reason: 'Replay buffer exceeded' } });
+        } else {
+            replayBuffer
+                .filter(event => event.seq > lastSeq && canSee(client, event))
+                .forEach(event => writeEvent(res, event));
+        }
+    } else if (lastSeq !== undefined) {
+        writeEvent(res, { seq: sequence, type: 'resync', data: { reason: 'Server restarted' } });
+    }
+
+    // Tell the client where the stream currently is
+    res.write(`event: ready\ndata: ${JSON.stringify({ seq: sequence })}\n\n`);
+
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+};
+
+/**
+ * Number of open streams
+ * @returns {number} Connected client count
+ */
+const getClientCount = () => clients.size;
+
+module.exports = {
+    publish,
+    subscribe,
+    getClientCount
+};
@@ -0,0 +1,93 @@
+// src/server/services/factorModel.js
+// Market and sector factors shared by every stock on a tick, so stocks in the same
+// sector (and the market as a whole) move together. Each stock's standard normal
+// shock is
+//   z = marketBeta * sqrt(wm) * Zmarket + sectorBeta * sqrt(ws) * Zsector + sqrt(1 - wm - ws) * e
+// where wm and ws are the market and sector factor weights from simulation_settings.
+// With betas of 1 two stocks in one sector have correlation wm + ws, in different sectors wm.
+const random = require('./random');
+
+const DEFAULT_FACTOR_SETTINGS = {
+    marketFactorWeight: 0.3,
+    sectorFactorWeight: 0.3
+};
+
+/**
+ * Check factor weights
+ * @param {Object} settings - { marketFactorWeight, sectorFactorWeight }, either may be omitted
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateFactorSettings = ({ marketFactorWeight, sectorFactorWeight }) => {
+    for (const [name, value] of Object.entries({ marketFactorWeight, sectorFactorWeight })) {
+        if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+            return `${name} must be a number between 0 and 1`;
+        }
+    }
+
+    const market = marketFactorWeight ?? DEFAULT_FACTOR_SETTINGS.marketFactorWeight;
+    const sector = sectorFactorWeight ?? DEFAULT_FACTOR_SETTINGS.sectorFactorWeight;
+    if (market + sector > 1) {
+        return 'marketFactorWeight and sectorFactorWeight must add up to at most 1';
+    }
+
+    return null;
+};
+
+/**
+ * Create a sampler drawing one value per factor per tick. Every factor has its own
+ * stream of the seed, so draws don't depend on which other sectors exist.
+ * @param {string} seed - Session seed
+ * @returns {Function} (sectors: Iterable<string>) => { market, sectors: Map<sector, number> }
+ */
+const createFactorSampler = (seed) => {
+    const streams = new Map();
+    const stream = (name) => {
+        if (!streams.has(name)) {
+            streams.set(name, random.streamRandom(seed, 'factor', name));
+        }
+        return streams.get(name);
+    };
+
+    return (sectors) => {
+        const draws = { market: random.normal(stream('market')), sectors: new Map() };
+
+        // Sorted so the draw order is the same however the stocks were listed
+        [...new Set(sectors)].filter(Boolean).sort().forEach(sector => {
+            draws.sectors.set(sector, random.normal(stream(`sector:${sector}`)));
+        });
+
+        return draws;
+    };
+};
+
+/**
+ * Combine the tick's factor draws with a stock's own noise
+ * @param {Object} stock - Row with sector, marketBeta, sectorBeta, marketFactorWeight and sectorFactorWeight
+ * @param {Object} draws - Output of a factor sampler for this tick
+ * @param {number} idiosyncratic - Stock-specific standard normal draw
+ * @returns {number} Shock to feed the stock's price model
+ */
+const combineShock = (stock, draws, idiosyncratic) => {
+    const marketWeight = Number(stock.marketFactorWeight ?? DEFAULT_FACTOR_SETTINGS.marketFactorWeight);
+    const sectorDraw = stock.sector ? draws.sectors.get(stock.sector) : undefined;
+
+    // A stock without a sector keeps that share of its variance idiosyncratic
+    const sectorWeight = sectorDraw === undefined
+        ? 0
+        : Number(stock.sectorFactorWeight ?? DEFAULT_FACTOR_SETTINGS.sectorFactorWeight);
+
+    const marketBeta = Number(stock.marketBeta ?? 1);
+    const sectorBeta = Number(stock.sectorBeta ?? 1);
+    const ownWeight = Math.max(0, 1 - marketWeight - sectorWeight);
+
+    return marketBeta * Math.sqrt(marketWeight) * draws.market
+        + (sectorWeight > 0 ? sectorBeta * Math.sqrt(sectorWeight) * sectorDraw : 0)
+        + Math.sqrt(ownWeight) * idiosyncratic;
+};
+
+module.exports = {
+    DEFAULT_FACTOR_SETTINGS,
+    validateFactorSettings,
+    createFactorSampler,
+    combineShock
+};
@@ -0,0 +1,334 @@
+// src/server/services/fundEngine.js
+// Exchange-traded funds built from the simulated stocks. A fund is a row in stocks like any
+// other, so it is quoted, charted and traded through the normal routes, but its price isn't
+// stepped by a price model: it is the fund's NAV, the value of a fixed basket of constituent
+// shares per fund share, recomputed every tick from the constituents' prices. The basket is
+// sized from target weights when the fund is created; after that the weights drift with
+// prices, as an unrebalanced index fund's do. Sector funds and a broad market fund over the
+// system stocks are listed at startup, and users can list their own baskets.
+const db = require('../middleware/db');
+const marketClock = require('./marketClock');
+
+// NAV a new fund starts at, unless its creator picks one
+const DEFAULT_NAV = 100;
+
+const MAX_CONSTITUENTS = 50;
+
+// Symbol and name of the broad market fund
+const MARKET_FUND = { symbol: 'MKTX', companyName: 'Total Market Index Fund' };
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the fund tables and the column that marks a stock row as a fund, then list any
+ * missing system funds
+ * @returns {Promise<void>}
+ */
+const ensureFundTables = async () => {
+    await db.ensureColumn('stocks', 'instrumentType', "ENUM('stock', 'fund') NOT NULL DEFAULT 'stock'");
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS funds (
+            stockID INT PRIMARY KEY,
+            fundType ENUM('market', 'sector', 'custom') NOT NULL,
+            sector VARCHAR(64) NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE
+        )
+    `);
+
+    // units: constituent shares held per fund share; weight: the target weight it was sized from
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS fund_constituents (
+            fundID INT NOT NULL,
+            stockID INT NOT NULL,
+            weight DECIMAL(8, 6) NOT NULL,
+            units DECIMAL(20, 10) NOT NULL,
+            PRIMARY KEY (fundID, stockID),
+            FOREIGN KEY (fundID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            INDEX (stockID)
+        )
+    `);
+
+    await seedSystemFunds();
+};
+
+/**
+ * Check a basket definition
+ * @param {Array<Object>} constituents - [{ symbol, weight }]; weights are relative and normalized
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateBasket = (constituents) => {
+    if (!Array.isArray(constituents) || constituents.length === 0) {
+        return 'A fund needs at least one constituent';
+    }
+
+    if (constituents.length > MAX_CONSTITUENTS) {
+        return `A fund can hold at most ${MAX_CONSTITUENTS} constituents`;
+    }
+
+    const symbols = new Set();
+    for (const constituent of constituents) {
+        if (!constituent || typeof constituent.symbol !== 'string' || !constituent.symbol) {
+            return 'Each constituent needs a symbol';
+        }
+
+        if (typeof constituent.weight !== 'number' || !Number.isFinite(constituent.weight) || constituent.weight <= 0) {
+            return `Weight of ${constituent.symbol} must be a positive number`;
+        }
+
+        if (symbols.has(constituent.symbol)) {
+            return `${constituent.symbol} is listed more than once`;
+        }
+        symbols.add(constituent.symbol);
+    }
+
+    return null;
+};
+
+/**
+ * List a fund: the stock row, its basket sized at the constituents' current prices, and
+ * its price history rebuilt from the constituents' daily bars
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} fund - { symbol, companyName, sector, userID (null for system funds), fundType,
+ *                         nav, constituents: [{ stockID, weight, marketPrice, volatility }] }
+ * @returns {Promise<number>} Stock ID of the fund
+ */
+const createFund = async (connection, { symbol, companyName, sector, userID, fundType, nav, constituents }) => {
+    const totalWeight = constituents.reduce((sum, constituent) => sum + constituent.weight, 0);
+    const basket = constituents.map(constituent => {
+        const weight = constituent.weight / totalWeight;
+
+        return {
+            stockID: constituent.stockID,
+            weight,
+            units: weight * nav / Number(constituent.marketPrice),
+            volatility: Number(constituent.volatility)
+        };
+    });
+
+    // The weighted average of the constituents' volatilities: an upper bound, as if they moved together
+    const volatility = basket.reduce((sum, constituent) => sum + constituent.weight * constituent.volatility, 0);
+
+    const [result] = await connection.query(
+        `INSERT INTO stocks (symbol, companyName, sector, isCustom, userID, marketPrice, volatility, instrumentType)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'fund')`,
+        [symbol, companyName, sector, userID !== null, userID, nav, Math.max(Math.round(volatility * 100000) / 100000, 0.001)]
+    );
+    const stockID = result.insertId;
+
+    await connection.query(
+        'INSERT INTO funds (stockID, fundType, sector) VALUES (?, ?, ?)',
+        [stockID, fundType, fundType === 'sector' ? sector : null]
+    );
+
+    await connection.query(
+        'INSERT INTO fund_constituents (fundID, stockID, weight, units) VALUES ?',
+        [basket.map(constituent => [stockID, constituent.stockID, constituent.weight, constituent.units])]
+    );
+
+    // Daily bars as if the basket had been held, on the days every constituent traded
+    await connection.query(
+        `INSERT INTO stock_data (stockID, dataDate, openPrice, highPrice, lowPrice, closePrice, volume)
+         SELECT ?, sd.dataDate, SUM(fc.units * sd.openPrice), SUM(fc.units * sd.highPrice),
+                SUM(fc.units * sd.lowPrice), SUM(fc.units * sd.closePrice), 0
+         FROM fund_constituents fc
+         JOIN stock_data sd ON sd.stockID = fc.stockID
+         WHERE fc.fundID = ?
+         GROUP BY sd.dataDate
+         HAVING COUNT(*) = ?`,
+        [stockID, stockID, basket.length]
+    );
+
+    const tradingDate = marketClock.getTradingDate() || marketClock.formatDate(new Date());
+    await connection.query(
+        `UPDATE stocks SET previousClosePrice = (
+             SELECT closePrice FROM stock_data
+             WHERE stockID = ? AND dataDate < ?
+             ORDER BY dataDate DESC LIMIT 1
+         )
+         WHERE stockID = ?`,
+        [stockID, tradingDate, stockID]
+    );
+
+    return stockID;
+};
+
+// A free fund symbol: the preferred one, or it with letters from a fallback appended
+const pickSymbol = async (preferred, fallback) => {
+    const candidates = [preferred];
+    for (let i = preferred.length + 1; i <= 5; i++) {
+        candidates.push((preferred + fallback).slice(0, i));
+    }
+
+    for (const candidate of candidates) {
+        const [existing] = await db.query('SELECT stockID FROM stocks WHERE symbol = ?', [candidate]);
+        if (existing.length === 0) return candidate;
+    }
+
+    return null;
+};
+
+/**
+ * List an equal-weighted fund for each sector of the system stocks and one across all of
+ * them, for any that don't exist yet
+ * @returns {Promise<void>}
+ */
+const seedSystemFunds = async () => {
+    const [stocks] = await db.query(
+        `SELECT stockID, sector, marketPrice, volatility FROM stocks
+         WHERE userID IS NULL AND instrumentType = 'stock' AND marketPrice > 0
+         ORDER BY stockID`
+    );
+
+    if (stocks.length === 0) return;
+
+    const [existing] = await db.query(
+        `SELECT f.fundType, f.sector FROM funds f
+         JOIN stocks s ON s.stockID = f.stockID
+         WHERE s.userID IS NULL`
+    );
+
+    const bySector = new Map();
+    for (const stock of stocks) {
+        if (!bySector.has(stock.sector)) bySector.set(stock.sector, []);
+        bySector.get(stock.sector).push({ ...stock, weight: 1 });
+    }
+
+    const missing = [];
+
+    if (!existing.some(fund => fund.fundType === 'market')) {
+        missing.push({
+            ...MARKET_FUND,
+            symbol: await pickSymbol(MARKET_FUND.symbol, 'F'),
+            sector: 'Fund',
+            fundType: 'market',
+            constituents: stocks.map(stock => ({ ...stock, weight: 1 }))
+        });
+    }
+
+    for (const [sector, constituents] of bySector) {
+        if (!sector || existing.some(fund => fund.fundType === 'sector' && fund.sector === sector)) continue;
+
+        const letters = sector.toUpperCase().replace(/[^A-Z]/g, '');
+        missing.push({
+            symbol: await pickSymbol(`X${letters.slice(0, 3)}`, letters.slice(3) || 'F'),
+            companyName: `${sector} Sector Fund`,
+            sector,
+            fundType: 'sector',
+            constituents
+        });
+    }
+
+    for (const fund of missing) {
+        if (!fund.symbol) {
+            console.error(`No free symbol for the ${fund.companyName}`);
+            continue;
+        }
+
+        await db.transaction(connection => createFund(connection, { ...fund, userID: null, nav: DEFAULT_NAV }));
+        console.log(`Listed ${fund.companyName} as ${fund.symbol}`);
+    }
+};
+
+/**
+ * Funds a user can see, with their baskets valued at current prices
+ * @param {number} userID - User whose custom funds to include
+ * @param {string} [symbol] - Only this fund
+ * @returns {Promise<Array<Object>>} [{ stockID, symbol, companyName, fundType, sector, isCustom, nav,
+ *                                     previousClosePrice, constituents: [{ symbol, companyName, units,
+ *                                     targetWeight, price, value, weight }] }]
+ */
+const getFunds = async (userID, symbol = null) => {
+    const [funds] = await db.query(
+        `SELECT s.stockID, s.symbol, s.companyName, s.isCustom, s.marketPrice, s.previousClosePrice,
+                f.fundType, f.sector, f.createdAt
+         FROM funds f
+         JOIN stocks s ON s.stockID = f.stockID
+         WHERE (s.userID IS NULL OR s.userID = ?) ${symbol !== null ? 'AND s.symbol = ?' : ''}
+         ORDER BY f.fundType, s.symbol`,
+        symbol !== null ? [userID, symbol] : [userID]
+    );
+
+    if (funds.length === 0) return [];
+
+    const [constituents] = await db.query(
+        `SELECT fc.fundID, fc.weight, fc.units, s.symbol, s.companyName, s.marketPrice
+         FROM fund_constituents fc
+         JOIN stocks s ON s.stockID = fc.stockID
+         WHERE fc.fundID IN (?)
+         ORDER BY fc.weight DESC, s.symbol`,
+        [funds.map(fund => fund.stockID)]
+    );
+
+    return funds.map(fund => {
+        const basket = constituents
+            .filter(constituent => constituent.fundID === fund.stockID)
+            .map(constituent => ({
+                symbol: constituent.symbol,
+                companyName: constituent.companyName,
+                units: Number(constituent.units),
+                targetWeight: Number(constituent.weight),
+                price: Number(constituent.marketPrice),
+                value: Number(constituent.units) * Number(constituent.marketPrice)
+            }));
+        const nav = basket.reduce((sum, constituent) => sum + constituent.value, 0);
+
+        return {
+            stockID: fund.stockID,
+            symbol: fund.symbol,
+            companyName: fund.companyName,
+            fundType: fund.fundType,
+            sector: fund.sector,
+            isCustom: Boolean(fund.isCustom),
+            nav: roundCents(nav),
+            marketPrice: Number(fund.marketPrice),
+            previousClosePrice: fund.previousClosePrice !== null ? Number(fund.previousClosePrice) : null,
+            createdAt: fund.createdAt,
+            constituents: basket.map(constituent => ({
+                ...constituent,
+                value: Math.round(constituent.value * 10000) / 10000,
+                weight: nav > 0 ? Math.round(constituent.value / nav * 1000000) / 1000000 : 0
+            }))
+        };
+    });
+};
+
+/**
+ * Reprice every trading fund at its NAV. Called in the market tick after the stocks move.
+ * @param {Connection} connection - Connection from db.transaction()
+ * @returns {Promise<Array<Object>>} Funds whose price changed: { stockID, symbol, userID, marketPrice }
+ */
+const updateNavs = async (connection) => {
+    const [funds] = await connection.query(
+        `SELECT f.stockID, f.symbol, f.userID, f.marketPrice, SUM(fc.units * s.marketPrice) AS nav
+         FROM stocks f
+         JOIN fund_constituents fc ON fc.fundID = f.stockID
+         JOIN stocks s ON s.stockID = fc.stockID
+         WHERE f.instrumentType = 'fund' AND (f.haltedUntil IS NULL OR f.haltedUntil <= NOW())
+         GROUP BY f.stockID`
+    );
+
+    const moved = [];
+
+    for (const fund of funds) {
+        const nav = Math.max(roundCents(Number(fund.nav)), 0.01);
+        if (nav === Number(fund.marketPrice)) continue;
+
+        await connection.query('UPDATE stocks SET marketPrice = ? WHERE stockID = ?', [nav, fund.stockID]);
+        moved.push({ stockID: fund.stockID, symbol: fund.symbol, userID: fund.userID, marketPrice: nav });
+    }
+
+    return moved;
+};
+
+module.exports = {
+    DEFAULT_NAV,
+    MAX_CONSTITUENTS,
+    ensureFundTables,
+    validateBasket,
+    createFund,
+    getFunds,
+    updateNavs
+};
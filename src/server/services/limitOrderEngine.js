@@ -0,0 +1,504 @@
+// src/server/services/limitOrderEngine.js
+// Server-side limit order matcher. Runs on an interval independent of any
+// browser tab so orders keep filling while the user is offline.
+const db = require('../middleware/db');
+const tradeService = require('./tradeService');
+const eventStream = require('./eventStream');
+const marketClock = require('./marketClock');
+const orderLimits = require('./orderLimits');
+const orderBook = require('./orderBook');
+
+// How often active orders are checked against market prices
+const MATCH_INTERVAL_MS = 5000;
+
+let matchInterval = null;
+let isMatching = false;
+
+/**
+ * Create the limit_orders table if it doesn't exist
+ * @returns {Promise<void>}
+ */
+const ensureLimitOrdersTable = async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS limit_orders (
+            orderID VARCHAR(64) PRIMARY KEY,
+            userID INT NOT NULL,
+            portfolioID VARCHAR(64) NOT NULL,
+            stockID INT NOT NULL,
+            side ENUM('buy', 'sell') NOT NULL,
+            quantity INT NOT NULL,
+            targetPrice DECIMAL(12, 2) NOT NULL,
+            status ENUM('active', 'completed', 'cancelled', 'expired', 'failed') NOT NULL DEFAULT 'active',
+            expiresAt DATETIME NULL,
+            executionPrice DECIMAL(12, 2) NULL,
+            transactionID VARCHAR(64) NULL,
+            failReason VARCHAR(255) NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            completedAt DATETIME NULL,
+            cancelledAt DATETIME NULL,
+            expiredAt DATETIME NULL,
+            failedAt DATETIME NULL,
+            FOREIGN KEY (userID) REFERENCES users(userID) ON DELETE CASCADE,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            INDEX (status),
+            INDEX (userID, status)
+        )
+    `);
+
+    // Conditional order types (stop-loss, take-profit, stop-limit, trailing-stop) and OCO groups
+    await db.ensureColumn('limit_orders', 'orderType',
+        "ENUM('limit', 'stop_loss', 'take_profit', 'stop_limit', 'trailing_stop') NOT NULL DEFAULT 'limit' AFTER side");
+    await db.ensureColumn('limit_orders', 'stopPrice', 'DECIMAL(12, 2) NULL AFTER targetPrice');
+    await db.ensureColumn('limit_orders', 'trailType', "ENUM('percent', 'amount') NULL AFTER stopPrice");
+    await db.ensureColumn('limit_orders', 'trailValue', 'DECIMAL(12, 4) NULL AFTER trailType');
+    await db.ensureColumn('limit_orders', 'trailAnchorPrice', 'DECIMAL(12, 2) NULL AFTER trailValue');
+    await db.ensureColumn('limit_orders', 'ocoGroupID', 'VARCHAR(64) NULL AFTER trailAnchorPrice');
+    await db.ensureColumn('limit_orders', 'cancelReason', 'VARCHAR(255) NULL AFTER failReason');
+    await db.ensureColumn('limit_orders', 'triggeredAt', 'DATETIME NULL AFTER completedAt');
+
+    // Stop and trailing orders have no limit price
+    await db.ensureColumnType('limit_orders', 'targetPrice', 'DECIMAL(12, 2)');
+
+    // Market orders placed while the market is closed wait here for the open
+    await db.ensureColumnType('limit_orders', 'orderType',
+        "ENUM('limit', 'stop_loss', 'take_profit', 'stop_limit', 'trailing_stop', 'market')", "NOT NULL DEFAULT 'limit'");
+
+    // Fractional quantities; a dollar-amount market order has no quantity until it fills
+    await db.ensureColumnType('limit_orders', 'quantity', orderLimits.QUANTITY_COLUMN);
+    await db.ensureColumn('limit_orders', 'amount', 'DECIMAL(12, 2) NULL AFTER quantity');
+
+    // Shares filled so far; an order the book can't fill at once stays active for the rest
+    await db.ensureColumn('limit_orders', 'filledQuantity', `${orderLimits.QUANTITY_COLUMN} NOT NULL DEFAULT 0 AFTER amount`);
+
+    // Orders completed before partial fills existed filled in one go
+    await db.query("UPDATE limit_orders SET filledQuantity = quantity WHERE status = 'completed' AND filledQuantity = 0");
+};
+
+/**
+ * Queue a market order to fill at the next open
+ * @param {Object} order - Order details
+ * @param {number} order.userID - Owner
+ * @param {string} order.portfolioId - Portfolio ID
+ * @param {number} order.stockID - Stock ID
+ * @param {string} order.side - 'buy' or 'sell'
+ * @param {number} [order.quantity] - Number of shares
+ * @param {number} [order.amount] - Dollars to trade instead of a quantity, sized at the fill price
+ * @returns {Promise<string>} Order ID
+ */
+const queueMarketOrder = async ({ userID, portfolioId, stockID, side, quantity = null, amount = null }) => {
+    const orderID = `order-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+    await db.query(
+        `INSERT INTO limit_orders (orderID, userID, portfolioID, stockID, side, orderType, quantity, amount)
+         VALUES (?, ?, ?, ?, ?, 'market', ?, ?)`,
+        [orderID, userID, portfolioId, stockID, side, quantity, amount]
+    );
+
+    return orderID;
+};
+
+/**
+ * Stop price for a trailing stop given its anchor (high-water mark for sells,
+ * low-water mark for buys)
+ * @param {Object} order - Order with side, trailType and trailValue
+ * @param {number} anchorPrice - Best price seen since the order was placed
+ * @returns {number} Trigger price
+ */
+const calculateTrailingStop = (order, anchorPrice) => {
+    const trailValue = Number(order.trailValue);
+    const offset = order.trailType === 'percent' ? anchorPrice * trailValue / 100 : trailValue;
+
+    return order.side === 'sell' ? anchorPrice - offset : anchorPrice + offset;
+};
+
+// Limit condition: buy at or below the target, sell at or above it
+const limitConditionMet = (order, marketPrice) => (
+    order.side === 'buy'
+        ? marketPrice <= Number(order.targetPrice)
+        : marketPrice >= Number(order.targetPrice)
+);
+
+// Stop condition: sell stops trigger on the way down, buy stops on the way up
+const stopConditionMet = (order, marketPrice) => (
+    order.side === 'sell'
+        ? marketPrice <= Number(order.stopPrice)
+        : marketPrice >= Number(order.stopPrice)
+);
+
+/**
+ * Push an order status change to the owner's event stream
+ * @param {Object} order - Order row with orderID, userID, symbol, side, orderType and quantity
+ * @param {Object} update - Changed fields (status, executionPrice, failReason, cancelReason)
+ */
+const publishOrderUpdate = (order, update) => {
+    eventStream.publish('order', {
+        id: order.orderID,
+        symbol: order.symbol,
+        type: order.side,
+        orderType: order.orderType,
+        quantity: order.quantity !== null ? Number(order.quantity) : null,
+        ...update
+    }, order.userID);
+};
+
+/**
+ * Mark active orders whose expiration has passed as expired
+ * @returns {Promise<number>} Number of orders expired
+ */
+const expireOrders = async () => {
+    const [orders] = await db.query(
+        `SELECT lo.orderID, lo.userID, lo.side, lo.orderType, lo.quantity, s.symbol
+         FROM limit_orders lo
+         JOIN stocks s ON lo.stockID = s.stockID
+         WHERE lo.status = 'active' AND lo.expiresAt IS NOT NULL AND lo.expiresAt <= NOW()`
+    );
+
+    if (orders.length === 0) {
+        return 0;
+    }
+
+    const [result] = await db.query(
+        `UPDATE limit_orders
+         SET status = 'expired', expiredAt = NOW()
+         WHERE status = 'active' AND orderID IN (?)`,
+        [orders.map(order => order.orderID)]
+    );
+
+    orders.forEach(order => publishOrderUpdate(order, { status: 'expired' }));
+
+    return result.affectedRows;
+};
+
+/**
+ * Total shares an order is for. Dollar-amount orders are sized at the quoted price when they
+ * first fill and checked against the portfolio's order limits then, since their size wasn't
+ * known before; a partly filled one keeps the size it was given.
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} order - Order row with quantity, amount and portfolioID
+ * @param {number} quotePrice - Quoted price per share
+ * @returns {Promise<number>} Shares
+ */
+const getFillQuantity = async (connection, order, quotePrice) => {
+    if (order.quantity !== null && order.quantity !== undefined) {
+        return Number(order.quantity);
+    }
+
+    const quantity = orderLimits.sharesForAmount(Number(order.amount), quotePrice);
+    if (quantity <= 0) {
+        throw tradeService.tradeError('Amount is too small to trade any shares');
+    }
+
+    const limitError = orderLimits.validateOrderSize(
+        await orderLimits.getOrderLimits(connection, order.portfolioID), quantity, quotePrice
+    );
+    if (limitError) {
+        throw tradeService.tradeError(limitError);
+    }
+
+    return quantity;
+};
+
+/**
+ * Fill an order through the shared trade logic. The order row is locked and
+ * re-checked inside the transaction so a cancel can't race a fill. When the book
+ * can't take the whole order, the shares it could take are filled and the order
+ * stays active for the rest; its executionPrice is the average over all fills.
+ * @param {Object} order - Order row joined with the stock's symbol and marketPrice
+ * @param {string} transactionType - 'BUY' or 'SELL'
+ * @returns {Promise<boolean>} True if any shares were filled
+ */
+const fillOrder = async (order, transactionType) => {
+    const quotePrice = Number(order.marketPrice);
+
+    // Limit prices cap what the spread and slippage can cost; stops fill at market
+    const limitPrice = ['limit', 'take_profit', 'stop_limit'].includes(order.orderType)
+        ? Number(order.targetPrice)
+        : null;
+
+    try {
+        const trade = await db.transaction(async (connection) => {
+            const [orders] = await connection.query(
+                'SELECT status, filledQuantity, executionPrice FROM limit_orders WHERE orderID = ? FOR UPDATE',
+                [order.orderID]
+            );
+
+            if (orders.length === 0 || orders[0].status !== 'active') {
+                return null;
+            }
+
+            const quantity = await getFillQuantity(connection, order, quotePrice);
+            const filledBefore = Number(orders[0].filledQuantity);
+
+            const result = await tradeService.executeTrade(connection, {
+                portfolioId: order.portfolioID,
+                stockID: order.stockID,
+                transactionType,
+                quantity: orderLimits.roundQuantity(quantity - filledBefore),
+                price: quotePrice,
+                limitPrice
+            });
+
+            const filledQuantity = orderLimits.roundQuantity(filledBefore + result.quantity);
+            const averagePrice = (filledBefore * Number(orders[0].executionPrice || 0) + result.quantity * result.price)
+                / filledQuantity;
+            const complete = filledQuantity >= quantity;
+
+            await connection.query(
+                `UPDATE limit_orders
+                 SET status = ?, quantity = ?, filledQuantity = ?, executionPrice = ?, transactionID = ?,
+                     completedAt = IF(status = 'completed', NOW(), NULL),
+                     triggeredAt = IF(orderType = 'limit', NULL, COALESCE(triggeredAt, NOW()))
+                 WHERE orderID = ?`,
+                [complete ? 'completed' : 'active', quantity, filledQuantity, averagePrice, result.transactionID, order.orderID]
+            );
+
+            // One-cancels-the-other: once any of an order fills, the rest of the group is no longer needed
+            let siblings = [];
+            if (order.ocoGroupID) {
+                [siblings] = await connection.query(
+                    `SELECT orderID, userID, side, orderType, quantity FROM limit_orders
+                     WHERE ocoGroupID = ? AND orderID <> ? AND status = 'active'
+                     FOR UPDATE`,
+                    [order.ocoGroupID, order.orderID]
+                );
+
+                await connection.query(
+                    `UPDATE limit_orders
+                     SET status = 'cancelled', cancelledAt = NOW(), cancelReason = ?
+                     WHERE ocoGroupID = ? AND orderID <> ? AND status = 'active'`,
+                    [`OCO: order ${order.orderID} filled`, order.ocoGroupID, order.orderID]
+                );
+            }
+
+            return { result, siblings, quantity, filledQuantity, averagePrice, complete };
+        });
+
+        if (trade === null) {
+            return false;
+        }
+
+        orderBook.recordFill(order.stockID, transactionType, trade.result.quantity);
+
+        publishOrderUpdate(order, {
+            status: trade.complete ? 'completed' : 'active',
+            quantity: trade.quantity,
+            filledQuantity: trade.filledQuantity,
+            lastFillQuantity: trade.result.quantity,
+            executionPrice: Math.round(trade.averagePrice * 100) / 100,
+            fee: trade.result.fee,
+            transactionID: trade.result.transactionID
+        });
+        trade.siblings.forEach(sibling => publishOrderUpdate({ ...sibling, symbol: order.symbol }, {
+            status: 'cancelled',
+            cancelReason: `OCO: order ${order.orderID} filled`
+        }));
+
+        return true;
+    } catch (error) {
+        // Nothing in the book at the limit price yet; the order keeps waiting
+        if (error.noLiquidity) {
+            return false;
+        }
+
+        // Errors without a status are infrastructure failures; leave the order active to retry
+        if (!error.status) {
+            console.error(`Error filling limit order ${order.orderID}:`, error);
+            return false;
+        }
+
+        await db.query(
+            `UPDATE limit_orders
+             SET status = 'failed', failReason = ?, failedAt = NOW()
+             WHERE orderID = ? AND status = 'active'`,
+            [error.message, order.orderID]
+        );
+
+        publishOrderUpdate(order, { status: 'failed', failReason: error.message });
+
+        return false;
+    }
+};
+
+/**
+ * Execute a buy order at the current market price
+ * @param {Object} order - Order row joined with the stock's marketPrice
+ * @returns {Promise<boolean>} True if the order was filled
+ */
+const executeBuyOrder = (order) => fillOrder(order, 'BUY');
+
+/**
+ * Execute a sell order at the current market price
+ * @param {Object} order - Order row joined with the stock's marketPrice
+ * @returns {Promise<boolean>} True if the order was filled
+ */
+const executeSellOrder = (order) => fillOrder(order, 'SELL');
+
+/**
+ * Record that a stop-limit order's stop price was hit; from now on it behaves as a limit order
+ * @param {Object} order - Order row
+ * @returns {Promise<void>}
+ */
+const markTriggered = async (order) => {
+    await db.query(
+        `UPDATE limit_orders SET triggeredAt = NOW()
+         WHERE orderID = ? AND status = 'active' AND triggeredAt IS NULL`,
+        [order.orderID]
+    );
+    order.triggeredAt = new Date();
+};
+
+/**
+ * Move a trailing stop's anchor when the price improves, and persist the new stop price
+ * @param {Object} order - Order row
+ * @param {number} marketPrice - Current market price
+ * @returns {Promise<void>}
+ */
+const updateTrailingStop = async (order, marketPrice) => {
+    const currentAnchor = order.trailAnchorPrice !== null ? Number(order.trailAnchorPrice) : marketPrice;
+    const anchorPrice = order.side === 'sell'
+        ? Math.max(currentAnchor, marketPrice)
+        : Math.min(currentAnchor, marketPrice);
+
+    if (anchorPrice === Number(order.trailAnchorPrice) && order.stopPrice !== null) return;
+
+    const stopPrice = Math.max(calculateTrailingStop(order, anchorPrice), 0.01);
+
+    await db.query(
+        `UPDATE limit_orders SET trailAnchorPrice = ?, stopPrice = ?
+         WHERE orderID = ? AND status = 'active'`,
+        [anchorPrice, stopPrice, order.orderID]
+    );
+
+    order.trailAnchorPrice = anchorPrice;
+    order.stopPrice = stopPrice;
+};
+
+/**
+ * Fill an order on the side it was placed
+ * @param {Object} order - Order row joined with the stock's marketPrice
+ * @returns {Promise<boolean>} True if the order was filled
+ */
+const executeOrder = (order) => (
+    order.side === 'buy' ? executeBuyOrder(order) : executeSellOrder(order)
+);
+
+/**
+ * Check one active order against the current price and fill it if its conditions are met
+ * @param {Object} order - Order row joined with the stock's marketPrice
+ * @returns {Promise<boolean>} True if the order was filled
+ */
+const evaluateOrder = async (order) => {
+    const marketPrice = Number(order.marketPrice);
+    if (!marketPrice) return false;
+
+    // A partly filled order has already triggered; keep working the rest (a limit still caps its price)
+    if (Number(order.filledQuantity) > 0) {
+        return executeOrder(order);
+    }
+
+    switch (order.orderType) {
+        case 'market':
+            return executeOrder(order);
+
+        case 'limit':
+        case 'take_profit':
+            return limitConditionMet(order, marketPrice) ? executeOrder(order) : false;
+
+        case 'stop_loss':
+            return stopConditionMet(order, marketPrice) ? executeOrder(order) : false;
+
+        case 'stop_limit':
+            if (!order.triggeredAt) {
+                if (!stopConditionMet(order, marketPrice)) return false;
+                await markTriggered(order);
+            }
+            return limitConditionMet(order, marketPrice) ? executeOrder(order) : false;
+
+        case 'trailing_stop':
+            await updateTrailingStop(order, marketPrice);
+            return stopConditionMet(order, marketPrice) ? executeOrder(order) : false;
+
+        default:
+            return false;
+    }
+};
+
+/**
+ * Expire stale orders, then, while the market is open, fill every active order whose
+ * price condition is met
+ * @returns {Promise<void>}
+ */
+const matchOrders = async () => {
+    // Skip if the previous pass is still running
+    if (isMatching) return;
+    isMatching = true;
+
+    try {
+        await expireOrders();
+
+        // Orders wait for the regular session
+        if (!marketClock.isOpen()) return;
+
+        const [orders] = await db.query(
+            `SELECT lo.orderID, lo.userID, lo.portfolioID, lo.stockID, lo.side, lo.orderType, lo.quantity, lo.amount,
+                    lo.filledQuantity, lo.targetPrice, lo.stopPrice, lo.trailType, lo.trailValue, lo.trailAnchorPrice,
+                    lo.ocoGroupID, lo.triggeredAt, s.symbol, s.marketPrice
+             FROM limit_orders lo
+             JOIN stocks s ON lo.stockID = s.stockID
+             WHERE lo.status = 'active'
+               AND (s.haltedUntil IS NULL OR s.haltedUntil <= NOW())
+             ORDER BY lo.createdAt`
+        );
+
+        const filledGroups = new Set();
+
+        for (const order of orders) {
+            // A sibling in this OCO group already filled during this pass
+            if (order.ocoGroupID && filledGroups.has(order.ocoGroupID)) continue;
+
+            const filled = await evaluateOrder(order);
+
+            if (filled && order.ocoGroupID) {
+                filledGroups.add(order.ocoGroupID);
+            }
+        }
+    } catch (error) {
+        console.error('Limit order matching error:', error);
+    } finally {
+        isMatching = false;
+    }
+};
+
+/**
+ * Start the matching loop
+ * @param {number} intervalMs - Milliseconds between matching passes
+ */
+const start = (intervalMs = MATCH_INTERVAL_MS) => {
+    stop();
+    matchInterval = setInterval(() => matchOrders(), intervalMs);
+    console.log('Limit order engine started');
+};
+
+/**
+ * Stop the matching loop
+ */
+const stop = () => {
+    if (matchInterval) {
+        clearInterval(matchInterval);
+        matchInterval = null;
+    }
+};
+
+module.exports = {
+    ensureLimitOrdersTable,
+    queueMarketOrder,
+    calculateTrailingStop,
+    expireOrders,
+    executeBuyOrder,
+    executeSellOrder,
+    matchOrders,
+    start,
+    stop
+};
@@ -0,0 +1,134 @@
+// src/server/services/marginAccount.js
+// Margin account arithmetic shared by trades, the portfolio routes and the margin engine.
+// Short sale proceeds are credited to cash and a margin loan shows up as negative cash, so
+//   equity = cash + long market value - short market value
+// which is the same as cash plus the sum of quantity * price over signed holdings.
+// Option positions count as positions of contracts * multiplier at the option's value.
+const optionPricing = require('./optionPricing');
+const marketClock = require('./marketClock');
+
+// Share of a new position's value that must be covered by equity (Reg T)
+const INITIAL_MARGIN = 0.5;
+
+// Equity that must be kept against open positions before a margin call
+const LONG_MAINTENANCE_MARGIN = 0.25;
+const SHORT_MAINTENANCE_MARGIN = 0.3;
+
+// Annual fee for borrowing shares to short, charged on each trading day's close
+const BORROW_FEE_RATE = 0.03;
+const TRADING_DAYS_PER_YEAR = 252;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Margin figures for a portfolio
+ * @param {number} cash - Portfolio balance (negative while borrowing)
+ * @param {Array<Object>} positions - Holdings with signed quantity and marketPrice
+ * @param {boolean} marginEnabled - Whether the portfolio may borrow and short
+ * @returns {Object} { cash, longValue, shortValue, equity, initialRequirement,
+ *                     maintenanceRequirement, excessEquity, buyingPower, belowMaintenance }
+ */
+const calculateAccount = (cash, positions, marginEnabled) => {
+    let longValue = 0;
+    let shortValue = 0;
+
+    for (const position of positions) {
+        const value = Number(position.quantity) * Number(position.marketPrice);
+        if (value >= 0) {
+            longValue += value;
+        } else {
+            shortValue -= value;
+        }
+    }
+
+    const equity = cash + longValue - shortValue;
+    const initialRequirement = INITIAL_MARGIN * (longValue + shortValue);
+    const maintenanceRequirement = LONG_MAINTENANCE_MARGIN * longValue + SHORT_MAINTENANCE_MARGIN * shortValue;
+
+    // A cash account can only spend its cash
+    const buyingPower = marginEnabled
+        ? Math.max(0, (equity - initialRequirement) / INITIAL_MARGIN)
+        : Math.max(0, cash);
+
+    return {
+        cash: roundCents(cash),
+        longValue: roundCents(longValue),
+        shortValue: roundCents(shortValue),
+        equity: roundCents(equity),
+        initialRequirement: roundCents(initialRequirement),
+        maintenanceRequirement: roundCents(maintenanceRequirement),
+        excessEquity: roundCents(equity - maintenanceRequirement),
+        buyingPower: roundCents(buyingPower),
+        belowMaintenance: marginEnabled && equity < maintenanceRequirement
+    };
+};
+
+/**
+ * Load a portfolio's margin figures
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Object|null>} calculateAccount() output plus marginEnabled, or null if not found
+ */
+const getAccount = async (connection, portfolioId) => {
+    const [portfolios] = await connection.query(
+        'SELECT balance, marginEnabled FROM portfolios WHERE portfolioID = ?',
+        [portfolioId]
+    );
+
+    if (portfolios.length === 0) {
+        return null;
+    }
+
+    const [positions] = await connection.query(
+        `SELECT h.quantity, s.marketPrice
+         FROM holdings h
+         JOIN stocks s ON h.stockID = s.stockID
+         WHERE h.portfolioID = ?`,
+        [portfolioId]
+    );
+
+    const [optionPositions] = await connection.query(
+        `SELECT op.quantity, oc.multiplier, oc.optionType, oc.strike,
+                DATE_FORMAT(oc.expiryDate, '%Y-%m-%d') AS expiryDate, s.marketPrice, s.volatility
+         FROM option_positions op
+         JOIN option_contracts oc ON oc.contractID = op.contractID
+         JOIN stocks s ON s.stockID = oc.stockID
+         WHERE op.portfolioID = ?`,
+        [portfolioId]
+    );
+
+    const now = marketClock.now() || new Date();
+    const marginEnabled = Boolean(portfolios[0].marginEnabled);
+
+    return {
+        marginEnabled,
+        ...calculateAccount(Number(portfolios[0].balance), [
+            ...positions,
+            ...optionPositions.map(option => ({
+                quantity: option.quantity * Number(option.multiplier),
+                marketPrice: optionPricing.priceContract(option, now).price
+            }))
+        ], marginEnabled)
+    };
+};
+
+/**
+ * One day's borrow fee on a short position
+ * @param {number} quantity - Signed position size (negative for a short)
+ * @param {number} price - Closing price
+ * @returns {number} Fee in dollars, 0 for long positions
+ */
+const dailyBorrowFee = (quantity, price) => (
+    quantity < 0 ? roundCents(-quantity * price * BORROW_FEE_RATE / TRADING_DAYS_PER_YEAR) : 0
+);
+
+module.exports = {
+    INITIAL_MARGIN,
+    LONG_MAINTENANCE_MARGIN,
+    SHORT_MAINTENANCE_MARGIN,
+    BORROW_FEE_RATE,
+    TRADING_DAYS_PER_YEAR,
+    calculateAccount,
+    getAccount,
+    dailyBorrowFee
+};
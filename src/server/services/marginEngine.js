@@ -0,0 +1,393 @@
+// src/server/services/marginEngine.js
+// Margin account upkeep: charges borrow fees on short positions at each daily close and,
+// while the market is open, issues margin calls on portfolios whose equity falls below the
+// maintenance requirement. A call that isn't met within the grace period (or an account
+// with no equity left) is settled by closing stock and option positions at market until it is.
+const db = require('../middleware/db');
+const tradeService = require('./tradeService');
+const marginAccount = require('./marginAccount');
+const optionsEngine = require('./optionsEngine');
+const optionPricing = require('./optionPricing');
+const orderBook = require('./orderBook');
+const eventStream = require('./eventStream');
+const marketClock = require('./marketClock');
+const orderLimits = require('./orderLimits');
+
+// How often margin accounts are checked while the market is open
+const CHECK_INTERVAL_MS = 5000;
+
+// Real time a margin call has to be met before positions are liquidated
+const MARGIN_CALL_GRACE_SECONDS = 120;
+
+let checkInterval = null;
+let isChecking = false;
+
+/**
+ * Add margin columns to portfolios and create the borrow_fees and margin_calls tables
+ * @returns {Promise<void>}
+ */
+const ensureMarginTables = async () => {
+    await db.ensureColumn('portfolios', 'marginEnabled', 'TINYINT(1) NOT NULL DEFAULT 0 AFTER balance');
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS borrow_fees (
+            feeID INT AUTO_INCREMENT PRIMARY KEY,
+            portfolioID VARCHAR(64) NOT NULL,
+            stockID INT NOT NULL,
+            tradingDate DATE NOT NULL,
+            quantity ${orderLimits.QUANTITY_COLUMN} NOT NULL,
+            price DECIMAL(12, 2) NOT NULL,
+            rate DECIMAL(6, 4) NOT NULL,
+            amount DECIMAL(12, 2) NOT NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            UNIQUE KEY (portfolioID, stockID, tradingDate)
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS margin_calls (
+            callID INT AUTO_INCREMENT PRIMARY KEY,
+            portfolioID VARCHAR(64) NOT NULL,
+            status ENUM('open', 'met', 'liquidated') NOT NULL DEFAULT 'open',
+            equity DECIMAL(12, 2) NOT NULL,
+            maintenanceRequirement DECIMAL(12, 2) NOT NULL,
+            dueAt DATETIME NOT NULL,
+            liquidatedValue DECIMAL(12, 2) NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            resolvedAt DATETIME NULL,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            INDEX (portfolioID, status)
+        )
+    `);
+
+    // Fractional short positions
+    await db.ensureColumnType('borrow_fees', 'quantity', orderLimits.QUANTITY_COLUMN, 'NOT NULL');
+};
+
+/**
+ * Charge one day's borrow fee on every short position, at the day's closing price.
+ * Each position is charged at most once per trading date.
+ * @param {string} tradingDate - YYYY-MM-DD of the session that just closed
+ * @returns {Promise<number>} Number of positions charged
+ */
+const accrueBorrowFees = async (tradingDate) => {
+    const [shorts] = await db.query(
+        `SELECT h.portfolioID, h.stockID, h.quantity, s.marketPrice
+         FROM holdings h
+         JOIN stocks s ON h.stockID = s.stockID
+         WHERE h.quantity < 0`
+    );
+
+    let charged = 0;
+
+    for (const position of shorts) {
+        const price = Number(position.marketPrice);
+        const quantity = Number(position.quantity);
+        const amount = marginAccount.dailyBorrowFee(quantity, price);
+        if (amount <= 0) continue;
+
+        await db.transaction(async (connection) => {
+            const [result] = await connection.query(
+                `INSERT IGNORE INTO borrow_fees (portfolioID, stockID, tradingDate, quantity, price, rate, amount)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [position.portfolioID, position.stockID, tradingDate, quantity, price,
+                    marginAccount.BORROW_FEE_RATE, amount]
+            );
+
+            if (result.affectedRows === 0) return;
+
+            await connection.query(
+                'UPDATE portfolios SET balance = balance - ? WHERE portfolioID = ?',
+                [amount, position.portfolioID]
+            );
+            charged++;
+        });
+    }
+
+    return charged;
+};
+
+/**
+ * Push a margin call status change to the portfolio owner's event stream
+ * @param {Object} portfolio - { portfolioID, userID }
+ * @param {Object} update - { status, equity, maintenanceRequirement, ... }
+ */
+const publishMarginUpdate = (portfolio, update) => {
+    eventStream.publish('margin', { portfolioId: portfolio.portfolioID, ...update }, portfolio.userID);
+};
+
+/**
+ * Shares to close out of a position to cover a maintenance deficit. Closing a position
+ * leaves equity unchanged but releases its share of the requirement.
+ * @param {Object} position - Holding with signed quantity and marketPrice (per contract for options)
+ * @param {number} deficit - Maintenance requirement minus equity
+ * @returns {number} Shares or contracts to buy back or sell, at most the whole position
+ */
+const sharesToClose = (position, deficit) => {
+    const size = Math.abs(Number(position.quantity));
+    const rate = Number(position.quantity) < 0
+        ? marginAccount.SHORT_MAINTENANCE_MARGIN
+        : marginAccount.LONG_MAINTENANCE_MARGIN;
+
+    return Math.min(size, Math.ceil(deficit / (rate * Number(position.marketPrice))));
+};
+
+/**
+ * A portfolio's stock and option positions in tradeable stocks, largest first. Options are
+ * sized in contracts and marked at their Black-Scholes value per contract.
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Array<Object>>} Positions with signed quantity, marketPrice and symbol,
+ *                                   and stockID or contractID
+ */
+const getLiquidationPositions = async (portfolioId) => {
+    const [holdings] = await db.query(
+        `SELECT h.stockID, h.quantity, s.symbol, s.marketPrice
+         FROM holdings h
+         JOIN stocks s ON h.stockID = s.stockID
+         WHERE h.portfolioID = ? AND (s.haltedUntil IS NULL OR s.haltedUntil <= NOW())`,
+        [portfolioId]
+    );
+
+    const [options] = await db.query(
+        `SELECT op.contractID, op.quantity, oc.multiplier, oc.optionType, oc.strike,
+                DATE_FORMAT(oc.expiryDate, '%Y-%m-%d') AS expiryDate, s.symbol, s.marketPrice, s.volatility
+         FROM option_positions op
+         JOIN option_contracts oc ON oc.contractID = op.contractID
+         JOIN stocks s ON s.stockID = oc.stockID
+         WHERE op.portfolioID = ? AND oc.status = 'open' AND (s.haltedUntil IS NULL OR s.haltedUntil <= NOW())`,
+        [portfolioId]
+    );
+
+    const now = marketClock.now() || new Date();
+
+    return [
+        ...holdings,
+        ...options.map(option => ({
+            contractID: option.contractID,
+            quantity: option.quantity,
+            symbol: `${option.symbol} ${option.expiryDate} $${Number(option.strike)} ${option.optionType}`,
+            marketPrice: optionPricing.priceContract(option, now).price * Number(option.multiplier)
+        }))
+    ].sort((a, b) => Math.abs(b.quantity * b.marketPrice) - Math.abs(a.quantity * a.marketPrice));
+};
+
+/**
+ * Close one position, or part of it, at market
+ * @param {Object} portfolio - { portfolioID, userID }
+ * @param {Object} position - getLiquidationPositions() entry
+ * @param {number} quantity - Shares or contracts to close
+ * @returns {Promise<Object>} { symbol, transactionType, quantity, price, value }
+ */
+const closePosition = async (portfolio, position, quantity) => {
+    const transactionType = Number(position.quantity) < 0 ? 'BUY' : 'SELL';
+
+    if (position.contractID) {
+        const trade = await db.transaction(async (connection) => optionsEngine.executeOptionTrade(connection, {
+            portfolioId: portfolio.portfolioID,
+            contractId: position.contractID,
+            side: transactionType === 'BUY' ? 'buy' : 'sell',
+            quantity
+        }));
+
+        return { symbol: position.symbol, transactionType, quantity, price: trade.price, value: Math.abs(trade.totalValue) };
+    }
+
+    const trade = await db.transaction(async (connection) => tradeService.executeTrade(connection, {
+        portfolioId: portfolio.portfolioID,
+        stockID: position.stockID,
+        transactionType,
+        quantity,
+        price: await tradeService.getMarketPrice(connection, position.stockID)
+    }));
+
+    orderBook.recordFill(position.stockID, transactionType, trade.quantity);
+
+    return {
+        symbol: position.symbol,
+        transactionType,
+        quantity: trade.quantity,
+        price: trade.price,
+        value: trade.quantity * trade.price
+    };
+};
+
+/**
+ * Close positions, stock or option, largest first, until the portfolio is back above
+ * maintenance or nothing tradeable is left. Halted stocks and their options can't be traded
+ * and are skipped, and a close is cut short if the order book runs out of liquidity.
+ * @param {Object} portfolio - { portfolioID, userID }
+ * @returns {Promise<Object>} { liquidated: [{ symbol, transactionType, quantity, price, value }], account }
+ */
+const liquidate = async (portfolio) => {
+    const liquidated = [];
+    let account = await marginAccount.getAccount(db, portfolio.portfolioID);
+
+    const positions = await getLiquidationPositions(portfolio.portfolioID);
+
+    for (const position of positions) {
+        if (!account.belowMaintenance) break;
+
+        const quantity = sharesToClose(position, account.maintenanceRequirement - account.equity);
+
+        try {
+            liquidated.push(await closePosition(portfolio, position, quantity));
+        } catch (error) {
+            console.error(`Margin liquidation of ${position.symbol} failed:`, error.message);
+        }
+
+        account = await marginAccount.getAccount(db, portfolio.portfolioID);
+    }
+
+    return { liquidated, account };
+};
+
+/**
+ * Check one margin portfolio: open, settle or liquidate its margin call
+ * @param {Object} portfolio - { portfolioID, userID }
+ * @returns {Promise<void>}
+ */
+const checkPortfolio = async (portfolio) => {
+    const account = await marginAccount.getAccount(db, portfolio.portfolioID);
+
+    const [calls] = await db.query(
+        `SELECT callID, dueAt <= NOW() AS isDue FROM margin_calls
+         WHERE portfolioID = ? AND status = 'open'`,
+        [portfolio.portfolioID]
+    );
+    const call = calls[0];
+
+    if (!account.belowMaintenance) {
+        if (call) {
+            await db.query(
+                "UPDATE margin_calls SET status = 'met', resolvedAt = NOW() WHERE callID = ?",
+                [call.callID]
+            );
+            publishMarginUpdate(portfolio, { status: 'met', ...account });
+        }
+        return;
+    }
+
+    // An account with no equity left is liquidated straight away
+    if (!call && account.equity > 0) {
+        const [result] = await db.query(
+            `INSERT INTO margin_calls (portfolioID, equity, maintenanceRequirement, dueAt)
+             VALUES (?, ?, ?, NOW() + INTERVAL ? SECOND)`,
+            [portfolio.portfolioID, account.equity, account.maintenanceRequirement, MARGIN_CALL_GRACE_SECONDS]
+        );
+        publishMarginUpdate(portfolio, {
+            status: 'call',
+            callId: result.insertId,
+            dueInSeconds: MARGIN_CALL_GRACE_SECONDS,
+            ...account
+        });
+        return;
+    }
+
+    if (call && !call.isDue && account.equity > 0) return;
+
+    const { liquidated, account: after } = await liquidate(portfolio);
+    const liquidatedValue = liquidated.reduce((sum, trade) => sum + trade.value, 0);
+
+    if (call) {
+        await db.query(
+            `UPDATE margin_calls SET status = 'liquidated', liquidatedValue = ?, resolvedAt = NOW()
+             WHERE callID = ?`,
+            [liquidatedValue, call.callID]
+        );
+    } else {
+        await db.query(
+            `INSERT INTO margin_calls
+             (portfolioID, status, equity, maintenanceRequirement, dueAt, liquidatedValue, resolvedAt)
+             VALUES (?, 'liquidated', ?, ?, NOW(), ?, NOW())`,
+            [portfolio.portfolioID, account.equity, account.maintenanceRequirement, liquidatedValue]
+        );
+    }
+
+    publishMarginUpdate(portfolio, { status: 'liquidated', liquidated, ...after });
+};
+
+/**
+ * Check every margin portfolio, including ones holding only cash or options, so a call
+ * left open after its positions were closed is still settled. Calls are only issued and
+ * liquidated during the regular session, when positions can actually be traded.
+ * @returns {Promise<void>}
+ */
+const checkMarginAccounts = async () => {
+    // Skip if the previous pass is still running
+    if (isChecking || !marketClock.isOpen()) return;
+    isChecking = true;
+
+    try {
+        const [portfolios] = await db.query(
+            'SELECT portfolioID, userID FROM portfolios WHERE marginEnabled = 1'
+        );
+
+        for (const portfolio of portfolios) {
+            try {
+                await checkPortfolio(portfolio);
+            } catch (error) {
+                console.error(`Margin check for ${portfolio.portfolioID} failed:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Margin check error:', error);
+    } finally {
+        isChecking = false;
+    }
+};
+
+/**
+ * Open and recent margin calls for a portfolio
+ * @param {string} portfolioId - Portfolio ID
+ * @param {number} limit - Maximum number of calls
+ * @returns {Promise<Array>} Calls, newest first
+ */
+const getMarginCalls = async (portfolioId, limit = 10) => {
+    const [calls] = await db.query(
+        `SELECT callID, status, equity, maintenanceRequirement, dueAt, liquidatedValue, createdAt, resolvedAt
+         FROM margin_calls
+         WHERE portfolioID = ?
+         ORDER BY createdAt DESC, callID DESC
+         LIMIT ?`,
+        [portfolioId, limit]
+    );
+
+    return calls.map(call => ({
+        ...call,
+        equity: Number(call.equity),
+        maintenanceRequirement: Number(call.maintenanceRequirement),
+        liquidatedValue: call.liquidatedValue !== null ? Number(call.liquidatedValue) : null
+    }));
+};
+
+/**
+ * Start the margin check loop
+ * @param {number} intervalMs - Milliseconds between checks
+ */
+const start = (intervalMs = CHECK_INTERVAL_MS) => {
+    stop();
+    checkInterval = setInterval(() => checkMarginAccounts(), intervalMs);
+    console.log('Margin engine started');
+};
+
+/**
+ * Stop the margin check loop
+ */
+const stop = () => {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+};
+
+module.exports = {
+    MARGIN_CALL_GRACE_SECONDS,
+    ensureMarginTables,
+    accrueBorrowFees,
+    checkMarginAccounts,
+    getMarginCalls,
+    start,
+    stop
+};
@@ -0,0 +1,228 @@
+// src/server/services/marketClock.js
+// Simulated market clock and trading calendar. The market engine advances it once per
+// tick: one simulated minute while any session is trading, faster overnight and over
+// weekends and holidays. Times are wall-clock market times held in a Date's UTC fields.
+const db = require('../middleware/db');
+
+// Session boundaries in minutes after midnight
+const PRE_MARKET_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const AFTER_HOURS_CLOSE = 20 * 60;
+
+// Simulated minutes per tick while the market is closed (overnight is 32 ticks)
+const CLOSED_MINUTES_PER_TICK = 15;
+
+// Market holidays as MM-DD
+const HOLIDAYS = ['01-01', '07-04', '12-25'];
+
+const SESSIONS = ['pre_market', 'regular', 'after_hours', 'closed'];
+
+let current = null;
+let openTickId = null;
+let openedAt = null;
+
+const minuteOfDay = (time) => time.getUTCHours() * 60 + time.getUTCMinutes();
+
+const addMinutes = (time, minutes) => new Date(time.getTime() + minutes * 60000);
+
+/**
+ * Format a market time's date as YYYY-MM-DD (the stock_data date)
+ * @param {Date} time - Market time
+ * @returns {string} Trading date
+ */
+const formatDate = (time) => time.toISOString().split('T')[0];
+
+/**
+ * Whether the market trades at all on a day (weekdays that aren't holidays)
+ * @param {Date} time - Any market time on the day
+ * @returns {boolean} True for trading days
+ */
+const isTradingDay = (time) => {
+    const day = time.getUTCDay();
+    return day !== 0 && day !== 6 && !HOLIDAYS.includes(formatDate(time).slice(5));
+};
+
+/**
+ * Session at a market time
+ * @param {Date} time - Market time
+ * @returns {string} 'pre_market', 'regular', 'after_hours' or 'closed'
+ */
+const getSessionAt = (time) => {
+    if (!isTradingDay(time)) return 'closed';
+
+    const minute = minuteOfDay(time);
+    if (minute < PRE_MARKET_OPEN || minute >= AFTER_HOURS_CLOSE) return 'closed';
+    if (minute < REGULAR_OPEN) return 'pre_market';
+    if (minute < REGULAR_CLOSE) return 'regular';
+    return 'after_hours';
+};
+
+/**
+ * Market time one tick later. Closed stretches move in steps aligned to the step size,
+ * so the clock always lands exactly on the pre-market open.
+ * @param {Date} time - Market time
+ * @returns {Date} Next market time
+ */
+const nextTime = (time) => {
+    if (getSessionAt(time) !== 'closed') return addMinutes(time, 1);
+
+    return addMinutes(time, CLOSED_MINUTES_PER_TICK - (minuteOfDay(time) % CLOSED_MINUTES_PER_TICK));
+};
+
+// Market time at a minute of the next trading day on or after a time's date
+const nextTradingDayAt = (time, minute, includeToday) => {
+    let day = new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate()));
+    if (!includeToday) day = addMinutes(day, 24 * 60);
+
+    while (!isTradingDay(day)) {
+        day = addMinutes(day, 24 * 60);
+    }
+
+    return addMinutes(day, minute);
+};
+
+/**
+ * Start of the next regular session after a time (or the current one's, if open)
+ * @param {Date} time - Market time
+ * @returns {Date} Market time of the open
+ */
+const getNextOpen = (time) => {
+    const today = nextTradingDayAt(time, REGULAR_OPEN, true);
+    return today > time ? today : nextTradingDayAt(time, REGULAR_OPEN, false);
+};
+
+/**
+ * End of the current regular session, or of the next one if the market is closed
+ * @param {Date} time - Market time
+ * @returns {Date} Market time of the close
+ */
+const getNextClose = (time) => {
+    const today = nextTradingDayAt(time, REGULAR_CLOSE, true);
+    return today > time ? today : nextTradingDayAt(time, REGULAR_CLOSE, false);
+};
+
+// A fresh clock starts a minute before the first open on or after today's date
+const initialTime = () => addMinutes(getNextOpen(nextTradingDayAt(new Date(), 0, true)), -1);
+
+/**
+ * Create the market_clock table and load (or start) the clock
+ * @returns {Promise<void>}
+ */
+const load = async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS market_clock (
+            clockID TINYINT PRIMARY KEY,
+            simulatedAt DATETIME NOT NULL,
+            openTickId BIGINT NULL,
+            openedAt DATETIME(3) NULL,
+            updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    const [rows] = await db.query('SELECT simulatedAt, openTickId, openedAt FROM market_clock WHERE clockID = 1');
+
+    if (rows.length > 0) {
+        current = new Date(rows[0].simulatedAt);
+        openTickId = rows[0].openTickId !== null ? Number(rows[0].openTickId) : null;
+        openedAt = rows[0].openedAt;
+        return;
+    }
+
+    current = initialTime();
+    await db.query('INSERT INTO market_clock (clockID, simulatedAt) VALUES (1, ?)', [current]);
+};
+
+/**
+ * Advance the clock one tick and save it
+ * @returns {Promise<Object>} { time, tradingDate, session, previousSession, opened, closed }
+ */
+const advance = async () => {
+    const previousSession = getSessionAt(current);
+    current = nextTime(current);
+    const session = getSessionAt(current);
+
+    await db.query('UPDATE market_clock SET simulatedAt = ? WHERE clockID = 1', [current]);
+
+    return {
+        time: current,
+        tradingDate: formatDate(current),
+        session,
+        previousSession,
+        opened: session === 'regular' && previousSession !== 'regular',
+        closed: previousSession === 'regular' && session !== 'regular'
+    };
+};
+
+/**
+ * Remember where today's regular session started, for the daily bar at the close
+ * @param {number} tickId - First price tick of the session
+ * @returns {Promise<void>}
+ */
+const markOpen = async (tickId) => {
+    openTickId = tickId;
+    openedAt = new Date();
+    await db.query(
+        'UPDATE market_clock SET openTickId = ?, openedAt = ? WHERE clockID = 1',
+        [openTickId, openedAt]
+    );
+};
+
+/**
+ * Where the current (or last) regular session started
+ * @returns {Object} { openTickId, openedAt } (real time of the open)
+ */
+const getOpen = () => ({ openTickId, openedAt });
+
+/**
+ * Current market time
+ * @returns {Date|null} Market time, or null before the clock is loaded
+ */
+const now = () => current;
+
+/**
+ * Whether the regular session is open; trades and order fills only happen then
+ * @returns {boolean} True while the regular session is trading
+ */
+const isOpen = () => current !== null && getSessionAt(current) === 'regular';
+
+/**
+ * Trading date the clock is on
+ * @returns {string|null} YYYY-MM-DD, or null before the clock is loaded
+ */
+const getTradingDate = () => (current ? formatDate(current) : null);
+
+/**
+ * Clock state for clients
+ * @returns {Object|null} { time, tradingDate, session, isOpen, nextOpen, nextClose }
+ */
+const getState = () => {
+    if (current === null) return null;
+
+    return {
+        time: current,
+        tradingDate: formatDate(current),
+        session: getSessionAt(current),
+        isOpen: isOpen(),
+        nextOpen: getNextOpen(current),
+        nextClose: getNextClose(current)
+    };
+};
+
+module.exports = {
+    SESSIONS,
+    formatDate,
+    isTradingDay,
+    getSessionAt,
+    nextTime,
+    getNextOpen,
+    getNextClose,
+    load,
+    advance,
+    markOpen,
+    getOpen,
+    now,
+    isOpen,
+    getTradingDate,
+    getState
+};
@@ -0,0 +1,890 @@
+// src/server/services/marketEngine.js
+// Server-authoritative market. Advances stocks.marketPrice on a fixed tick and
+// records every tick, so all tabs see the same prices and trades fill at them.
+// Funds aren't stepped themselves; they follow their baskets (see fundEngine.js).
+// Each tick also advances the market clock; prices stand still while the market is
+// closed, and every regular session leaves a daily OHLC row in stock_data.
+const db = require('../middleware/db');
+const random = require('./random');
+const eventStream = require('./eventStream');
+const priceModels = require('./priceModels');
+const factorModel = require('./factorModel');
+const marketClock = require('./marketClock');
+const marginEngine = require('./marginEngine');
+const corporateActions = require('./corporateActions');
+const optionsEngine = require('./optionsEngine');
+const fundEngine = require('./fundEngine');
+const cashInterest = require('./cashInterest');
+const performance = require('./performance');
+
+// How often prices move
+const TICK_INTERVAL_MS = 1000;
+
+// Ticks per simulated trading day; stock volatility is a daily figure
+const TICKS_PER_DAY = 390;
+
+const DEFAULT_VOLATILITY = 0.015;
+
+// Ticks older than this are pruned; clients only need them to catch up after a gap. The
+// ticks of the latest sessions' replay windows are kept to check replays against.
+const TICK_RETENTION_MINUTES = 60;
+const PRUNE_EVERY_TICKS = 60;
+const REPLAY_SESSIONS_KEPT = 5;
+
+// Longest replay a client can request, in price ticks (one session's replay window)
+const MAX_REPLAY_TICKS = TICKS_PER_DAY * 5;
+
+// How often factor weights are re-read from simulation_settings
+const FACTOR_REFRESH_TICKS = 60;
+
+// Simulated market volume: on an average day each stock trades between min and max shares
+// (log-uniform by symbol), besides whatever students trade
+const MARKET_VOLUME_RANGE = { min: 200000, max: 5000000 };
+
+// How much busier a day gets per unit of absolute daily return (a 5% move trades 1.5x)
+const VOLUME_MOVE_SENSITIVITY = 10;
+
+// Share of a regular tick's variance a tick gets in each session; extended hours trade thinly
+const SESSION_ACTIVITY = { pre_market: 0.25, regular: 1, after_hours: 0.25 };
+
+// Daily drift a stock gets at full sentiment (+1 or -1) from news and market events
+const SENTIMENT_DRIFT = 0.02;
+
+// Columns every price step needs
+const STOCK_COLUMNS = `stockID, symbol, userID, sector, marketPrice, volatility,
+    priceModel, modelParams, marketBeta, sectorBeta, sentiment`;
+
+// Stocks a price model moves on a tick: priced, not halted, and not funds
+const TRADING_CONDITION = "instrumentType = 'stock' AND marketPrice > 0 AND (haltedUntil IS NULL OR haltedUntil <= NOW())";
+
+let tickInterval = null;
+let isTicking = false;
+let tickCount = 0;
+let sessionSeed = null;
+let sessionId = null;
+let sampleFactors = null;
+let reseedPending = false;
+
+// Price ticks stepped in the running session, and what a replay holds going into the next
+// one: each stock's state and the clock session. A step records only what differs.
+let sessionStep = 0;
+let replayStates = new Map();
+let replaySession = null;
+
+// Factor weights: system stocks use the market-wide settings, custom stocks their owner's
+let factorSettings = { system: factorModel.DEFAULT_FACTOR_SETTINGS, byOwner: new Map() };
+
+// One-off factor moves (e.g. a sector headline) applied on the next tick
+let pendingShocks = [];
+
+// One generator per stock, derived from the session seed and the stock's symbol, so
+// each stock's path doesn't depend on which other stocks exist or on database IDs
+const stockRandoms = new Map();
+
+/**
+ * Create the price_ticks table and the stock columns the engine needs
+ * @returns {Promise<void>}
+ */
+const ensureMarketTables = async () => {
+    await db.ensureColumn('stocks', 'volatility', `DECIMAL(8, 5) NOT NULL DEFAULT ${DEFAULT_VOLATILITY}`);
+    await db.ensureColumn('stocks', 'priceModel', `VARCHAR(32) NOT NULL DEFAULT '${priceModels.DEFAULT_MODEL}'`);
+    await db.ensureColumn('stocks', 'modelParams', 'JSON NULL');
+    await db.ensureColumn('stocks', 'marketBeta', 'DECIMAL(5, 2) NOT NULL DEFAULT 1.00');
+    await db.ensureColumn('stocks', 'sectorBeta', 'DECIMAL(5, 2) NOT NULL DEFAULT 1.00');
+    await db.ensureColumn('stocks', 'sentiment', 'DECIMAL(4, 3) NOT NULL DEFAULT 0');
+    await db.ensureColumn('stocks', 'haltedUntil', 'DATETIME NULL');
+    await db.ensureColumn('stocks', 'previousClosePrice', 'DECIMAL(12, 2) NULL');
+    await db.ensureColumn('stocks', 'marketVolume', 'INT UNSIGNED NULL');
+    await db.ensureColumn('simulation_settings', 'seed', 'VARCHAR(64) NULL');
+    await db.ensureColumn('simulation_settings', 'marketFactorWeight',
+        `DECIMAL(4, 3) NOT NULL DEFAULT ${factorModel.DEFAULT_FACTOR_SETTINGS.marketFactorWeight}`);
+    await db.ensureColumn('simulation_settings', 'sectorFactorWeight',
+        `DECIMAL(4, 3) NOT NULL DEFAULT ${factorModel.DEFAULT_FACTOR_SETTINGS.sectorFactorWeight}`);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS price_ticks (
+            tickID BIGINT AUTO_INCREMENT PRIMARY KEY,
+            stockID INT NOT NULL,
+            price DECIMAL(12, 2) NOT NULL,
+            tickAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            INDEX (stockID, tickID),
+            INDEX (tickAt)
+        )
+    `);
+
+    // Each engine run, with the state it started from, so it can be replayed
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS market_sessions (
+            sessionID INT AUTO_INCREMENT PRIMARY KEY,
+            seed VARCHAR(64) NOT NULL,
+            startTickId BIGINT NOT NULL DEFAULT 0,
+            startState JSON NOT NULL,
+            startedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+        )
+    `);
+    await db.ensureColumn('market_sessions', 'clockStart', 'DATETIME NULL');
+    await db.ensureColumn('market_sessions', 'replayEndTickId', 'BIGINT NULL');
+
+    // What each step of a session took that didn't follow from the step before: stocks whose
+    // state changed (sentiment, a split, a new model, a halt ending), stocks that stopped
+    // ticking (halts), queued shocks and the clock session
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS market_session_inputs (
+            sessionID INT NOT NULL,
+            step INT NOT NULL,
+            inputs JSON NOT NULL,
+            PRIMARY KEY (sessionID, step),
+            FOREIGN KEY (sessionID) REFERENCES market_sessions(sessionID) ON DELETE CASCADE
+        )
+    `);
+
+    // Stocks that predate the engine start from their latest close
+    await db.query(`
+        UPDATE stocks s
+        SET s.marketPrice = (
+            SELECT sd.closePrice FROM stock_data sd
+            WHERE sd.stockID = s.stockID
+            ORDER BY sd.dataDate DESC LIMIT 1
+        )
+        WHERE s.marketPrice IS NULL OR s.marketPrice <= 0
+    `);
+};
+
+/**
+ * Give every stock without one its simulated average daily market volume, drawn from its
+ * symbol so a stock is equally liquid in every session
+ * @returns {Promise<void>}
+ */
+const assignMarketVolumes = async () => {
+    const [stocks] = await db.query('SELECT stockID, symbol FROM stocks WHERE marketVolume IS NULL');
+    const { min, max } = MARKET_VOLUME_RANGE;
+
+    for (const stock of stocks) {
+        const rng = random.createRandom(random.hashSeed('volume', stock.symbol));
+        await db.query(
+            'UPDATE stocks SET marketVolume = ? WHERE stockID = ?',
+            [Math.round(min * (max / min) ** rng()), stock.stockID]
+        );
+    }
+};
+
+/**
+ * Shares the rest of the market traded in a stock on a day: its average volume, varied by day
+ * and busier the more the price moved
+ * @param {Object} bar - { symbol, marketVolume, openPrice, closePrice }
+ * @param {string} tradingDate - YYYY-MM-DD
+ * @returns {number} Shares
+ */
+const simulatedVolume = (bar, tradingDate) => {
+    const rng = random.streamRandom(getSeed(), 'volume', bar.symbol, tradingDate);
+    const move = Math.abs(Number(bar.closePrice) / Number(bar.openPrice) - 1) || 0;
+
+    return Math.round(Number(bar.marketVolume) * (0.5 + rng()) * (1 + VOLUME_MOVE_SENSITIVITY * move));
+};
+
+/**
+ * Seed the engine is running with: MARKET_SEED if set, else the seed in the most recently
+ * saved admin settings (so an instructor hands every student the same market), else random
+ * @returns {string} Session seed
+ */
+const getSeed = () => {
+    if (sessionSeed === null) {
+        sessionSeed = process.env.MARKET_SEED || String(random.randomSeed());
+    }
+
+    return sessionSeed;
+};
+
+/**
+ * Pick the seed for a new session
+ * @returns {Promise<void>}
+ */
+const loadSeed = async () => {
+    const [rows] = await db.query(
+        `SELECT ss.seed
+         FROM simulation_settings ss
+         JOIN users u ON ss.userID = u.userID
+         WHERE u.role = 'admin' AND ss.seed IS NOT NULL AND ss.seed <> ''
+         ORDER BY ss.updatedAt DESC
+         LIMIT 1`
+    );
+
+    sessionSeed = process.env.MARKET_SEED || (rows.length > 0 ? rows[0].seed : String(random.randomSeed()));
+};
+
+/**
+ * Start a new session under the current admin seed at the next tick (the clock runs on)
+ */
+const reseed = () => {
+    reseedPending = true;
+};
+
+// Generator for one stock's price path under a seed
+const createStockRandom = (seed, symbol) => random.streamRandom(seed, 'price', symbol);
+
+// Generator for one stock's live price path
+const getStockRandom = (stock) => {
+    if (!stockRandoms.has(stock.stockID)) {
+        stockRandoms.set(stock.stockID, createStockRandom(getSeed(), stock.symbol));
+    }
+
+    return stockRandoms.get(stock.stockID);
+};
+
+/**
+ * Re-read factor weights: each custom stock owner's settings, and for system stocks
+ * the most recently saved admin settings (so an instructor sets the class market)
+ * @returns {Promise<void>}
+ */
+const loadFactorSettings = async () => {
+    const [rows] = await db.query(
+        `SELECT ss.userID, u.role, ss.marketFactorWeight, ss.sectorFactorWeight
+         FROM simulation_settings ss
+         JOIN users u ON ss.userID = u.userID
+         WHERE u.role = 'admin'
+            OR ss.userID IN (SELECT userID FROM stocks WHERE userID IS NOT NULL)
+         ORDER BY ss.updatedAt`
+    );
+
+    const next = { system: factorModel.DEFAULT_FACTOR_SETTINGS, byOwner: new Map() };
+
+    rows.forEach(row => {
+        const weights = {
+            marketFactorWeight: Number(row.marketFactorWeight),
+            sectorFactorWeight: Number(row.sectorFactorWeight)
+        };
+
+        next.byOwner.set(row.userID, weights);
+        if (row.role === 'admin') {
+            next.system = weights;
+        }
+    });
+
+    factorSettings = next;
+};
+
+// A stock row with the factor weights that apply to it
+const withFactorSettings = (stock) => ({
+    ...stock,
+    ...(stock.userID ? factorSettings.byOwner.get(stock.userID) || factorSettings.system : factorSettings.system)
+});
+
+/**
+ * Queue a one-off move of the market or a sector, applied on the next tick and
+ * scaled by each stock's beta (e.g. a sector-wide headline or an instructor's crash)
+ * @param {string|null} sector - Sector name, or null for the whole market
+ * @param {number} size - Log return, e.g. -0.05 for roughly -5%
+ */
+const applyFactorShock = (sector, size) => {
+    pendingShocks.push({ sector, size });
+};
+
+/**
+ * Queue a one-off move of a single stock, applied on its next tick (e.g. an earnings surprise)
+ * @param {number} stockID - Stock to move
+ * @param {number} size - Log return
+ */
+const applyStockShock = (stockID, size) => {
+    pendingShocks.push({ stockID, size });
+};
+
+// Total log-return jump a stock takes over a tick of length dt from queued shocks and its current sentiment
+const shockJump = (stock, shocks, dt) => shocks.reduce((jump, shock) => {
+    if (shock.stockID !== undefined) return shock.stockID === stock.stockID ? jump + shock.size : jump;
+    if (shock.sector === null) return jump + Number(stock.marketBeta ?? 1) * shock.size;
+    if (shock.sector === stock.sector) return jump + Number(stock.sectorBeta ?? 1) * shock.size;
+    return jump;
+}, Number(stock.sentiment || 0) * SENTIMENT_DRIFT * dt);
+
+/**
+ * Stop a stock trading for a while: it doesn't tick, and trades and order fills are refused
+ * @param {number} stockID - Stock to halt
+ * @param {number} minutes - Length of the halt
+ * @returns {Promise<Date>} When trading resumes
+ */
+const haltStock = async (stockID, minutes) => {
+    const haltedUntil = new Date(Date.now() + minutes * 60000);
+    await db.query('UPDATE stocks SET haltedUntil = ? WHERE stockID = ?', [haltedUntil, stockID]);
+    return haltedUntil;
+};
+
+/**
+ * Next price for a stock: one tick of its configured price model (see priceModels.js)
+ * @param {Object} stock - Row with stockID, symbol, marketPrice, volatility, priceModel and modelParams
+ * @param {Function} [rng] - Generator to draw from; defaults to the stock's live generator
+ * @param {number} [shock] - Standard normal diffusion draw (from the factor model); drawn from rng if omitted
+ * @param {number} [jump] - Extra log return to apply, e.g. from a sector shock
+ * @param {number} [dt] - Tick length in trading days
+ * @returns {number} New price, rounded to cents and never below 0.01
+ */
+const nextPrice = (stock, rng = getStockRandom(stock), shock = undefined, jump = 0, dt = 1 / TICKS_PER_DAY) => {
+    const price = priceModels.step(
+        { ...stock, volatility: Number(stock.volatility) || DEFAULT_VOLATILITY },
+        rng,
+        dt,
+        shock
+    ) * Math.exp(jump);
+
+    return Math.max(Math.round(price * 100) / 100, 0.01);
+};
+
+/**
+ * Move a set of stocks one tick together: draw the market and sector factors once,
+ * then combine them with each stock's own noise
+ * @param {Array<Object>} stocks - Rows with factor weights attached
+ * @param {Function} sampler - Factor sampler from factorModel.createFactorSampler()
+ * @param {Function} getRandom - (stock, index) => the stock's generator
+ * @param {Array<Object>} [shocks] - Queued factor shocks
+ * @param {string} [session] - Clock session the tick falls in
+ * @returns {Array<number>} New prices, in the same order
+ */
+const stepMarket = (stocks, sampler, getRandom, shocks = [], session = 'regular') => {
+    const draws = sampler(stocks.map(stock => stock.sector));
+    const dt = SESSION_ACTIVITY[session] / TICKS_PER_DAY;
+
+    return stocks.map((stock, index) => {
+        const rng = getRandom(stock, index);
+        const shock = factorModel.combineShock(stock, draws, random.normal(rng));
+        return nextPrice(stock, rng, shock, shockJump(stock, shocks, dt), dt);
+    });
+};
+
+// What a step needs of a stock, with numbers as numbers so states compare exactly
+const toReplayState = (stock) => ({
+    stockID: stock.stockID,
+    symbol: stock.symbol,
+    userID: stock.userID ?? null,
+    sector: stock.sector ?? null,
+    marketPrice: Number(stock.marketPrice),
+    volatility: Number(stock.volatility),
+    priceModel: stock.priceModel,
+    modelParams: (typeof stock.modelParams === 'string' ? JSON.parse(stock.modelParams) : stock.modelParams) ?? null,
+    marketBeta: Number(stock.marketBeta),
+    sectorBeta: Number(stock.sectorBeta),
+    sentiment: Number(stock.sentiment || 0),
+    marketFactorWeight: Number(stock.marketFactorWeight),
+    sectorFactorWeight: Number(stock.sectorFactorWeight)
+});
+
+/**
+ * Record what a step takes that a replay couldn't work out from the step before
+ * @param {number} step - Step number in the session
+ * @param {Array<Object>} states - toReplayState() of every stock ticking this step
+ * @param {Array<Object>} shocks - Shocks applied this step
+ * @param {string} session - Clock session the step falls in
+ * @returns {Promise<void>}
+ */
+const recordStepInputs = async (step, states, shocks, session) => {
+    const ticking = new Set(states.map(state => state.stockID));
+    const inputs = {};
+
+    const changed = states.filter(state => JSON.stringify(state) !== JSON.stringify(replayStates.get(state.stockID)));
+    const stopped = [...replayStates.keys()].filter(stockID => !ticking.has(stockID));
+
+    if (changed.length > 0) inputs.stocks = changed;
+    if (stopped.length > 0) inputs.stopped = stopped;
+    if (shocks.length > 0) inputs.shocks = shocks;
+    if (session !== replaySession) inputs.session = session;
+
+    replaySession = session;
+    if (Object.keys(inputs).length === 0) return;
+
+    await db.query(
+        'INSERT INTO market_session_inputs (sessionID, step, inputs) VALUES (?, ?, ?)',
+        [sessionId, step, JSON.stringify(inputs)]
+    );
+};
+
+/**
+ * Re-run a market from a starting state. With a recorded session's seed, start state and
+ * inputs this reproduces the prices it ticked, including market events, sector shocks,
+ * sentiment, halts and splits; under another seed it shows the same session with different luck.
+ * @param {string} seed - Seed to run with
+ * @param {Array<Object>} stocks - Starting rows, with factor weights attached
+ * @param {number} ticks - Number of price ticks to generate
+ * @param {Date|null} [clockStart] - Market time the session started at; used for the sessions
+ *                                   of a recording without inputs, where null treats every tick as regular
+ * @param {Array<Object>} [inputs] - The session's recorded { step, inputs }, in step order
+ * @returns {Array<Object>} [{ stockID, symbol, startPrice, prices }] with one price per tick,
+ *                          null while a stock wasn't ticking (not listed yet, or halted)
+ */
+const replay = (seed, stocks, ticks, clockStart = null, inputs = []) => {
+    const current = new Map(stocks
+        .filter(stock => Number(stock.marketPrice) > 0)
+        .map(stock => [stock.stockID, toReplayState(stock)]));
+    const results = new Map();
+    const randoms = new Map();
+    const sampler = factorModel.createFactorSampler(seed);
+    const byStep = new Map(inputs.map(record => [record.step, record.inputs]));
+    let session = 'regular';
+    let time = clockStart && inputs.length === 0 ? new Date(clockStart) : null;
+
+    const resultFor = (state, step) => {
+        if (!results.has(state.stockID)) {
+            results.set(state.stockID, {
+                stockID: state.stockID,
+                symbol: state.symbol,
+                startPrice: state.marketPrice,
+                prices: new Array(step).fill(null)
+            });
+        }
+        return results.get(state.stockID);
+    };
+    current.forEach(state => resultFor(state, 0));
+
+    for (let step = 0; step < ticks; step++) {
+        const recorded = byStep.get(step) || {};
+
+        (recorded.stopped || []).forEach(stockID => current.delete(stockID));
+        (recorded.stocks || []).forEach(state => {
+            current.set(state.stockID, state);
+            resultFor(state, step);
+        });
+
+        if (recorded.session) {
+            session = recorded.session;
+        } else if (time) {
+            // Follow the live clock: it advances on every tick, prices only while a session trades
+            do {
+                time = marketClock.nextTime(time);
+                session = marketClock.getSessionAt(time);
+            } while (session === 'closed');
+        }
+
+        const ticking = [...current.values()];
+        const prices = ticking.length > 0
+            ? stepMarket(ticking, sampler, (stock) => {
+                if (!randoms.has(stock.stockID)) randoms.set(stock.stockID, createStockRandom(seed, stock.symbol));
+                return randoms.get(stock.stockID);
+            }, recorded.shocks || [], session)
+            : [];
+
+        ticking.forEach((state, index) => current.set(state.stockID, { ...state, marketPrice: prices[index] }));
+        results.forEach(result => result.prices.push(null));
+        ticking.forEach((state, index) => {
+            const path = results.get(state.stockID).prices;
+            path[path.length - 1] = prices[index];
+        });
+    }
+
+    return [...results.values()];
+};
+
+/**
+ * Record the start of an engine run: its seed and every stock's starting state
+ * @returns {Promise<number>} New session ID
+ */
+const recordSession = async () => {
+    const [stocks] = await db.query(`SELECT ${STOCK_COLUMNS} FROM stocks WHERE ${TRADING_CONDITION}`);
+    const [lastTicks] = await db.query('SELECT MAX(tickID) as lastTickId FROM price_ticks');
+    const lastTickId = lastTicks[0].lastTickId || 0;
+
+    const startState = stocks.map(stock => toReplayState(withFactorSettings(stock)));
+
+    // Earlier sessions' replay windows end where this one starts
+    await db.query('UPDATE market_sessions SET replayEndTickId = ? WHERE replayEndTickId IS NULL', [lastTickId]);
+
+    const [result] = await db.query(
+        'INSERT INTO market_sessions (seed, startTickId, startState, clockStart) VALUES (?, ?, ?, ?)',
+        [getSeed(), lastTickId, JSON.stringify(startState), marketClock.now()]
+    );
+
+    sessionStep = 0;
+    replayStates = new Map(startState.map(state => [state.stockID, state]));
+    replaySession = null;
+
+    return result.insertId;
+};
+
+/**
+ * Begin a new session under the current seed: fresh generators, then record its start
+ * @returns {Promise<void>}
+ */
+const beginSession = async () => {
+    await loadSeed();
+    stockRandoms.clear();
+    sampleFactors = factorModel.createFactorSampler(getSeed());
+    sessionId = await recordSession();
+};
+
+/**
+ * ID of the running session
+ * @returns {number|null} Session ID, or null before the engine has started
+ */
+const getSessionId = () => sessionId;
+
+/**
+ * Look up a recorded session
+ * @param {number} [id] - Session ID; defaults to the running session
+ * @returns {Promise<Object|null>} { sessionId, seed, startTickId, replayEndTickId, startedAt, clockStart,
+ *                                  startState, inputs } or null
+ */
+const getSession = async (id = sessionId) => {
+    if (id === null) return null;
+
+    const [sessions] = await db.query('SELECT * FROM market_sessions WHERE sessionID = ?', [id]);
+    if (sessions.length === 0) return null;
+
+    const [inputs] = await db.query(
+        'SELECT step, inputs FROM market_session_inputs WHERE sessionID = ? AND step < ? ORDER BY step',
+        [id, MAX_REPLAY_TICKS]
+    );
+
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    const session = sessions[0];
+    return {
+        sessionId: session.sessionID,
+        seed: session.seed,
+        startTickId: Number(session.startTickId),
+        replayEndTickId: session.replayEndTickId !== null ? Number(session.replayEndTickId) : null,
+        startedAt: session.startedAt,
+        clockStart: session.clockStart,
+        startState: parse(session.startState),
+        inputs: inputs.map(row => ({ step: row.step, inputs: parse(row.inputs) }))
+    };
+};
+
+/**
+ * Push a tick batch to streaming clients: system stocks to everyone, custom stocks to their owner
+ * @param {Array<Object>} stocks - Stock rows that were ticked
+ * @param {Array<Array>} rows - [stockID, price] pairs in the same order
+ * @param {number} firstTickId - Auto-increment ID of the first inserted tick (the batch is consecutive)
+ */
+const publishTicks = (stocks, rows, firstTickId) => {
+    const tickAt = new Date();
+    const byOwner = new Map();
+
+    stocks.forEach((stock, index) => {
+        const owner = stock.userID || null;
+        if (!byOwner.has(owner)) byOwner.set(owner, []);
+
+        byOwner.get(owner).push({
+            tickId: firstTickId + index,
+            symbol: stock.symbol,
+            price: rows[index][1],
+            tickAt
+        });
+    });
+
+    for (const [owner, ticks] of byOwner) {
+        eventStream.publish('ticks', { ticks }, owner);
+    }
+};
+
+/**
+ * Start a trading day: a stock_data row per stock opening at the first regular price
+ * @param {string} tradingDate - YYYY-MM-DD
+ * @param {number|undefined} firstTickId - First price tick of the session, if any stocks ticked
+ * @returns {Promise<void>}
+ */
+const openDay = async (tradingDate, firstTickId) => {
+    await db.transaction(async (connection) => {
+        // A stock created earlier today already has a provisional row for the date
+        await connection.query(
+            'DELETE FROM stock_data WHERE dataDate = ? AND stockID IN (SELECT stockID FROM stocks WHERE marketPrice > 0)',
+            [tradingDate]
+        );
+
+        await connection.query(
+            `INSERT INTO stock_data (stockID, dataDate, openPrice, highPrice, lowPrice, closePrice, volume)
+             SELECT stockID, ?, marketPrice, marketPrice, marketPrice, marketPrice, 0
+             FROM stocks WHERE marketPrice > 0`,
+            [tradingDate]
+        );
+    });
+
+    let openTickId = firstTickId;
+    if (openTickId === undefined) {
+        const [lastTicks] = await db.query('SELECT COALESCE(MAX(tickID), 0) + 1 AS nextTickId FROM price_ticks');
+        openTickId = Number(lastTicks[0].nextTickId);
+    }
+
+    await marketClock.markOpen(openTickId);
+};
+
+/**
+ * Close a trading day: finish each stock's OHLC row from the session's ticks, its volume
+ * from the simulated market's and students' trades, and make the closing price every
+ * stock's previous close
+ * @param {string} tradingDate - YYYY-MM-DD
+ * @returns {Promise<void>}
+ */
+const closeDay = async (tradingDate) => {
+    const { openTickId, openedAt } = marketClock.getOpen();
+
+    // Stocks and funds created since the engine started
+    await assignMarketVolumes();
+
+    await db.transaction(async (connection) => {
+        await connection.query(
+            `UPDATE stock_data sd
+             JOIN stocks s ON s.stockID = sd.stockID
+             LEFT JOIN (
+                 SELECT stockID, MAX(price) AS highPrice, MIN(price) AS lowPrice
+                 FROM price_ticks WHERE tickID >= ?
+                 GROUP BY stockID
+             ) t ON t.stockID = sd.stockID
+             LEFT JOIN (
+                 SELECT stockID, SUM(quantity) AS volume
+                 FROM transactions WHERE timestamp >= ? AND transactionType IN ('BUY', 'SELL')
+                 GROUP BY stockID
+             ) v ON v.stockID = sd.stockID
+             SET sd.highPrice = GREATEST(sd.openPrice, s.marketPrice, COALESCE(t.highPrice, s.marketPrice)),
+                 sd.lowPrice = LEAST(sd.openPrice, s.marketPrice, COALESCE(t.lowPrice, s.marketPrice)),
+                 sd.closePrice = s.marketPrice,
+                 sd.volume = COALESCE(v.volume, 0)
+             WHERE sd.dataDate = ? AND s.marketPrice > 0`,
+            [openTickId || 0, openedAt || new Date(), tradingDate]
+        );
+
+        const [bars] = await connection.query(
+            `SELECT sd.stockID, s.symbol, s.marketVolume, sd.openPrice, sd.closePrice
+             FROM stock_data sd
+             JOIN stocks s ON s.stockID = sd.stockID
+             WHERE sd.dataDate = ? AND s.marketPrice > 0 AND s.marketVolume IS NOT NULL`,
+            [tradingDate]
+        );
+
+        for (const bar of bars) {
+            await connection.query(
+                'UPDATE stock_data SET volume = volume + ? WHERE stockID = ? AND dataDate = ?',
+                [simulatedVolume(bar, tradingDate), bar.stockID, tradingDate]
+            );
+        }
+
+        await connection.query('UPDATE stocks SET previousClosePrice = marketPrice WHERE marketPrice > 0');
+    });
+};
+
+/**
+ * Advance the market clock and, while a session is trading, every stock by one tick
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+    // Skip if the previous tick is still being written
+    if (isTicking) return;
+    isTicking = true;
+
+    try {
+        // An instructor changed the seed; the old session ends here
+        if (reseedPending) {
+            reseedPending = false;
+            await beginSession();
+            console.log(`Market reseeded (session ${sessionId}, seed ${getSeed()})`);
+        }
+
+        const clock = await marketClock.advance();
+
+        // The day's bars end at the regular close, before any after-hours moves
+        if (clock.closed) {
+            await closeDay(clock.tradingDate);
+
+            // Short positions pay a day's borrow fee at the closing price
+            await marginEngine.accrueBorrowFees(clock.tradingDate);
+
+            // Options expiring today settle at the closing price
+            await optionsEngine.settleExpiries(clock.tradingDate);
+
+            // Cash earns a day's interest, then the day's closing equity is recorded
+            await cashInterest.accrueInterest(clock.tradingDate);
+            await performance.recordDailyValues(clock.tradingDate);
+        }
+
+        // Dividends and splits take effect before the first price moves of their ex-date
+        if (clock.session !== 'closed') {
+            await corporateActions.processDueActions(clock.tradingDate);
+        }
+
+        let firstTickId;
+        const [stocks] = clock.session === 'closed'
+            ? [[]]
+            : await db.query(`SELECT ${STOCK_COLUMNS} FROM stocks WHERE ${TRADING_CONDITION}`);
+
+        // Take the queued shocks before the next await, so one fired meanwhile waits for the
+        // next tick instead of moving prices without being recorded. Shocks queued while the
+        // market was closed (or every stock halted) gap the price at the next session.
+        const shocks = stocks.length > 0 ? pendingShocks : [];
+        if (stocks.length > 0) {
+            pendingShocks = [];
+        }
+
+        // Every trading tick is a replay step, even one where every stock is halted
+        let states = [];
+        if (clock.session !== 'closed') {
+            states = stocks.map(stock => toReplayState(withFactorSettings(stock)));
+            const step = sessionStep++;
+
+            if (step < MAX_REPLAY_TICKS) {
+                await recordStepInputs(step, states, shocks, clock.session);
+            }
+        }
+
+        if (stocks.length > 0) {
+            const prices = stepMarket(states, sampleFactors, getStockRandom, shocks, clock.session);
+            const stockRows = stocks.map((stock, index) => [stock.stockID, prices[index]]);
+            replayStates = new Map(states.map((state, index) => [state.stockID, { ...state, marketPrice: prices[index] }]));
+
+            const ticked = await db.transaction(async (connection) => {
+                for (const [stockID, price] of stockRows) {
+                    await connection.query(
+                        'UPDATE stocks SET marketPrice = ? WHERE stockID = ?',
+                        [price, stockID]
+                    );
+                }
+
+                // Funds tick with their constituents' new prices
+                const funds = await fundEngine.updateNavs(connection);
+                const rows = [...stockRows, ...funds.map(fund => [fund.stockID, fund.marketPrice])];
+
+                const [result] = await connection.query('INSERT INTO price_ticks (stockID, price) VALUES ?', [rows]);
+                return { firstTickId: result.insertId, stocks: [...stocks, ...funds], rows };
+            });
+
+            firstTickId = ticked.firstTickId;
+            publishTicks(ticked.stocks, ticked.rows, firstTickId);
+
+            // The replay window is complete; its ticks are kept from here on
+            if (sessionStep === MAX_REPLAY_TICKS) {
+                await db.query(
+                    'UPDATE market_sessions SET replayEndTickId = ? WHERE sessionID = ?',
+                    [firstTickId + ticked.rows.length - 1, sessionId]
+                );
+            }
+        } else if (clock.session !== 'closed') {
+            replayStates = new Map();
+        }
+
+        if (clock.opened) {
+            await openDay(clock.tradingDate, firstTickId);
+        }
+
+        if (clock.session !== clock.previousSession) {
+            eventStream.publish('clock', {
+                ...marketClock.getState(),
+                previousSession: clock.previousSession,
+                dayClosed: clock.closed
+            });
+        }
+
+        tickCount++;
+        if (tickCount % FACTOR_REFRESH_TICKS === 0) {
+            await loadFactorSettings();
+        }
+
+        if (tickCount % PRUNE_EVERY_TICKS === 0) {
+            await db.query(
+                `DELETE FROM price_ticks
+                 WHERE tickAt < NOW() - INTERVAL ? MINUTE
+                   AND NOT EXISTS (
+                       SELECT 1 FROM (
+                           SELECT startTickId, replayEndTickId FROM market_sessions
+                           ORDER BY sessionID DESC LIMIT ?
+                       ) kept
+                       WHERE price_ticks.tickID > kept.startTickId
+                         AND (kept.replayEndTickId IS NULL OR price_ticks.tickID <= kept.replayEndTickId)
+                   )`,
+                [TICK_RETENTION_MINUTES, REPLAY_SESSIONS_KEPT]
+            );
+        }
+    } catch (error) {
+        console.error('Market tick error:', error);
+    } finally {
+        isTicking = false;
+    }
+};
+
+/**
+ * Current prices plus any ticks after a given tick ID for the stocks a user can see
+ * @param {number|null} userID - User whose custom stocks to include, or null for system stocks only
+ * @param {number} [sinceTickId] - Last tick ID the client has; omit to get current prices only
+ * @returns {Promise<Object>} { seed, sessionId, clock, lastTickId, prices, ticks }
+ */
+const getMarketSnapshot = async (userID, sinceTickId) => {
+    const [prices] = await db.query(
+        `SELECT stockID, symbol, marketPrice, previousClosePrice, haltedUntil > NOW() AS isHalted, haltedUntil
+         FROM stocks
+         WHERE userID IS NULL OR userID = ?
+         ORDER BY symbol`,
+        [userID]
+    );
+
+    const [lastTicks] = await db.query('SELECT MAX(tickID) as lastTickId FROM price_ticks');
+
+    let ticks = [];
+    if (sinceTickId !== undefined) {
+        [ticks] = await db.query(
+            `SELECT pt.tickID, s.symbol, pt.price, pt.tickAt
+             FROM price_ticks pt
+             JOIN stocks s ON pt.stockID = s.stockID
+             WHERE pt.tickID > ? AND (s.userID IS NULL OR s.userID = ?)
+             ORDER BY pt.tickID
+             LIMIT 5000`,
+            [sinceTickId, userID]
+        );
+    }
+
+    return {
+        seed: getSeed(),
+        sessionId,
+        clock: marketClock.getState(),
+        lastTickId: lastTicks[0].lastTickId || 0,
+        prices: prices.map(stock => ({
+            symbol: stock.symbol,
+            marketPrice: Number(stock.marketPrice),
+            previousClosePrice: stock.previousClosePrice !== null ? Number(stock.previousClosePrice) : null,
+            haltedUntil: stock.isHalted ? stock.haltedUntil : null
+        })),
+        ticks: ticks.map(t => ({
+            tickId: t.tickID,
+            symbol: t.symbol,
+            price: Number(t.price),
+            tickAt: t.tickAt
+        }))
+    };
+};
+
+/**
+ * Load the market clock, record a new session and start the tick loop
+ * @param {number} intervalMs - Milliseconds between ticks
+ * @returns {Promise<void>}
+ */
+const start = async (intervalMs = TICK_INTERVAL_MS) => {
+    stop();
+
+    await marketClock.load();
+    await loadFactorSettings();
+    await assignMarketVolumes();
+    await beginSession();
+    tickInterval = setInterval(() => tick(), intervalMs);
+    console.log(`Market engine started (session ${sessionId}, seed ${getSeed()})`);
+};
+
+/**
+ * Stop the tick loop
+ */
+const stop = () => {
+    if (tickInterval) {
+        clearInterval(tickInterval);
+        tickInterval = null;
+    }
+};
+
+module.exports = {
+    DEFAULT_VOLATILITY,
+    MAX_REPLAY_TICKS,
+    ensureMarketTables,
+    getSeed,
+    reseed,
+    nextPrice,
+    applyFactorShock,
+    applyStockShock,
+    haltStock,
+    replay,
+    getSessionId,
+    getSession,
+    tick,
+    getMarketSnapshot,
+    start,
+    stop
+};
@@ -0,0 +1,389 @@
+// src/server/services/marketEvents.js
+// Market events engine. Rolls for crashes, rallies, earnings days, trading halts and
+// sector rotations at the eventFrequency in simulation_settings. An event moves prices
+// through the market engine, shifts the sentiment of the stocks it touches, is logged
+// to market_events and goes out on the news feed.
+const db = require('../middleware/db');
+const random = require('./random');
+const eventStream = require('./eventStream');
+const marketEngine = require('./marketEngine');
+
+// Chance of an event per check by eventFrequency (as advertised by /api/settings/options/event-frequency)
+const EVENT_PROBABILITIES = { none: 0, low: 0.02, medium: 0.05, high: 0.1 };
+const DEFAULT_FREQUENCY = 'medium';
+
+// Events are rolled once a minute
+const CHECK_INTERVAL_MS = 60000;
+
+// Sentiment fades by this factor every check
+const SENTIMENT_DECAY = 0.95;
+
+const HALT_MINUTES = 5;
+
+let checkInterval = null;
+let isChecking = false;
+
+// One generator per seed and scope (the system market or a user's custom stocks)
+const scopeRandoms = new Map();
+
+const pickOne = (items, rng) => items[Math.floor(rng() * items.length)];
+const between = (min, max, rng) => min + (max - min) * rng();
+const percent = (logReturn) => `${(Math.abs(Math.exp(logReturn) - 1) * 100).toFixed(1)}%`;
+
+/**
+ * Event types. create() picks targets and sizes for an event from the scope's stocks
+ * and returns null if the scope can't have one (e.g. a rotation needs two sectors).
+ * odds is how often a type is picked relative to the others; an event's weight is its
+ * tone for the news panel and sentiment the per-stock shifts.
+ * marketWide types only fire for system stocks.
+ */
+const EVENT_TYPES = {
+    crash: {
+        odds: 1,
+        marketWide: true,
+        create: (stocks, rng) => {
+            const magnitude = -between(0.03, 0.08, rng);
+            return {
+                headline: `Markets tumble as sell-off deepens, indexes down ${percent(magnitude)}`,
+                shocks: [{ sector: null, size: magnitude }],
+                magnitude,
+                weight: -0.3,
+                sentiment: stocks.map(stock => [stock, -0.3])
+            };
+        }
+    },
+    rally: {
+        odds: 2,
+        marketWide: true,
+        create: (stocks, rng) => {
+            const magnitude = between(0.02, 0.05, rng);
+            return {
+                headline: `Broad rally lifts stocks ${percent(magnitude)} as buyers return`,
+                shocks: [{ sector: null, size: magnitude }],
+                magnitude,
+                weight: 0.2,
+                sentiment: stocks.map(stock => [stock, 0.2])
+            };
+        }
+    },
+    earnings: {
+        odds: 4,
+        marketWide: false,
+        create: (stocks, rng) => {
+            const stock = pickOne(stocks, rng);
+            const beat = rng() < 0.5;
+            const magnitude = (beat ? 1 : -1) * between(0.03, 0.1, rng);
+            return {
+                headline: beat
+                    ? `${stock.companyName} (${stock.symbol}) beats earnings estimates, shares up ${percent(magnitude)}`
+                    : `${stock.companyName} (${stock.symbol}) misses earnings estimates, shares down ${percent(magnitude)}`,
+                stock,
+                shocks: [{ stockID: stock.stockID, size: magnitude }],
+                magnitude,
+                weight: beat ? 0.3 : -0.3,
+                sentiment: [[stock, beat ? 0.3 : -0.3]]
+            };
+        }
+    },
+    halt: {
+        odds: 1,
+        marketWide: false,
+        create: (stocks, rng) => {
+            const stock = pickOne(stocks, rng);
+            return {
+                headline: `Trading in ${stock.companyName} (${stock.symbol}) halted pending news`,
+                stock,
+                haltMinutes: HALT_MINUTES,
+                magnitude: 0,
+                weight: -0.1,
+                sentiment: [[stock, -0.1]]
+            };
+        }
+    },
+    rotation: {
+        odds: 2,
+        marketWide: true,
+        create: (stocks, rng) => {
+            const sectors = [...new Set(stocks.map(stock => stock.sector).filter(Boolean))].sort();
+            if (sectors.length < 2) return null;
+
+            const from = pickOne(sectors, rng);
+            const to = pickOne(sectors.filter(sector => sector !== from), rng);
+            const magnitude = between(0.01, 0.03, rng);
+            return {
+                headline: `Investors rotate out of ${from} and into ${to}`,
+                sector: to,
+                shocks: [{ sector: from, size: -magnitude }, { sector: to, size: magnitude }],
+                magnitude,
+                weight: 0,
+                sentiment: stocks
+                    .filter(stock => stock.sector === from || stock.sector === to)
+                    .map(stock => [stock, stock.sector === to ? 0.15 : -0.15])
+            };
+        }
+    }
+};
+
+/**
+ * Create the market_events log
+ * @returns {Promise<void>}
+ */
+const ensureMarketEventsTable = async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS market_events (
+            eventID INT AUTO_INCREMENT PRIMARY KEY,
+            sessionID INT NULL,
+            userID INT NULL,
+            eventType VARCHAR(20) NOT NULL,
+            headline VARCHAR(255) NOT NULL,
+            sector VARCHAR(50) NULL,
+            stockID INT NULL,
+            magnitude DECIMAL(8, 5) NOT NULL DEFAULT 0,
+            symbols JSON NOT NULL,
+            haltedUntil DATETIME NULL,
+            createdAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE SET NULL,
+            FOREIGN KEY (userID) REFERENCES users(userID) ON DELETE CASCADE,
+            INDEX (userID, eventID)
+        )
+    `);
+};
+
+// Generator for a scope's event rolls
+const getScopeRandom = (scope) => {
+    const seed = marketEngine.getSeed();
+    const key = `${seed}:${scope}`;
+    if (!scopeRandoms.has(key)) {
+        scopeRandoms.set(key, random.streamRandom(seed, 'events', scope));
+    }
+
+    return scopeRandoms.get(key);
+};
+
+/**
+ * Event frequency for each scope: system stocks use the most recently saved admin
+ * settings (as the factor model does), custom stocks their owner's
+ * @returns {Promise<Map>} scope key ('system' or a userID) -> probability per check
+ */
+const loadProbabilities = async () => {
+    const [rows] = await db.query(
+        `SELECT ss.userID, u.role, ss.eventFrequency
+         FROM simulation_settings ss
+         JOIN users u ON ss.userID = u.userID
+         WHERE u.role = 'admin'
+            OR ss.userID IN (SELECT userID FROM stocks WHERE userID IS NOT NULL)
+         ORDER BY ss.updatedAt`
+    );
+
+    const probabilities = new Map([['system', EVENT_PROBABILITIES[DEFAULT_FREQUENCY]]]);
+
+    rows.forEach(row => {
+        const probability = EVENT_PROBABILITIES[row.eventFrequency] ?? EVENT_PROBABILITIES[DEFAULT_FREQUENCY];
+        probabilities.set(row.userID, probability);
+        if (row.role === 'admin') {
+            probabilities.set('system', probability);
+        }
+    });
+
+    return probabilities;
+};
+
+// Pick an event type by its odds from those allowed in a scope
+const pickEventType = (marketWide, rng) => {
+    const types = Object.entries(EVENT_TYPES).filter(([, type]) => marketWide || !type.marketWide);
+    const total = types.reduce((sum, [, type]) => sum + type.odds, 0);
+
+    let roll = rng() * total;
+    for (const [name, type] of types) {
+        roll -= type.odds;
+        if (roll < 0) return name;
+    }
+
+    return types[types.length - 1][0];
+};
+
+/**
+ * Fire an event: move prices, shift sentiment, log it and publish it as news
+ * @param {string} eventType - Key of EVENT_TYPES
+ * @param {Array<Object>} stocks - Stocks in the scope that can be affected
+ * @param {number|null} userID - Owner of the scope, or null for the system market
+ * @param {Function} rng - Generator to draw sizes and targets from
+ * @returns {Promise<Object|null>} Logged event, or null if the scope couldn't have this type
+ */
+const fireEvent = async (eventType, stocks, userID, rng) => {
+    const event = stocks.length > 0 ? EVENT_TYPES[eventType].create(stocks, rng) : null;
+    if (!event) return null;
+
+    (event.shocks || []).forEach(shock => {
+        if (shock.stockID !== undefined) {
+            marketEngine.applyStockShock(shock.stockID, shock.size);
+        } else {
+            marketEngine.applyFactorShock(shock.sector, shock.size);
+        }
+    });
+
+    const haltedUntil = event.haltMinutes
+        ? await marketEngine.haltStock(event.stock.stockID, event.haltMinutes)
+        : null;
+
+    for (const [stock, delta] of event.sentiment) {
+        await db.query(
+            'UPDATE stocks SET sentiment = LEAST(1, GREATEST(-1, sentiment + ?)) WHERE stockID = ?',
+            [delta, stock.stockID]
+        );
+    }
+
+    const symbols = event.sentiment.map(([stock]) => stock.symbol);
+
+    const [result] = await db.query(
+        `INSERT INTO market_events
+         (sessionID, userID, eventType, headline, sector, stockID, magnitude, symbols, haltedUntil)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            marketEngine.getSessionId(), userID, eventType, event.headline, event.sector || null,
+            event.stock ? event.stock.stockID : null, event.magnitude, JSON.stringify(symbols), haltedUntil
+        ]
+    );
+
+    const logged = {
+        eventId: result.insertId,
+        eventType,
+        headline: event.headline,
+        sector: event.sector || null,
+        symbol: event.stock ? event.stock.symbol : null,
+        magnitude: event.magnitude,
+        symbols,
+        haltedUntil,
+        createdAt: new Date()
+    };
+
+    // Shown in the news panel like any other headline
+    eventStream.publish('news', {
+        newsId: `event-${logged.eventId}`,
+        story: logged.headline,
+        company: logged.symbol,
+        symbols,
+        weight: event.weight,
+        eventType,
+        haltedUntil,
+        timestamp: logged.createdAt
+    }, userID);
+
+    return logged;
+};
+
+/**
+ * Roll for events in every scope, then let sentiment fade
+ * @returns {Promise<void>}
+ */
+const checkEvents = async () => {
+    // Skip if the previous check is still running
+    if (isChecking) return;
+    isChecking = true;
+
+    try {
+        const probabilities = await loadProbabilities();
+        const [stocks] = await db.query(
+            `SELECT stockID, symbol, companyName, sector, userID FROM stocks
+             WHERE instrumentType = 'stock' AND marketPrice > 0 AND (haltedUntil IS NULL OR haltedUntil <= NOW())
+             ORDER BY stockID`
+        );
+
+        for (const [scope, probability] of probabilities) {
+            const rng = getScopeRandom(scope);
+            if (probability <= 0 || rng() >= probability) continue;
+
+            const userID = scope === 'system' ? null : scope;
+            const scopeStocks = stocks.filter(stock => stock.userID === userID);
+
+            await fireEvent(pickEventType(userID === null, rng), scopeStocks, userID, rng);
+        }
+
+        await db.query(
+            'UPDATE stocks SET sentiment = IF(ABS(sentiment) < 0.01, 0, sentiment * ?) WHERE sentiment <> 0',
+            [SENTIMENT_DECAY]
+        );
+    } catch (error) {
+        console.error('Market events error:', error);
+    } finally {
+        isChecking = false;
+    }
+};
+
+/**
+ * Fire a specific event in the system market now (e.g. an instructor staging a crash)
+ * @param {string} eventType - Key of EVENT_TYPES
+ * @returns {Promise<Object|null>} Logged event, or null if the market can't have this type now
+ */
+const triggerEvent = async (eventType) => {
+    const [stocks] = await db.query(
+        `SELECT stockID, symbol, companyName, sector, userID FROM stocks
+         WHERE userID IS NULL AND instrumentType = 'stock' AND marketPrice > 0 AND (haltedUntil IS NULL OR haltedUntil <= NOW())
+         ORDER BY stockID`
+    );
+
+    return fireEvent(eventType, stocks, null, getScopeRandom('manual'));
+};
+
+/**
+ * Recent events a user can see: market-wide ones plus those on their custom stocks
+ * @param {number|null} userID - User, or null for market-wide events only
+ * @param {number} limit - Maximum number of events
+ * @returns {Promise<Array<Object>>} Newest first
+ */
+const getRecentEvents = async (userID, limit = 20) => {
+    const [events] = await db.query(
+        `SELECT me.eventID, me.eventType, me.headline, me.sector, s.symbol, me.magnitude,
+                me.symbols, me.haltedUntil, me.createdAt
+         FROM market_events me
+         LEFT JOIN stocks s ON me.stockID = s.stockID
+         WHERE me.userID IS NULL OR me.userID = ?
+         ORDER BY me.eventID DESC
+         LIMIT ?`,
+        [userID, limit]
+    );
+
+    return events.map(event => ({
+        eventId: event.eventID,
+        eventType: event.eventType,
+        headline: event.headline,
+        sector: event.sector,
+        symbol: event.symbol,
+        magnitude: Number(event.magnitude),
+        symbols: typeof event.symbols === 'string' ? JSON.parse(event.symbols) : event.symbols,
+        haltedUntil: event.haltedUntil,
+        createdAt: event.createdAt
+    }));
+};
+
+/**
+ * Start rolling for events
+ * @param {number} intervalMs - Milliseconds between checks
+ */
+const start = (intervalMs = CHECK_INTERVAL_MS) => {
+    stop();
+    scopeRandoms.clear();
+    checkInterval = setInterval(() => checkEvents(), intervalMs);
+    console.log('Market events engine started');
+};
+
+/**
+ * Stop rolling for events
+ */
+const stop = () => {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+};
+
+module.exports = {
+    EVENT_TYPES,
+    EVENT_PROBABILITIES,
+    ensureMarketEventsTable,
+    checkEvents,
+    triggerEvent,
+    getRecentEvents,
+    start,
+    stop
+};
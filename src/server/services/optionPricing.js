@@ -0,0 +1,144 @@
+// src/server/services/optionPricing.js
+// Black-Scholes prices and greeks for European options on the simulated stocks. A stock's
+// volatility is a daily figure, annualized over trading days; time to expiry runs on the
+// simulated clock to the regular close of the expiry date. Options settle at expiry only.
+
+// Shares one contract delivers (a split changes it for the contracts already listed)
+const CONTRACT_MULTIPLIER = 100;
+
+// Annual risk-free rate used in pricing
+const RISK_FREE_RATE = 0.04;
+
+// Trading days a daily volatility is annualized over
+const TRADING_DAYS_PER_YEAR = 252;
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// Minutes after midnight the regular session closes, when contracts expire
+const EXPIRY_MINUTE = 16 * 60;
+
+/**
+ * Standard normal density
+ * @param {number} x - Value
+ * @returns {number} Density
+ */
+const normPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26, error below 1.5e-7)
+ * @param {number} x - Value
+ * @returns {number} Probability
+ */
+const normCdf = (x) => {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x / 2);
+
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Value of exercising an option now
+ * @param {string} optionType - 'call' or 'put'
+ * @param {number} spot - Stock price
+ * @param {number} strike - Strike price
+ * @returns {number} Intrinsic value per share
+ */
+const intrinsicValue = (optionType, spot, strike) => Math.max(optionType === 'call' ? spot - strike : strike - spot, 0);
+
+/**
+ * Annualize a stock's daily volatility
+ * @param {number} dailyVolatility - stocks.volatility
+ * @returns {number} Annual volatility
+ */
+const annualVolatility = (dailyVolatility) => Number(dailyVolatility) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+/**
+ * Years left until a contract expires at the close of its expiry date
+ * @param {string} expiryDate - YYYY-MM-DD
+ * @param {Date} now - Simulated market time
+ * @returns {number} Years (0 once expired)
+ */
+const yearsToExpiry = (expiryDate, now) => {
+    const expiresAt = Date.parse(`${expiryDate}T00:00:00Z`) + EXPIRY_MINUTE * 60000;
+    return Math.max(expiresAt - now.getTime(), 0) / MS_PER_YEAR;
+};
+
+/**
+ * Black-Scholes price and greeks
+ * @param {Object} params - { optionType, spot, strike, years, volatility (annual), rate }
+ * @returns {Object} { price, delta, gamma, theta (per calendar day), vega (per volatility point),
+ *                     rho (per rate point) }, all per share
+ */
+const blackScholes = ({ optionType, spot, strike, years, volatility, rate = RISK_FREE_RATE }) => {
+    const isCall = optionType === 'call';
+
+    // At expiry (or with no volatility) the option is worth what exercising it pays
+    if (years <= 0 || volatility <= 0) {
+        const forward = spot - strike * Math.exp(-rate * Math.max(years, 0));
+        const inTheMoney = isCall ? forward > 0 : forward < 0;
+
+        return {
+            price: Math.max(isCall ? forward : -forward, 0),
+            delta: inTheMoney ? (isCall ? 1 : -1) : 0,
+            gamma: 0,
+            theta: 0,
+            vega: 0,
+            rho: 0
+        };
+    }
+
+    const sqrtYears = Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * years) / (volatility * sqrtYears);
+    const d2 = d1 - volatility * sqrtYears;
+    const discount = Math.exp(-rate * years);
+
+    const price = isCall
+        ? spot * normCdf(d1) - strike * discount * normCdf(d2)
+        : strike * discount * normCdf(-d2) - spot * normCdf(-d1);
+
+    const decay = -spot * normPdf(d1) * volatility / (2 * sqrtYears);
+    const carry = rate * strike * discount;
+    const theta = isCall ? decay - carry * normCdf(d2) : decay + carry * normCdf(-d2);
+
+    return {
+        price: Math.max(price, 0),
+        delta: isCall ? normCdf(d1) : normCdf(d1) - 1,
+        gamma: normPdf(d1) / (spot * volatility * sqrtYears),
+        theta: theta / 365,
+        vega: spot * normPdf(d1) * sqrtYears / 100,
+        rho: (isCall ? 1 : -1) * strike * years * discount * normCdf(isCall ? d2 : -d2) / 100
+    };
+};
+
+/**
+ * Price a listed contract against its stock's current price and volatility
+ * @param {Object} contract - Row with optionType, strike, expiryDate, marketPrice and volatility
+ * @param {Date} now - Simulated market time
+ * @returns {Object} blackScholes() output plus years to expiry
+ */
+const priceContract = (contract, now) => {
+    const years = yearsToExpiry(contract.expiryDate, now);
+
+    return {
+        years,
+        ...blackScholes({
+            optionType: contract.optionType,
+            spot: Number(contract.marketPrice),
+            strike: Number(contract.strike),
+            years,
+            volatility: annualVolatility(contract.volatility)
+        })
+    };
+};
+
+module.exports = {
+    CONTRACT_MULTIPLIER,
+    RISK_FREE_RATE,
+    normCdf,
+    intrinsicValue,
+    annualVolatility,
+    yearsToExpiry,
+    blackScholes,
+    priceContract
+};
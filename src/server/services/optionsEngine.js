@@ -0,0 +1,681 @@
+// src/server/services/optionsEngine.js
+// Listed options on the simulated stocks. A stock's chain has weekly expiries a few weeks
+// out; each expiry's strikes are spaced by price level and cover about two standard
+// deviations of the move its volatility implies by then, and are listed when the chain is
+// viewed. Contracts trade against a quote a little either side of their Black-Scholes
+// value: any portfolio can buy to open and sell to close, but only margin portfolios may
+// sell to open (write). At the close of the expiry date every open contract settles at its
+// intrinsic value, in cash or, for portfolios that settle by exercise, into stock at the strike.
+const db = require('../middleware/db');
+const optionPricing = require('./optionPricing');
+const tradeService = require('./tradeService');
+const marginAccount = require('./marginAccount');
+const costModel = require('./costModel');
+const orderLimits = require('./orderLimits');
+const marketClock = require('./marketClock');
+const eventStream = require('./eventStream');
+
+// Weeks ahead of each listed expiry (always a Friday, or the trading day before it)
+const EXPIRY_WEEKS = [1, 2, 4, 8];
+
+// Standard deviations of the expected move the strikes cover either side of the price
+const STRIKE_RANGE_SD = 2;
+
+// Strikes listed either side of the at-the-money strike, at most
+const MAX_STRIKES_EACH_SIDE = 6;
+
+// Quoted spread as a share of the option's value; each side is at least a cent away
+const QUOTE_SPREAD = 0.04;
+
+const SETTLEMENT_TYPES = ['cash', 'exercise'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONTRACT_COLUMNS = `oc.contractID, oc.stockID, oc.optionType, oc.strike,
+    DATE_FORMAT(oc.expiryDate, '%Y-%m-%d') AS expiryDate, oc.multiplier, oc.status,
+    s.symbol, s.marketPrice, s.volatility`;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Create the option tables and the portfolio settlement setting
+ * @returns {Promise<void>}
+ */
+const ensureOptionTables = async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS option_contracts (
+            contractID INT AUTO_INCREMENT PRIMARY KEY,
+            stockID INT NOT NULL,
+            optionType ENUM('call', 'put') NOT NULL,
+            strike DECIMAL(12, 2) NOT NULL,
+            expiryDate DATE NOT NULL,
+            multiplier DECIMAL(12, 4) NOT NULL DEFAULT ${optionPricing.CONTRACT_MULTIPLIER},
+            status ENUM('open', 'expired') NOT NULL DEFAULT 'open',
+            settlementPrice DECIMAL(12, 2) NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            settledAt DATETIME NULL,
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            UNIQUE KEY (stockID, expiryDate, optionType, strike, multiplier),
+            INDEX (status, expiryDate)
+        )
+    `);
+
+    // Signed: written (short) contracts are negative
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS option_positions (
+            positionID INT AUTO_INCREMENT PRIMARY KEY,
+            portfolioID VARCHAR(64) NOT NULL,
+            contractID INT NOT NULL,
+            quantity INT NOT NULL,
+            avgPrice DECIMAL(12, 4) NOT NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            FOREIGN KEY (contractID) REFERENCES option_contracts(contractID) ON DELETE CASCADE,
+            UNIQUE KEY (portfolioID, contractID)
+        )
+    `);
+
+    // totalValue is the cash the trade or settlement moved, before fees
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS option_trades (
+            tradeID VARCHAR(64) PRIMARY KEY,
+            portfolioID VARCHAR(64) NOT NULL,
+            contractID INT NOT NULL,
+            tradeType ENUM('buy_to_open', 'sell_to_close', 'sell_to_open', 'buy_to_close',
+                'exercise', 'assignment', 'expiry') NOT NULL,
+            quantity INT NOT NULL,
+            price DECIMAL(12, 4) NOT NULL,
+            quotePrice DECIMAL(12, 4) NULL,
+            totalValue DECIMAL(12, 2) NOT NULL,
+            fee DECIMAL(12, 2) NOT NULL DEFAULT 0,
+            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            FOREIGN KEY (contractID) REFERENCES option_contracts(contractID) ON DELETE CASCADE,
+            INDEX (portfolioID, timestamp)
+        )
+    `);
+
+    await db.ensureColumn('portfolios', 'optionSettlement', "ENUM('cash', 'exercise') NOT NULL DEFAULT 'cash'");
+};
+
+/**
+ * Distance between listed strikes at a price level
+ * @param {number} price - Stock price
+ * @returns {number} Strike increment
+ */
+const strikeStep = (price) => {
+    if (price < 5) return 0.5;
+    if (price < 25) return 1;
+    if (price < 100) return 2.5;
+    if (price < 250) return 5;
+    return 10;
+};
+
+/**
+ * Expiry dates listed on a trading date
+ * @param {string} tradingDate - YYYY-MM-DD
+ * @returns {Array<string>} YYYY-MM-DD, nearest first
+ */
+const listExpiries = (tradingDate) => {
+    const today = new Date(`${tradingDate}T00:00:00Z`);
+
+    // The first Friday after today
+    const daysToFriday = ((5 - today.getUTCDay() + 6) % 7) + 1;
+
+    return EXPIRY_WEEKS.map(weeks => {
+        let expiry = new Date(today.getTime() + (daysToFriday + (weeks - 1) * 7) * DAY_MS);
+
+        // A holiday Friday expires the day before
+        while (!marketClock.isTradingDay(expiry)) {
+            expiry = new Date(expiry.getTime() - DAY_MS);
+        }
+
+        return marketClock.formatDate(expiry);
+    });
+};
+
+/**
+ * Strikes to list for one expiry
+ * @param {number} price - Stock price
+ * @param {number} volatility - Annual volatility
+ * @param {number} years - Time to expiry
+ * @returns {Array<number>} Strikes, lowest first
+ */
+const listStrikes = (price, volatility, years) => {
+    const step = strikeStep(price);
+    const center = Math.round(price / step) * step;
+    const expectedMove = price * volatility * Math.sqrt(years);
+    const count = Math.min(Math.max(Math.ceil(STRIKE_RANGE_SD * expectedMove / step), 2), MAX_STRIKES_EACH_SIDE);
+
+    const strikes = [];
+    for (let i = -count; i <= count; i++) {
+        const strike = roundCents(center + i * step);
+        if (strike > 0) strikes.push(strike);
+    }
+
+    return strikes;
+};
+
+/**
+ * Bid and ask around an option's value
+ * @param {number} value - Black-Scholes value per share
+ * @returns {Object} { bid, ask } (a bid of 0 means nobody is buying)
+ */
+const quoteValue = (value) => {
+    const halfSpread = Math.max(value * QUOTE_SPREAD / 2, 0.01);
+
+    return {
+        bid: Math.max(Math.floor((value - halfSpread) * 100 + 1e-6) / 100, 0),
+        ask: Math.max(Math.ceil((value + halfSpread) * 100 - 1e-6) / 100, 0.01)
+    };
+};
+
+/**
+ * Value, quote and greeks of a contract
+ * @param {Object} contract - Row selected with CONTRACT_COLUMNS
+ * @param {Date} now - Simulated market time
+ * @returns {Object} Quote for clients
+ */
+const quoteContract = (contract, now) => {
+    const { years, price, ...greeks } = optionPricing.priceContract(contract, now);
+
+    return {
+        contractId: contract.contractID,
+        symbol: contract.symbol,
+        optionType: contract.optionType,
+        strike: Number(contract.strike),
+        expiryDate: contract.expiryDate,
+        multiplier: Number(contract.multiplier),
+        theoreticalPrice: Math.round(price * 10000) / 10000,
+        ...quoteValue(price),
+        ...Object.fromEntries(Object.entries(greeks).map(([name, value]) => [name, Math.round(value * 10000) / 10000]))
+    };
+};
+
+/**
+ * Option chain for a stock, listing any strikes and expiries it doesn't have yet
+ * @param {Object} stock - { stockID, symbol, marketPrice, volatility, isHalted }
+ * @returns {Promise<Object>} { symbol, underlyingPrice, volatility, riskFreeRate, isHalted,
+ *                              expiries: [{ expiryDate, daysToExpiry, strikes: [{ strike, call, put }] }] }
+ */
+const getChain = async (stock) => {
+    const now = marketClock.now();
+    const tradingDate = marketClock.getTradingDate();
+    const price = Number(stock.marketPrice);
+    const volatility = optionPricing.annualVolatility(stock.volatility);
+
+    const rows = [];
+    for (const expiryDate of listExpiries(tradingDate)) {
+        const years = optionPricing.yearsToExpiry(expiryDate, now);
+
+        for (const strike of listStrikes(price, volatility, years)) {
+            rows.push([stock.stockID, 'call', strike, expiryDate], [stock.stockID, 'put', strike, expiryDate]);
+        }
+    }
+
+    await db.query('INSERT IGNORE INTO option_contracts (stockID, optionType, strike, expiryDate) VALUES ?', [rows]);
+
+    const [contracts] = await db.query(
+        `SELECT ${CONTRACT_COLUMNS}
+         FROM option_contracts oc
+         JOIN stocks s ON s.stockID = oc.stockID
+         WHERE oc.stockID = ? AND oc.status = 'open' AND oc.expiryDate >= ?
+         ORDER BY oc.expiryDate, oc.strike, oc.multiplier`,
+        [stock.stockID, tradingDate]
+    );
+
+    // Group by expiry, then by strike with the call and put side by side
+    const expiries = new Map();
+    for (const contract of contracts) {
+        if (!expiries.has(contract.expiryDate)) {
+            expiries.set(contract.expiryDate, new Map());
+        }
+
+        const strikes = expiries.get(contract.expiryDate);
+        const key = `${contract.strike}:${contract.multiplier}`;
+        if (!strikes.has(key)) {
+            strikes.set(key, { strike: Number(contract.strike), multiplier: Number(contract.multiplier), call: null, put: null });
+        }
+
+        strikes.get(key)[contract.optionType] = quoteContract(contract, now);
+    }
+
+    return {
+        symbol: stock.symbol,
+        underlyingPrice: price,
+        volatility: Math.round(volatility * 10000) / 10000,
+        riskFreeRate: optionPricing.RISK_FREE_RATE,
+        isHalted: Boolean(stock.isHalted),
+        expiries: [...expiries].map(([expiryDate, strikes]) => ({
+            expiryDate,
+            daysToExpiry: Math.round(optionPricing.yearsToExpiry(expiryDate, now) * 365 * 10) / 10,
+            strikes: [...strikes.values()]
+        }))
+    };
+};
+
+/**
+ * Record an option trade or settlement
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} trade - { portfolioId, contractId, tradeType, quantity, price, quotePrice, totalValue, fee }
+ * @returns {Promise<string>} Trade ID
+ */
+const recordTrade = async (connection, { portfolioId, contractId, tradeType, quantity, price, quotePrice = null, totalValue, fee = 0 }) => {
+    const tradeID = `otr-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+    await connection.query(
+        `INSERT INTO option_trades
+       (tradeID, portfolioID, contractID, tradeType, quantity, price, quotePrice, totalValue, fee)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [tradeID, portfolioId, contractId, tradeType, quantity, price, quotePrice, totalValue, fee]
+    );
+
+    return tradeID;
+};
+
+/**
+ * Buy or sell option contracts at the current quote. A trade either opens or adds to a
+ * position, or reduces or closes it; going from long to short in one trade isn't allowed.
+ * Must be called inside db.transaction() so every write commits or rolls back together.
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} trade - { portfolioId, contractId, side: 'buy'|'sell', quantity (whole contracts) }
+ * @returns {Promise<Object>} Trade record, the resulting position and the new portfolio balance
+ */
+const executeOptionTrade = async (connection, { portfolioId, contractId, side, quantity }) => {
+    if (!marketClock.isOpen()) {
+        throw tradeService.tradeError('Options trade during the regular session only', 409);
+    }
+
+    // Lock the portfolio row so concurrent trades can't overspend the balance
+    const [portfolios] = await connection.query(
+        'SELECT portfolioID, balance, marginEnabled FROM portfolios WHERE portfolioID = ? FOR UPDATE',
+        [portfolioId]
+    );
+
+    if (portfolios.length === 0) {
+        throw tradeService.tradeError('Portfolio not found', 404);
+    }
+
+    const portfolio = portfolios[0];
+
+    const [contracts] = await connection.query(
+        `SELECT ${CONTRACT_COLUMNS}, s.haltedUntil > NOW() AS isHalted
+         FROM option_contracts oc
+         JOIN stocks s ON s.stockID = oc.stockID
+         WHERE oc.contractID = ?`,
+        [contractId]
+    );
+
+    if (contracts.length === 0) {
+        throw tradeService.tradeError('Option contract not found', 404);
+    }
+
+    const contract = contracts[0];
+    const now = marketClock.now();
+
+    if (contract.status !== 'open' || optionPricing.yearsToExpiry(contract.expiryDate, now) <= 0) {
+        throw tradeService.tradeError('This contract has expired', 409);
+    }
+
+    if (contract.isHalted) {
+        throw tradeService.tradeError('Trading in this stock is halted', 409);
+    }
+
+    const quote = quoteContract(contract, now);
+    const price = side === 'buy' ? quote.ask : quote.bid;
+
+    if (price <= 0) {
+        throw tradeService.tradeError('Nobody is bidding for this contract', 409);
+    }
+
+    const [positions] = await connection.query(
+        'SELECT * FROM option_positions WHERE portfolioID = ? AND contractID = ? FOR UPDATE',
+        [portfolioId, contractId]
+    );
+
+    const position = positions[0];
+    const held = position ? position.quantity : 0;
+    const change = side === 'buy' ? quantity : -quantity;
+    const newQuantity = held + change;
+
+    if (held !== 0 && newQuantity !== 0 && Math.sign(newQuantity) !== Math.sign(held)) {
+        throw tradeService.tradeError(`Only ${Math.abs(held)} contracts can be closed; close the position before opening the other side`);
+    }
+
+    const opening = held === 0 || Math.sign(held) === Math.sign(change);
+    const tradeType = `${side}_to_${opening ? 'open' : 'close'}`;
+
+    if (tradeType === 'sell_to_open' && !portfolio.marginEnabled) {
+        throw tradeService.tradeError('Only margin portfolios can write options');
+    }
+
+    const multiplier = Number(contract.multiplier);
+    const premium = roundCents(price * multiplier * quantity);
+    const settings = await costModel.getCostSettings(connection, portfolioId);
+    const { fee } = costModel.calculateFees(settings, quantity, price * multiplier);
+    const totalValue = side === 'buy' ? -premium : premium;
+
+    if (!portfolio.marginEnabled && side === 'buy' && Number(portfolio.balance) < premium + fee) {
+        throw tradeService.tradeError('Insufficient funds');
+    }
+
+    await connection.query(
+        'UPDATE portfolios SET balance = balance + ? WHERE portfolioID = ?',
+        [totalValue - fee, portfolioId]
+    );
+
+    if (newQuantity === 0) {
+        await connection.query('DELETE FROM option_positions WHERE positionID = ?', [position.positionID]);
+    } else if (!position) {
+        await connection.query(
+            'INSERT INTO option_positions (portfolioID, contractID, quantity, avgPrice) VALUES (?, ?, ?, ?)',
+            [portfolioId, contractId, newQuantity, price]
+        );
+    } else {
+        // Adding averages the premium; closing part keeps it
+        const avgPrice = opening
+            ? (Math.abs(held) * Number(position.avgPrice) + quantity * price) / Math.abs(newQuantity)
+            : Number(position.avgPrice);
+
+        await connection.query(
+            'UPDATE option_positions SET quantity = ?, avgPrice = ? WHERE positionID = ?',
+            [newQuantity, avgPrice, position.positionID]
+        );
+    }
+
+    // New positions on margin must leave equity above the initial requirement
+    if (opening && portfolio.marginEnabled) {
+        const account = await marginAccount.getAccount(connection, portfolioId);
+        if (account.equity < account.initialRequirement) {
+            throw tradeService.tradeError('Insufficient buying power');
+        }
+    }
+
+    const tradeId = await recordTrade(connection, {
+        portfolioId,
+        contractId,
+        tradeType,
+        quantity,
+        price,
+        quotePrice: quote.theoreticalPrice,
+        totalValue,
+        fee
+    });
+
+    const [updatedPortfolios] = await connection.query(
+        'SELECT balance FROM portfolios WHERE portfolioID = ?',
+        [portfolioId]
+    );
+
+    return {
+        tradeId,
+        portfolioId,
+        contractId,
+        symbol: contract.symbol,
+        optionType: contract.optionType,
+        strike: quote.strike,
+        expiryDate: contract.expiryDate,
+        tradeType,
+        quantity,
+        price,
+        theoreticalPrice: quote.theoreticalPrice,
+        totalValue,
+        fee,
+        position: newQuantity,
+        newBalance: Number(updatedPortfolios[0].balance),
+        timestamp: new Date()
+    };
+};
+
+/**
+ * A portfolio's open option positions, marked at their Black-Scholes value
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Array<Object>>} quoteContract() output plus quantity, avgPrice, marketValue,
+ *                                   unrealizedPL and the position's delta in shares
+ */
+const getPositions = async (connection, portfolioId) => {
+    const [positions] = await connection.query(
+        `SELECT ${CONTRACT_COLUMNS}, op.quantity, op.avgPrice
+         FROM option_positions op
+         JOIN option_contracts oc ON oc.contractID = op.contractID
+         JOIN stocks s ON s.stockID = oc.stockID
+         WHERE op.portfolioID = ?
+         ORDER BY oc.expiryDate, s.symbol, oc.strike`,
+        [portfolioId]
+    );
+
+    const now = marketClock.now() || new Date();
+
+    return positions.map(position => {
+        const quote = quoteContract(position, now);
+        const shares = position.quantity * quote.multiplier;
+        const avgPrice = Number(position.avgPrice);
+
+        return {
+            ...quote,
+            quantity: position.quantity,
+            avgPrice,
+            marketValue: roundCents(shares * quote.theoreticalPrice),
+            unrealizedPL: roundCents(shares * (quote.theoreticalPrice - avgPrice)),
+            positionDelta: Math.round(shares * quote.delta * 100) / 100
+        };
+    });
+};
+
+/**
+ * A portfolio's option trades and settlements, newest first
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Array<Object>>} Trades with contract details
+ */
+const getTrades = async (portfolioId) => {
+    const [trades] = await db.query(
+        `SELECT ot.tradeID, ot.contractID, ot.tradeType, ot.quantity, ot.price, ot.quotePrice,
+                ot.totalValue, ot.fee, ot.timestamp, s.symbol, oc.optionType, oc.strike,
+                DATE_FORMAT(oc.expiryDate, '%Y-%m-%d') AS expiryDate
+         FROM option_trades ot
+         JOIN option_contracts oc ON oc.contractID = ot.contractID
+         JOIN stocks s ON s.stockID = oc.stockID
+         WHERE ot.portfolioID = ?
+         ORDER BY ot.timestamp DESC`,
+        [portfolioId]
+    );
+
+    return trades.map(trade => ({
+        tradeId: trade.tradeID,
+        contractId: trade.contractID,
+        symbol: trade.symbol,
+        optionType: trade.optionType,
+        strike: Number(trade.strike),
+        expiryDate: trade.expiryDate,
+        tradeType: trade.tradeType,
+        quantity: trade.quantity,
+        price: Number(trade.price),
+        quotePrice: trade.quotePrice !== null ? Number(trade.quotePrice) : null,
+        totalValue: Number(trade.totalValue),
+        fee: Number(trade.fee),
+        timestamp: trade.timestamp
+    }));
+};
+
+/**
+ * Whether a cash portfolio can take delivery of an exercise: the cash to buy the shares, or
+ * the shares to sell. Margin portfolios can always borrow or go short.
+ * @param {Object} position - Position row with the portfolio's balance and marginEnabled
+ * @param {Object|undefined} holding - The portfolio's holding in the stock
+ * @param {number} shares - Signed shares the exercise delivers
+ * @param {number} strike - Strike price
+ * @returns {boolean} True if the exercise can settle into stock
+ */
+const canDeliver = (position, holding, shares, strike) => {
+    if (position.marginEnabled) return true;
+
+    return shares > 0
+        ? Number(position.balance) >= shares * strike
+        : (holding ? Number(holding.quantity) : 0) >= -shares;
+};
+
+/**
+ * Settle one position in an expiring contract
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} contract - Locked contract row
+ * @param {Object} position - Position row with the portfolio's balance, marginEnabled, optionSettlement and lotMethod
+ * @param {number} spot - Settlement price of the stock
+ * @returns {Promise<Object>} { settlement: 'expired'|'cash'|'exercise', amount, shares }
+ */
+const settlePosition = async (connection, contract, position, spot) => {
+    const strike = Number(contract.strike);
+    const intrinsic = optionPricing.intrinsicValue(contract.optionType, spot, strike);
+    const trade = { portfolioId: position.portfolioID, contractId: contract.contractID, quantity: Math.abs(position.quantity) };
+
+    if (intrinsic === 0) {
+        await recordTrade(connection, { ...trade, tradeType: 'expiry', price: 0, totalValue: 0 });
+        return { settlement: 'expired', amount: 0, shares: 0 };
+    }
+
+    const tradeType = position.quantity > 0 ? 'exercise' : 'assignment';
+
+    // Calls deliver shares to the long side, puts take them from it
+    const shares = orderLimits.roundQuantity(
+        position.quantity * Number(contract.multiplier) * (contract.optionType === 'call' ? 1 : -1)
+    );
+
+    const [holdings] = await connection.query(
+        'SELECT * FROM holdings WHERE portfolioID = ? AND stockID = ? FOR UPDATE',
+        [position.portfolioID, contract.stockID]
+    );
+
+    if (position.optionSettlement === 'exercise' && canDeliver(position, holdings[0], shares, strike)) {
+        const cost = roundCents(shares * strike);
+
+        await connection.query(
+            'UPDATE portfolios SET balance = balance - ? WHERE portfolioID = ?',
+            [cost, position.portfolioID]
+        );
+
+        const transactionID = `txn-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+        // The delivered shares open or close lots at the strike
+        await tradeService.fillPosition(connection, {
+            portfolioId: position.portfolioID,
+            stockID: contract.stockID,
+            holding: holdings[0],
+            transactionID,
+            transactionType: shares > 0 ? 'BUY' : 'SELL',
+            quantity: Math.abs(shares),
+            price: strike,
+            lotMethod: position.lotMethod
+        });
+
+        await connection.query(
+            `INSERT INTO transactions
+           (transactionID, portfolioID, stockID, transactionType, quantity, pricePaid, quotePrice, totalValue, fee)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+            [transactionID, position.portfolioID, contract.stockID, shares > 0 ? 'BUY' : 'SELL',
+                Math.abs(shares), strike, spot, Math.abs(cost)]
+        );
+
+        // The cash moves with the stock transaction
+        await recordTrade(connection, { ...trade, tradeType, price: intrinsic, quotePrice: spot, totalValue: 0 });
+        return { settlement: 'exercise', amount: -cost, shares };
+    }
+
+    const amount = roundCents(position.quantity * Number(contract.multiplier) * intrinsic);
+
+    await connection.query(
+        'UPDATE portfolios SET balance = balance + ? WHERE portfolioID = ?',
+        [amount, position.portfolioID]
+    );
+
+    await recordTrade(connection, { ...trade, tradeType, price: intrinsic, quotePrice: spot, totalValue: amount });
+    return { settlement: 'cash', amount, shares: 0 };
+};
+
+/**
+ * Settle every contract expiring on or before a trading date at the stock's closing price
+ * @param {string} tradingDate - YYYY-MM-DD of the session that just closed
+ * @returns {Promise<number>} Number of contracts settled
+ */
+const settleExpiries = async (tradingDate) => {
+    const [expiring] = await db.query(
+        "SELECT contractID FROM option_contracts WHERE status = 'open' AND expiryDate <= ?",
+        [tradingDate]
+    );
+
+    let settled = 0;
+
+    for (const { contractID } of expiring) {
+        try {
+            const updates = await db.transaction(async (connection) => {
+                const [contracts] = await connection.query(
+                    `SELECT ${CONTRACT_COLUMNS}
+                     FROM option_contracts oc
+                     JOIN stocks s ON s.stockID = oc.stockID
+                     WHERE oc.contractID = ? AND oc.status = 'open'
+                     FOR UPDATE`,
+                    [contractID]
+                );
+
+                if (contracts.length === 0) return [];
+
+                const contract = contracts[0];
+                const spot = Number(contract.marketPrice);
+
+                const [positions] = await connection.query(
+                    `SELECT op.*, p.userID, p.balance, p.marginEnabled, p.optionSettlement, p.lotMethod
+                     FROM option_positions op
+                     JOIN portfolios p ON p.portfolioID = op.portfolioID
+                     WHERE op.contractID = ?
+                     FOR UPDATE`,
+                    [contractID]
+                );
+
+                const results = [];
+                for (const position of positions) {
+                    const result = await settlePosition(connection, contract, position, spot);
+                    results.push({
+                        userID: position.userID,
+                        portfolioId: position.portfolioID,
+                        contractId: contractID,
+                        symbol: contract.symbol,
+                        optionType: contract.optionType,
+                        strike: Number(contract.strike),
+                        expiryDate: contract.expiryDate,
+                        quantity: position.quantity,
+                        settlementPrice: spot,
+                        ...result
+                    });
+                }
+
+                await connection.query('DELETE FROM option_positions WHERE contractID = ?', [contractID]);
+                await connection.query(
+                    "UPDATE option_contracts SET status = 'expired', settlementPrice = ?, settledAt = NOW() WHERE contractID = ?",
+                    [spot, contractID]
+                );
+
+                return results;
+            });
+
+            settled++;
+
+            for (const { userID, ...update } of updates) {
+                eventStream.publish('option', update, userID);
+            }
+        } catch (error) {
+            console.error(`Option contract ${contractID} settlement error:`, error);
+        }
+    }
+
+    return settled;
+};
+
+module.exports = {
+    SETTLEMENT_TYPES,
+    ensureOptionTables,
+    getChain,
+    executeOptionTrade,
+    getPositions,
+    getTrades,
+    settleExpiries
+};
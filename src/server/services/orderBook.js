@@ -0,0 +1,162 @@
+// src/server/services/orderBook.js
+// Simulated level-2 order book. There are no resting orders from other traders; each side of
+// a stock's book is synthetic liquidity laid out around the engine price following the cost
+// model: the best bid and ask sit half the spread from the mid, and the level holding the
+// shares beyond depth D is priced slippageFactor * sqrt(D / average daily volume) further out.
+// Market orders walk the book level by level, so large orders move their own average price
+// and can run out of displayed liquidity (a partial fill). Shares taken from a side are
+// remembered and refill over time, so back-to-back orders keep pushing the price.
+const random = require('./random');
+const costModel = require('./costModel');
+const orderLimits = require('./orderLimits');
+
+// Price levels shown on each side
+const BOOK_LEVELS = 10;
+
+// Average shares quoted per level, as a share of average daily volume
+const LEVEL_DEPTH_FRACTION = 0.002;
+
+// Seconds for half of the liquidity taken from a side to be replaced
+const REFILL_HALF_LIFE_SECONDS = 60;
+
+// Level sizes are redrawn this often, so the book moves without changing on every request
+const QUOTE_INTERVAL_SECONDS = 5;
+
+// `${stockID}:${side}` => { shares, at } liquidity taken by recent fills
+const taken = new Map();
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Shares recently taken from one side of a stock's book that haven't been replaced yet
+ * @param {number} stockID - Stock ID
+ * @param {string} side - 'bid' or 'ask'
+ * @param {number} now - Time in milliseconds
+ * @returns {number} Shares
+ */
+const takenShares = (stockID, side, now) => {
+    const entry = taken.get(`${stockID}:${side}`);
+    if (!entry) return 0;
+
+    return entry.shares * 0.5 ** ((now - entry.at) / 1000 / REFILL_HALF_LIFE_SECONDS);
+};
+
+/**
+ * Lay out one side of a book
+ * @param {Object} params - { stockID, side, quotePrice, averageVolume, settings, now }
+ * @returns {Array<Object>} Levels { price, size }, best first
+ */
+const buildSide = ({ stockID, side, quotePrice, averageVolume, settings, now }) => {
+    const direction = side === 'ask' ? 1 : -1;
+    const halfSpread = settings.spreadPercent / 100 / 2;
+    const levelSize = Math.max(averageVolume * LEVEL_DEPTH_FRACTION, 1);
+    const next = random.createRandom(random.hashSeed(stockID, side, Math.floor(now / 1000 / QUOTE_INTERVAL_SECONDS)));
+
+    // Liquidity already taken is gone from the front of the book
+    let depth = takenShares(stockID, side, now);
+    const levels = [];
+
+    for (let i = 0; i < BOOK_LEVELS; i++) {
+        const distance = halfSpread + settings.slippageFactor * Math.sqrt(depth / Math.max(averageVolume, 1));
+
+        // Asks round up and bids down to the cent, so quotes never improve on the model
+        const price = side === 'ask'
+            ? Math.ceil(quotePrice * (1 + distance) * 100 - 1e-6) / 100
+            : Math.max(Math.floor(quotePrice * (1 - distance) * 100 + 1e-6) / 100, 0.01);
+        const size = Math.max(Math.round(levelSize * (0.5 + next())), 1);
+
+        const last = levels[levels.length - 1];
+        if (last && last.price === price) {
+            last.size += size;
+        } else {
+            levels.push({ price, size });
+        }
+
+        depth += size;
+    }
+
+    return levels;
+};
+
+/**
+ * Build a stock's book around its current price
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {Object} stock - { stockID, quotePrice }
+ * @param {Object} settings - Cost settings (spreadPercent and slippageFactor shape the book)
+ * @returns {Promise<Object>} { midPrice, bestBid, bestAsk, spread, averageVolume, bids, asks }
+ */
+const getBook = async (connection, { stockID, quotePrice }, settings) => {
+    const averageVolume = await costModel.getAverageVolume(connection, stockID);
+    const now = Date.now();
+    const params = { stockID, quotePrice, averageVolume, settings, now };
+
+    const bids = buildSide({ ...params, side: 'bid' });
+    const asks = buildSide({ ...params, side: 'ask' });
+
+    return {
+        midPrice: quotePrice,
+        bestBid: bids[0].price,
+        bestAsk: asks[0].price,
+        spread: roundCents(asks[0].price - bids[0].price),
+        averageVolume: Math.round(averageVolume),
+        bids,
+        asks
+    };
+};
+
+/**
+ * Fill an order against a book: a BUY takes asks and a SELL takes bids, best price first,
+ * stopping at the limit price if there is one
+ * @param {Object} book - getBook() output
+ * @param {string} transactionType - 'BUY' or 'SELL'
+ * @param {number} quantity - Shares wanted
+ * @param {number|null} limitPrice - Worst acceptable price, or null for a market order
+ * @returns {Object} { quantity, averagePrice, fills: [{ price, quantity }] } (quantity may be less than asked)
+ */
+const walkBook = (book, transactionType, quantity, limitPrice = null) => {
+    const levels = transactionType === 'BUY' ? book.asks : book.bids;
+    const fills = [];
+    let remaining = quantity;
+    let cost = 0;
+
+    for (const level of levels) {
+        if (remaining <= 0) break;
+
+        const beyondLimit = limitPrice !== null
+            && (transactionType === 'BUY' ? level.price > limitPrice : level.price < limitPrice);
+        if (beyondLimit) break;
+
+        const shares = Math.min(remaining, level.size);
+        fills.push({ price: level.price, quantity: shares });
+        cost += shares * level.price;
+        remaining = orderLimits.roundQuantity(remaining - shares);
+    }
+
+    const filled = orderLimits.roundQuantity(quantity - remaining);
+
+    return {
+        quantity: filled,
+        averagePrice: filled > 0 ? roundCents(cost / filled) : null,
+        fills
+    };
+};
+
+/**
+ * Remove the liquidity a fill took from its side of the book
+ * @param {number} stockID - Stock ID
+ * @param {string} transactionType - 'BUY' (takes asks) or 'SELL' (takes bids)
+ * @param {number} quantity - Shares filled
+ */
+const recordFill = (stockID, transactionType, quantity) => {
+    const side = transactionType === 'BUY' ? 'ask' : 'bid';
+    const now = Date.now();
+
+    taken.set(`${stockID}:${side}`, { shares: takenShares(stockID, side, now) + quantity, at: now });
+};
+
+module.exports = {
+    BOOK_LEVELS,
+    getBook,
+    walkBook,
+    recordFill
+};
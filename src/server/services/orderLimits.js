@@ -0,0 +1,167 @@
+// src/server/services/orderLimits.js
+// Share quantities and the per-portfolio order limits. Quantities may be fractional and are
+// stored at QUANTITY_DECIMALS places; dollar-amount orders are converted to the whole number
+// of millionths of a share the amount buys. Each portfolio can cap the shares and dollars in
+// one order and the size of any position relative to its equity.
+const db = require('../middleware/db');
+
+const QUANTITY_DECIMALS = 6;
+const QUANTITY_SCALE = 10 ** QUANTITY_DECIMALS;
+
+// Column type for share quantities (signed: shorts are negative holdings)
+const QUANTITY_COLUMN = 'DECIMAL(18, 6)';
+
+const DEFAULT_ORDER_LIMITS = {
+    maxOrderQuantity: 100,
+    maxOrderValue: null,
+    maxPositionPercent: null
+};
+
+/**
+ * Round a quantity to the stored precision
+ * @param {number} quantity - Shares
+ * @returns {number} Shares at QUANTITY_DECIMALS places
+ */
+const roundQuantity = (quantity) => Math.round(quantity * QUANTITY_SCALE) / QUANTITY_SCALE;
+
+/**
+ * Whether a value is a positive share quantity with no more than QUANTITY_DECIMALS places
+ * @param {*} quantity - Value from a request
+ * @returns {boolean} True if valid
+ */
+const isValidQuantity = (quantity) => (
+    typeof quantity === 'number'
+    && Number.isFinite(quantity)
+    && quantity > 0
+    && Math.abs(roundQuantity(quantity) - quantity) < 1e-9
+);
+
+/**
+ * Whether a value is a dollar amount in whole cents of at least $0.01
+ * @param {*} amount - Value from a request
+ * @returns {boolean} True if valid
+ */
+const isValidAmount = (amount) => (
+    typeof amount === 'number'
+    && Number.isFinite(amount)
+    && amount >= 0.01
+    && Math.abs(Math.round(amount * 100) - amount * 100) < 1e-6
+);
+
+/**
+ * Shares a dollar amount buys at a price, rounded down so the cost never exceeds the amount
+ * @param {number} amount - Dollars to spend or raise
+ * @param {number} price - Price per share
+ * @returns {number} Shares (0 if the amount is too small for one millionth of a share)
+ */
+const sharesForAmount = (amount, price) => Math.floor(amount / price * QUANTITY_SCALE + 1e-6) / QUANTITY_SCALE;
+
+/**
+ * Convert quantity columns to fixed-precision decimals and add the portfolio limit columns
+ * @returns {Promise<void>}
+ */
+const ensureOrderLimitColumns = async () => {
+    await db.ensureColumnType('holdings', 'quantity', QUANTITY_COLUMN, 'NOT NULL');
+    await db.ensureColumnType('transactions', 'quantity', QUANTITY_COLUMN, 'NOT NULL');
+
+    await db.ensureColumn('portfolios', 'maxOrderQuantity',
+        `${QUANTITY_COLUMN} NOT NULL DEFAULT ${DEFAULT_ORDER_LIMITS.maxOrderQuantity}`);
+    await db.ensureColumn('portfolios', 'maxOrderValue', 'DECIMAL(12, 2) NULL');
+    await db.ensureColumn('portfolios', 'maxPositionPercent', 'DECIMAL(5, 2) NULL');
+};
+
+/**
+ * Order limits from a portfolio row
+ * @param {Object} portfolio - Row with maxOrderQuantity, maxOrderValue and maxPositionPercent
+ * @returns {Object} { maxOrderQuantity, maxOrderValue, maxPositionPercent }, null meaning no limit
+ */
+const fromRow = (portfolio) => ({
+    maxOrderQuantity: Number(portfolio.maxOrderQuantity ?? DEFAULT_ORDER_LIMITS.maxOrderQuantity),
+    maxOrderValue: portfolio.maxOrderValue != null ? Number(portfolio.maxOrderValue) : null,
+    maxPositionPercent: portfolio.maxPositionPercent != null ? Number(portfolio.maxPositionPercent) : null
+});
+
+/**
+ * Load a portfolio's order limits
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Object>} fromRow() output (defaults if the portfolio doesn't exist)
+ */
+const getOrderLimits = async (connection, portfolioId) => {
+    const [portfolios] = await connection.query(
+        'SELECT maxOrderQuantity, maxOrderValue, maxPositionPercent FROM portfolios WHERE portfolioID = ?',
+        [portfolioId]
+    );
+
+    return fromRow(portfolios[0] || {});
+};
+
+/**
+ * Check an order's size against a portfolio's limits
+ * @param {Object} limits - fromRow() output
+ * @param {number} quantity - Shares
+ * @param {number|null} price - Expected price per share, or null if not known yet
+ * @returns {string|null} Error message, or null if within limits
+ */
+const validateOrderSize = (limits, quantity, price) => {
+    if (quantity > limits.maxOrderQuantity) {
+        return `Quantity must be at most ${limits.maxOrderQuantity} shares per order`;
+    }
+
+    if (limits.maxOrderValue !== null && price !== null && quantity * price > limits.maxOrderValue) {
+        return `Orders are limited to $${limits.maxOrderValue.toFixed(2)} in this portfolio`;
+    }
+
+    return null;
+};
+
+/**
+ * Check a dollar-amount order against a portfolio's limits before its share count is known
+ * @param {Object} limits - fromRow() output
+ * @param {number} amount - Dollars
+ * @returns {string|null} Error message, or null if within limits
+ */
+const validateOrderAmount = (limits, amount) => (
+    limits.maxOrderValue !== null && amount > limits.maxOrderValue
+        ? `Orders are limited to $${limits.maxOrderValue.toFixed(2)} in this portfolio`
+        : null
+);
+
+/**
+ * Check limit settings from a request; any of them may be omitted
+ * @param {Object} settings - { maxOrderQuantity, maxOrderValue, maxPositionPercent }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateLimitSettings = ({ maxOrderQuantity, maxOrderValue, maxPositionPercent }) => {
+    if (maxOrderQuantity !== undefined && !isValidQuantity(maxOrderQuantity)) {
+        return `maxOrderQuantity must be a positive number of shares with at most ${QUANTITY_DECIMALS} decimal places`;
+    }
+
+    if (maxOrderValue !== undefined && maxOrderValue !== null
+        && (typeof maxOrderValue !== 'number' || maxOrderValue <= 0)) {
+        return 'maxOrderValue must be a positive dollar amount or null';
+    }
+
+    if (maxPositionPercent !== undefined && maxPositionPercent !== null
+        && (typeof maxPositionPercent !== 'number' || maxPositionPercent <= 0 || maxPositionPercent > 100)) {
+        return 'maxPositionPercent must be a number between 0 and 100, or null';
+    }
+
+    return null;
+};
+
+module.exports = {
+    QUANTITY_DECIMALS,
+    QUANTITY_COLUMN,
+    DEFAULT_ORDER_LIMITS,
+    roundQuantity,
+    isValidQuantity,
+    isValidAmount,
+    sharesForAmount,
+    ensureOrderLimitColumns,
+    fromRow,
+    getOrderLimits,
+    validateOrderSize,
+    validateOrderAmount,
+    validateLimitSettings
+};
@@ -0,0 +1,165 @@
+// src/server/services/performance.js
+// Risk and return of a portfolio over time. Every daily close records each portfolio's
+// equity (after the day's fees, expiries and interest) in portfolio_values, with the net cash
+// deposited since the previous close; from those closes come daily returns
+//   r = (equity - deposits) / previous equity - 1
+// so money moved in or out isn't counted as gain or loss, and, with the owner's risk-free
+// rate rf from simulation_settings,
+//   Sharpe ratio = mean(r - rf / 252) / stdev(r - rf / 252) * sqrt(252)
+// annualized over 252 trading days.
+const db = require('../middleware/db');
+const marginAccount = require('./marginAccount');
+const cashInterest = require('./cashInterest');
+
+// Most daily closes a performance report looks back over (a trading year)
+const MAX_HISTORY_DAYS = 252;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Sample standard deviation
+const stdev = (values) => {
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Create the portfolio_values table
+ * @returns {Promise<void>}
+ */
+const ensurePerformanceTables = async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS portfolio_values (
+            portfolioID VARCHAR(64) NOT NULL,
+            tradingDate DATE NOT NULL,
+            equity DECIMAL(14, 2) NOT NULL,
+            cash DECIMAL(14, 2) NOT NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (portfolioID, tradingDate),
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE
+        )
+    `);
+
+    await db.ensureColumn('portfolio_values', 'netFlow', 'DECIMAL(14, 2) NOT NULL DEFAULT 0 AFTER cash');
+};
+
+/**
+ * Net cash deposited into a portfolio (less withdrawals) since its last close before a trading date
+ * @param {string} portfolioID - Portfolio ID
+ * @param {string} tradingDate - YYYY-MM-DD of the close being recorded
+ * @returns {Promise<number>} Dollars
+ */
+const netFlowSinceLastClose = async (portfolioID, tradingDate) => {
+    const [[flow]] = await db.query(
+        `SELECT COALESCE(SUM(t.totalValue), 0) AS netFlow
+         FROM transactions t
+         WHERE t.portfolioID = ? AND t.transactionType IN ('DEPOSIT', 'WITHDRAWAL')
+           AND t.timestamp > COALESCE((SELECT MAX(pv.createdAt) FROM portfolio_values pv
+                                       WHERE pv.portfolioID = ? AND pv.tradingDate < ?), '1970-01-01')`,
+        [portfolioID, portfolioID, tradingDate]
+    );
+
+    return Number(flow.netFlow);
+};
+
+/**
+ * Record every portfolio's closing equity for a trading date
+ * @param {string} tradingDate - YYYY-MM-DD of the session that just closed
+ * @returns {Promise<number>} Number of portfolios recorded
+ */
+const recordDailyValues = async (tradingDate) => {
+    const [portfolios] = await db.query('SELECT portfolioID FROM portfolios');
+
+    for (const { portfolioID } of portfolios) {
+        const account = await marginAccount.getAccount(db, portfolioID);
+        if (!account) continue;
+
+        const netFlow = await netFlowSinceLastClose(portfolioID, tradingDate);
+
+        await db.query(
+            `INSERT INTO portfolio_values (portfolioID, tradingDate, equity, cash, netFlow)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE equity = VALUES(equity), cash = VALUES(cash), netFlow = VALUES(netFlow)`,
+            [portfolioID, tradingDate, account.equity, account.cash, netFlow]
+        );
+    }
+
+    return portfolios.length;
+};
+
+/**
+ * Annualized return, volatility and Sharpe ratio of a series of closing values
+ * @param {Array<number>} values - Closing equity, oldest first
+ * @param {number} riskFreeRate - Annual risk-free rate as a fraction
+ * @param {Array<number>} [flows] - Net cash deposited before each close, in the same order
+ * @returns {Object} { annualReturn, annualVolatility, sharpeRatio }; null figures until
+ *                   there are enough closes to measure them
+ */
+const calculateRiskReturn = (values, riskFreeRate, flows = []) => {
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+        // A wiped-out portfolio has no return to measure from
+        if (values[i - 1] > 0) {
+            returns.push((values[i] - (flows[i] || 0)) / values[i - 1] - 1);
+        }
+    }
+
+    if (returns.length < 2) {
+        return { annualReturn: null, annualVolatility: null, sharpeRatio: null };
+    }
+
+    const dailyRiskFree = riskFreeRate / marginAccount.TRADING_DAYS_PER_YEAR;
+    const excessReturns = returns.map(value => value - dailyRiskFree);
+    const volatility = stdev(returns);
+    const excessVolatility = stdev(excessReturns);
+    const annualize = Math.sqrt(marginAccount.TRADING_DAYS_PER_YEAR);
+
+    return {
+        annualReturn: mean(returns) * marginAccount.TRADING_DAYS_PER_YEAR,
+        annualVolatility: volatility * annualize,
+        sharpeRatio: excessVolatility > 0 ? mean(excessReturns) / excessVolatility * annualize : null
+    };
+};
+
+/**
+ * A portfolio's daily closes and the risk and return measured from them
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Object>} { riskFreeRate, days, annualReturn, annualVolatility, sharpeRatio,
+ *                              values: [{ tradingDate, equity, cash, netFlow }] }
+ */
+const getPerformance = async (portfolioId) => {
+    const [rows] = await db.query(
+        `SELECT DATE_FORMAT(tradingDate, '%Y-%m-%d') AS tradingDate, equity, cash, netFlow
+         FROM portfolio_values
+         WHERE portfolioID = ?
+         ORDER BY tradingDate DESC
+         LIMIT ?`,
+        [portfolioId, MAX_HISTORY_DAYS + 1]
+    );
+
+    const values = rows.reverse().map(row => ({
+        tradingDate: row.tradingDate,
+        equity: Number(row.equity),
+        cash: Number(row.cash),
+        netFlow: Number(row.netFlow)
+    }));
+
+    const riskFreeRate = await cashInterest.getRiskFreeRate(db, portfolioId);
+    const figures = calculateRiskReturn(
+        values.map(value => value.equity), riskFreeRate, values.map(value => value.netFlow)
+    );
+
+    return {
+        riskFreeRate,
+        days: values.length,
+        ...figures,
+        values
+    };
+};
+
+module.exports = {
+    MAX_HISTORY_DAYS,
+    ensurePerformanceTables,
+    recordDailyValues,
+    calculateRiskReturn,
+    getPerformance
+};
@@ -0,0 +1,185 @@
+// src/server/services/priceModels.js
+// Pluggable stochastic price models used by the market engine. A model is
+//   { label, params: { name: { min, max, default, description } }, step(price, params, random, dt, shock) }
+// where dt is the tick length in trading days, params are already resolved (defaults
+// filled in) and shock is the standard normal diffusion draw - supplied by the factor
+// model when stocks move together, otherwise drawn from random. New models can be
+// added with registerModel().
+const { normal } = require('./random');
+
+// Poisson sample (Knuth); fine for the tiny per-tick intensities used here
+const poisson = (lambda, random) => {
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = random();
+
+    while (product > limit) {
+        count++;
+        product *= random();
+    }
+
+    return count;
+};
+
+const models = new Map();
+
+/**
+ * Register (or replace) a price model
+ * @param {string} name - Identifier stored in stocks.priceModel
+ * @param {Object} model - Model definition (label, params, step)
+ */
+const registerModel = (name, model) => {
+    models.set(name, model);
+};
+
+// Geometric Brownian motion: lognormal returns with constant drift and volatility
+registerModel('gbm', {
+    label: 'Geometric Brownian motion',
+    params: {
+        drift: { min: -0.05, max: 0.05, default: 0, description: 'Expected daily return' },
+        sigma: { min: 0.0001, max: 0.5, default: null, description: 'Daily volatility (defaults to the stock volatility)' }
+    },
+    step(price, { drift, sigma }, random, dt, shock = normal(random)) {
+        return price * Math.exp((drift - (sigma * sigma) / 2) * dt + sigma * Math.sqrt(dt) * shock);
+    }
+});
+
+// Merton jump-diffusion: GBM plus Poisson-timed lognormal jumps (fat tails, sudden shocks)
+registerModel('jump_diffusion', {
+    label: 'Merton jump-diffusion',
+    params: {
+        drift: { min: -0.05, max: 0.05, default: 0, description: 'Expected daily return' },
+        sigma: { min: 0.0001, max: 0.5, default: null, description: 'Daily diffusion volatility (defaults to the stock volatility)' },
+        jumpIntensity: { min: 0, max: 10, default: 0.1, description: 'Expected jumps per day' },
+        jumpMean: { min: -0.5, max: 0.5, default: -0.02, description: 'Mean log jump size' },
+        jumpStdDev: { min: 0, max: 0.5, default: 0.05, description: 'Standard deviation of log jump size' }
+    },
+    step(price, { drift, sigma, jumpIntensity, jumpMean, jumpStdDev }, random, dt, shock = normal(random)) {
+        // Compensate the drift so jumps don't change the expected return
+        const expectedJump = Math.exp(jumpMean + (jumpStdDev * jumpStdDev) / 2) - 1;
+        const diffusion = (drift - jumpIntensity * expectedJump - (sigma * sigma) / 2) * dt
+            + sigma * Math.sqrt(dt) * shock;
+
+        let jumps = 0;
+        const jumpCount = poisson(jumpIntensity * dt, random);
+        for (let i = 0; i < jumpCount; i++) {
+            jumps += jumpMean + jumpStdDev * normal(random);
+        }
+
+        return price * Math.exp(diffusion + jumps);
+    }
+});
+
+// Exponential Ornstein-Uhlenbeck: log price is pulled back towards a long-run level
+registerModel('mean_reverting', {
+    label: 'Mean-reverting (exponential Ornstein-Uhlenbeck)',
+    params: {
+        theta: { min: 0, max: 50, default: 2, description: 'Reversion speed per day' },
+        mu: { min: 0.01, max: 1000000, default: null, description: 'Long-run price level (defaults to the price when the stock was created)' },
+        sigma: { min: 0.0001, max: 0.5, default: null, description: 'Daily volatility (defaults to the stock volatility)' }
+    },
+    step(price, { theta, mu, sigma }, random, dt, shock = normal(random)) {
+        const logPrice = Math.log(price);
+        const nextLogPrice = logPrice + theta * (Math.log(mu) - logPrice) * dt + sigma * Math.sqrt(dt) * shock;
+        return Math.exp(nextLogPrice);
+    }
+});
+
+const DEFAULT_MODEL = 'gbm';
+
+/**
+ * Look up a model
+ * @param {string} name - Model identifier
+ * @returns {Object|null} Model definition, or null if unknown
+ */
+const getModel = (name) => models.get(name) || null;
+
+/**
+ * Describe the available models and their parameters (for API clients)
+ * @returns {Array<Object>} [{ name, label, params }]
+ */
+const listModels = () => Array.from(models, ([name, model]) => ({
+    name,
+    label: model.label,
+    params: model.params
+}));
+
+/**
+ * Check a model name and parameter object
+ * @param {string} name - Model identifier
+ * @param {Object} params - Parameters to validate (may omit any to use defaults)
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateModelConfig = (name, params = {}) => {
+    const model = getModel(name);
+    if (!model) {
+        return `Price model must be one of: ${Array.from(models.keys()).join(', ')}`;
+    }
+
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        return 'Model parameters must be an object';
+    }
+
+    for (const [key, value] of Object.entries(params)) {
+        const spec = model.params[key];
+        if (!spec) {
+            return `Unknown parameter "${key}" for price model ${name}`;
+        }
+
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < spec.min || value > spec.max) {
+            return `Parameter "${key}" must be a number between ${spec.min} and ${spec.max}`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Fill in defaults for any parameters a stock doesn't set
+ * @param {Object} model - Model definition
+ * @param {Object} params - Stored parameters
+ * @param {Object} stock - Stock row (volatility and marketPrice are used as fallbacks)
+ * @returns {Object} Complete parameter set
+ */
+const resolveParams = (model, params, stock) => {
+    const resolved = {};
+
+    for (const [key, spec] of Object.entries(model.params)) {
+        if (params && typeof params[key] === 'number') {
+            resolved[key] = params[key];
+        } else if (spec.default !== null) {
+            resolved[key] = spec.default;
+        } else if (key === 'sigma') {
+            resolved[key] = Number(stock.volatility);
+        } else if (key === 'mu') {
+            resolved[key] = Number(stock.marketPrice);
+        }
+    }
+
+    return resolved;
+};
+
+/**
+ * Advance a stock's price by one tick using its configured model
+ * @param {Object} stock - Row with marketPrice, volatility, priceModel and modelParams
+ * @param {Function} random - Seeded generator from random.createRandom()
+ * @param {number} dt - Tick length in trading days
+ * @param {number} [shock] - Standard normal diffusion draw; drawn from random if omitted
+ * @returns {number} New (unrounded) price
+ */
+const step = (stock, random, dt, shock) => {
+    const model = getModel(stock.priceModel) || getModel(DEFAULT_MODEL);
+    const params = typeof stock.modelParams === 'string' ? JSON.parse(stock.modelParams) : stock.modelParams;
+
+    return model.step(Number(stock.marketPrice), resolveParams(model, params, stock), random, dt, shock);
+};
+
+module.exports = {
+    DEFAULT_MODEL,
+    registerModel,
+    getModel,
+    listModels,
+    validateModelConfig,
+    resolveParams,
+    step
+};
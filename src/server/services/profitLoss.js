@@ -0,0 +1,122 @@
+// src/server/services/profitLoss.js
+// Realized and unrealized profit and loss. Realized P&L is the ledger of lot closings that
+// every sell (and buy to cover) writes, net of fees, and can be limited to a range of closing
+// dates; unrealized P&L is what the lots still open would gain or lose at current prices.
+const orderLimits = require('./orderLimits');
+const taxLots = require('./taxLots');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check a from/to date range from a request
+ * @param {Object} range - { from, to }, each YYYY-MM-DD and optional
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRange = ({ from, to }) => {
+    for (const [name, date] of [['from', from], ['to', to]]) {
+        if (date !== undefined && (typeof date !== 'string' || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date)))) {
+            return `${name} must be a date in YYYY-MM-DD format`;
+        }
+    }
+
+    if (from !== undefined && to !== undefined && from > to) {
+        return 'from must not be after to';
+    }
+
+    return null;
+};
+
+/**
+ * A portfolio's realized, unrealized and total P&L per symbol and overall
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @param {Object} [range] - { from, to }: closing dates, inclusive, that count toward realized P&L
+ * @returns {Promise<Object>} { from, to, symbols: [{ symbol, companyName, quantity, costBasis,
+ *                              marketValue, realized, shortTerm, longTerm, unrealized, total }], totals }
+ */
+const getProfitLoss = async (connection, portfolioId, { from, to } = {}) => {
+    const conditions = ['lc.portfolioID = ?'];
+    const params = [portfolioId];
+
+    if (from !== undefined) {
+        conditions.push('lc.closedDate >= ?');
+        params.push(from);
+    }
+    if (to !== undefined) {
+        conditions.push('lc.closedDate <= ?');
+        params.push(to);
+    }
+
+    const [closings] = await connection.query(
+        `SELECT s.symbol, s.companyName,
+                SUM(lc.realizedGain) AS realized,
+                SUM(CASE WHEN lc.term = 'short' THEN lc.realizedGain ELSE 0 END) AS shortTerm,
+                SUM(CASE WHEN lc.term = 'long' THEN lc.realizedGain ELSE 0 END) AS longTerm
+         FROM lot_closings lc
+         JOIN stocks s ON s.stockID = lc.stockID
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY lc.stockID, s.symbol, s.companyName`,
+        params
+    );
+
+    const symbols = new Map();
+    const entry = (symbol, companyName) => {
+        if (!symbols.has(symbol)) {
+            symbols.set(symbol, {
+                symbol, companyName, quantity: 0, costBasis: 0, marketValue: 0,
+                realized: 0, shortTerm: 0, longTerm: 0, unrealized: 0
+            });
+        }
+        return symbols.get(symbol);
+    };
+
+    for (const row of closings) {
+        const pnl = entry(row.symbol, row.companyName);
+        pnl.realized = roundCents(Number(row.realized));
+        pnl.shortTerm = roundCents(Number(row.shortTerm));
+        pnl.longTerm = roundCents(Number(row.longTerm));
+    }
+
+    for (const lot of await taxLots.getOpenLots(connection, portfolioId)) {
+        const pnl = entry(lot.symbol, lot.companyName);
+        pnl.quantity += lot.quantity;
+        pnl.costBasis += lot.costBasis;
+        pnl.marketValue += lot.marketValue;
+        pnl.unrealized += lot.unrealizedGain;
+    }
+
+    const rows = [...symbols.values()]
+        .map(pnl => ({
+            ...pnl,
+            quantity: orderLimits.roundQuantity(pnl.quantity),
+            costBasis: roundCents(pnl.costBasis),
+            marketValue: roundCents(pnl.marketValue),
+            unrealized: roundCents(pnl.unrealized),
+            total: roundCents(pnl.realized + pnl.unrealized)
+        }))
+        .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    const sum = (field) => roundCents(rows.reduce((total, row) => total + row[field], 0));
+
+    return {
+        from: from || null,
+        to: to || null,
+        symbols: rows,
+        totals: {
+            costBasis: sum('costBasis'),
+            marketValue: sum('marketValue'),
+            realized: sum('realized'),
+            shortTerm: sum('shortTerm'),
+            longTerm: sum('longTerm'),
+            unrealized: sum('unrealized'),
+            total: sum('total')
+        }
+    };
+};
+
+module.exports = {
+    validateRange,
+    getProfitLoss
+};
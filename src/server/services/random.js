@@ -0,0 +1,76 @@
+// src/server/services/random.js
+// Seedable pseudo-random numbers so a simulated market can be replayed from its seed
+
+/**
+ * Hash any mix of strings/numbers into a 32-bit seed (FNV-1a)
+ * @param {...(string|number)} parts - Values to combine, e.g. a session seed and a stock ID
+ * @returns {number} Unsigned 32-bit seed
+ */
+const hashSeed = (...parts) => {
+    const text = parts.join(':');
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+};
+
+/**
+ * Create a generator returning floats in [0, 1), like Math.random (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Random number generator
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Draw a standard normal variate (Box-Muller)
+ * @param {Function} random - Generator from createRandom()
+ * @returns {number} Sample from N(0, 1)
+ */
+const normal = (random) => {
+    const u = 1 - random(); // (0, 1] so the log is finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Generator for one named stream of a seed (e.g. a user's seed and 'history', symbol),
+ * so each consumer gets the same numbers regardless of what else drew from the seed
+ * @param {string|number|null} seed - Seed, or null/undefined for unseeded Math.random
+ * @param {...(string|number)} parts - Stream name parts
+ * @returns {Function} Random number generator
+ */
+const streamRandom = (seed, ...parts) => {
+    if (seed === null || seed === undefined || seed === '') {
+        return Math.random;
+    }
+
+    return createRandom(hashSeed(seed, ...parts));
+};
+
+/**
+ * Generate a fresh seed for a new session
+ * @returns {number} Unsigned 32-bit seed
+ */
+const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+module.exports = {
+    hashSeed,
+    createRandom,
+    normal,
+    streamRandom,
+    randomSeed
+};
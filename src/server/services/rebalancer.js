@@ -0,0 +1,431 @@
+// src/server/services/rebalancer.js
+// Target-allocation rebalancing. A portfolio may set target weights, as percentages of its
+// long holdings plus cash, either per symbol or per sector, with a drift threshold in
+// percentage points. A plan prices the trades that bring every holding back to target
+// against the order books, with their fees and market impact, and is executed as one basket
+// so it fills in full or not at all. In sector mode a sector's target is shared by the
+// holdings already in it in proportion to their value, and a sector with no holdings is
+// bought through its system sector fund. Weights under 100% leave the rest in cash; short
+// positions and options are left as they are.
+const db = require('../middleware/db');
+const orderLimits = require('./orderLimits');
+const costModel = require('./costModel');
+const orderBook = require('./orderBook');
+const tradeService = require('./tradeService');
+const basketOrders = require('./basketOrders');
+
+const ALLOCATION_TYPES = ['symbol', 'sector'];
+
+// Percentage points a weight may drift from target before the portfolio needs rebalancing
+const DEFAULT_DRIFT_THRESHOLD = 5;
+
+// Trades worth less than this are left out of a plan
+const MIN_TRADE_VALUE = 1;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Add the allocation columns to portfolios and create the allocation_targets table
+ * @returns {Promise<void>}
+ */
+const ensureRebalanceTables = async () => {
+    await db.ensureColumn('portfolios', 'allocationType', "ENUM('symbol', 'sector') NULL AFTER lotMethod");
+    await db.ensureColumn('portfolios', 'driftThreshold',
+        `DECIMAL(5, 2) NOT NULL DEFAULT ${DEFAULT_DRIFT_THRESHOLD} AFTER allocationType`);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS allocation_targets (
+            portfolioID VARCHAR(64) NOT NULL,
+            targetKey VARCHAR(100) NOT NULL,
+            weight DECIMAL(6, 3) NOT NULL,
+            PRIMARY KEY (portfolioID, targetKey),
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE
+        )
+    `);
+};
+
+/**
+ * Check a target allocation from a request
+ * @param {Object} allocation - { allocationType, driftThreshold, targets: [{ key, weight }] }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateAllocation = ({ allocationType, driftThreshold, targets }) => {
+    if (!ALLOCATION_TYPES.includes(allocationType)) {
+        return `Allocation type must be one of: ${ALLOCATION_TYPES.join(', ')}`;
+    }
+
+    if (driftThreshold !== undefined
+        && (typeof driftThreshold !== 'number' || !(driftThreshold > 0) || driftThreshold > 100)) {
+        return 'Drift threshold must be between 0 and 100 percentage points';
+    }
+
+    if (!Array.isArray(targets) || targets.length === 0) {
+        return 'targets must be a list of { key, weight }';
+    }
+
+    const keys = new Set();
+    let total = 0;
+
+    for (const target of targets) {
+        const { key, weight } = target || {};
+
+        if (typeof key !== 'string' || key.trim() === '' || key.length > 100) {
+            return `Each target needs a ${allocationType}`;
+        }
+
+        if (typeof weight !== 'number' || !(weight > 0) || weight > 100) {
+            return `${key}: weight must be a percentage above 0 and at most 100`;
+        }
+
+        if (keys.has(key)) {
+            return `${key} appears in more than one target`;
+        }
+        keys.add(key);
+        total += weight;
+    }
+
+    if (total > 100 + 1e-9) {
+        return `Target weights add up to ${roundWeight(total)}%; they can total at most 100%`;
+    }
+
+    return null;
+};
+
+/**
+ * A portfolio's target allocation
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Object>} { allocationType (null if none is set), driftThreshold, targets: [{ key, weight }] }
+ */
+const getAllocation = async (connection, portfolioId) => {
+    const [[portfolio]] = await connection.query(
+        'SELECT allocationType, driftThreshold FROM portfolios WHERE portfolioID = ?',
+        [portfolioId]
+    );
+
+    const [targets] = await connection.query(
+        'SELECT targetKey, weight FROM allocation_targets WHERE portfolioID = ? ORDER BY weight DESC, targetKey',
+        [portfolioId]
+    );
+
+    return {
+        allocationType: portfolio.allocationType,
+        driftThreshold: Number(portfolio.driftThreshold),
+        targets: targets.map(target => ({ key: target.targetKey, weight: Number(target.weight) }))
+    };
+};
+
+/**
+ * Replace a portfolio's target allocation. Must be called inside db.transaction().
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {string} portfolioId - Portfolio ID
+ * @param {Object} allocation - validateAllocation()-checked { allocationType, driftThreshold, targets }
+ * @returns {Promise<void>}
+ */
+const setAllocation = async (connection, portfolioId, { allocationType, driftThreshold, targets }) => {
+    await connection.query(
+        'UPDATE portfolios SET allocationType = ?, driftThreshold = COALESCE(?, driftThreshold) WHERE portfolioID = ?',
+        [allocationType, driftThreshold ?? null, portfolioId]
+    );
+
+    await connection.query('DELETE FROM allocation_targets WHERE portfolioID = ?', [portfolioId]);
+    await connection.query(
+        'INSERT INTO allocation_targets (portfolioID, targetKey, weight) VALUES ?',
+        [targets.map(target => [portfolioId, target.key, target.weight])]
+    );
+};
+
+/**
+ * Remove a portfolio's target allocation
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<void>}
+ */
+const clearAllocation = async (connection, portfolioId) => {
+    await connection.query('UPDATE portfolios SET allocationType = NULL WHERE portfolioID = ?', [portfolioId]);
+    await connection.query('DELETE FROM allocation_targets WHERE portfolioID = ?', [portfolioId]);
+};
+
+// The system fund a sector with no holdings is bought through, or null
+const sectorFund = async (connection, sector) => {
+    const [funds] = await connection.query(
+        `SELECT s.stockID, s.symbol, s.sector, s.marketPrice
+         FROM funds f
+         JOIN stocks s ON s.stockID = f.stockID
+         WHERE f.fundType = 'sector' AND f.sector = ? AND s.userID IS NULL
+         LIMIT 1`,
+        [sector]
+    );
+
+    return funds[0] || null;
+};
+
+// Price a leg against the book: the average fill, what the spread and depth cost, and the fees
+const priceLeg = async (connection, settings, leg) => {
+    const book = await orderBook.getBook(connection, { stockID: leg.stockID, quotePrice: leg.price }, settings);
+    const fill = orderBook.walkBook(book, leg.transactionType, leg.quantity);
+    const fillPrice = fill.quantity > 0 ? fill.averagePrice : leg.price;
+    const { fee } = costModel.calculateFees(settings, leg.quantity, fillPrice);
+
+    return {
+        ...leg,
+        estimatedPrice: roundCents(fillPrice),
+        value: roundCents(leg.quantity * fillPrice),
+        fee,
+        marketImpact: roundCents(Math.abs(fillPrice - leg.price) * leg.quantity),
+        fillable: fill.quantity >= leg.quantity
+    };
+};
+
+// Price legs one after another on the same connection
+const priceLegs = async (connection, settings, legs) => {
+    const priced = [];
+    for (const leg of legs) {
+        priced.push(await priceLeg(connection, settings, leg));
+    }
+    return priced;
+};
+
+/**
+ * Work out the trades that bring a portfolio back to its target allocation
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Object>} { allocationType, driftThreshold, cash, baseValue, maxDrift, needsRebalance,
+ *                              allocations: [{ key, targetWeight, currentWeight, drift, currentValue,
+ *                              targetValue }], legs, unfilled, estimatedFees, estimatedImpact,
+ *                              estimatedCosts, cashAfter }
+ */
+const planRebalance = async (connection, portfolioId) => {
+    const allocation = await getAllocation(connection, portfolioId);
+    if (!allocation.allocationType || allocation.targets.length === 0) {
+        throw tradeService.tradeError('This portfolio has no target allocation', 409);
+    }
+
+    const [[portfolio]] = await connection.query(
+        'SELECT userID, balance FROM portfolios WHERE portfolioID = ?',
+        [portfolioId]
+    );
+    const cash = Number(portfolio.balance);
+
+    const [holdings] = await connection.query(
+        `SELECT h.stockID, s.symbol, s.sector, h.quantity, s.marketPrice
+         FROM holdings h
+         JOIN stocks s ON s.stockID = h.stockID
+         WHERE h.portfolioID = ? AND h.quantity > 0`,
+        [portfolioId]
+    );
+
+    // Every position the plan may trade, by symbol
+    const positions = new Map(holdings.map(holding => [holding.symbol, {
+        stockID: holding.stockID,
+        symbol: holding.symbol,
+        sector: holding.sector,
+        quantity: Number(holding.quantity),
+        price: Number(holding.marketPrice),
+        value: Number(holding.quantity) * Number(holding.marketPrice),
+        targetValue: 0
+    }]));
+    const addPosition = (stock) => {
+        if (!positions.has(stock.symbol)) {
+            positions.set(stock.symbol, {
+                stockID: stock.stockID,
+                symbol: stock.symbol,
+                sector: stock.sector,
+                quantity: 0,
+                price: Number(stock.marketPrice),
+                value: 0,
+                targetValue: 0
+            });
+        }
+        return positions.get(stock.symbol);
+    };
+
+    const baseValue = cash + [...positions.values()].reduce((total, position) => total + position.value, 0);
+    if (baseValue <= 0) {
+        throw tradeService.tradeError('The portfolio has no value to allocate', 409);
+    }
+
+    const keyOf = position => (allocation.allocationType === 'symbol' ? position.symbol : position.sector || 'Unclassified');
+    const unfilled = [];
+
+    if (allocation.allocationType === 'symbol') {
+        const symbols = allocation.targets.map(target => target.key);
+        const [stocks] = await connection.query(
+            `SELECT stockID, symbol, sector, marketPrice FROM stocks
+             WHERE symbol IN (?) AND (userID IS NULL OR userID = ?)`,
+            [symbols, portfolio.userID]
+        );
+        stocks.forEach(addPosition);
+
+        for (const target of allocation.targets) {
+            if (positions.has(target.key)) {
+                positions.get(target.key).targetValue = baseValue * target.weight / 100;
+            } else {
+                unfilled.push({ key: target.key, reason: 'Stock not found' });
+            }
+        }
+    } else {
+        for (const target of allocation.targets) {
+            let members = [...positions.values()].filter(position => position.sector === target.key && position.quantity > 0);
+
+            if (members.length === 0) {
+                const fund = await sectorFund(connection, target.key);
+                if (!fund) {
+                    unfilled.push({ key: target.key, reason: 'No holdings or sector fund in this sector' });
+                    continue;
+                }
+                members = [addPosition(fund)];
+            }
+
+            const sectorValue = members.reduce((total, position) => total + position.value, 0);
+            for (const position of members) {
+                const share = sectorValue > 0 ? position.value / sectorValue : 1 / members.length;
+                position.targetValue = baseValue * target.weight / 100 * share;
+            }
+        }
+    }
+
+    // Drift of each target, and of anything held outside the targets (whose target is 0)
+    const weights = new Map(allocation.targets.map(target => [target.key, { targetWeight: target.weight, currentValue: 0 }]));
+    for (const position of positions.values()) {
+        if (position.value === 0) continue;
+        const key = keyOf(position);
+        if (!weights.has(key)) {
+            weights.set(key, { targetWeight: 0, currentValue: 0 });
+        }
+        weights.get(key).currentValue += position.value;
+    }
+
+    const allocations = [...weights.entries()].map(([key, { targetWeight, currentValue }]) => {
+        const currentWeight = currentValue / baseValue * 100;
+        return {
+            key,
+            targetWeight,
+            currentWeight: roundWeight(currentWeight),
+            drift: roundWeight(currentWeight - targetWeight),
+            currentValue: roundCents(currentValue),
+            targetValue: roundCents(baseValue * targetWeight / 100)
+        };
+    });
+    const maxDrift = allocations.reduce((max, row) => Math.max(max, Math.abs(row.drift)), 0);
+
+    // Size the trades at the quotes, then price them against the books
+    const settings = await costModel.getCostSettings(connection, portfolioId);
+    const sells = [];
+    const buys = [];
+
+    for (const position of positions.values()) {
+        const change = position.targetValue - position.value;
+        if (Math.abs(change) < MIN_TRADE_VALUE) continue;
+
+        if (change < 0) {
+            const quantity = position.targetValue === 0
+                ? position.quantity
+                : Math.min(position.quantity, orderLimits.sharesForAmount(-change, position.price));
+            if (quantity > 0) sells.push({ ...position, transactionType: 'SELL', quantity });
+        } else {
+            const quantity = orderLimits.sharesForAmount(change, position.price);
+            if (quantity > 0) buys.push({ ...position, transactionType: 'BUY', quantity });
+        }
+    }
+
+    const pricedSells = await priceLegs(connection, settings, sells);
+    let pricedBuys = await priceLegs(connection, settings, buys);
+
+    // Trim the buys when what the sells raise, less costs, can't pay for them
+    const sum = (legs, value) => legs.reduce((total, leg) => total + value(leg), 0);
+    const available = cash + sum(pricedSells, leg => leg.value - leg.fee);
+    const needed = sum(pricedBuys, leg => leg.value + leg.fee);
+    if (needed > Math.max(available, 0)) {
+        const scale = Math.max(available, 0) / needed;
+        pricedBuys = await priceLegs(connection, settings, pricedBuys
+            .map(leg => ({ ...leg, quantity: orderLimits.sharesForAmount(leg.quantity * leg.price * scale, leg.price) }))
+            .filter(leg => leg.quantity > 0 && leg.quantity * leg.price >= MIN_TRADE_VALUE));
+    }
+
+    const legs = [...pricedSells, ...pricedBuys].map(leg => ({
+        symbol: leg.symbol,
+        stockID: leg.stockID,
+        transactionType: leg.transactionType,
+        quantity: leg.quantity,
+        quotePrice: leg.price,
+        estimatedPrice: leg.estimatedPrice,
+        value: leg.value,
+        fee: leg.fee,
+        marketImpact: leg.marketImpact,
+        fillable: leg.fillable
+    }));
+
+    const estimatedFees = roundCents(sum(legs, leg => leg.fee));
+    const estimatedImpact = roundCents(sum(legs, leg => leg.marketImpact));
+    const cashAfter = roundCents(cash
+        + sum(legs, leg => (leg.transactionType === 'SELL' ? leg.value : -leg.value)) - estimatedFees);
+
+    return {
+        allocationType: allocation.allocationType,
+        driftThreshold: allocation.driftThreshold,
+        cash: roundCents(cash),
+        baseValue: roundCents(baseValue),
+        maxDrift: roundWeight(maxDrift),
+        needsRebalance: maxDrift > allocation.driftThreshold,
+        allocations,
+        legs,
+        unfilled,
+        estimatedFees,
+        estimatedImpact,
+        estimatedCosts: roundCents(estimatedFees + estimatedImpact),
+        cashAfter
+    };
+};
+
+/**
+ * Plan a rebalance and trade it as one basket. Must be called inside db.transaction(); on
+ * success the caller passes the basket to basketOrders.recordFills() once it has committed.
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} params
+ * @param {string} params.portfolioId - Portfolio ID
+ * @param {Object} params.limits - The portfolio's order limits (orderLimits.fromRow() output)
+ * @param {boolean} [params.force] - Rebalance even if no weight has drifted past the threshold
+ * @returns {Promise<Object>} { plan: planRebalance() output, basket: executeBasket() output }
+ */
+const executeRebalance = async (connection, { portfolioId, limits, force = false }) => {
+    const plan = await planRebalance(connection, portfolioId);
+
+    if (!plan.needsRebalance && !force) {
+        throw tradeService.tradeError(
+            `No weight has drifted more than ${plan.driftThreshold} points from target (largest drift ${plan.maxDrift})`, 409
+        );
+    }
+
+    if (plan.legs.length === 0) {
+        throw tradeService.tradeError('The portfolio is already at its target allocation', 409);
+    }
+
+    const legs = plan.legs.map(leg => ({
+        symbol: leg.symbol,
+        stockID: leg.stockID,
+        transactionType: leg.transactionType,
+        quantity: leg.quantity
+    }));
+
+    const legsError = basketOrders.validateLegs(legs);
+    if (legsError) {
+        throw tradeService.tradeError(legsError);
+    }
+
+    const basket = await basketOrders.executeBasket(connection, { portfolioId, limits, legs });
+    return { plan, basket };
+};
+
+module.exports = {
+    ALLOCATION_TYPES,
+    DEFAULT_DRIFT_THRESHOLD,
+    ensureRebalanceTables,
+    validateAllocation,
+    getAllocation,
+    setAllocation,
+    clearAllocation,
+    planRebalance,
+    executeRebalance
+};
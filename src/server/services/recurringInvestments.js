@@ -0,0 +1,354 @@
+// src/server/services/recurringInvestments.js
+// Recurring investments (dollar-cost averaging): "buy $25 of MSFT every week". A schedule
+// is due on a simulated trading date; a node-cron job checks for due schedules while the
+// regular session is open and buys each one's dollar amount at market through the same
+// trade logic as POST /api/transactions. A run that can't trade (insufficient funds, a
+// halt, an order limit) is skipped and the owner notified; either way the schedule moves
+// on to its next date. Every run is kept in schedule_runs.
+// A schedule can move cash instead of buying: a recurring deposit ("paycheck") or withdrawal
+// goes through the cash ledger like a one-off one, and has no stock.
+const cron = require('node-cron');
+const db = require('../middleware/db');
+const tradeService = require('./tradeService');
+const eventStream = require('./eventStream');
+const marketClock = require('./marketClock');
+const orderLimits = require('./orderLimits');
+const cashLedger = require('./cashLedger');
+const orderBook = require('./orderBook');
+
+const SCHEDULE_TYPES = ['buy', 'deposit', 'withdrawal'];
+
+const FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly'];
+
+const STATUSES = ['active', 'paused'];
+
+// How often due schedules are looked for (every 5 seconds)
+const CRON_EXPRESSION = '*/5 * * * * *';
+
+let task = null;
+let isRunning = false;
+
+/**
+ * Create the investment_schedules and schedule_runs tables
+ * @returns {Promise<void>}
+ */
+const ensureScheduleTables = async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS investment_schedules (
+            scheduleID INT AUTO_INCREMENT PRIMARY KEY,
+            userID INT NOT NULL,
+            portfolioID VARCHAR(64) NOT NULL,
+            stockID INT NOT NULL,
+            amount DECIMAL(12, 2) NOT NULL,
+            frequency ENUM('daily', 'weekly', 'biweekly', 'monthly') NOT NULL,
+            status ENUM('active', 'paused') NOT NULL DEFAULT 'active',
+            nextRunDate DATE NOT NULL,
+            lastRunDate DATE NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (userID) REFERENCES users(userID) ON DELETE CASCADE,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            INDEX (status, nextRunDate),
+            INDEX (userID)
+        )
+    `);
+
+    // Deposit and withdrawal schedules have no stock
+    await db.ensureColumn('investment_schedules', 'scheduleType',
+        "ENUM('buy', 'deposit', 'withdrawal') NOT NULL DEFAULT 'buy' AFTER portfolioID");
+    await db.ensureColumnType('investment_schedules', 'stockID', 'INT');
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schedule_runs (
+            runID INT AUTO_INCREMENT PRIMARY KEY,
+            scheduleID INT NOT NULL,
+            tradingDate DATE NOT NULL,
+            status ENUM('filled', 'skipped', 'failed') NOT NULL,
+            amount DECIMAL(12, 2) NOT NULL,
+            quantity ${orderLimits.QUANTITY_COLUMN} NULL,
+            price DECIMAL(12, 2) NULL,
+            fee DECIMAL(12, 2) NULL,
+            transactionID VARCHAR(64) NULL,
+            reason VARCHAR(255) NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (scheduleID) REFERENCES investment_schedules(scheduleID) ON DELETE CASCADE,
+            UNIQUE KEY (scheduleID, tradingDate)
+        )
+    `);
+};
+
+/**
+ * Check schedule fields from a request; any of them may be omitted
+ * @param {Object} schedule - { scheduleType, amount, frequency, status, nextRunDate }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSchedule = ({ scheduleType, amount, frequency, status, nextRunDate }) => {
+    if (scheduleType !== undefined && !SCHEDULE_TYPES.includes(scheduleType)) {
+        return `scheduleType must be one of: ${SCHEDULE_TYPES.join(', ')}`;
+    }
+
+    if (amount !== undefined && !orderLimits.isValidAmount(amount)) {
+        return 'Amount must be a dollar amount of at least $0.01';
+    }
+
+    if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+        return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+    }
+
+    if (status !== undefined && !STATUSES.includes(status)) {
+        return `status must be one of: ${STATUSES.join(', ')}`;
+    }
+
+    if (nextRunDate !== undefined) {
+        if (typeof nextRunDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(nextRunDate) || Number.isNaN(Date.parse(nextRunDate))) {
+            return 'nextRunDate must be a date in YYYY-MM-DD format';
+        }
+
+        const today = marketClock.getTradingDate();
+        if (today && nextRunDate < today) {
+            return `nextRunDate can't be before the current trading date (${today})`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * The date a schedule runs after a given one
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} frequency - One of FREQUENCIES
+ * @returns {string} YYYY-MM-DD
+ */
+const advanceDate = (date, frequency) => {
+    const next = new Date(`${date}T00:00:00Z`);
+
+    if (frequency === 'monthly') {
+        // The 31st runs on the last day of shorter months
+        const day = next.getUTCDate();
+        next.setUTCDate(1);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+        next.setUTCDate(Math.min(day, daysInMonth));
+    } else {
+        next.setUTCDate(next.getUTCDate() + { daily: 1, weekly: 7, biweekly: 14 }[frequency]);
+    }
+
+    return marketClock.formatDate(next);
+};
+
+/**
+ * The first run date after a trading date; runs missed while the server was down aren't made up
+ * @param {string} scheduledDate - YYYY-MM-DD the schedule was due
+ * @param {string} frequency - One of FREQUENCIES
+ * @param {string} tradingDate - YYYY-MM-DD it ran on
+ * @returns {string} YYYY-MM-DD
+ */
+const nextRunAfter = (scheduledDate, frequency, tradingDate) => {
+    let next = advanceDate(scheduledDate, frequency);
+    while (next <= tradingDate) {
+        next = advanceDate(next, frequency);
+    }
+    return next;
+};
+
+/**
+ * Push a schedule run to the owner's event stream
+ * @param {Object} schedule - Schedule row with scheduleID, userID, portfolioID, scheduleType and symbol
+ * @param {Object} run - { status, amount, quantity, price, reason, nextRunDate }
+ */
+const publishRun = (schedule, run) => {
+    eventStream.publish('schedule', {
+        scheduleId: schedule.scheduleID,
+        portfolioId: schedule.portfolioID,
+        scheduleType: schedule.scheduleType,
+        symbol: schedule.symbol,
+        ...run
+    }, schedule.userID);
+};
+
+/**
+ * Buy a due buy schedule's amount at market
+ * @param {Object} schedule - Schedule row
+ * @param {number} amount - Dollars to buy
+ * @returns {Promise<Object>} The filled run
+ */
+const buyScheduled = async (schedule, amount) => {
+    const trade = await db.transaction(async (connection) => {
+        const price = await tradeService.getMarketPrice(connection, schedule.stockID);
+
+        const quantity = orderLimits.sharesForAmount(amount, price);
+        const limitError = quantity > 0
+            ? orderLimits.validateOrderSize(await orderLimits.getOrderLimits(connection, schedule.portfolioID), quantity, price)
+            : 'Amount is too small to trade any shares';
+        if (limitError) {
+            throw tradeService.tradeError(limitError);
+        }
+
+        return tradeService.executeTrade(connection, {
+            portfolioId: schedule.portfolioID,
+            stockID: schedule.stockID,
+            transactionType: 'BUY',
+            quantity,
+            price
+        });
+    });
+
+    orderBook.recordFill(schedule.stockID, 'BUY', trade.quantity);
+
+    return {
+        status: 'filled',
+        amount,
+        quantity: trade.quantity,
+        price: trade.price,
+        fee: trade.fee,
+        transactionID: trade.transactionID,
+        reason: trade.partial ? `Partly filled: the order book had ${trade.quantity} of ${trade.requestedQuantity} shares` : null
+    };
+};
+
+/**
+ * Deposit or withdraw a due cash schedule's amount
+ * @param {Object} schedule - Schedule row
+ * @param {number} amount - Dollars to move
+ * @returns {Promise<Object>} The filled run
+ */
+const transferScheduled = async (schedule, amount) => {
+    const transfer = await db.transaction(connection => cashLedger.recordTransfer(connection, {
+        portfolioId: schedule.portfolioID,
+        type: schedule.scheduleType === 'deposit' ? 'DEPOSIT' : 'WITHDRAWAL',
+        amount
+    }));
+
+    return {
+        status: 'filled',
+        amount,
+        quantity: null,
+        price: null,
+        fee: null,
+        transactionID: transfer.transactionID,
+        reason: null
+    };
+};
+
+/**
+ * Buy a due schedule's amount at market, or deposit or withdraw it, and record the run. The
+ * schedule is moved to its next date first, so a run can't happen twice even if it fails.
+ * @param {Object} schedule - Schedule row (nextRunDate as YYYY-MM-DD) joined with the stock's symbol
+ * @param {string} tradingDate - YYYY-MM-DD of the current session
+ * @returns {Promise<Object|null>} The run, or null if another pass already took it
+ */
+const runSchedule = async (schedule, tradingDate) => {
+    const scheduledDate = schedule.nextRunDate;
+    const nextRunDate = nextRunAfter(scheduledDate, schedule.frequency, tradingDate);
+    const amount = Number(schedule.amount);
+
+    const [claimed] = await db.query(
+        `UPDATE investment_schedules SET nextRunDate = ?, lastRunDate = ?
+         WHERE scheduleID = ? AND status = 'active' AND nextRunDate = ?`,
+        [nextRunDate, tradingDate, schedule.scheduleID, scheduledDate]
+    );
+
+    if (claimed.affectedRows === 0) return null;
+
+    let run;
+
+    try {
+        run = schedule.scheduleType === 'buy'
+            ? await buyScheduled(schedule, amount)
+            : await transferScheduled(schedule, amount);
+    } catch (error) {
+        // Trade errors (insufficient funds or cash, halts, limits) skip this run; anything else is a failure
+        if (!error.status) {
+            console.error(`Recurring investment ${schedule.scheduleID} error:`, error);
+        }
+
+        run = {
+            status: error.status ? 'skipped' : 'failed',
+            amount,
+            quantity: null,
+            price: null,
+            fee: null,
+            transactionID: null,
+            reason: error.status ? error.message : 'Server error'
+        };
+    }
+
+    await db.query(
+        `INSERT IGNORE INTO schedule_runs (scheduleID, tradingDate, status, amount, quantity, price, fee, transactionID, reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [schedule.scheduleID, tradingDate, run.status, run.amount, run.quantity, run.price, run.fee,
+            run.transactionID, run.reason]
+    );
+
+    publishRun(schedule, { ...run, tradingDate, nextRunDate });
+
+    return run;
+};
+
+/**
+ * While the regular session is open, run every active schedule that is due
+ * @returns {Promise<void>}
+ */
+const runDueSchedules = async () => {
+    // Skip if the previous pass is still running
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+        // Schedules buy in the regular session, at market
+        if (!marketClock.isOpen()) return;
+
+        const tradingDate = marketClock.getTradingDate();
+
+        const [schedules] = await db.query(
+            `SELECT sc.scheduleID, sc.userID, sc.portfolioID, sc.scheduleType, sc.stockID, sc.amount, sc.frequency,
+                    DATE_FORMAT(sc.nextRunDate, '%Y-%m-%d') AS nextRunDate, s.symbol
+             FROM investment_schedules sc
+             LEFT JOIN stocks s ON s.stockID = sc.stockID
+             WHERE sc.status = 'active' AND sc.nextRunDate <= ?
+             ORDER BY sc.nextRunDate, sc.scheduleID`,
+            [tradingDate]
+        );
+
+        for (const schedule of schedules) {
+            await runSchedule(schedule, tradingDate);
+        }
+    } catch (error) {
+        console.error('Recurring investments error:', error);
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Start the scheduler
+ */
+const start = () => {
+    stop();
+    task = cron.schedule(CRON_EXPRESSION, () => runDueSchedules());
+    console.log('Recurring investments scheduler started');
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+    if (task) {
+        task.stop();
+        task = null;
+    }
+};
+
+module.exports = {
+    SCHEDULE_TYPES,
+    FREQUENCIES,
+    STATUSES,
+    ensureScheduleTables,
+    validateSchedule,
+    advanceDate,
+    nextRunAfter,
+    runDueSchedules,
+    start,
+    stop
+};
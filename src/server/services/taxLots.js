@@ -0,0 +1,378 @@
+// src/server/services/taxLots.js
+// Tax lots: every fill that opens or adds to a position creates a lot at its price, and every
+// fill that reduces one closes lots in the order of the portfolio's lot method
+//   fifo          oldest lots first
+//   lifo          newest lots first
+//   highest_cost  highest-cost lots first (for shorts, the lowest sale price), realizing the least gain
+//   specific      the lots named on the order; any shares not named close FIFO
+// Lots are signed like holdings, so a short sale opens a negative lot and a buy to cover closes
+// it. A lot's costPerShare includes its share of the opening fee (for a short, the sale's net
+// proceeds per share); the closing fee comes off the proceeds. Each close is kept in
+// lot_closings with its cost basis, proceeds, realized gain and holding period in simulated days.
+const db = require('../middleware/db');
+const marketClock = require('./marketClock');
+const orderLimits = require('./orderLimits');
+
+const LOT_METHODS = ['fifo', 'lifo', 'highest_cost', 'specific'];
+
+// Lots held longer than this are long-term
+const LONG_TERM_DAYS = 365;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Lot selection errors are the trader's to fix, like any other order error
+const lotError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// Lots open and close on the simulated trading date
+const today = () => marketClock.getTradingDate() || marketClock.formatDate(new Date());
+
+/**
+ * Days a lot was held, and whether that makes it short- or long-term
+ * @param {string} acquiredDate - YYYY-MM-DD
+ * @param {string} closedDate - YYYY-MM-DD
+ * @returns {Object} { holdingDays, term: 'short'|'long' }
+ */
+const holdingPeriod = (acquiredDate, closedDate) => {
+    const holdingDays = Math.round((Date.parse(closedDate) - Date.parse(acquiredDate)) / 86400000);
+    return { holdingDays, term: holdingDays > LONG_TERM_DAYS ? 'long' : 'short' };
+};
+
+/**
+ * Create the tax_lots and lot_closings tables and the portfolio lot method, and open a lot
+ * at the average price for every position held before lots were tracked
+ * @returns {Promise<void>}
+ */
+const ensureLotTables = async () => {
+    await db.ensureColumn('portfolios', 'lotMethod',
+        "ENUM('fifo', 'lifo', 'highest_cost', 'specific') NOT NULL DEFAULT 'fifo' AFTER optionSettlement");
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS tax_lots (
+            lotID INT AUTO_INCREMENT PRIMARY KEY,
+            portfolioID VARCHAR(64) NOT NULL,
+            stockID INT NOT NULL,
+            transactionID VARCHAR(64) NULL,
+            quantity ${orderLimits.QUANTITY_COLUMN} NOT NULL,
+            remainingQuantity ${orderLimits.QUANTITY_COLUMN} NOT NULL,
+            price DECIMAL(12, 4) NOT NULL,
+            costPerShare DECIMAL(14, 6) NOT NULL,
+            acquiredDate DATE NOT NULL,
+            closedDate DATE NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            FOREIGN KEY (stockID) REFERENCES stocks(stockID) ON DELETE CASCADE,
+            INDEX (portfolioID, stockID, closedDate)
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS lot_closings (
+            closingID INT AUTO_INCREMENT PRIMARY KEY,
+            lotID INT NOT NULL,
+            portfolioID VARCHAR(64) NOT NULL,
+            stockID INT NOT NULL,
+            transactionID VARCHAR(64) NULL,
+            quantity ${orderLimits.QUANTITY_COLUMN} NOT NULL,
+            costBasis DECIMAL(14, 2) NOT NULL,
+            proceeds DECIMAL(14, 2) NOT NULL,
+            realizedGain DECIMAL(14, 2) NOT NULL,
+            acquiredDate DATE NOT NULL,
+            closedDate DATE NOT NULL,
+            holdingDays INT NOT NULL,
+            term ENUM('short', 'long') NOT NULL,
+            createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (lotID) REFERENCES tax_lots(lotID) ON DELETE CASCADE,
+            FOREIGN KEY (portfolioID) REFERENCES portfolios(portfolioID) ON DELETE CASCADE,
+            INDEX (portfolioID, closedDate),
+            INDEX (transactionID)
+        )
+    `);
+
+    // Positions from before lots were tracked: one lot at the average price, acquired at the first trade
+    await db.query(`
+        INSERT INTO tax_lots (portfolioID, stockID, quantity, remainingQuantity, price, costPerShare, acquiredDate)
+        SELECT h.portfolioID, h.stockID, h.quantity, h.quantity, h.avgPrice, h.avgPrice,
+               COALESCE((SELECT DATE(MIN(t.timestamp)) FROM transactions t
+                         WHERE t.portfolioID = h.portfolioID AND t.stockID = h.stockID), CURDATE())
+        FROM holdings h
+        WHERE NOT EXISTS (SELECT 1 FROM tax_lots l
+                          WHERE l.portfolioID = h.portfolioID AND l.stockID = h.stockID AND l.closedDate IS NULL)
+    `);
+};
+
+/**
+ * Check the lots named on an order
+ * @param {*} lots - [{ lotId, quantity }] from a request
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateLotSelection = (lots) => {
+    if (!Array.isArray(lots) || lots.length === 0) {
+        return 'lots must be a list of { lotId, quantity }';
+    }
+
+    for (const lot of lots) {
+        if (!lot || !Number.isInteger(lot.lotId) || !orderLimits.isValidQuantity(lot.quantity)) {
+            return 'Each lot needs a lotId and a positive quantity of shares';
+        }
+    }
+
+    if (new Set(lots.map(lot => lot.lotId)).size !== lots.length) {
+        return 'A lot can only be named once per order';
+    }
+
+    return null;
+};
+
+// Open lots in the order a method closes them; shorts are the mirror image for highest_cost
+const sortLots = (lots, lotMethod) => {
+    const byAge = (a, b) => a.acquiredDate.localeCompare(b.acquiredDate) || a.lotID - b.lotID;
+
+    if (lotMethod === 'lifo') {
+        return [...lots].sort((a, b) => byAge(b, a));
+    }
+
+    if (lotMethod === 'highest_cost') {
+        return [...lots].sort((a, b) => (
+            a.remainingQuantity > 0 ? b.costPerShare - a.costPerShare : a.costPerShare - b.costPerShare
+        ) || byAge(a, b));
+    }
+
+    return [...lots].sort(byAge);
+};
+
+/**
+ * Open and close a position's lots for a fill. Must be called inside db.transaction().
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} fill
+ * @param {string} fill.portfolioId - Portfolio ID
+ * @param {number} fill.stockID - Stock ID
+ * @param {string|null} fill.transactionID - Transaction the fill is recorded as
+ * @param {string} fill.transactionType - 'BUY' or 'SELL'
+ * @param {number} fill.quantity - Shares filled
+ * @param {number} fill.price - Fill price per share
+ * @param {number} [fill.fee] - Fees charged on the fill
+ * @param {string} [fill.lotMethod] - One of LOT_METHODS
+ * @param {Array<Object>|null} [fill.lots] - validateLotSelection()-checked lots to close first, in
+ *                                          order; a partial fill closes them up to the shares filled,
+ *                                          trimming the last one it reaches
+ * @returns {Promise<Object>} { avgPrice of the lots left open (null once flat), realizedGain, closings }
+ */
+const applyTrade = async (connection, {
+    portfolioId, stockID, transactionID, transactionType, quantity, price, fee = 0, lotMethod = 'fifo', lots = null
+}) => {
+    const side = transactionType === 'BUY' ? 1 : -1;
+    const feePerShare = fee / quantity;
+    const date = today();
+
+    const [rows] = await connection.query(
+        `SELECT lotID, remainingQuantity, price, costPerShare, DATE_FORMAT(acquiredDate, '%Y-%m-%d') AS acquiredDate
+         FROM tax_lots
+         WHERE portfolioID = ? AND stockID = ? AND closedDate IS NULL
+         FOR UPDATE`,
+        [portfolioId, stockID]
+    );
+
+    const openLots = rows.map(row => ({
+        ...row,
+        remainingQuantity: Number(row.remainingQuantity),
+        price: Number(row.price),
+        costPerShare: Number(row.costPerShare)
+    }));
+
+    // Lots on the other side of the fill are the ones it closes: longs for a sell, shorts for a buy
+    const closable = openLots.filter(lot => Math.sign(lot.remainingQuantity) === -side);
+
+    // Named lots first, in the amounts given, then the rest by the portfolio's method
+    const plan = [];
+    if (lots) {
+        for (const { lotId, quantity: shares } of lots) {
+            const lot = closable.find(open => open.lotID === lotId);
+            if (!lot) {
+                throw lotError(`Lot ${lotId} is not an open ${side > 0 ? 'short' : 'long'} lot of this stock`);
+            }
+            if (shares > Math.abs(lot.remainingQuantity) + 1e-9) {
+                throw lotError(`Lot ${lotId} only has ${Math.abs(lot.remainingQuantity)} shares`);
+            }
+            plan.push({ lot, shares });
+        }
+    }
+
+    for (const lot of sortLots(closable, lotMethod === 'specific' ? 'fifo' : lotMethod)) {
+        const step = plan.find(planned => planned.lot === lot);
+        const available = Math.abs(lot.remainingQuantity) - (step ? step.shares : 0);
+        if (available > 0) {
+            plan.push({ lot, shares: available });
+        }
+    }
+
+    let unfilled = quantity;
+    const closings = [];
+
+    for (const { lot, shares: planned } of plan) {
+        if (unfilled <= 0) break;
+
+        const shares = orderLimits.roundQuantity(Math.min(planned, unfilled));
+        unfilled = orderLimits.roundQuantity(unfilled - shares);
+
+        // A long's basis is what it cost; a short's proceeds are what it was sold for
+        const opening = shares * lot.costPerShare;
+        const closing = shares * (price + side * feePerShare);
+        const costBasis = roundCents(side < 0 ? opening : closing);
+        const proceeds = roundCents(side < 0 ? closing : opening);
+        const { holdingDays, term } = holdingPeriod(lot.acquiredDate, date);
+
+        lot.remainingQuantity = orderLimits.roundQuantity(lot.remainingQuantity + side * shares);
+
+        await connection.query(
+            'UPDATE tax_lots SET remainingQuantity = ?, closedDate = ? WHERE lotID = ?',
+            [lot.remainingQuantity, lot.remainingQuantity === 0 ? date : null, lot.lotID]
+        );
+
+        const closingRow = {
+            lotID: lot.lotID,
+            quantity: -side * shares,
+            costBasis,
+            proceeds,
+            realizedGain: roundCents(proceeds - costBasis),
+            acquiredDate: lot.acquiredDate,
+            closedDate: date,
+            holdingDays,
+            term
+        };
+
+        await connection.query(
+            `INSERT INTO lot_closings
+             (lotID, portfolioID, stockID, transactionID, quantity, costBasis, proceeds, realizedGain,
+              acquiredDate, closedDate, holdingDays, term)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [lot.lotID, portfolioId, stockID, transactionID, closingRow.quantity, costBasis, proceeds,
+                closingRow.realizedGain, lot.acquiredDate, date, holdingDays, term]
+        );
+
+        closings.push(closingRow);
+    }
+
+    // Whatever the fill didn't close opens a new lot (or adds exposure, or flips the position)
+    if (unfilled > 0) {
+        const costPerShare = price + side * feePerShare;
+        const [result] = await connection.query(
+            `INSERT INTO tax_lots (portfolioID, stockID, transactionID, quantity, remainingQuantity, price, costPerShare, acquiredDate)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [portfolioId, stockID, transactionID, side * unfilled, side * unfilled, price, costPerShare, date]
+        );
+
+        openLots.push({ lotID: result.insertId, remainingQuantity: side * unfilled, price, costPerShare, acquiredDate: date });
+    }
+
+    // The holding's average price is that of the shares still open
+    const stillOpen = openLots.filter(lot => lot.remainingQuantity !== 0);
+    const shares = stillOpen.reduce((total, lot) => total + Math.abs(lot.remainingQuantity), 0);
+
+    return {
+        avgPrice: shares > 0
+            ? stillOpen.reduce((total, lot) => total + Math.abs(lot.remainingQuantity) * lot.price, 0) / shares
+            : null,
+        realizedGain: roundCents(closings.reduce((total, closing) => total + closing.realizedGain, 0)),
+        closings
+    };
+};
+
+/**
+ * Scale every open lot of a stock for a split: more shares, each costing less
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {number} stockID - Stock ID
+ * @param {number} ratio - New shares per old share
+ * @returns {Promise<void>}
+ */
+const splitLots = async (connection, stockID, ratio) => {
+    await connection.query(
+        `UPDATE tax_lots
+         SET quantity = ROUND(quantity * ?, 6), remainingQuantity = ROUND(remainingQuantity * ?, 6),
+             price = price / ?, costPerShare = costPerShare / ?
+         WHERE stockID = ? AND closedDate IS NULL`,
+        [ratio, ratio, ratio, ratio, stockID]
+    );
+};
+
+/**
+ * A portfolio's open lots at current prices
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Array<Object>>} Lots, oldest first, with cost basis, market value,
+ *                                   unrealized gain and holding period so far
+ */
+const getOpenLots = async (connection, portfolioId) => {
+    const [rows] = await connection.query(
+        `SELECT l.lotID, l.stockID, s.symbol, s.companyName, l.transactionID, l.quantity, l.remainingQuantity, l.price,
+                l.costPerShare, DATE_FORMAT(l.acquiredDate, '%Y-%m-%d') AS acquiredDate, s.marketPrice
+         FROM tax_lots l
+         JOIN stocks s ON s.stockID = l.stockID
+         WHERE l.portfolioID = ? AND l.closedDate IS NULL
+         ORDER BY l.acquiredDate, l.lotID`,
+        [portfolioId]
+    );
+
+    const date = today();
+
+    return rows.map(row => {
+        const quantity = Number(row.remainingQuantity);
+        const costBasis = roundCents(quantity * Number(row.costPerShare));
+        const marketValue = roundCents(quantity * Number(row.marketPrice));
+
+        return {
+            lotID: row.lotID,
+            stockID: row.stockID,
+            symbol: row.symbol,
+            companyName: row.companyName,
+            transactionID: row.transactionID,
+            originalQuantity: Number(row.quantity),
+            quantity,
+            price: Number(row.price),
+            costPerShare: Number(row.costPerShare),
+            costBasis,
+            marketValue,
+            unrealizedGain: roundCents(marketValue - costBasis),
+            acquiredDate: row.acquiredDate,
+            ...holdingPeriod(row.acquiredDate, date)
+        };
+    });
+};
+
+/**
+ * Gains realized by a portfolio's closed lots, split by holding period
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Object>} { total, shortTerm, longTerm }
+ */
+const getRealizedGains = async (connection, portfolioId) => {
+    const [[totals]] = await connection.query(
+        `SELECT COALESCE(SUM(realizedGain), 0) AS total,
+                COALESCE(SUM(CASE WHEN term = 'short' THEN realizedGain END), 0) AS shortTerm,
+                COALESCE(SUM(CASE WHEN term = 'long' THEN realizedGain END), 0) AS longTerm
+         FROM lot_closings
+         WHERE portfolioID = ?`,
+        [portfolioId]
+    );
+
+    return {
+        total: Number(totals.total),
+        shortTerm: Number(totals.shortTerm),
+        longTerm: Number(totals.longTerm)
+    };
+};
+
+module.exports = {
+    LOT_METHODS,
+    LONG_TERM_DAYS,
+    ensureLotTables,
+    validateLotSelection,
+    holdingPeriod,
+    applyTrade,
+    splitLots,
+    getOpenLots,
+    getRealizedGains
+};
@@ -0,0 +1,300 @@
+// src/server/services/taxReport.js
+// Capital gains statements: every tax lot a portfolio closed in a simulated year, with its
+// proceeds, cost basis and gain, split into short- and long-term by holding period. A loss is
+// flagged as a wash sale when shares of the same stock were bought (or, for a short, sold short)
+// within WASH_SALE_DAYS before or after the sale and are replacements: bought after the sale,
+// or bought before it and still held afterwards. Shares sold in the same sale, or before it,
+// replace nothing. The disallowed part of the loss is in proportion to the replacement shares,
+// up to the whole loss.
+const orderLimits = require('./orderLimits');
+
+// Days either side of a loss sale in which buying the stock again makes it a wash sale
+const WASH_SALE_DAYS = 30;
+
+const FORMATS = ['json', 'csv', 'html'];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check a report year from a request
+ * @param {*} year - Year from the URL
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateYear = (year) => (
+    /^\d{4}$/.test(String(year)) ? null : 'Year must be a four-digit year'
+);
+
+/**
+ * Years in which a portfolio closed any lots, newest first
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {string} portfolioId - Portfolio ID
+ * @returns {Promise<Array<number>>}
+ */
+const getReportYears = async (connection, portfolioId) => {
+    const [rows] = await connection.query(
+        `SELECT DISTINCT YEAR(closedDate) AS year
+         FROM lot_closings
+         WHERE portfolioID = ?
+         ORDER BY year DESC`,
+        [portfolioId]
+    );
+
+    return rows.map(row => row.year);
+};
+
+/**
+ * Capital gains statement of a portfolio for one year
+ * @param {Connection|Object} connection - Connection from db.transaction(), or db itself
+ * @param {Object} portfolio - { portfolioID, name }
+ * @param {number} year - Year the lots were closed in
+ * @returns {Promise<Object>} { portfolioId, portfolioName, year, sales, shortTerm, longTerm, total }
+ */
+const getCapitalGains = async (connection, portfolio, year) => {
+    // A replacement lot counts its shares less those sold before this sale or in it; closing
+    // IDs are in the order sales happened
+    const [rows] = await connection.query(
+        `SELECT lc.closingID, lc.lotID, lc.transactionID, s.symbol, s.companyName, lc.quantity,
+                lc.costBasis, lc.proceeds, lc.realizedGain, lc.holdingDays, lc.term,
+                DATE_FORMAT(lc.acquiredDate, '%Y-%m-%d') AS acquiredDate,
+                DATE_FORMAT(lc.closedDate, '%Y-%m-%d') AS closedDate,
+                (SELECT COALESCE(SUM(GREATEST(ABS(r.quantity) - COALESCE((
+                            SELECT SUM(ABS(c.quantity))
+                            FROM lot_closings c
+                            WHERE c.lotID = r.lotID
+                              AND (c.closingID < lc.closingID OR c.transactionID = lc.transactionID)
+                        ), 0), 0)), 0)
+                 FROM tax_lots r
+                 WHERE r.portfolioID = lc.portfolioID AND r.stockID = lc.stockID AND r.lotID <> lc.lotID
+                   AND SIGN(r.quantity) = SIGN(lc.quantity)
+                   AND r.acquiredDate BETWEEN DATE_SUB(lc.closedDate, INTERVAL ? DAY)
+                                          AND DATE_ADD(lc.closedDate, INTERVAL ? DAY)) AS replacementShares
+         FROM lot_closings lc
+         JOIN stocks s ON s.stockID = lc.stockID
+         WHERE lc.portfolioID = ? AND YEAR(lc.closedDate) = ?
+         ORDER BY lc.closedDate, lc.closingID`,
+        [WASH_SALE_DAYS, WASH_SALE_DAYS, portfolio.portfolioID, year]
+    );
+
+    const sales = rows.map(row => {
+        const quantity = Math.abs(Number(row.quantity));
+        const realizedGain = Number(row.realizedGain);
+        const replacementShares = Number(row.replacementShares);
+        const washSale = realizedGain < 0 && replacementShares > 0;
+
+        return {
+            closingID: row.closingID,
+            lotID: row.lotID,
+            transactionID: row.transactionID,
+            symbol: row.symbol,
+            companyName: row.companyName,
+            position: Number(row.quantity) > 0 ? 'long' : 'short',
+            quantity: orderLimits.roundQuantity(quantity),
+            acquiredDate: row.acquiredDate,
+            closedDate: row.closedDate,
+            holdingDays: row.holdingDays,
+            term: row.term,
+            proceeds: Number(row.proceeds),
+            costBasis: Number(row.costBasis),
+            realizedGain,
+            washSale,
+            disallowedLoss: washSale ? roundCents(-realizedGain * Math.min(1, replacementShares / quantity)) : 0
+        };
+    });
+
+    const summarize = (items) => {
+        const sum = (value) => roundCents(items.reduce((total, item) => total + item[value], 0));
+        const disallowedLoss = sum('disallowedLoss');
+        const realizedGain = sum('realizedGain');
+
+        return {
+            sales: items.length,
+            proceeds: sum('proceeds'),
+            costBasis: sum('costBasis'),
+            realizedGain,
+            disallowedLoss,
+            reportableGain: roundCents(realizedGain + disallowedLoss)
+        };
+    };
+
+    return {
+        portfolioId: portfolio.portfolioID,
+        portfolioName: portfolio.name,
+        year: Number(year),
+        washSaleDays: WASH_SALE_DAYS,
+        sales,
+        shortTerm: summarize(sales.filter(sale => sale.term === 'short')),
+        longTerm: summarize(sales.filter(sale => sale.term === 'long')),
+        total: summarize(sales)
+    };
+};
+
+// Quote a CSV field when it holds a delimiter, quote or line break. Text a spreadsheet would run
+// as a formula (a custom stock's name starting with =, +, - or @) is prefixed with ' first.
+const csvField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * A capital gains statement as CSV: one row per closed lot, then the short-term, long-term
+ * and total summaries
+ * @param {Object} report - getCapitalGains() output
+ * @returns {string}
+ */
+const toCsv = (report) => {
+    const columns = ['symbol', 'companyName', 'position', 'quantity', 'acquiredDate', 'closedDate',
+        'holdingDays', 'term', 'proceeds', 'costBasis', 'realizedGain', 'washSale', 'disallowedLoss',
+        'transactionID', 'lotID'];
+    const summaryColumns = ['sales', 'proceeds', 'costBasis', 'realizedGain', 'disallowedLoss', 'reportableGain'];
+
+    const lines = [
+        columns.join(','),
+        ...report.sales.map(sale => columns.map(column => csvField(sale[column])).join(',')),
+        '',
+        ['summary', ...summaryColumns].join(','),
+        ...['shortTerm', 'longTerm', 'total'].map(part => (
+            [part, ...summaryColumns.map(column => report[part][column])].join(',')
+        ))
+    ];
+
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+/**
+ * A capital gains statement as a standalone page to print
+ * @param {Object} report - getCapitalGains() output
+ * @returns {string}
+ */
+const toHtml = (report) => {
+    const title = `Capital Gains Statement ${report.year} - ${escapeHtml(report.portfolioName)}`;
+
+    const saleRows = (term) => {
+        const sales = report.sales.filter(sale => sale.term === term);
+        if (sales.length === 0) {
+            return '<tr><td colspan="9" class="empty">No sales</td></tr>';
+        }
+
+        return sales.map(sale => `
+            <tr${sale.washSale ? ' class="wash"' : ''}>
+                <td>${escapeHtml(sale.symbol)}${sale.position === 'short' ? ' (short)' : ''}</td>
+                <td class="num">${sale.quantity}</td>
+                <td>${sale.acquiredDate}</td>
+                <td>${sale.closedDate}</td>
+                <td class="num">${sale.holdingDays}</td>
+                <td class="num">${money(sale.proceeds)}</td>
+                <td class="num">${money(sale.costBasis)}</td>
+                <td class="num">${money(sale.realizedGain)}</td>
+                <td class="num">${sale.washSale ? `W ${money(sale.disallowedLoss)}` : ''}</td>
+            </tr>`).join('');
+    };
+
+    const section = (term, heading) => {
+        const totals = report[`${term}Term`];
+
+        return `
+        <h2>${heading}</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th>Security</th><th class="num">Shares</th><th>Acquired</th><th>Sold</th>
+                    <th class="num">Days held</th><th class="num">Proceeds</th><th class="num">Cost basis</th>
+                    <th class="num">Gain or loss</th><th class="num">Wash sale</th>
+                </tr>
+            </thead>
+            <tbody>${saleRows(term)}</tbody>
+            <tfoot>
+                <tr>
+                    <td colspan="5">Total ${heading.toLowerCase()}</td>
+                    <td class="num">${money(totals.proceeds)}</td>
+                    <td class="num">${money(totals.costBasis)}</td>
+                    <td class="num">${money(totals.realizedGain)}</td>
+                    <td class="num">${money(totals.disallowedLoss)}</td>
+                </tr>
+            </tfoot>
+        </table>`;
+    };
+
+    const summaryRow = (label, part) => `
+        <tr>
+            <td>${label}</td>
+            <td class="num">${money(part.proceeds)}</td>
+            <td class="num">${money(part.costBasis)}</td>
+            <td class="num">${money(part.realizedGain)}</td>
+            <td class="num">${money(part.disallowedLoss)}</td>
+            <td class="num">${money(part.reportableGain)}</td>
+        </tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #1f2937; margin: 2rem; }
+        h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+        h2 { font-size: 1.1rem; margin-top: 2rem; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+        th, td { border-bottom: 1px solid #d1d5db; padding: 0.35rem 0.5rem; text-align: left; }
+        tfoot td { font-weight: bold; border-top: 2px solid #1f2937; }
+        .num { text-align: right; }
+        .wash { background: #fef3c7; }
+        .empty { text-align: center; color: #6b7280; }
+        .note { font-size: 0.8rem; color: #6b7280; margin-top: 2rem; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <div>Sales closed between ${report.year}-01-01 and ${report.year}-12-31 of simulated time</div>
+
+    <h2>Summary</h2>
+    <table>
+        <thead>
+            <tr>
+                <th></th><th class="num">Proceeds</th><th class="num">Cost basis</th>
+                <th class="num">Gain or loss</th><th class="num">Wash sale loss disallowed</th>
+                <th class="num">Reportable gain or loss</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${summaryRow('Short-term', report.shortTerm)}
+            ${summaryRow('Long-term', report.longTerm)}
+        </tbody>
+        <tfoot>${summaryRow('Total', report.total)}</tfoot>
+    </table>
+
+    ${section('short', 'Short-Term Gains and Losses')}
+    ${section('long', 'Long-Term Gains and Losses')}
+
+    <p class="note">
+        Short-term lots were held one year or less, long-term lots more than a year. Proceeds are net
+        of fees and cost basis includes the fees paid to buy. W marks a wash sale: a loss with shares of
+        the same stock bought within ${report.washSaleDays} days before or after the sale, whose
+        disallowed part is added back to the reportable gain. This is a simulated statement for learning,
+        not tax advice.
+    </p>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+    WASH_SALE_DAYS,
+    FORMATS,
+    validateYear,
+    getReportYears,
+    getCapitalGains,
+    toCsv,
+    toHtml
+};
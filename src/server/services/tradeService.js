@@ -0,0 +1,287 @@
+// src/server/services/tradeService.js
+// Shared buy/sell bookkeeping used by POST /api/transactions and the order engine
+const marginAccount = require('./marginAccount');
+const orderLimits = require('./orderLimits');
+const costModel = require('./costModel');
+const orderBook = require('./orderBook');
+const taxLots = require('./taxLots');
+
+// Every kind of row in transactions: trades, the corporate action and interest entries posted
+// by the background engines, and the deposits and withdrawals of the cash ledger
+const TRANSACTION_TYPES = ['BUY', 'SELL', 'DIVIDEND', 'SPLIT', 'INTEREST', 'DEPOSIT', 'WITHDRAWAL'];
+
+/**
+ * Build an error that carries an HTTP status for the route layer
+ * @param {string} message - Error message shown to the user
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with a status property
+ */
+const tradeError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Read the current server price for a stock; trades are always priced from this quote, never from a client's price
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {number} stockID - Stock ID
+ * @returns {Promise<number>} Market price per share
+ */
+const getMarketPrice = async (connection, stockID) => {
+    const [stocks] = await connection.query(
+        'SELECT marketPrice, haltedUntil > NOW() AS isHalted FROM stocks WHERE stockID = ?',
+        [stockID]
+    );
+
+    if (stocks.length === 0) {
+        throw tradeError('Stock not found', 404);
+    }
+
+    if (stocks[0].isHalted) {
+        throw tradeError('Trading in this stock is halted', 409);
+    }
+
+    const price = Number(stocks[0].marketPrice);
+    if (!price || price <= 0) {
+        throw tradeError('No market price available for this stock', 409);
+    }
+
+    return price;
+};
+
+/**
+ * New quantity and average price of a position after a fill. Positions are signed, so a
+ * short has a negative quantity and its average price is the average price it was sold at.
+ * @param {Object|undefined} holding - Existing holding row, if any
+ * @param {number} change - Signed share change (+ for BUY, - for SELL)
+ * @param {number} price - Fill price per share
+ * @returns {Object} { quantity, avgPrice }
+ */
+const applyFill = (holding, change, price) => {
+    const quantity = holding ? Number(holding.quantity) : 0;
+    const avgPrice = holding ? Number(holding.avgPrice) : 0;
+    const newQuantity = orderLimits.roundQuantity(quantity + change);
+
+    // Opening or adding to a position in the same direction
+    if (quantity === 0 || Math.sign(quantity) === Math.sign(change)) {
+        return {
+            quantity: newQuantity,
+            avgPrice: (Math.abs(quantity) * avgPrice + Math.abs(change) * price) / Math.abs(newQuantity)
+        };
+    }
+
+    // Flipping from long to short (or back): the remainder is a new position at this price
+    if (newQuantity !== 0 && Math.sign(newQuantity) !== Math.sign(quantity)) {
+        return { quantity: newQuantity, avgPrice: price };
+    }
+
+    // Reducing or closing keeps the cost basis of what's left
+    return { quantity: newQuantity, avgPrice };
+};
+
+/**
+ * Write a position after a fill: update the holding, create it, or remove it once closed
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} change - { portfolioId, stockID, holding (existing row, if any), position (applyFill() output) }
+ * @returns {Promise<void>}
+ */
+const saveHolding = async (connection, { portfolioId, stockID, holding, position }) => {
+    if (position.quantity === 0) {
+        // Remove holding if the position is closed
+        await connection.query(
+            'DELETE FROM holdings WHERE holdingID = ?',
+            [holding.holdingID]
+        );
+    } else if (holding) {
+        // Update existing holding
+        await connection.query(
+            'UPDATE holdings SET quantity = ?, avgPrice = ? WHERE holdingID = ?',
+            [position.quantity, position.avgPrice, holding.holdingID]
+        );
+    } else {
+        // Create new holding
+        await connection.query(
+            'INSERT INTO holdings (portfolioID, stockID, quantity, avgPrice) VALUES (?, ?, ?, ?)',
+            [portfolioId, stockID, position.quantity, position.avgPrice]
+        );
+    }
+};
+
+/**
+ * Apply a fill to a position: open or close its tax lots, then save the holding with the
+ * average price of the lots left open
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} fill - { portfolioId, stockID, holding (existing row, if any), transactionID,
+ *                          transactionType, quantity, price, fee, lotMethod, lots }
+ * @returns {Promise<Object>} { position (quantity, avgPrice), realizedGain }
+ */
+const fillPosition = async (connection, { holding, ...fill }) => {
+    const lotChanges = await taxLots.applyTrade(connection, fill);
+
+    const { quantity, avgPrice } = applyFill(holding, fill.transactionType === 'BUY' ? fill.quantity : -fill.quantity, fill.price);
+    const position = { quantity, avgPrice: lotChanges.avgPrice ?? avgPrice };
+
+    await saveHolding(connection, { portfolioId: fill.portfolioId, stockID: fill.stockID, holding, position });
+
+    return { position, realizedGain: lotChanges.realizedGain };
+};
+
+/**
+ * Apply a BUY or SELL to a portfolio's balance and holdings and record it in transactions.
+ * The order walks the stock's book (shaped by the owner's cost model) from the quote, so it
+ * pays the spread and its own price impact, and fills only as many shares as the book holds
+ * (at or better than limitPrice, if given). Commission and fees are charged to cash and
+ * recorded as the fee.
+ * Cash portfolios need the cash for a BUY and the shares for a SELL; margin portfolios
+ * may borrow and sell short as long as the trade leaves enough equity for initial margin.
+ * Trades that grow a position must keep it within the portfolio's maxPositionPercent of equity.
+ * The fill opens or closes tax lots by the portfolio's lot method (or the lots named on the
+ * order), and the holding's average price is that of the lots left open.
+ * Must be called inside db.transaction() so every write commits or rolls back together.
+ * @param {Connection} connection - Connection from db.transaction()
+ * @param {Object} trade - Trade details
+ * @param {string} trade.portfolioId - Portfolio ID
+ * @param {number} trade.stockID - Stock ID
+ * @param {string} trade.transactionType - 'BUY' or 'SELL'
+ * @param {number} trade.quantity - Number of shares wanted (may be fractional)
+ * @param {number} trade.price - Quoted market price per share
+ * @param {number} [trade.limitPrice] - Worst price a limit order may fill at
+ * @param {Array<Object>} [trade.lots] - Specific lots to close first ({ lotId, quantity })
+ * @param {boolean} [trade.recordFill] - Take the fill out of the book's liquidity now. Off by default:
+ *                                       the transaction may still roll back, so callers call
+ *                                       orderBook.recordFill() once it has committed
+ * @returns {Promise<Object>} Transaction record (shares filled, average fill price, quotePrice, fee,
+ *                            whether the fill was partial and the gain realized on closed lots)
+ *                            and the new portfolio balance
+ */
+const executeTrade = async (connection, {
+    portfolioId, stockID, transactionType, quantity: requestedQuantity, price: quotePrice, limitPrice = null,
+    lots = null, recordFill = false
+}) => {
+    if (transactionType !== 'BUY' && transactionType !== 'SELL') {
+        throw tradeError('Transaction type must be BUY or SELL');
+    }
+
+    // Lock the portfolio row so concurrent fills can't overspend the balance
+    const [portfolios] = await connection.query(
+        'SELECT portfolioID, balance, marginEnabled, maxPositionPercent, lotMethod FROM portfolios WHERE portfolioID = ? FOR UPDATE',
+        [portfolioId]
+    );
+
+    if (portfolios.length === 0) {
+        throw tradeError('Portfolio not found', 404);
+    }
+
+    const portfolio = portfolios[0];
+
+    const settings = await costModel.getCostSettings(connection, portfolioId);
+    const book = await orderBook.getBook(connection, { stockID, quotePrice }, settings);
+    const fill = orderBook.walkBook(book, transactionType, requestedQuantity, limitPrice);
+
+    if (fill.quantity <= 0) {
+        const error = tradeError(limitPrice !== null
+            ? 'No liquidity at or better than the limit price'
+            : 'No liquidity available', 409);
+        error.noLiquidity = true;
+        throw error;
+    }
+
+    const quantity = fill.quantity;
+    const price = fill.averagePrice;
+    const totalValue = price * quantity;
+    const { fee } = costModel.calculateFees(settings, quantity, price);
+
+    const [holdings] = await connection.query(
+        'SELECT * FROM holdings WHERE portfolioID = ? AND stockID = ? FOR UPDATE',
+        [portfolioId, stockID]
+    );
+
+    const holding = holdings[0];
+    const heldQuantity = holding ? Number(holding.quantity) : 0;
+
+    if (!portfolio.marginEnabled) {
+        // Check if user has enough cash
+        if (transactionType === 'BUY' && Number(portfolio.balance) < totalValue + fee) {
+            throw tradeError('Insufficient funds');
+        }
+
+        // Check if user has enough shares
+        if (transactionType === 'SELL' && heldQuantity < quantity) {
+            throw tradeError('Insufficient shares');
+        }
+    }
+
+    // Update portfolio balance (short sale proceeds are credited like any other sale), net of fees
+    await connection.query(
+        'UPDATE portfolios SET balance = balance + ? WHERE portfolioID = ?',
+        [(transactionType === 'BUY' ? -totalValue : totalValue) - fee, portfolioId]
+    );
+
+    const transactionID = `txn-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+
+    const { position, realizedGain } = await fillPosition(connection, {
+        portfolioId, stockID, holding, transactionID, transactionType, quantity, price, fee, lotMethod: portfolio.lotMethod, lots
+    });
+
+    // Trades that add exposure must leave equity above the initial requirement on margin
+    // and keep the position within the portfolio's position-size limit
+    const { maxPositionPercent } = orderLimits.fromRow(portfolio);
+    if (Math.abs(position.quantity) > Math.abs(heldQuantity)
+        && (portfolio.marginEnabled || maxPositionPercent !== null)) {
+        const account = await marginAccount.getAccount(connection, portfolioId);
+
+        if (portfolio.marginEnabled && account.equity < account.initialRequirement) {
+            throw tradeError('Insufficient buying power');
+        }
+
+        if (maxPositionPercent !== null && Math.abs(position.quantity) * price > account.equity * maxPositionPercent / 100) {
+            throw tradeError(`A position can't be more than ${maxPositionPercent}% of this portfolio's equity`);
+        }
+    }
+
+    // Create transaction record
+    await connection.query(
+        `INSERT INTO transactions
+       (transactionID, portfolioID, stockID, transactionType, quantity, pricePaid, quotePrice, totalValue, fee)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [transactionID, portfolioId, stockID, transactionType, quantity, price, quotePrice, totalValue, fee]
+    );
+
+    // Get updated portfolio balance
+    const [updatedPortfolios] = await connection.query(
+        'SELECT balance FROM portfolios WHERE portfolioID = ?',
+        [portfolioId]
+    );
+
+    if (recordFill) {
+        orderBook.recordFill(stockID, transactionType, quantity);
+    }
+
+    return {
+        transactionID,
+        portfolioId,
+        stockID,
+        transactionType,
+        quantity,
+        requestedQuantity,
+        partial: quantity < requestedQuantity,
+        price,
+        quotePrice,
+        totalValue,
+        fee,
+        realizedGain,
+        newBalance: updatedPortfolios[0].balance,
+        timestamp: new Date()
+    };
+};
+
+module.exports = {
+    TRANSACTION_TYPES,
+    tradeError,
+    getMarketPrice,
+    applyFill,
+    saveHolding,
+    fillPosition,
+    executeTrade
+};